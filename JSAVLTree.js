@@ -3,800 +3,7401 @@
  * An implementation of a self-balancing binary search tree.
  * Copyright 2013
  * @author Brian Milton
- * @version 2.0.0
+ * @version 2.1.0
  */
 
 (function(window, undefined) {
 
 	/**
-	 * A pure-JS implementation of bind.
-	 * @param {Function} fn A function to partially apply.
-	 * @param {Object|undefined} selfObj Specifies the object which |this| should
-	 *     point to when the function is run.
-	 * @param {...*} arguments Additional arguments that are partially
-	 *     applied to the function.
-	 * @return {!Function} A partially-applied form of the function bind() was
-	 *     invoked as a method of.
+	 * Makes childCtor inherit the prototype methods of parentCtor without
+	 * invoking parentCtor. The parent constructor is exposed as
+	 * childCtor.superClass_ so that it can be called from the child.
+	 *
+	 * @param {Function} childCtor Child class.
+	 * @param {Function} parentCtor Parent class.
 	 * @private
 	 */
-	var BIND = function(fn, selfObj, arguments) {
-		if (!fn) {
-			throw new Error();
-		}
+	var INHERITS = function(childCtor, parentCtor) {
+		var TempCtor = function() {};
+		TempCtor.prototype = parentCtor.prototype;
+		childCtor.superClass_ = parentCtor.prototype;
+		childCtor.prototype = new TempCtor();
+		childCtor.prototype.constructor = childCtor;
+	};
 
-		if (arguments.length > 2) {
-			var boundArgs = Array.prototype.slice.call(arguments, 2);
-			return function() {
-				// Prepend the bound arguments to the current arguments.
-				var newArgs = Array.prototype.slice.call(arguments);
-				Array.prototype.unshift.apply(newArgs, boundArgs);
-				return fn.apply(selfObj, newArgs);
-			};
+	/**
+	 * Copies the values of an array, array-like object or ES2015 iterable into
+	 * a new Array. A TypeError is thrown for anything else.
+	 *
+	 * @param {Array|Object} iterable The values to copy.
+	 * @return {!Array} A new array containing the values.
+	 * @private
+	 */
+	var TO_ARRAY = function(iterable) {
+		if (iterable != null && typeof iterable.length === "number") {
+			return Array.prototype.slice.call(iterable);
+		}
+		if (iterable == null || typeof Symbol !== "function" ||
+				typeof iterable[Symbol.iterator] !== "function") {
+			throw new TypeError(String(iterable) +
+					" is not an array, array-like object or iterable");
+		}
 
-		} else {
-			return function() {
-				return fn.apply(selfObj, arguments);
-			};
+		var retVal = [];
+		var iterator = iterable[Symbol.iterator]();
+		for (var result = iterator.next(); !result.done;
+				result = iterator.next()) {
+			retVal.push(result.value);
 		}
-	}
+		return retVal;
+	};
 	
 	/**
-	 * Constructs an AVL-Tree, which uses the specified comparator to order its
-	 * values. The tree enforces a O(logn) maximum height.
+	 * Returns the key to look up for an argument of a lookup in a tree with a
+	 * key function, which may be a key or a stored object. An object for which
+	 * the key function returns a defined key is taken to be a stored object
+	 * and replaced by its key, and anything else is taken to be a key.
 	 *
-	 * @param {Function=} comparator Function used to order the tree's nodes.
-	 * @constructor
+	 * @param {Function} keyFn Function returning the key of a stored object.
+	 * @param {*} value The key or stored object.
+	 * @return {*} The key.
+	 * @private
 	 */
-	AVLTree = function(comparator) {
-		this._comparator = comparator || AVLTree.DEFAULT_COMPARATOR;
+	var LOOKUP_KEY = function(keyFn, value) {
+		if (value !== null && typeof value === "object") {
+			var key = keyFn(value);
+			if (key !== undefined) {
+				return key;
+			}
+		}
+		return value;
 	};
 
 	/**
-	 * String comparison function used to compare values in the tree. This function
-	 * is used by default if no comparator is specified in the tree's constructor.
+	 * Returns a comparator which compares a stored object with a key, by
+	 * extracting the object's key. The tree always passes a stored object as
+	 * the first argument, and the second is a key or, when it comes from a
+	 * lookup, possibly a stored object whose key is looked up instead.
 	 *
-	 * @param {string} a The first string.
-	 * @param {string} b The second string.
-	 * @return {number} -1 if a < b, 1 if a > b, 0 if a = b.
+	 * @param {Function} keyFn Function returning the key of a stored object.
+	 * @param {Function} comparator Function used to order the keys.
+	 * @return {!Function} The comparator of objects with keys.
 	 * @private
 	 */
-	AVLTree.DEFAULT_COMPARATOR = function(a, b) {
-		if (String(a) < String(b)) {
+	var KEY_COMPARATOR = function(keyFn, comparator) {
+		return function(value, key) {
+			return comparator(keyFn(value), LOOKUP_KEY(keyFn, key));
+		};
+	};
+
+	/**
+	 * Compares two values with the < and > operators.
+	 *
+	 * @param {*} a The first value.
+	 * @param {*} b The second value.
+	 * @return {number} -1 if a < b, 1 if a > b, 0 otherwise.
+	 * @private
+	 */
+	var OPERATOR_COMPARATOR = function(a, b) {
+		if (a < b) {
 			return -1;
-		} else if (String(a) > String(b)) {
+		} else if (a > b) {
 			return 1;
 		}
 		return 0;
 	};
 
 	/**
-	 * Pointer to the root node of the tree.
+	 * Returns a comparator which checks every result of the specified
+	 * comparator: the result must be a number, comparing a value with itself
+	 * must return 0, swapping the arguments must flip the sign of the result
+	 * and comparing the same values again must give the same result. An error
+	 * describing the problem is thrown otherwise.
 	 *
-	 * @type {AVLTree.Node}
+	 * @param {Function} comparator The comparator to check.
+	 * @return {!Function} The checking comparator.
 	 * @private
 	 */
-	AVLTree.prototype._root = null;
+	var VALIDATING_COMPARATOR = function(comparator) {
+		var sign = function(result) {
+			return result > 0 ? 1 : result < 0 ? -1 : 0;
+		};
+		return function(a, b) {
+			var result = comparator(a, b);
+			var problem = null;
+			if (typeof result !== "number" || result !== result) {
+				problem = "returned " + result + ", not a number,";
+			} else if (comparator(a, a) !== 0 || comparator(b, b) !== 0) {
+				problem = "does not return 0 when a value is compared with " +
+						"itself";
+			} else if (sign(comparator(b, a)) !== -sign(result)) {
+				problem = "is not antisymmetric";
+			} else if (sign(comparator(a, b)) !== sign(result)) {
+				problem = "is not consistent";
+			}
+			if (problem) {
+				throw new Error("The comparator " + problem + " for " +
+						String(a) + " and " + String(b));
+			}
+			return result;
+		};
+	};
 
 	/**
-	 * Comparison function used to compare values in the tree. This function should
-	 * take two values, a and b, and return x where:
-	 *  x < 0 if a < b,
-	 *  x > 0 if a > b,
-	 *  x = 0 otherwise
+	 * Returns a comparator which counts its calls in the comparisons property
+	 * of the specified statistics.
 	 *
-	 * @type {Function}
+	 * @param {Function} comparator The comparator to count the calls of.
+	 * @param {!Object} stats The statistics to count the calls in.
+	 * @return {!Function} The counting comparator.
 	 * @private
 	 */
-	AVLTree.prototype._comparator = null;
+	var COUNTING_COMPARATOR = function(comparator, stats) {
+		return function(a, b) {
+			stats.comparisons++;
+			return comparator(a, b);
+		};
+	};
 
 	/**
-	 * Pointer to the node with the smallest value in the tree.
+	 * Returns the greatest height an AVL tree with the specified number of
+	 * nodes can have. The sparsest AVL tree of height h has F(h + 2) - 1 nodes,
+	 * where F is the Fibonacci sequence, so the height is below
+	 * 1.4405 * log2(n + 2) - 0.3277.
 	 *
-	 * @type {AVLTree.Node}
+	 * @param {number} n The number of nodes.
+	 * @return {number} The theoretical bound of the height.
 	 * @private
 	 */
-	AVLTree.prototype._minNode = null;
+	var AVL_HEIGHT_BOUND = function(n) {
+		// a and b are the fewest nodes of the trees of height h and h + 1
+		var height = 0, a = 0, b = 1;
+		while (b <= n) {
+			var next = a + b + 1;
+			a = b;
+			b = next;
+			height++;
+		}
+		return height;
+	};
 
 	/**
-	 * Pointer to the node with the largest value in the tree.
+	 * Magic number at the start of every binary dump, "AVLT" in ASCII.
 	 *
-	 * @type {AVLTree.Node}
+	 * @type {number}
 	 * @private
 	 */
-	AVLTree.prototype._maxNode = null;
+	var BINARY_MAGIC = 0x41564C54;
 
 	/**
-	 * Inserts a node into the tree with the specified value if its not a 
-	 * duplicate. If the value is inserted, the tree is balanced to enforce
-	 * the AVL-Tree height property.
+	 * Flags stored in the header of a binary dump.
 	 *
-	 * @param {*} value Value to insert into the tree.
-	 * @return {boolean} Whether value was inserted into the tree.
+	 * @enum {number}
+	 * @private
 	 */
-	AVLTree.prototype.add = function(value) {
-		// If the tree is empty, create a root node with the specified value and stop there.
-		if (this._root == null) {
-			this._root = new AVLTree.Node(value);
-			this._minNode = this._root;
-			this._maxNode = this._root;
-			return true;
-		}
-
-		// This will be set to the new node if a new node is added.
-		var newNode = null;
-
-		// Traverse the tree and insert the value if we reach a null node
-		this._traverse(function(node) {
-			var retNode = null;
-			if (this._comparator(node.value, value) > 0) {
-				retNode = node._left;
-				if (node._left == null) {
-					newNode = new AVLTree.Node(value, node);
-					node._left = newNode;
-					if (node == this._minNode) {
-						this._minNode = newNode;
-					}
-				}
-			} else if (this._comparator(node.value, value) < 0) {
-				retNode = node._right;
-				if (node._right == null) {
-					newNode = new AVLTree.Node(value, node);
-					node._right = newNode;
-					if (node == this._maxNode) {
-						this._maxNode = newNode;
-					}
-				}
-			}
-			return retNode; // If null, we'll stop traversing the tree
-		});
+	var BINARY_FLAGS = {
+		MULTISET: 1,
+		MAP: 2,
+		STRING_KEYS: 4
+	};
 
-		// If a node was added, increment counts and balance tree.
-		if (newNode) {
-			this._traverse(function(node) {
-				node.count++;
-				return node._parent;
-			}, newNode._parent);
-			this._balance(newNode._parent);  // Maintain the AVL-tree balance
+	/**
+	 * Encodes a string as UTF-8.
+	 *
+	 * @param {string} str The string to encode.
+	 * @return {!Uint8Array} The UTF-8 bytes.
+	 * @private
+	 */
+	var UTF8_ENCODE = function(str) {
+		var binary = unescape(encodeURIComponent(str));
+		var bytes = new Uint8Array(binary.length);
+		for (var i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
 		}
-
-		// Return true if a node was added, false otherwise
-		return !!newNode;
+		return bytes;
 	};
 
 	/**
-	 * Removes a node from the tree with the specified value if it exists. If 
-	 * a node is removed the tree is balanced again. The value of the removed 
-	 * node is returned or null.
+	 * Decodes UTF-8 bytes to a string.
 	 *
-	 * @param {*} value Value to find and remove from the tree.
-	 * @return {*} The value of the removed node or null if the value was not in
-	 *     the tree.
+	 * @param {Uint8Array} bytes The UTF-8 bytes.
+	 * @return {string} The decoded string.
+	 * @private
 	 */
-	AVLTree.prototype.remove = function(value) {
-		// Assume the value is not removed and set the value when it is removed
-		var retValue = null;
-
-		// Depth traverse the tree and remove the value if we find it
-		this._traverse(function(node) {
-			var retNode = null;
-			if (this._comparator(node.value, value) > 0) {
-				retNode = node._left;
-			} else if (this._comparator(node.value, value) < 0) {
-				retNode = node._right;
-			} else {
-				retValue = node.value;
-				this._removeNode(node);
-			}
-			return retNode;  // If null, we'll stop traversing the tree
-		});
-
-		// Return the value that was removed, null if the value was not in the tree
-		return retValue;
+	var UTF8_DECODE = function(bytes) {
+		var binary = "";
+		for (var i = 0; i < bytes.length; i++) {
+			binary += String.fromCharCode(bytes[i]);
+		}
+		return decodeURIComponent(escape(binary));
 	};
 
 	/**
-	 * Removes all nodes from the tree.
+	 * Constructs an AVL-Tree, which uses the specified comparator to order its
+	 * values. The tree enforces a O(logn) maximum height.
+	 *
+	 * Supported options:
+	 *  multiset - If true, duplicate values are kept. Each node stores how many
+	 *      copies of its value were added in its multiplicity property.
+	 *  aggregate - A monoid { identity, lift(value, data), combine(a, b) } whose
+	 *      value over each subtree is kept in its root node's aggregate property,
+	 *      so that aggregate(lo, hi) runs in O(log n). lift() maps a value (and
+	 *      its associated value in a map) to an aggregate, and combine() must be
+	 *      associative with identity as its identity element. validate()
+	 *      compares the stored aggregates with the monoid's optional
+	 *      equals(a, b), or with === and object aggregates by their JSON.
+	 *  key - Function returning the key of a stored object. Objects are stored
+	 *      as they are and ordered by comparing their keys with the comparator.
+	 *      Values to add are objects, and lookups and range bounds take either
+	 *      a key or a stored object. An object for which the key function
+	 *      returns a defined key is taken to be a stored object, so if the
+	 *      keys are objects themselves, it must return undefined for them, or
+	 *      use getByKey().
+	 *  validateComparator - If true, every comparison is checked for a
+	 *      comparator which is not antisymmetric or consistent, and an error is
+	 *      thrown before the tree is changed. Use for debugging, as it makes
+	 *      each comparison call the comparator four times.
+	 *  maxSize - The largest number of values the tree may hold, an integer
+	 *      >= 0. When a new value is added to a full tree, the evictionPolicy
+	 *      decides what happens, and add() returns an object describing the
+	 *      outcome. The static factory methods, join() and the unions and
+	 *      symmetric differences evict the values past the capacity in bulk,
+	 *      without events, and addAll() adds the values one at a time. In a
+	 *      "reject-new" tree all of these throw an error and leave the tree
+	 *      unchanged if the new values do not all fit. Trees derived from a
+	 *      bounded tree have the same capacity.
+	 *  evictionPolicy - "evict-min" (the default) removes the smallest value to
+	 *      make room, so the tree keeps the largest maxSize values. "evict-max"
+	 *      removes the largest value, and "reject-new" rejects the new value.
+	 *  onEvict - Function called with each evicted value, and its associated
+	 *      value in a map.
+	 *  iterationMode - What traversals, iterators and cursors do when the tree
+	 *      is modified while they run: "unchecked" (the default) carries on
+	 *      walking the nodes as earlier versions did, and may skip or repeat
+	 *      values, "fail-fast" throws an AVLTree.ConcurrentModificationError,
+	 *      "snapshot" carries on over the values as they were when the
+	 *      iteration began, and "successor" carries on from the value after
+	 *      the last one visited.
+	 *  instrument - If true, the tree counts its comparator calls, rotations
+	 *      and visited nodes and tracks its peak height, for getStats(). It
+	 *      makes every operation a little slower.
+	 *  comparator - The comparator, if the options are the only argument.
+	 *
+	 * @param {Function|Object=} comparator Function used to order the tree's
+	 *     nodes, or the options.
+	 * @param {Object=} options Optional tree options.
+	 * @constructor
 	 */
-	AVLTree.prototype.clear = function() {
-		this._root = null;
-		this._minNode = null;
-		this._maxNode = null;
+	var AVLTree = function(comparator, options) {
+		options = this._initComparator(comparator, options);
+		if (options && options.multiset) {
+			this._multiset = true;
+		}
+		if (options && options.aggregate) {
+			this._aggregate = options.aggregate;
+		}
+		if (options && options.maxSize != null) {
+			this._initCapacity(options);
+		}
+		if (options && options.iterationMode) {
+			this._iterationMode = this._getIterationMode(options.iterationMode);
+		}
+		if (options && options.instrument) {
+			this._instrument();
+		}
 	};
 
 	/**
-	 * Returns true if the tree contains a node with the specified value, false
-	 * otherwise.
+	 * String comparison function used to compare values in the tree. This function
+	 * is used by default if no comparator is specified in the tree's constructor.
 	 *
-	 * @param {*} value Value to find in the tree.
-	 * @return {boolean} Whether the tree contains a node with the specified value.
+	 * @param {string} a The first string.
+	 * @param {string} b The second string.
+	 * @return {number} -1 if a < b, 1 if a > b, 0 if a = b.
+	 * @private
 	 */
-	AVLTree.prototype.contains = function(value) {
-		// Assume the value is not in the tree and set this value if it is found
-		var isContained = false;
+	AVLTree.DEFAULT_COMPARATOR = function(a, b) {
+		if (String(a) < String(b)) {
+			return -1;
+		} else if (String(a) > String(b)) {
+			return 1;
+		}
+		return 0;
+	};
 
-		// Depth traverse the tree and set isContained if we find the node
-		this._traverse(function(node) {
-			var retNode = null;
-			if (this._comparator(node.value, value) > 0) {
-				retNode = node._left;
-			} else if (this._comparator(node.value, value) < 0) {
-				retNode = node._right;
-			} else {
-				isContained = true;
+	/**
+	 * A toolkit of comparators to construct trees with, and of functions to
+	 * build comparators from other comparators.
+	 */
+	AVLTree.comparators = {
+		/**
+		 * Compares values as numbers. NaN is equal to itself and greater than
+		 * every other number.
+		 *
+		 * @param {*} a The first value.
+		 * @param {*} b The second value.
+		 * @return {number} -1 if a < b, 1 if a > b, 0 otherwise.
+		 */
+		numeric: function(a, b) {
+			a = +a;
+			b = +b;
+			if (a < b) {
+				return -1;
+			} else if (a > b) {
+				return 1;
+			} else if (a === b || (a !== a && b !== b)) {
+				return 0;
 			}
-			return retNode;
-			// If null, we'll stop traversing the tree
-		});
+			return a !== a ? 1 : -1;
+		},
 
-		// Return true if the value is contained in the tree, false otherwise
-		return isContained;
+		/**
+		 * Compares strings in natural order, where runs of digits are compared by
+		 * their numeric value, so "file9" < "file10".
+		 *
+		 * @param {*} a The first value.
+		 * @param {*} b The second value.
+		 * @return {number} -1 if a < b, 1 if a > b, 0 otherwise.
+		 */
+		natural: function(a, b) {
+			var partsA = String(a).match(/\d+|\D+/g) || [];
+			var partsB = String(b).match(/\d+|\D+/g) || [];
+			for (var i = 0; i < partsA.length && i < partsB.length; i++) {
+				var partA = partsA[i], partB = partsB[i];
+				if (partA === partB) {
+					continue;
+				}
+				if (/^\d/.test(partA) && /^\d/.test(partB)) {
+					// Compare the numbers by their digits without leading
+					// zeros, and put the number with fewer leading zeros first
+					// if they are equal
+					var digitsA = partA.replace(/^0+/, "");
+					var digitsB = partB.replace(/^0+/, "");
+					if (digitsA.length != digitsB.length) {
+						return digitsA.length < digitsB.length ? -1 : 1;
+					} else if (digitsA != digitsB) {
+						return digitsA < digitsB ? -1 : 1;
+					}
+					return partA.length < partB.length ? -1 : 1;
+				}
+				return partA < partB ? -1 : 1;
+			}
+			return OPERATOR_COMPARATOR(partsA.length, partsB.length);
+		},
+
+		/**
+		 * Returns a comparator of strings in the order of a language, using an
+		 * Intl.Collator where the environment supports it and
+		 * String.prototype.localeCompare otherwise.
+		 *
+		 * @param {string|Array.<string>=} locales The locales, as for
+		 *     Intl.Collator.
+		 * @param {Object=} options The collator options, as for Intl.Collator.
+		 * @return {!Function} The comparator.
+		 */
+		locale: function(locales, options) {
+			if (typeof Intl !== "undefined" && Intl.Collator) {
+				var collator = new Intl.Collator(locales, options);
+				return function(a, b) {
+					return collator.compare(String(a), String(b));
+				};
+			}
+			return function(a, b) {
+				return String(a).localeCompare(String(b), locales, options);
+			};
+		},
+
+		/**
+		 * Returns a comparator which orders values in reverse.
+		 *
+		 * @param {Function} comparator The comparator to reverse.
+		 * @return {!Function} The reversed comparator.
+		 */
+		reverse: function(comparator) {
+			return function(a, b) {
+				return comparator(b, a);
+			};
+		},
+
+		/**
+		 * Returns a comparator which orders values by the first comparator, then
+		 * values which are equal by that by the second comparator, and so on for
+		 * any number of comparators. Use it to sort by several fields.
+		 *
+		 * @param {...Function} var_args The comparators in order of priority.
+		 * @return {!Function} The combined comparator.
+		 */
+		thenBy: function(var_args) {
+			var comparators = Array.prototype.slice.call(arguments);
+			return function(a, b) {
+				for (var i = 0; i < comparators.length; i++) {
+					var result = comparators[i](a, b);
+					if (result) {
+						return result;
+					}
+				}
+				return 0;
+			};
+		},
+
+		/**
+		 * Returns a comparator which compares the keys returned by fn for each
+		 * value.
+		 *
+		 * @param {Function} fn Function returning the key of a value.
+		 * @param {Function=} comparator The comparator of the keys. By default
+		 *     the keys are compared with the < and > operators.
+		 * @return {!Function} The comparator of the values.
+		 */
+		byKey: function(fn, comparator) {
+			comparator = comparator || OPERATOR_COMPARATOR;
+			return function(a, b) {
+				return comparator(fn(a), fn(b));
+			};
+		},
+
+		/**
+		 * Returns a comparator which puts null and undefined before every other
+		 * value and compares the other values with the specified comparator.
+		 *
+		 * @param {Function} comparator The comparator of the other values.
+		 * @return {!Function} The null-safe comparator.
+		 */
+		nullsFirst: function(comparator) {
+			return function(a, b) {
+				if (a == null || b == null) {
+					return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+				}
+				return comparator(a, b);
+			};
+		},
+
+		/**
+		 * Returns a comparator which puts null and undefined after every other
+		 * value and compares the other values with the specified comparator.
+		 *
+		 * @param {Function} comparator The comparator of the other values.
+		 * @return {!Function} The null-safe comparator.
+		 */
+		nullsLast: function(comparator) {
+			return function(a, b) {
+				if (a == null || b == null) {
+					return (a == null ? 1 : 0) - (b == null ? 1 : 0);
+				}
+				return comparator(a, b);
+			};
+		},
+
+		/**
+		 * Compares dates by their time. Values which are not Date objects, such
+		 * as timestamps or date strings, are converted to dates first. Invalid
+		 * dates are greater than every valid date.
+		 *
+		 * @param {*} a The first date.
+		 * @param {*} b The second date.
+		 * @return {number} -1 if a < b, 1 if a > b, 0 otherwise.
+		 */
+		date: function(a, b) {
+			return AVLTree.comparators.numeric(
+					(a instanceof Date ? a : new Date(a)).getTime(),
+					(b instanceof Date ? b : new Date(b)).getTime());
+		}
 	};
 
 	/**
-	 * Returns the number of values stored in the tree.
+	 * Compares strings in the order of the environment's default locale,
+	 * ignoring case.
 	 *
-	 * @return {number} The number of values stored in the tree.
+	 * @type {Function}
 	 */
-	AVLTree.prototype.getCount = function() {
-		return this._root ? this._root.count : 0;
-	};
+	AVLTree.comparators.caseInsensitive = AVLTree.comparators.locale(undefined,
+			{ sensitivity: "accent" });
 
 	/**
-	 * Returns an n-th smallest value, based on the comparator:
-	 * where 0 <= n < this.getCount().
-	 * @param {number} n The number n.
-	 * @return {*} The n-th smallest value.
+	 * Builds a perfectly balanced tree from an array of values which is already
+	 * sorted by the comparator, in O(n) time without any rotations. The array
+	 * must be in strictly ascending order (ascending order for a multiset tree,
+	 * where runs of equal values become the multiplicity of one node) or an
+	 * error is thrown. If options.sort is true, the values are sorted and
+	 * deduplicated first instead.
+	 *
+	 * @param {Array} values The sorted values to build the tree from.
+	 * @param {Function|Object=} comparator Function used to order the tree's
+	 *     nodes, or the options.
+	 * @param {Object=} options Optional tree options and sort flag.
+	 * @return {!AVLTree} A new tree containing the values.
 	 */
-	AVLTree.prototype.getNthValue = function(n) {
-		if (n < 0 || n >= this.getCount()) {
-			return null;
+	AVLTree.fromSorted = function(values, comparator, options) {
+		if (comparator && typeof comparator === "object") {
+			options = comparator;
 		}
-		return this._getNthNode(n).value;
+		var tree = new AVLTree(comparator, options);
+		if (options && options.sort) {
+			values = Array.prototype.slice.call(values);
+			values.sort(function(a, b) {
+				return tree._compareValues(a, b);
+			});
+		}
+		tree._setRoot(tree._buildFromSorted(values, !!(options && options.sort)));
+		tree._enforceMaxSize(null);
+		return tree;
 	};
 
 	/**
-	 * Returns the smallest value in the tree.
+	 * Builds a balanced tree from an array, array-like object or ES2015 iterable
+	 * of values in any order. The values are sorted and deduplicated (counted in
+	 * a multiset tree) before the tree is built. A TypeError is thrown if
+	 * iterable is not an array, array-like object or iterable.
 	 *
-	 * @return {*} The minimum value contained in the tree.
+	 * @param {Array|Object} iterable The values to build the tree from.
+	 * @param {Function|Object=} comparator Function used to order the tree's
+	 *     nodes, or the options.
+	 * @param {Object=} options Optional tree options.
+	 * @return {!AVLTree} A new tree containing the values.
 	 */
-	AVLTree.prototype.getMinimum = function() {
-		return this._getMinNode().value;
+	AVLTree.from = function(iterable, comparator, options) {
+		var values = TO_ARRAY(iterable);
+		var tree = new AVLTree(comparator, options);
+		values.sort(function(a, b) {
+			return tree._compareValues(a, b);
+		});
+		tree._setRoot(tree._buildFromSorted(values, true));
+		tree._enforceMaxSize(null);
+		return tree;
 	};
 
 	/**
-	 * Returns the largest value in the tree.
+	 * Joins two trees where every value in left is less than every value in
+	 * right into a new tree in O(log n) time. The nodes of both trees are moved
+	 * into the new tree, which leaves the two trees empty. The new tree uses
+	 * the options of the left tree. Both trees must use the same comparator.
 	 *
-	 * @return {*} The maximum value contained in the tree.
+	 * @param {AVLTree} left The tree holding the smaller values.
+	 * @param {AVLTree} right The tree holding the larger values.
+	 * @return {!AVLTree} A new tree containing the values of both trees.
 	 */
-	AVLTree.prototype.getMaximum = function() {
-		return this._getMaxNode().value;
+	AVLTree.join = function(left, right) {
+		left._checkComparator(right);
+		if (left._root && right._root &&
+				left._compareValues(left._getMaxNode().value,
+						right._getMinNode().value) >= 0) {
+			throw new Error("Every value in left must be less than every value " +
+					"in right");
+		}
+
+		var tree = left._cloneEmpty();
+		tree._checkCapacity(left.getCount() + right.getCount());
+
+		left._recordRoot();
+		right._recordRoot();
+		left._beforeModify();
+		right._beforeModify();
+		tree._owner = left._owner;  // The nodes are moved, not shared
+		if (!left._root || !right._root) {
+			tree._setRoot(left._root || right._root);
+		} else {
+			// Take the minimum node out of right and use it to join the trees
+			var node = right._getMinNode();
+			right._joining = true;
+			node = right._removeNode(node);
+			right._joining = false;
+			tree._setRoot(tree._join(left._root, node, right._root));
+		}
+
+		left._setRoot(null);
+		right._setRoot(null);
+		tree._enforceMaxSize(null);
+		return tree;
 	};
 
 	/**
-	 * Returns the height of the tree (the maximum depth).
+	 * Version of the JSON and binary formats written by toJSON() and toBinary().
+	 * Dumps written by older versions can still be loaded.
 	 *
-	 * @return {number} The height of the tree.
+	 * @type {number}
 	 */
-	AVLTree.prototype.getHeight = function() {
-		return this._root ? this._root.height : 0;
-	};
+	AVLTree.FORMAT_VERSION = 1;
 
 	/**
-	 * Inserts the values stored in the tree into a new Array and returns the Array.
+	 * Codec used by toBinary() and fromBinary() to encode map values when no
+	 * codec is specified. Values are stored as UTF-8 encoded JSON.
 	 *
-	 * @return {Array} An array containing all of the trees values in sorted order.
+	 * @type {{encode: function(*): !Uint8Array, decode: function(!Uint8Array):
+	 *     *}}
 	 */
-	AVLTree.prototype.getValues = function() {
-		var retVal = [];
-		this.inOrderTraverse(function(value) {
-			retVal.push(value);
-		});
-		return retVal;
+	AVLTree.JSON_CODEC = {
+		encode: function(value) {
+			var json = JSON.stringify(value === undefined ? null : value);
+			return UTF8_ENCODE(json);
+		},
+		decode: function(bytes) {
+			return JSON.parse(UTF8_DECODE(bytes));
+		}
 	};
 
 	/**
-	 * Performs an in-order traversal of the tree and calls the passed function on each
-	 * traversed node. Optionally starting from the smallest node with a value >= to
-	 * startValue. The traversal ends after traversing the tree's maximum node or when
-	 * the passed function returns true.
+	 * Restores a tree from the output of toJSON(), which may also be passed as a
+	 * JSON string. A dump of the sorted values is loaded in O(n) time without
+	 * any rotations, and a dump written with the shape option is restored with
+	 * exactly the same shape. A map dump is restored as an AVLTree.Map. The
+	 * comparator must order the values the same way as the dumped tree's, and a
+	 * restored shape must be a valid AVL tree, or an error is thrown.
 	 *
-	 * @param {Function} func Function to call on each traversed node.
-	 * @param {Object=} startValue If specified, traversal will begin on the
-	 *    node with the smallest value >= startValue.
+	 * @param {Object|string} data The dump.
+	 * @param {Function|Object=} comparator Function used to order the tree's
+	 *     nodes, or the options.
+	 * @param {Object=} options Optional tree options.
+	 * @return {!AVLTree} The restored tree.
 	 */
-	AVLTree.prototype.inOrderTraverse = function(func, startValue) {
-		// If our tree is empty, return immediately
-		if (!this._root) {
-			return;
+	AVLTree.fromJSON = function(data, comparator, options) {
+		if (typeof data === "string") {
+			data = JSON.parse(data);
+		}
+		if (!data || !(data.version <= AVLTree.FORMAT_VERSION)) {
+			throw new Error("Unsupported tree dump version: " +
+					(data && data.version));
 		}
 
-		// Depth traverse the tree to find node to begin in-order traversal from
-		var startNode;
-		if (startValue) {
-			this._traverse(function(node) {
-				var retNode = null;
-				if (this._comparator(node.value, startValue) > 0) {
-					retNode = node._left;
-					startNode = node;
-				} else if (this._comparator(node.value, startValue) < 0) {
-					retNode = node._right;
+		var tree = data.map ? new AVLTree.Map(comparator, options) :
+				new AVLTree(comparator, options);
+		tree._multiset = !!data.multiset;
+		if (data.root !== undefined) {
+			var root = tree._restoreShape(data.root, null, { node: null });
+			var errors = [];
+			tree._validateNode(root, null, errors,
+					{ previous: null, min: null, max: null });
+			if (errors.length) {
+				throw new Error("The tree dump's shape is invalid: " +
+						errors[0].message);
+			}
+			tree._setRoot(root);
+		} else {
+			tree._setRoot(tree._buildFromDump(data.values, data.multiplicities,
+					data.data));
+		}
+		tree._enforceMaxSize(null);
+		return tree;
+	};
+
+	/**
+	 * Restores a tree from the output of toBinary(). Dumps of every format
+	 * version up to AVLTree.FORMAT_VERSION can be loaded. Map values are
+	 * decoded with options.codec, which must match the codec they were encoded
+	 * with, or AVLTree.JSON_CODEC by default. An error is thrown if the dump is
+	 * truncated.
+	 *
+	 * @param {ArrayBuffer} buffer The binary dump.
+	 * @param {Function|Object=} comparator Function used to order the tree's
+	 *     nodes, or the options.
+	 * @param {Object=} options Optional tree options and codec.
+	 * @return {!AVLTree} The restored tree.
+	 */
+	AVLTree.fromBinary = function(buffer, comparator, options) {
+		if (comparator && typeof comparator === "object") {
+			options = comparator;
+		}
+		var view = new DataView(buffer);
+		if (buffer.byteLength < 10 || view.getUint32(0) != BINARY_MAGIC) {
+			throw new Error("Not a binary tree dump");
+		}
+		var version = view.getUint8(4);
+		if (version < 1 || version > AVLTree.FORMAT_VERSION) {
+			throw new Error("Unsupported tree dump version: " + version);
+		}
+
+		// Read the header
+		var flags = view.getUint8(5);
+		var count = view.getUint32(6, true);
+		var offset = 10;
+		var codec = (options && options.codec) || AVLTree.JSON_CODEC;
+
+		// Throws unless the dump holds the specified number of bytes from offset
+		var need = function(length) {
+			if (offset + length > buffer.byteLength) {
+				throw new Error("The binary tree dump is truncated");
+			}
+		};
+
+		// Reads a length-prefixed byte sequence
+		var readBytes = function() {
+			need(4);
+			var length = view.getUint32(offset, true);
+			need(4 + length);
+			var bytes = new Uint8Array(buffer, offset + 4, length);
+			offset += 4 + length;
+			return bytes;
+		};
+
+		// Read the keys, then the multiplicities and map values if present
+		var values = [], multiplicities = null, data = null, i;
+		for (i = 0; i < count; i++) {
+			if (flags & BINARY_FLAGS.STRING_KEYS) {
+				values.push(UTF8_DECODE(readBytes()));
+			} else {
+				need(8);
+				values.push(view.getFloat64(offset, true));
+				offset += 8;
+			}
+		}
+		if (flags & BINARY_FLAGS.MULTISET) {
+			multiplicities = [];
+			for (i = 0; i < count; i++, offset += 4) {
+				need(4);
+				multiplicities.push(view.getUint32(offset, true));
+			}
+		}
+		if (flags & BINARY_FLAGS.MAP) {
+			data = [];
+			for (i = 0; i < count; i++) {
+				data.push(codec.decode(readBytes()));
+			}
+		}
+
+		var tree = data ? new AVLTree.Map(comparator, options) :
+				new AVLTree(comparator, options);
+		tree._multiset = !!multiplicities;
+		tree._setRoot(tree._buildFromDump(values, multiplicities, data));
+		tree._enforceMaxSize(null);
+		return tree;
+	};
+
+	/**
+	 * Pointer to the root node of the tree.
+	 *
+	 * @type {AVLTree.Node}
+	 * @private
+	 */
+	AVLTree.prototype._root = null;
+
+	/**
+	 * Comparison function used to compare values in the tree. This function should
+	 * take two values, a and b, and return x where:
+	 *  x < 0 if a < b,
+	 *  x > 0 if a > b,
+	 *  x = 0 otherwise
+	 *
+	 * @type {Function}
+	 * @private
+	 */
+	AVLTree.prototype._comparator = null;
+
+	/**
+	 * Function returning the key of a stored object, or null if the values are
+	 * compared directly.
+	 *
+	 * @type {Function}
+	 * @private
+	 */
+	AVLTree.prototype._keyFn = null;
+
+	/**
+	 * The comparator the tree was constructed with, which compares the keys of
+	 * the stored objects in a tree with a key function. The tree's _comparator
+	 * wraps it to extract the keys and validate the results if needed.
+	 *
+	 * @type {Function}
+	 * @private
+	 */
+	AVLTree.prototype._baseComparator = null;
+
+	/**
+	 * The comparator of two keys, which is the tree's _comparator unless the
+	 * tree has a key function.
+	 *
+	 * @type {Function}
+	 * @private
+	 */
+	AVLTree.prototype._keyComparator = null;
+
+	/**
+	 * The statistics of an instrumented tree, null if the tree is not
+	 * instrumented.
+	 *
+	 * @type {Object}
+	 * @private
+	 */
+	AVLTree.prototype._stats = null;
+
+	/**
+	 * The comparator of an instrumented tree before it was wrapped to count
+	 * its calls.
+	 *
+	 * @type {Function}
+	 * @private
+	 */
+	AVLTree.prototype._uncountedComparator = null;
+
+	/**
+	 * Pointer to the node with the smallest value in the tree.
+	 *
+	 * @type {AVLTree.Node}
+	 * @private
+	 */
+	AVLTree.prototype._minNode = null;
+
+	/**
+	 * Pointer to the node with the largest value in the tree.
+	 *
+	 * @type {AVLTree.Node}
+	 * @private
+	 */
+	AVLTree.prototype._maxNode = null;
+
+	/**
+	 * Whether the tree keeps duplicate values by counting them in the
+	 * multiplicity of their node.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	AVLTree.prototype._multiset = false;
+
+	/**
+	 * Monoid whose value over each subtree is kept in the subtree's root node,
+	 * or null if the tree keeps no aggregate.
+	 *
+	 * @type {{identity: *, lift: Function, combine: Function}}
+	 * @private
+	 */
+	AVLTree.prototype._aggregate = null;
+
+	/**
+	 * Token marking the nodes the tree may change in place. Nodes tagged with
+	 * another token may be shared with a snapshot or the undo journal, and are
+	 * copied before they are changed. Taking a snapshot replaces the token.
+	 *
+	 * @type {Object}
+	 * @private
+	 */
+	AVLTree.prototype._owner = null;
+
+	/**
+	 * Event handlers registered with on(), keyed by event type, or null if none
+	 * were ever registered.
+	 *
+	 * @type {Object.<string, Array.<Function>>}
+	 * @private
+	 */
+	AVLTree.prototype._listeners = null;
+
+	/**
+	 * The changes collected while a batch() is running, null otherwise.
+	 *
+	 * @type {Array.<Object>}
+	 * @private
+	 */
+	AVLTree.prototype._batch = null;
+
+	/**
+	 * True while detached subtrees are being joined, whose rotations are not
+	 * reported to "rotate" handlers.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	AVLTree.prototype._joining = false;
+
+	/**
+	 * The largest number of values the tree may hold, or null if it is
+	 * unbounded.
+	 *
+	 * @type {?number}
+	 * @private
+	 */
+	AVLTree.prototype._maxSize = null;
+
+	/**
+	 * What happens when a value is added to a full tree: "evict-min",
+	 * "evict-max" or "reject-new".
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	AVLTree.prototype._evictionPolicy = "evict-min";
+
+	/**
+	 * Function called with each evicted value, or null.
+	 *
+	 * @type {?function(*, *)}
+	 * @private
+	 */
+	AVLTree.prototype._onEvict = null;
+
+	/**
+	 * The number of modifications made to the tree, used by iterations to
+	 * notice that the tree changed under them.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.prototype._modCount = 0;
+
+	/**
+	 * The iteration mode used when a traversal, iterator or cursor is not given
+	 * one: "unchecked", "fail-fast", "snapshot" or "successor".
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	AVLTree.prototype._iterationMode = "unchecked";
+
+	/**
+	 * The undo journal of the open transactions, null if there are none. Each
+	 * entry describes how to undo one change.
+	 *
+	 * @type {Array.<Object>}
+	 * @private
+	 */
+	AVLTree.prototype._journal = null;
+
+	/**
+	 * The length of the journal when each open transaction began, innermost
+	 * last.
+	 *
+	 * @type {Array.<number>}
+	 * @private
+	 */
+	AVLTree.prototype._savepoints = null;
+
+	/**
+	 * Inserts a node into the tree with the specified value if its not a 
+	 * duplicate. If the value is inserted, the tree is balanced to enforce
+	 * the AVL-Tree height property. In a multiset tree a duplicate value
+	 * increments the multiplicity of its node instead and is always inserted.
+	 * A "beforeadd" handler can veto the insertion, and an "add" event is
+	 * fired once the value is inserted.
+	 *
+	 * If the tree was constructed with a maxSize, an object is returned
+	 * instead of a boolean: inserted is whether the value was inserted,
+	 * rejected is true if it was not inserted because the tree is full, and
+	 * evicted is true if evictedValue was removed to make room for it.
+	 *
+	 * @param {*} value Value to insert into the tree.
+	 * @return {boolean|{inserted: boolean, rejected: boolean, evicted: boolean,
+	 *     evictedValue: *}} Whether value was inserted into the tree, or the
+	 *     outcome in a bounded tree.
+	 */
+	AVLTree.prototype.add = function(value) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		if (this._maxSize !== null) {
+			return this._addBounded(value);
+		}
+		var event = null;
+		if (this._isObserved("add") &&
+				(this._multiset || !this.contains(this._keyOf(value)))) {
+			event = { value: value, rank: this.rank(this._keyOf(value)) };
+			if (!this._allow("add", event)) {
+				return false;
+			}
+		}
+		this._beforeModify();
+		var node = this._insert(value);
+		if (node) {
+			this._record({ type: "insert", value: value });
+			if (event) {
+				this._emit("add", event);
+			}
+		}
+		return !!node;
+	};
+
+	/**
+	 * Removes a node from the tree with the specified value if it exists. If 
+	 * a node is removed the tree is balanced again. The value of the removed 
+	 * node is returned or null. In a multiset tree only one copy of the value
+	 * is removed unless removeAll is true. A "beforeremove" handler can veto
+	 * the removal, and a "remove" event is fired once it is made.
+	 *
+	 * @param {*} value Value to find and remove from the tree.
+	 * @param {boolean=} removeAll If true, all copies of the value are removed
+	 *     from a multiset tree.
+	 * @return {*} The value of the removed node or null if the value was not in
+	 *     the tree or the removal was vetoed.
+	 */
+	AVLTree.prototype.remove = function(value, removeAll) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		var event = null;
+		if (this._isObserved("remove")) {
+			var found = this._findNode(value);
+			if (!found) {
+				return null;
+			}
+			event = { value: found.value, rank: this.rank(value),
+					count: removeAll ? found.multiplicity : 1 };
+			if (!this._allow("remove", event)) {
+				return null;
+			}
+		}
+
+		var retValue = this._removeValue(value, removeAll);
+		if (event && retValue !== null) {
+			this._emit("remove", event);
+		}
+		return retValue;
+	};
+
+	/**
+	 * Removes the value from the tree as remove() does, without firing events.
+	 *
+	 * @param {*} value Value to find and remove from the tree.
+	 * @param {boolean=} removeAll If true, all copies of the value are removed
+	 *     from a multiset tree.
+	 * @return {*} The value of the removed node or null if the value was not in
+	 *     the tree.
+	 * @private
+	 */
+	AVLTree.prototype._removeValue = function(value, removeAll) {
+		this._beforeModify();
+
+		// Assume the value is not removed and set the value when it is removed
+		var retValue = null;
+
+		// Depth traverse the tree and remove the value if we find it
+		this._traverse(function(node) {
+			var retNode = null;
+			if (this._comparator(node.value, value) > 0) {
+				retNode = node._left;
+			} else if (this._comparator(node.value, value) < 0) {
+				retNode = node._right;
+			} else {
+				retValue = node.value;
+				this._recordRemoval(node, removeAll ? node.multiplicity : 1);
+				if (node.multiplicity > 1 && !removeAll) {
+					// Drop one copy and refresh the counts above it.
+					node = this._own(node);
+					node.multiplicity--;
+					this._balance(node);
 				} else {
-					startNode = node;
+					this._removeNode(node);
 				}
-				return retNode;  // If null, we'll stop traversing the tree
-			});
-		} else {
-			startNode = this._getMinNode();
+			}
+			return retNode;  // If null, we'll stop traversing the tree
+		});
+
+		// Return the value that was removed, null if the value was not in the tree
+		return retValue;
+	};
+
+	/**
+	 * Removes all nodes from the tree. If the tree is not empty, a
+	 * "beforeclear" handler can veto the clearing, and a "clear" event is
+	 * fired once it is done.
+	 */
+	AVLTree.prototype.clear = function() {
+		var event = null;
+		if (this._root && this._isObserved("clear")) {
+			event = { count: this.getCount() };
+			if (!this._allow("clear", event)) {
+				return;
+			}
+		}
+		this._recordRoot();
+		this._root = null;
+		this._minNode = null;
+		this._maxNode = null;
+		this._modCount++;
+		if (event) {
+			this._emit("clear", event);
+		}
+	};
+
+	/**
+	 * Removes one copy of the n-th smallest value, counting from 0 and
+	 * including duplicates in a multiset tree. Fires the same events as
+	 * remove().
+	 *
+	 * @param {number} n The index of the value, where 0 <= n < this.getCount().
+	 * @return {*} The removed value or null if n is out of range or the removal
+	 *     was vetoed.
+	 */
+	AVLTree.prototype.removeNth = function(n) {
+		if (n < 0 || n >= this.getCount()) {
+			return null;
+		}
+		return this.remove(this._keyOf(this._getNthNode(n).value));
+	};
+
+	/**
+	 * Removes the values with indexes from start up to, but not including, end
+	 * and returns them in order. The indexes work as in slice(). The tree is
+	 * split around the first and last removed values and the remaining parts
+	 * are joined again, so this takes O(log n + k) time for k removed values.
+	 * If "remove" events are observed or a transaction is open, the values are
+	 * removed one at a time instead, and vetoed values are kept.
+	 *
+	 * @param {number=} start The index of the first value to remove, 0 if not
+	 *     given. A negative index counts from the end of the tree.
+	 * @param {number=} end The index after the last value to remove, the end of
+	 *     the tree if not given. A negative index counts from the end.
+	 * @return {!Array} The removed values.
+	 */
+	AVLTree.prototype.removeRange = function(start, end) {
+		var range = this._toRankRange(start, end);
+		var removed = [];
+		if (range.start >= range.end) {
+			return removed;
+		}
+
+		if (this._isObserved("remove") || this._journal) {
+			var values = this.slice(range.start, range.end);
+			for (var i = 0; i < values.length; i++) {
+				if (this.remove(this._keyOf(values[i])) !== null) {
+					removed.push(values[i]);
+				}
+			}
+			return removed;
+		}
+		return this._cutRange(range);
+	};
+
+	/**
+	 * Removes the values with ranks from range.start up to, but not including,
+	 * range.end in bulk, as removeRange() does, without firing events or
+	 * journaling the removals.
+	 *
+	 * @param {{start: number, end: number}} range The non-empty rank range.
+	 * @return {!Array} The removed values.
+	 * @private
+	 */
+	AVLTree.prototype._cutRange = function(range) {
+		var removed = [];
+		this._beforeModify();
+
+		// Find the bounds and how many copies of them lie outside the range
+		var first = this._getNthNode(range.start);
+		var last = this._getNthNode(range.end - 1);
+		var firstKey = this._keyOf(first.value);
+		var lastKey = this._keyOf(last.value);
+		var firstKept = range.start - this._countBefore(firstKey, false);
+		var lastKept = this._countBefore(lastKey, true) - range.end;
+
+		// Split off the values before the range and after it
+		var outer = this._split(this._root, firstKey);
+		var inner = first === last ?
+				{ left: null, right: outer.right, node: null } :
+				this._split(outer.right, lastKey);
+
+		// Collect the removed values, keeping the copies outside the range
+		first = this._trimCopies(first,
+				first === last ? firstKept + lastKept : firstKept, removed);
+		this._collectValues(inner.left, removed);
+		last = this._trimCopies(inner.node, lastKept, removed);
+
+		// Join what is left
+		var right = last ? this._join(null, last, inner.right) : inner.right;
+		this._setRoot(first ? this._join(outer.left, first, right) :
+				this._join2(outer.left, right));
+		return removed;
+	};
+
+	/**
+	 * Removes the values between lo and hi and returns them in order. Takes the
+	 * same options as countRange(), and works like removeRange().
+	 *
+	 * @param {*} lo The lower bound, or null for no lower bound.
+	 * @param {*} hi The upper bound, or null for no upper bound.
+	 * @param {Object=} options Optional loInclusive and hiInclusive flags, both
+	 *     true by default.
+	 * @return {!Array} The removed values.
+	 */
+	AVLTree.prototype.removeValueRange = function(lo, hi, options) {
+		options = options || {};
+		var loKey = this._lookupKey(lo);
+		var hiKey = this._lookupKey(hi);
+		if (lo != null && hi != null && this._keyComparator(loKey, hiKey) > 0) {
+			return [];
+		}
+		var start = lo == null ? 0 :
+				this._countBefore(lo, options.loInclusive === false);
+		var end = hi == null ? this.getCount() :
+				this._countBefore(hi, options.hiInclusive !== false);
+		return this.removeRange(start, end);
+	};
+
+	/**
+	 * Adds every value of an array, array-like object or ES2015 iterable to the
+	 * tree. The values are sorted if they are not sorted already and pushed
+	 * down the tree together, each subtree taking the values that belong in
+	 * it, and the subtrees are joined back together on the way up. This
+	 * rebalances each node on the way once instead of once per value, and
+	 * values which end up below a leaf are built into a balanced subtree
+	 * directly. If "add" events are observed, the tree has a maxSize or a
+	 * transaction is open, the values are added one at a time instead, so that
+	 * each one fires its event, is checked against the capacity or is
+	 * journaled. Like the other bulk operations, a "reject-new" tree throws an
+	 * error before adding anything if the new values do not all fit.
+	 *
+	 * @param {Array|Object} iterable The values to add.
+	 * @return {{inserted: number, skipped: number}} How many values were
+	 *     inserted, and how many were skipped as duplicates in a set tree (or
+	 *     were vetoed or rejected by a full tree).
+	 */
+	AVLTree.prototype.addAll = function(iterable) {
+		var values = TO_ARRAY(iterable);
+		var stats = { inserted: 0, skipped: 0 };
+		if (this._maxSize !== null && this._evictionPolicy == "reject-new") {
+			this._checkCapacity(this.getCount() + this._countNewValues(values));
+		}
+		if (this._isObserved("add") || this._maxSize !== null || this._journal) {
+			for (var i = 0; i < values.length; i++) {
+				var result = this.add(values[i]);
+				if (typeof result === "object" ? result.inserted : result) {
+					stats.inserted++;
+				} else {
+					stats.skipped++;
+				}
+			}
+			return stats;
+		}
+
+		this._beforeModify();
+		var tree = this;
+		values = this._sortValues(values, function(a, b) {
+			return tree._compareValues(a, b);
+		});
+		var keys = this._keyFn ? values.map(function(value) {
+			return tree._keyFn(value);
+		}) : values;
+		this._setRoot(this._addSorted(this._root, values, keys, 0,
+				values.length - 1, stats));
+		stats.skipped = values.length - stats.inserted;
+		return stats;
+	};
+
+	/**
+	 * Removes every value of an array, array-like object or ES2015 iterable
+	 * from the tree, one copy per occurrence in a multiset tree. Works in bulk
+	 * like addAll(), and removes the values one at a time if "remove" events
+	 * are observed or a transaction is open.
+	 *
+	 * @param {Array|Object} iterable The values to remove.
+	 * @return {{removed: number, missing: number}} How many values were
+	 *     removed, and how many were not in the tree (or were vetoed).
+	 */
+	AVLTree.prototype.removeAll = function(iterable) {
+		var values = TO_ARRAY(iterable);
+		var stats = { removed: 0, missing: 0 };
+		if (this._isObserved("remove") || this._journal) {
+			for (var i = 0; i < values.length; i++) {
+				var count = this.getCount();
+				this.remove(values[i]);
+				if (this.getCount() < count) {
+					stats.removed++;
+				} else {
+					stats.missing++;
+				}
+			}
+			return stats;
+		}
+
+		this._beforeModify();
+		if (this._keyFn) {
+			values = values.map(this._lookupKey, this);
+		}
+		values = this._sortValues(values, this._keyComparator);
+		this._setRoot(this._removeSorted(this._root, values, 0,
+				values.length - 1, stats));
+		stats.missing = values.length - stats.removed;
+		return stats;
+	};
+
+	/**
+	 * Returns true if the tree contains a node with the specified value, false
+	 * otherwise.
+	 *
+	 * @param {*} value Value to find in the tree.
+	 * @return {boolean} Whether the tree contains a node with the specified value.
+	 */
+	AVLTree.prototype.contains = function(value) {
+		if (this._stats) {
+			this._countOperation();
+		}
+
+		// Assume the value is not in the tree and set this value if it is found
+		var isContained = false;
+
+		// Depth traverse the tree and set isContained if we find the node
+		this._traverse(function(node) {
+			var retNode = null;
+			if (this._comparator(node.value, value) > 0) {
+				retNode = node._left;
+			} else if (this._comparator(node.value, value) < 0) {
+				retNode = node._right;
+			} else {
+				isContained = true;
+			}
+			return retNode;
+			// If null, we'll stop traversing the tree
+		});
+
+		// Return true if the value is contained in the tree, false otherwise
+		return isContained;
+	};
+
+	/**
+	 * Returns the value stored in the tree which is equal to the specified
+	 * value. In a tree with a key function, this looks up a stored object by
+	 * a key or by another object with the same key.
+	 *
+	 * @param {*} value Value, key or object to find in the tree.
+	 * @return {*} The stored value or null if it is not in the tree.
+	 */
+	AVLTree.prototype.find = function(value) {
+		var node = this._findNode(value);
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Returns the object stored in the tree under the specified key. Unlike
+	 * find(), the argument is always taken to be a key, even if it is an
+	 * object. In a tree without a key function this is the same as find().
+	 *
+	 * @param {*} key Key of the object to find.
+	 * @return {*} The stored object or null if no object has the key.
+	 */
+	AVLTree.prototype.getByKey = function(key) {
+		if (!this._keyFn) {
+			return this.find(key);
+		}
+
+		var node = this._root;
+		while (node) {
+			var cmp = this._keyComparator(this._keyFn(node.value), key);
+			if (cmp == 0) {
+				return node.value;
+			}
+			node = cmp > 0 ? node._left : node._right;
+		}
+		return null;
+	};
+
+	/**
+	 * Returns the number of copies of the specified value stored in the tree.
+	 * This is at most 1 unless the tree is a multiset.
+	 *
+	 * @param {*} value Value to find in the tree.
+	 * @return {number} The multiplicity of the value, 0 if it is not in the tree.
+	 */
+	AVLTree.prototype.countOf = function(value) {
+		var node = this._findNode(value);
+		return node ? node.multiplicity : 0;
+	};
+
+	/**
+	 * Returns the number of values stored in the tree, including duplicates in a
+	 * multiset tree.
+	 *
+	 * @return {number} The number of values stored in the tree.
+	 */
+	AVLTree.prototype.getCount = function() {
+		return this._root ? this._root.count : 0;
+	};
+
+	/**
+	 * Returns an n-th smallest value, based on the comparator:
+	 * where 0 <= n < this.getCount().
+	 * @param {number} n The number n.
+	 * @return {*} The n-th smallest value.
+	 */
+	AVLTree.prototype.getNthValue = function(n) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		if (n < 0 || n >= this.getCount()) {
+			return null;
+		}
+		return this._getNthNode(n).value;
+	};
+
+	/**
+	 * Returns the values with indexes from start up to, but not including, end
+	 * in order, like Array.prototype.slice() on getValues(). Only the returned
+	 * values are visited, so this takes O(log n + k) time for k values.
+	 *
+	 * @param {number=} start The index of the first value, 0 if not given. A
+	 *     negative index counts from the end of the tree.
+	 * @param {number=} end The index after the last value, the end of the tree
+	 *     if not given. A negative index counts from the end.
+	 * @return {!Array} The values in the range.
+	 */
+	AVLTree.prototype.slice = function(start, end) {
+		var range = this._toRankRange(start, end);
+		var values = [];
+		if (range.start >= range.end) {
+			return values;
+		}
+
+		// Start partway through the node's copies if it has duplicates
+		var node = this._getNthNode(range.start);
+		var copy = range.start -
+				this._countBefore(this._keyOf(node.value), false);
+		for (var i = range.start; i < range.end; i++) {
+			values.push(node.value);
+			if (++copy == node.multiplicity) {
+				node = this._getNextNode(node);
+				copy = 0;
+			}
+		}
+		return values;
+	};
+
+	/**
+	 * Returns the smallest value in the tree.
+	 *
+	 * @return {*} The minimum value contained in the tree.
+	 */
+	AVLTree.prototype.getMinimum = function() {
+		return this._getMinNode().value;
+	};
+
+	/**
+	 * Returns the largest value in the tree.
+	 *
+	 * @return {*} The maximum value contained in the tree.
+	 */
+	AVLTree.prototype.getMaximum = function() {
+		return this._getMaxNode().value;
+	};
+
+	/**
+	 * Returns the largest value in the tree that is <= the specified value.
+	 *
+	 * @param {*} value Value to search from.
+	 * @return {*} The greatest value <= value or null if there is none.
+	 */
+	AVLTree.prototype.floor = function(value) {
+		var node = this._getFloorNode(value, true);
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Returns the smallest value in the tree that is >= the specified value.
+	 *
+	 * @param {*} value Value to search from.
+	 * @return {*} The least value >= value or null if there is none.
+	 */
+	AVLTree.prototype.ceiling = function(value) {
+		var node = this._getCeilingNode(value, true);
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Returns the largest value in the tree that is strictly < the specified
+	 * value.
+	 *
+	 * @param {*} value Value to search from.
+	 * @return {*} The greatest value < value or null if there is none.
+	 */
+	AVLTree.prototype.lower = function(value) {
+		var node = this._getFloorNode(value, false);
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Returns the smallest value in the tree that is strictly > the specified
+	 * value.
+	 *
+	 * @param {*} value Value to search from.
+	 * @return {*} The least value > value or null if there is none.
+	 */
+	AVLTree.prototype.higher = function(value) {
+		var node = this._getCeilingNode(value, false);
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Returns the number of values in the tree that are < the specified value.
+	 * If the value is in the tree this is its index, the inverse of
+	 * getNthValue(n). Otherwise it is the index the value would be inserted at.
+	 *
+	 * @param {*} value Value to rank.
+	 * @return {number} The number of values < value.
+	 */
+	AVLTree.prototype.rank = function(value) {
+		return this._countBefore(value, false);
+	};
+
+	/**
+	 * Returns the number of values in the tree between lo and hi. Both bounds
+	 * are inclusive unless options.loInclusive or options.hiInclusive is false.
+	 * A null or undefined bound leaves that end of the range open.
+	 *
+	 * @param {*} lo Lower bound of the range.
+	 * @param {*} hi Upper bound of the range.
+	 * @param {Object=} options Optional loInclusive and hiInclusive flags.
+	 * @return {number} The number of values in the range.
+	 */
+	AVLTree.prototype.countRange = function(lo, hi, options) {
+		var loInclusive = !options || options.loInclusive !== false;
+		var hiInclusive = !options || options.hiInclusive !== false;
+
+		var upper = hi == null ? this.getCount() :
+				this._countBefore(hi, hiInclusive);
+
+		var lower = lo == null ? 0 : this._countBefore(lo, !loInclusive);
+		return Math.max(upper - lower, 0);
+	};
+
+	/**
+	 * Returns the aggregate of the values in the tree between lo and hi, combined
+	 * in order with the monoid given in the tree's aggregate option, or the
+	 * monoid's identity if the range is empty. Both bounds are inclusive unless
+	 * options.loInclusive or options.hiInclusive is false, and a null or
+	 * undefined bound leaves that end of the range open. Only the paths to the
+	 * two bounds are visited, so this takes O(log n) time.
+	 *
+	 * @param {*} lo Lower bound of the range.
+	 * @param {*} hi Upper bound of the range.
+	 * @param {Object=} options Optional loInclusive and hiInclusive flags.
+	 * @return {*} The aggregate of the values in the range.
+	 */
+	AVLTree.prototype.aggregate = function(lo, hi, options) {
+		var monoid = this._aggregate;
+		if (!monoid) {
+			throw new Error("The tree was not constructed with an aggregate");
+		}
+		if (!this._root) {
+			return monoid.identity;
+		}
+		if (lo == null && hi == null) {
+			return this._root.aggregate;
+		}
+
+		var loInclusive = !options || options.loInclusive !== false;
+		var hiInclusive = !options || options.hiInclusive !== false;
+		var comparator = this._comparator;
+		var aboveLo = function(node) {
+			var cmp = lo == null ? 1 : comparator(node.value, lo);
+			return cmp > 0 || (cmp == 0 && loInclusive);
+		};
+		var belowHi = function(node) {
+			var cmp = hi == null ? -1 : comparator(node.value, hi);
+			return cmp < 0 || (cmp == 0 && hiInclusive);
+		};
+
+		// Walk down to the first node in the range, where the paths to the
+		// bounds part
+		var node = this._root;
+		while (node && !(aboveLo(node) && belowHi(node))) {
+			node = aboveLo(node) ? node._left : node._right;
+		}
+		if (!node) {
+			return monoid.identity;
+		}
+		var aggregate = this._liftNode(node);
+
+		// Every node on the path to lo that is in the range adds itself and its
+		// right subtree to the front of the aggregate
+		for (var n = node._left; n; ) {
+			if (aboveLo(n)) {
+				aggregate = monoid.combine(n._right ?
+						monoid.combine(this._liftNode(n), n._right.aggregate) :
+						this._liftNode(n), aggregate);
+				n = n._left;
+			} else {
+				n = n._right;
+			}
+		}
+
+		// And every node on the path to hi adds its left subtree and itself to
+		// the back
+		for (n = node._right; n; ) {
+			if (belowHi(n)) {
+				aggregate = monoid.combine(aggregate, n._left ?
+						monoid.combine(n._left.aggregate, this._liftNode(n)) :
+						this._liftNode(n));
+				n = n._right;
+			} else {
+				n = n._left;
+			}
+		}
+		return aggregate;
+	};
+
+	/**
+	 * Splits the tree around the pivot value in O(log n) time. The nodes of the
+	 * tree are moved into two new trees, one holding the values < pivot and one
+	 * holding the values > pivot, which leaves this tree empty. The pivot itself
+	 * (all of its copies in a multiset tree) is in neither tree.
+	 *
+	 * @param {*} pivot The value to split the tree around.
+	 * @return {{left: !AVLTree, right: !AVLTree, found: boolean}} The two new
+	 *     trees and whether the pivot was in the tree.
+	 */
+	AVLTree.prototype.split = function(pivot) {
+		this._recordRoot();
+		this._beforeModify();
+		var parts = this._split(this._root, pivot);
+		var left = this._cloneEmpty();
+		var right = this._cloneEmpty();
+		// The nodes are moved, not shared
+		left._owner = right._owner = this._owner;
+		left._setRoot(parts.left);
+		right._setRoot(parts.right);
+		this._setRoot(null);
+		return { left: left, right: right, found: !!parts.node };
+	};
+
+	/**
+	 * Returns a new tree holding the values that are in this tree or in the
+	 * other tree. In a multiset tree each value keeps the larger of its two
+	 * multiplicities, and in a map the entries of this map take precedence.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} The union of the two trees.
+	 */
+	AVLTree.prototype.union = function(other) {
+		return this._copy().unionInPlace(other);
+	};
+
+	/**
+	 * Returns a new tree holding the values that are in both this tree and the
+	 * other tree. In a multiset tree each value keeps the smaller of its two
+	 * multiplicities.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} The intersection of the two trees.
+	 */
+	AVLTree.prototype.intersection = function(other) {
+		return this._copy().intersectionInPlace(other);
+	};
+
+	/**
+	 * Returns a new tree holding the values of this tree that are not in the
+	 * other tree. In a multiset tree the other tree's multiplicities are
+	 * subtracted from this tree's.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} The difference of the two trees.
+	 */
+	AVLTree.prototype.difference = function(other) {
+		return this._copy().differenceInPlace(other);
+	};
+
+	/**
+	 * Returns a new tree holding the values that are in exactly one of this tree
+	 * and the other tree. In a multiset tree each value keeps the difference
+	 * between its two multiplicities.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} The symmetric difference of the two trees.
+	 */
+	AVLTree.prototype.symmetricDifference = function(other) {
+		return this._copy().symmetricDifferenceInPlace(other);
+	};
+
+	/**
+	 * Adds the values of the other tree to this tree, as union(other) does. The
+	 * other tree is not modified.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.unionInPlace = function(other) {
+		this._checkComparator(other);
+		this._recordRoot();
+		this._beforeModify();
+		var root = this._keepNodes();
+		this._setRoot(this._union(this._root,
+				this._copyNodes(other._root, null)));
+		this._enforceMaxSize(root);
+		return this;
+	};
+
+	/**
+	 * Removes the values that are not in the other tree from this tree, as
+	 * intersection(other) does. The other tree is not modified.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.intersectionInPlace = function(other) {
+		this._checkComparator(other);
+		this._recordRoot();
+		this._beforeModify();
+		this._setRoot(this._intersection(this._root,
+				this._copyNodes(other._root, null)));
+		return this;
+	};
+
+	/**
+	 * Removes the values of the other tree from this tree, as difference(other)
+	 * does. The other tree is not modified.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.differenceInPlace = function(other) {
+		this._checkComparator(other);
+		this._recordRoot();
+		this._beforeModify();
+		this._setRoot(this._difference(this._root,
+				this._copyNodes(other._root, null)));
+		return this;
+	};
+
+	/**
+	 * Replaces the contents of this tree with the values that are in exactly one
+	 * of the two trees, as symmetricDifference(other) does. The other tree is
+	 * not modified.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.symmetricDifferenceInPlace = function(other) {
+		this._checkComparator(other);
+		this._recordRoot();
+		this._beforeModify();
+		var root = this._keepNodes();
+		this._setRoot(this._symmetricDifference(this._root,
+				this._copyNodes(other._root, null)));
+		this._enforceMaxSize(root);
+		return this;
+	};
+
+	/**
+	 * Returns true if every value in this tree is also in the other tree (at
+	 * least as many times in a multiset tree).
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {boolean} Whether this tree is a subset of the other tree.
+	 */
+	AVLTree.prototype.isSubsetOf = function(other) {
+		this._checkComparator(other);
+		if (this.getCount() > other.getCount()) {
+			return false;
+		}
+
+		// Walk both trees in order, looking for each of our values in the other
+		var otherNode = other._getMinNode();
+		for (var node = this._getMinNode(); node;
+				node = this._getNextNode(node)) {
+			while (otherNode &&
+					this._compareValues(otherNode.value, node.value) < 0) {
+				otherNode = other._getNextNode(otherNode);
+			}
+			if (!otherNode ||
+					this._compareValues(otherNode.value, node.value) != 0 ||
+					otherNode.multiplicity < node.multiplicity) {
+				return false;
+			}
+			otherNode = other._getNextNode(otherNode);
+		}
+		return true;
+	};
+
+	/**
+	 * Returns true if every value in the other tree is also in this tree (at
+	 * least as many times in a multiset tree).
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {boolean} Whether this tree is a superset of the other tree.
+	 */
+	AVLTree.prototype.isSupersetOf = function(other) {
+		return other.isSubsetOf(this);
+	};
+
+	/**
+	 * Returns true if this tree and the other tree have no values in common.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {boolean} Whether the two trees are disjoint.
+	 */
+	AVLTree.prototype.isDisjointFrom = function(other) {
+		this._checkComparator(other);
+
+		// Walk both trees in order, advancing whichever is behind
+		var node = this._getMinNode(), otherNode = other._getMinNode();
+		while (node && otherNode) {
+			var cmp = this._compareValues(node.value, otherNode.value);
+			if (cmp == 0) {
+				return false;
+			} else if (cmp < 0) {
+				node = this._getNextNode(node);
+			} else {
+				otherNode = other._getNextNode(otherNode);
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * Returns true if this tree and the other tree hold the same values, as
+	 * many times each in a multiset tree, and if either is a map, the same
+	 * associated values (compared with ===).
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {boolean} Whether the two trees are equal.
+	 */
+	AVLTree.prototype.equals = function(other) {
+		this._checkComparator(other);
+		if (this.getCount() != other.getCount()) {
+			return false;
+		}
+
+		var isMap = this instanceof AVLTree.Map || other instanceof AVLTree.Map;
+		var equal = true;
+		this._mergeWalk(other, function(node, otherNode) {
+			equal = !!node && !!otherNode &&
+					node.multiplicity == otherNode.multiplicity &&
+					(!isMap || node.data === otherNode.data);
+			return !equal;
+		});
+		return equal;
+	};
+
+	/**
+	 * Compares the sorted values of this tree and the other tree
+	 * lexicographically, like two sorted arrays: the first value where they
+	 * differ decides, and a tree which runs out of values first is the
+	 * smaller. The associated values of a map are not compared.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @return {number} -1 if this tree is smaller, 1 if it is larger, 0 if they
+	 *     hold the same values.
+	 */
+	AVLTree.prototype.compareTo = function(other) {
+		this._checkComparator(other);
+		var tree = this, result = 0;
+
+		// Returns 1 if the tree has a value after the specified value, else 0
+		var hasMoreThan = function(tree, value) {
+			var max = tree._root ? tree._getMaxNode() : null;
+			return max && tree._compareValues(max.value, value) > 0 ? 1 : 0;
+		};
+		this._mergeWalk(other, function(node, otherNode) {
+			if (!otherNode ||
+					(node && node.multiplicity > otherNode.multiplicity)) {
+				// This tree goes on with the value, and the other with a larger
+				// one or with none
+				result = hasMoreThan(other, node.value) ? -1 : 1;
+			} else if (!node || node.multiplicity < otherNode.multiplicity) {
+				result = hasMoreThan(tree, otherNode.value) ? 1 : -1;
+			}
+			return result != 0;
+		});
+		return result;
+	};
+
+	/**
+	 * Returns the changes that turn this tree into the other tree, such as an
+	 * old and a new version of a set. added holds the values only in the other
+	 * tree and removed the values only in this tree, in order, with each extra
+	 * copy in a multiset tree. If either tree is a map, added and removed hold
+	 * [key, value] pairs, and changed holds a [key, oldValue, newValue] triple
+	 * for each key in both maps with different values.
+	 *
+	 * Both trees are walked in order together, and subtrees which the trees
+	 * share, such as between snapshots or versions of a persistent tree, are
+	 * skipped without visiting their nodes. Diffing two versions which share
+	 * all but a few paths from the root takes about O(k log n) time for k
+	 * changes.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @param {function(*, *): boolean=} valueEquals Function telling whether two
+	 *     values associated with a key are equal, === if not given.
+	 * @return {{added: !Array, removed: !Array, changed: (!Array|undefined)}}
+	 *     The changes, with changed only if either tree is a map.
+	 */
+	AVLTree.prototype.diff = function(other, valueEquals) {
+		this._checkComparator(other);
+		var isMap = this instanceof AVLTree.Map || other instanceof AVLTree.Map;
+		var result = { added: [], removed: [] };
+		if (isMap) {
+			result.changed = [];
+		}
+
+		// Adds the specified number of copies of a node's value to a list
+		var push = function(list, node, copies) {
+			for (var i = 0; i < copies; i++) {
+				list.push(isMap ? [node.value, node.data] : node.value);
+			}
+		};
+		this._mergeWalk(other, function(node, otherNode) {
+			if (!otherNode) {
+				push(result.removed, node, node.multiplicity);
+			} else if (!node) {
+				push(result.added, otherNode, otherNode.multiplicity);
+			} else {
+				var difference = node.multiplicity - otherNode.multiplicity;
+				push(result.removed, node, difference);
+				push(result.added, otherNode, -difference);
+				if (isMap && !(valueEquals ?
+						valueEquals(node.data, otherNode.data) :
+						node.data === otherNode.data)) {
+					result.changed.push([node.value, node.data, otherNode.data]);
+				}
+			}
+		});
+		return result;
+	};
+
+	/**
+	 * Returns the height of the tree (the maximum depth).
+	 *
+	 * @return {number} The height of the tree.
+	 */
+	AVLTree.prototype.getHeight = function() {
+		return this._root ? this._root.height : 0;
+	};
+
+	/**
+	 * Returns the number of modifications made to the tree so far. It changes
+	 * whenever a method that modifies the tree is called, so comparing two
+	 * readings tells whether the tree may have changed in between.
+	 *
+	 * @return {number} The modification count.
+	 */
+	AVLTree.prototype.getModCount = function() {
+		return this._modCount;
+	};
+
+	/**
+	 * Returns the statistics gathered by a tree constructed with the
+	 * instrument option since it was constructed or resetStats() was last
+	 * called. The counted operations are add(), remove(), contains() and
+	 * getNthValue(), and the set(), get(), has() and delete() methods of a map.
+	 * Nodes are visited by the searches down the tree and the rebalancing
+	 * climbs back up. Each double rotation is counted in double, and also as
+	 * the two single rotations it is made of.
+	 *
+	 * @return {{comparisons: number, rotations: {left: number, right: number,
+	 *     double: number}, operations: number, nodesVisited: number,
+	 *     nodesVisitedPerOperation: number, maxNodesVisited: number,
+	 *     height: number, peakHeight: number, peakHeightBound: number}} The
+	 *     statistics, or null if the tree is not instrumented. peakHeightBound
+	 *     is the greatest height the AVL balance allows with the most nodes
+	 *     the tree has held.
+	 */
+	AVLTree.prototype.getStats = function() {
+		var stats = this._stats;
+		if (!stats) {
+			return null;
+		}
+		this._trackPeak();
+		return {
+			comparisons: stats.comparisons,
+			rotations: {
+				left: stats.left,
+				right: stats.right,
+				"double": stats["double"]
+			},
+			operations: stats.operations,
+			nodesVisited: stats.nodesVisited,
+			nodesVisitedPerOperation: stats.operations ?
+					stats.nodesVisited / stats.operations : 0,
+			maxNodesVisited: Math.max(stats.maxNodesVisited,
+					stats.nodesVisited - stats.operationStart),
+			height: this.getHeight(),
+			peakHeight: stats.peakHeight,
+			peakHeightBound: AVL_HEIGHT_BOUND(stats.peakSize)
+		};
+	};
+
+	/**
+	 * Sets the statistics of an instrumented tree back to zero, with the
+	 * current height and number of nodes as the peaks. Does nothing if the tree
+	 * is not instrumented.
+	 */
+	AVLTree.prototype.resetStats = function() {
+		var stats = this._stats;
+		if (stats) {
+			stats.comparisons = stats.left = stats.right = stats["double"] = 0;
+			stats.operations = stats.nodesVisited = stats.maxNodesVisited = 0;
+			stats.operationStart = 0;
+			stats.peakHeight = this.getHeight();
+			stats.peakSize = this._root ? this._root.size : 0;
+		}
+	};
+
+	/**
+	 * Inserts the values stored in the tree into a new Array and returns the Array.
+	 *
+	 * @return {Array} An array containing all of the trees values in sorted order.
+	 */
+	AVLTree.prototype.getValues = function() {
+		var retVal = [];
+		this.inOrderTraverse(function(value) {
+			retVal.push(value);
+		});
+		return retVal;
+	};
+
+	/**
+	 * Performs an in-order traversal of the tree and calls the passed function on each
+	 * traversed node. Optionally starting from the smallest node with a value >= to
+	 * startValue. The traversal ends after traversing the tree's maximum node or when
+	 * the passed function returns true.
+	 *
+	 * If func modifies the tree, the iteration mode decides what happens, see
+	 * the iterationMode option.
+	 *
+	 * @param {Function} func Function to call on each traversed node.
+	 * @param {Object=} startValue If specified, traversal will begin on the
+	 *    node with the smallest value >= startValue.
+	 * @param {string=} mode Optional iteration mode, the tree's by default.
+	 */
+	AVLTree.prototype.inOrderTraverse = function(func, startValue, mode) {
+		this._traverseValues(func, startValue, mode, false);
+	};
+
+	/**
+	 * Performs a reverse-order traversal of the tree and calls the passed
+	 * function on each node. Optionally starts from the largest node with a
+	 * value <= to the specified start value. The traversal ends after
+	 * traversing the tree's minimum node or when the passed function returns
+	 * true.
+	 *
+	 * If func modifies the tree, the iteration mode decides what happens, see
+	 * the iterationMode option.
+	 *
+	 * @param {Function} func Function to call on each traversed node.
+	 * @param {Object=} startValue If specified, traversal will begin on the
+	 *    node with the largest value <= startValue.
+	 * @param {string=} mode Optional iteration mode, the tree's by default.
+	 */
+	AVLTree.prototype.reverseOrderTraverse = function(func, startValue, mode) {
+		this._traverseValues(func, startValue, mode, true);
+	};
+	
+	/**
+	 * Returns an iterator over the values in the tree. The iterator follows the
+	 * ES2015 iteration protocol, so it can be used with for...of and spread
+	 * where those are supported. The from and to bounds are given in iteration
+	 * order, so a reverse iteration starts at the largest value <= from and
+	 * ends at the smallest value >= to. They are inclusive unless
+	 * options.fromInclusive or options.toInclusive is false. options.mode
+	 * overrides the tree's iteration mode for the iterator.
+	 *
+	 * @param {Object=} options Optional from and to bounds, their inclusive
+	 *     flags, reverse flag and iteration mode.
+	 * @return {AVLTree.Iterator} An iterator over the tree's values.
+	 */
+	AVLTree.prototype.values = function(options) {
+		return new AVLTree.Iterator(this, options, function(node) {
+			return node.value;
+		});
+	};
+
+	/**
+	 * Returns a cursor positioned on the smallest value >= startValue, or on the
+	 * tree's minimum value if no start value is given.
+	 *
+	 * @param {*=} startValue Value to position the cursor at.
+	 * @param {string=} mode Optional iteration mode, the tree's by default.
+	 * @return {AVLTree.Cursor} A cursor over the tree's values.
+	 */
+	AVLTree.prototype.cursor = function(startValue, mode) {
+		var node = startValue === undefined ? this._getMinNode() :
+				this._getCeilingNode(startValue, true);
+		return new AVLTree.Cursor(this, node, this._getIterationMode(mode));
+	};
+
+	/**
+	 * Returns a live view of the values in the tree between lo and hi. Both
+	 * bounds are inclusive unless options.loInclusive or options.hiInclusive is
+	 * false, and a null or undefined bound leaves that end of the range open.
+	 * If options.reverse is true, the view is in descending order.
+	 *
+	 * @param {*} lo Lower bound of the range.
+	 * @param {*} hi Upper bound of the range.
+	 * @param {Object=} options Optional loInclusive, hiInclusive and reverse
+	 *     flags.
+	 * @return {!AVLTree.View} The view.
+	 */
+	AVLTree.prototype.subRange = function(lo, hi, options) {
+		return new AVLTree.View(this, lo, hi, options);
+	};
+
+	/**
+	 * Returns a live view of the values in the tree which are < hi, or <= hi if
+	 * inclusive is true.
+	 *
+	 * @param {*} hi Upper bound of the view.
+	 * @param {boolean=} inclusive Whether the view includes hi.
+	 * @return {!AVLTree.View} The view.
+	 */
+	AVLTree.prototype.head = function(hi, inclusive) {
+		return new AVLTree.View(this, null, hi, { hiInclusive: !!inclusive });
+	};
+
+	/**
+	 * Returns a live view of the values in the tree which are >= lo, or > lo if
+	 * inclusive is false.
+	 *
+	 * @param {*} lo Lower bound of the view.
+	 * @param {boolean=} inclusive Whether the view includes lo, true by default.
+	 * @return {!AVLTree.View} The view.
+	 */
+	AVLTree.prototype.tail = function(lo, inclusive) {
+		return new AVLTree.View(this, lo, null,
+				{ loInclusive: inclusive !== false });
+	};
+
+	/**
+	 * Returns a live view of all the values in the tree in descending order.
+	 *
+	 * @return {!AVLTree.View} The view.
+	 */
+	AVLTree.prototype.descending = function() {
+		return new AVLTree.View(this, null, null, { reverse: true });
+	};
+
+	/**
+	 * Returns a read-only view of the tree as it is now, as an
+	 * AVLTree.Persistent. Taking a snapshot is O(1): the view shares the tree's
+	 * nodes, and from then on the tree copies a node before changing it, so
+	 * that the view never changes. Each modification copies only the nodes on
+	 * the paths it changes, and the rest stay shared with the view.
+	 *
+	 * @return {!AVLTree.Persistent} The snapshot.
+	 */
+	AVLTree.prototype.snapshot = function() {
+		// Copy the shared nodes before changing them from now on
+		this._owner = {};
+		var comparator = this._stats ? this._uncountedComparator :
+				this._comparator;
+		var view = new AVLTree.Persistent(comparator);
+		view._multiset = this._multiset;
+		view._aggregate = this._aggregate;
+		view._keyFn = this._keyFn;
+		view._baseComparator = this._baseComparator;
+		view._keyComparator = this._keyFn ? this._keyComparator :
+				view._comparator;
+		view._root = this._root;
+		view._minNode = this._minNode;
+		view._maxNode = this._maxNode;
+		return view;
+	};
+
+	/**
+	 * Returns a copy of the tree made of fresh nodes in exactly the same shape,
+	 * with the same values, multiplicities, associated values and options,
+	 * including the capacity of a bounded tree. Changing either tree leaves the
+	 * other alone. Event handlers are not copied. Takes O(n) time.
+	 *
+	 * @return {!AVLTree} The copy, of the same type as this tree.
+	 */
+	AVLTree.prototype.clone = function() {
+		return this._copy();
+	};
+
+	/**
+	 * Returns a plain object describing the tree, which JSON.stringify uses to
+	 * serialize the tree. By default the dump holds the sorted values, plus
+	 * their multiplicities in a multiset tree and their data in a map, which
+	 * AVLTree.fromJSON() loads in O(n) time. If options.shape is true, the dump
+	 * holds the nested nodes instead so the exact shape of the tree can be
+	 * restored, along with each node's height and count for debugging.
+	 *
+	 * @param {Object=} options Optional shape flag.
+	 * @return {!Object} The dump.
+	 */
+	AVLTree.prototype.toJSON = function(options) {
+		var dump = { version: AVLTree.FORMAT_VERSION };
+		var isMap = this instanceof AVLTree.Map;
+		if (isMap) {
+			dump.map = true;
+		}
+		if (this._multiset) {
+			dump.multiset = true;
+		}
+
+		// JSON.stringify passes the property name, so only objects are options
+		if (options && typeof options === "object" && options.shape) {
+			dump.root = this._dumpShape(this._root, isMap);
+			return dump;
+		}
+
+		dump.values = [];
+		if (this._multiset) {
+			dump.multiplicities = [];
+		}
+		if (isMap) {
+			dump.data = [];
+		}
+		this._inOrderTraverseNodes(function(node) {
+			dump.values.push(node.value);
+			if (dump.multiplicities) {
+				dump.multiplicities.push(node.multiplicity);
+			}
+			if (dump.data) {
+				dump.data.push(node.data === undefined ? null : node.data);
+			}
+		});
+		return dump;
+	};
+
+	/**
+	 * Encodes the tree in a compact binary format which AVLTree.fromBinary()
+	 * loads. The values must either all be numbers, which are stored as 64-bit
+	 * floats, or all be strings, which are stored as UTF-8. The values of a map
+	 * are encoded with options.codec, an object with encode(value) and
+	 * decode(bytes) functions working on Uint8Arrays, or AVLTree.JSON_CODEC by
+	 * default. The dump starts with a header holding the format version.
+	 *
+	 * @param {Object=} options Optional codec for map values.
+	 * @return {!ArrayBuffer} The binary dump.
+	 */
+	AVLTree.prototype.toBinary = function(options) {
+		var codec = (options && options.codec) || AVLTree.JSON_CODEC;
+		var isMap = this instanceof AVLTree.Map;
+		var nodes = [];
+		this._inOrderTraverseNodes(function(node) {
+			nodes.push(node);
+		});
+
+		// Work out the key type and encode the variable length parts
+		var stringKeys = nodes.length > 0 && typeof nodes[0].value === "string";
+		var keyBytes = [], dataBytes = [], size = 10, i;
+		for (i = 0; i < nodes.length; i++) {
+			var value = nodes[i].value;
+			if (stringKeys && typeof value === "string") {
+				keyBytes.push(UTF8_ENCODE(value));
+				size += 4 + keyBytes[i].length;
+			} else if (!stringKeys && typeof value === "number") {
+				size += 8;
+			} else {
+				throw new Error("Binary dumps need all numeric or all string " +
+						"values");
+			}
+			if (isMap) {
+				dataBytes.push(codec.encode(nodes[i].data));
+				size += 4 + dataBytes[i].length;
+			}
+			if (this._multiset) {
+				size += 4;
+			}
+		}
+
+		// Write the header
+		var buffer = new ArrayBuffer(size);
+		var view = new DataView(buffer);
+		var bytes = new Uint8Array(buffer);
+		view.setUint32(0, BINARY_MAGIC);
+		view.setUint8(4, AVLTree.FORMAT_VERSION);
+		view.setUint8(5, (this._multiset ? BINARY_FLAGS.MULTISET : 0) |
+				(isMap ? BINARY_FLAGS.MAP : 0) |
+				(stringKeys ? BINARY_FLAGS.STRING_KEYS : 0));
+		view.setUint32(6, nodes.length, true);
+		var offset = 10;
+
+		// Writes a length-prefixed byte sequence
+		var writeBytes = function(data) {
+			view.setUint32(offset, data.length, true);
+			bytes.set(data, offset + 4);
+			offset += 4 + data.length;
+		};
+
+		// Write the keys, then the multiplicities and map values if present
+		for (i = 0; i < nodes.length; i++) {
+			if (stringKeys) {
+				writeBytes(keyBytes[i]);
+			} else {
+				view.setFloat64(offset, nodes[i].value, true);
+				offset += 8;
+			}
+		}
+		if (this._multiset) {
+			for (i = 0; i < nodes.length; i++, offset += 4) {
+				view.setUint32(offset, nodes[i].multiplicity, true);
+			}
+		}
+		for (i = 0; i < dataBytes.length; i++) {
+			writeBytes(dataBytes[i]);
+		}
+		return buffer;
+	};
+
+	/**
+	 * Registers a handler for the specified type of event. Handlers are called
+	 * with the tree as this and an event object holding the type, once the
+	 * change is made:
+	 *  add - { value, rank } when a value is added. rank is the number of
+	 *      values less than it, its index once it is added.
+	 *  remove - { value, rank, count } when count copies of a value are
+	 *      removed. rank is the value's index before it is removed.
+	 *  clear - { count } when a tree holding count values is cleared.
+	 *  update - { value, rank, data, oldData } when a key already in an
+	 *      AVLTree.Map is given a new value.
+	 *  batch - { changes } after a batch() which changed the tree, with the
+	 *      events of the batched changes in order.
+	 *  rotate - { direction, value, pivot } after a left or right rotation,
+	 *      where the node holding value is rotated below the one holding pivot.
+	 *      Fired while the tree is being balanced, for visualizers.
+	 * Each change event also has a "before" type, such as beforeadd, whose
+	 * handlers are called with the same properties before the change is made
+	 * and can return false to veto it. Events are only fired by the methods
+	 * named above and those that use them, not by split, join or the in-place
+	 * set operations. These, and the bulk removeRange, addAll and removeAll,
+	 * join detached subtrees together and fire no rotate events either.
+	 *
+	 * @param {string} type The type of event.
+	 * @param {Function} handler Function to call with each event.
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.on = function(type, handler) {
+		if (!this._listeners) {
+			this._listeners = {};
+		}
+		if (!this._listeners[type]) {
+			this._listeners[type] = [];
+		}
+		this._listeners[type].push(handler);
+		return this;
+	};
+
+	/**
+	 * Unregisters a handler registered with on().
+	 *
+	 * @param {string} type The type of event.
+	 * @param {Function} handler The handler to remove.
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.off = function(type, handler) {
+		var handlers = this._listeners && this._listeners[type];
+		if (handlers) {
+			for (var i = handlers.length - 1; i >= 0; i--) {
+				if (handlers[i] === handler) {
+					handlers.splice(i, 1);
+					break;
+				}
+			}
+		}
+		return this;
+	};
+
+	/**
+	 * Calls fn with the tree and merges the events of every change it makes
+	 * into a single "batch" event, fired once fn returns or throws. Neither
+	 * the change handlers nor their "before" handlers are called during the
+	 * batch, so its changes cannot be vetoed. Nested batches are merged into
+	 * the outermost one.
+	 *
+	 * @param {Function} fn Function making the changes.
+	 * @return {*} The return value of fn.
+	 */
+	AVLTree.prototype.batch = function(fn) {
+		if (this._batch) {
+			return fn.call(this, this);
+		}
+
+		this._batch = [];
+		try {
+			return fn.call(this, this);
+		} finally {
+			var changes = this._batch;
+			this._batch = null;
+			if (changes.length) {
+				this._emit("batch", { changes: changes });
+			}
+		}
+	};
+
+	/**
+	 * Calls fn with the tree inside a transaction. If fn throws, every change
+	 * it made is rolled back and the error is rethrown, otherwise the changes
+	 * are committed. Transactions can be nested, and rolling back an inner
+	 * transaction only undoes its own changes.
+	 *
+	 * @param {Function} fn Function making the changes.
+	 * @return {*} The return value of fn.
+	 */
+	AVLTree.prototype.transaction = function(fn) {
+		this.begin();
+		var result;
+		try {
+			result = fn.call(this, this);
+		} catch (e) {
+			this.rollback();
+			throw e;
+		}
+		this.commit();
+		return result;
+	};
+
+	/**
+	 * Begins a transaction, or a savepoint inside the open one. Until the
+	 * matching commit() or rollback(), every change to the tree is journaled
+	 * with what it takes to undo it, so beginning costs O(1). Changes which
+	 * restructure the whole tree, such as split() and the in-place set
+	 * operations, journal the old nodes and make the tree copy them instead
+	 * of changing them, which costs O(n) once. The bulk removals, addAll()
+	 * and removeAll() change one value at a time while a transaction is open.
+	 *
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.begin = function() {
+		if (!this._journal) {
+			this._journal = [];
+			this._savepoints = [];
+		}
+		this._savepoints.push(this._journal.length);
+		return this;
+	};
+
+	/**
+	 * Commits the innermost open transaction. The changes of a nested
+	 * transaction are kept in the journal until the outermost one commits, as
+	 * it may still be rolled back.
+	 *
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.commit = function() {
+		this._checkTransaction();
+		this._savepoints.pop();
+		if (!this._savepoints.length) {
+			this._journal = null;
+			this._savepoints = null;
+		}
+		return this;
+	};
+
+	/**
+	 * Rolls back the innermost open transaction, undoing its changes in
+	 * reverse order. This restores the values, their multiplicities and
+	 * associated values, and with them the counts and the minimum and maximum,
+	 * although the shape of the tree may differ. No events are fired.
+	 *
+	 * @return {!AVLTree} This tree.
+	 */
+	AVLTree.prototype.rollback = function() {
+		this._checkTransaction();
+		var start = this._savepoints.pop();
+		var journal = this._journal;
+		for (var i = journal.length - 1; i >= start; i--) {
+			// A restored root may be shared with a snapshot, copy it before
+			// undoing more
+			this._beforeModify();
+			this._undo(journal[i]);
+		}
+		journal.length = start;
+		if (!this._savepoints.length) {
+			this._journal = null;
+			this._savepoints = null;
+		}
+		return this;
+	};
+
+	/**
+	 * Returns the number of open transactions, counting savepoints.
+	 *
+	 * @return {number} The transaction depth, 0 if none is open.
+	 */
+	AVLTree.prototype.getTransactionDepth = function() {
+		return this._savepoints ? this._savepoints.length : 0;
+	};
+
+	/**
+	 * Checks the structure of the tree and returns a report of every problem
+	 * found. The checks cover the order of the values according to the
+	 * comparator, the AVL-tree height balance, each node's stored height,
+	 * count, size, multiplicity and aggregate, the parent pointers and the
+	 * minimum and maximum node pointers. Each problem is reported as an object
+	 * with the name of the failed check, the value of the node it was found at
+	 * and a message.
+	 *
+	 * @return {{valid: boolean, errors: Array.<{check: string, value: *,
+	 *     message: string}>}} The validation report.
+	 */
+	AVLTree.prototype.validate = function() {
+		var errors = [];
+		var state = { previous: null, min: null, max: null };
+
+		if (this._root && this._root._parent) {
+			errors.push({ check: "parent", value: this._root.value,
+					message: "The root node has a parent" });
+		}
+		this._validateNode(this._root, null, errors, state);
+
+		// The min and max pointers must match the first and last nodes in order
+		if (this._minNode != state.min) {
+			errors.push({ check: "minNode",
+					value: this._minNode ? this._minNode.value : null,
+					message: "The minimum node pointer does not point at the " +
+							"smallest value" });
+		}
+		if (this._maxNode != state.max) {
+			errors.push({ check: "maxNode",
+					value: this._maxNode ? this._maxNode.value : null,
+					message: "The maximum node pointer does not point at the " +
+							"largest value" });
+		}
+
+		return { valid: errors.length == 0, errors: errors };
+	};
+
+	/**
+	 * Renders the tree top-down as text, with each level of the tree on a line
+	 * of its own and lines connecting the nodes to their children. Plain ASCII
+	 * characters are used unless options.unicode is true, in which case the
+	 * connections are drawn with box-drawing characters.
+	 *
+	 * Supported options, shared by every renderer:
+	 *  maxDepth - Depth below which nodes are left out, where the root is at
+	 *      depth 0. Nodes with children left out are marked as truncated.
+	 *  format - Function returning the label of a node from its value and the
+	 *      node. By default the value is converted to a string, followed by its
+	 *      multiplicity in brackets if it is greater than 1.
+	 *  highlight - A value whose search path from the root is highlighted.
+	 *
+	 * @param {Object=} options Optional rendering options.
+	 * @return {string} The drawing, an empty string if the tree is empty.
+	 */
+	AVLTree.prototype.toAscii = function(options) {
+		var unicode = !!(options && options.unicode);
+		var items = this._layout(options);
+		var lines = [];
+
+		// Lay the labels out left to right in order, so that every node is
+		// between its subtrees
+		var width = 0;
+		for (var i = 0; i < items.length; i++) {
+			var item = items[i];
+			if (item.highlighted) {
+				item.label = "[" + item.label + "]";
+			}
+			if (item.truncated) {
+				item.label += unicode ? " …" : " ...";
+			}
+			item.column = width;
+			item.center = width + Math.floor((item.label.length - 1) / 2);
+			width += item.label.length + 1;
+		}
+
+		// Draws a character at the specified column of a line
+		var draw = function(line, column, chr) {
+			while (line.length < column) {
+				line.push(" ");
+			}
+			line[column] = chr;
+		};
+
+		for (i = 0; i < items.length; i++) {
+			item = items[i];
+			var y = item.depth * 2;
+			while (lines.length <= y + 1) {
+				lines.push([]);
+			}
+			for (var j = 0; j < item.label.length; j++) {
+				draw(lines[y], item.column + j, item.label.charAt(j));
+			}
+
+			// Connect the node to its children on the line below
+			var left = item.left, right = item.right;
+			if (left || right) {
+				var from = left ? left.center : item.center;
+				var to = right ? right.center : item.center;
+				for (j = from; j <= to; j++) {
+					draw(lines[y + 1], j, unicode ? "─" : "-");
+				}
+				if (left) {
+					draw(lines[y + 1], from, unicode ? "┌" : "+");
+				}
+				if (right) {
+					draw(lines[y + 1], to, unicode ? "┐" : "+");
+				}
+				draw(lines[y + 1], item.center, !unicode ? "+" :
+						left && right ? "┴" : left ? "┘" : "└");
+			}
+		}
+
+		var text = [];
+		for (i = 0; i < lines.length; i++) {
+			if (lines[i].length) {
+				text.push(lines[i].join(""));
+			}
+		}
+		return text.join("\n");
+	};
+
+	/**
+	 * Renders the tree in the Graphviz DOT language. Each node is labelled with
+	 * its value and its height, count and balance factor, where the balance
+	 * factor is the height of its left subtree minus the height of its right
+	 * subtree. A node with a single child gets an invisible second child so
+	 * that Graphviz draws left and right children on the correct sides.
+	 * Highlighted nodes and edges are drawn in red and truncated nodes are
+	 * dashed. Takes the same options as toAscii().
+	 *
+	 * @param {Object=} options Optional rendering options.
+	 * @return {string} The DOT source of a digraph.
+	 */
+	AVLTree.prototype.toDot = function(options) {
+		var items = this._layout(options);
+		var lines = ["digraph AVLTree {",
+				"\tnode [shape=box, fontname=\"monospace\"];"];
+
+		// Quotes a string as a DOT identifier
+		var quote = function(str) {
+			return "\"" + str.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")
+					.replace(/\n/g, "\\n") + "\"";
+		};
+
+		for (var i = 0; i < items.length; i++) {
+			var item = items[i];
+			var label = item.label + "\n" + "h=" + item.node.height +
+					" c=" + item.node.count + " b=" + item.balance;
+			var attributes = ["label=" + quote(label)];
+			if (item.highlighted) {
+				attributes.push("color=red", "penwidth=2");
+			}
+			if (item.truncated) {
+				attributes.push("style=dashed");
+			}
+			lines.push("\tn" + i + " [" + attributes.join(", ") + "];");
+		}
+
+		for (i = 0; i < items.length; i++) {
+			item = items[i];
+			var children = [item.left, item.right];
+			if (!item.left && !item.right) {
+				continue;
+			}
+			for (var j = 0; j < children.length; j++) {
+				if (children[j]) {
+					var style = children[j].highlighted ?
+							" [color=red, penwidth=2];" : ";";
+					lines.push("\tn" + i + " -> n" + children[j].index + style);
+				} else {
+					var id = "n" + i + (j ? "r" : "l");
+					lines.push("\t" + id + " [style=invis, label=\"\"];");
+					lines.push("\tn" + i + " -> " + id + " [style=invis];");
+				}
+			}
+		}
+
+		lines.push("}");
+		return lines.join("\n");
+	};
+
+	/**
+	 * Returns a plain object describing the layout of the tree for drawing, for
+	 * example in a browser. Each node has integer x and y coordinates: x is its
+	 * position in order and y its depth, so that no two nodes overlap and every
+	 * node is between its subtrees. Scale them to the size of the drawing.
+	 * Takes the same options as toAscii().
+	 *
+	 * @param {Object=} options Optional rendering options.
+	 * @return {{width: number, height: number, nodes: !Array.<Object>,
+	 *     edges: !Array.<Object>}} The number of columns and rows, the nodes with
+	 *     their id, value, label, x, y, height, count, balance, highlighted and
+	 *     truncated properties, and the edges with the ids of the nodes they
+	 *     connect (from, to), the child's side and whether they are highlighted.
+	 */
+	AVLTree.prototype.toLayout = function(options) {
+		var items = this._layout(options);
+		var layout = { width: items.length, height: 0, nodes: [], edges: [] };
+
+		for (var i = 0; i < items.length; i++) {
+			var item = items[i];
+			layout.height = Math.max(layout.height, item.depth + 1);
+			layout.nodes.push({
+				id: i,
+				value: item.node.value,
+				label: item.label,
+				x: i,
+				y: item.depth,
+				height: item.node.height,
+				count: item.node.count,
+				balance: item.balance,
+				highlighted: item.highlighted,
+				truncated: item.truncated
+			});
+			if (item.parent) {
+				layout.edges.push({
+					from: item.parent.index,
+					to: i,
+					side: item.parent.left == item ? "left" : "right",
+					highlighted: item.highlighted
+				});
+			}
+		}
+		return layout;
+	};
+
+	/**
+	 * Returns a drawing of the tree made by toAscii() and outputs it to the
+	 * console.
+	 *
+	 * @return {string} The drawing of the tree.
+	 * @deprecated Use toAscii(), toDot() or toLayout() instead.
+	 */
+	AVLTree.prototype.printAVLTree = function() {
+		var text = this.toAscii();
+		if (typeof console !== "undefined") {
+			console.log(text);
+		}
+		return text;
+	};
+
+	/**
+	 * Prepares the tree for a modification. This must be called by every public
+	 * method that modifies the tree. The modification is counted, so running
+	 * iterations notice it.
+	 *
+	 * @private
+	 */
+	AVLTree.prototype._beforeModify = function() {
+		this._modCount++;
+	};
+
+	/**
+	 * Creates a node owned by the tree.
+	 *
+	 * @param {*} value Value to store in the node.
+	 * @param {AVLTree.Node=} parent Optional parent node.
+	 * @return {!AVLTree.Node} The new node.
+	 * @private
+	 */
+	AVLTree.prototype._newNode = function(value, parent) {
+		var node = new AVLTree.Node(value, parent);
+		node._owner = this._owner;
+		return node;
+	};
+
+	/**
+	 * Returns the specified node if the tree owns it, or else a copy of it the
+	 * tree owns. The copy takes the node's place under its parent, which is
+	 * made the tree's own first, or as the root. So after a snapshot only the
+	 * nodes on the paths that are changed get copied, and every other subtree
+	 * stays shared with the snapshot. The copy's children are pointed at it, as
+	 * snapshots never look at the parent pointers. A detached node is copied
+	 * without being put anywhere, and the children it was detached from are
+	 * left alone.
+	 *
+	 * @param {AVLTree.Node} node The node about to be changed.
+	 * @return {AVLTree.Node} The node itself or its copy.
+	 * @private
+	 */
+	AVLTree.prototype._own = function(node) {
+		if (node._owner === this._owner) {
+			return node;
+		}
+
+		var parent = node._parent;
+		if (parent && parent._left !== node && parent._right !== node) {
+			parent = null;  // Left over from before the node was detached
+		}
+		var copy = this._copyNode(node, parent ? this._own(parent) : null);
+		if (copy._left && copy._left._parent === node) {
+			copy._left._parent = copy;
+		}
+		if (copy._right && copy._right._parent === node) {
+			copy._right._parent = copy;
+		}
+
+		if (!parent) {
+			if (this._root === node) {
+				this._root = copy;
+			}
+		} else if (copy._parent._left === node) {
+			copy._parent._left = copy;
+		} else {
+			copy._parent._right = copy;
+		}
+		if (this._minNode === node) {
+			this._minNode = copy;
+		}
+		if (this._maxNode === node) {
+			this._maxNode = copy;
+		}
+		return copy;
+	};
+
+	/**
+	 * Adds an entry to the undo journal if a transaction is open.
+	 *
+	 * @param {!Object} entry The journal entry.
+	 * @private
+	 */
+	AVLTree.prototype._record = function(entry) {
+		if (this._journal) {
+			this._journal.push(entry);
+		}
+	};
+
+	/**
+	 * Journals the removal of copies of a node's value, along with its
+	 * associated value in a map.
+	 *
+	 * @param {!AVLTree.Node} node The node losing copies.
+	 * @param {number} count The number of copies removed.
+	 * @private
+	 */
+	AVLTree.prototype._recordRemoval = function(node, count) {
+		if (this._journal) {
+			var entry = { type: "remove", value: node.value, count: count };
+			if (node.hasOwnProperty("data")) {
+				entry.data = node.data;
+			}
+			this._journal.push(entry);
+		}
+	};
+
+	/**
+	 * Journals the tree's nodes before a change which restructures the whole
+	 * tree. The tree gives up ownership of them, as a snapshot does, so that
+	 * the change copies the nodes it touches and the journaled ones stay as
+	 * they are.
+	 *
+	 * @private
+	 */
+	AVLTree.prototype._recordRoot = function() {
+		if (this._journal) {
+			this._journal.push({ type: "root", root: this._root });
+			this._owner = {};
+		}
+	};
+
+	/**
+	 * Throws an error unless a transaction is open.
+	 *
+	 * @private
+	 */
+	AVLTree.prototype._checkTransaction = function() {
+		if (!this._savepoints) {
+			throw new Error("No transaction is open");
+		}
+	};
+
+	/**
+	 * Undoes the change described by a journal entry, without firing events.
+	 *
+	 * @param {!Object} entry The journal entry.
+	 * @private
+	 */
+	AVLTree.prototype._undo = function(entry) {
+		var node;
+		switch (entry.type) {
+			case "insert":
+				node = this._own(this._findNode(this._keyOf(entry.value)));
+				if (node.multiplicity > 1) {
+					node.multiplicity--;
+					this._balance(node);
+				} else {
+					this._removeNode(node);
+				}
+				break;
+			case "remove":
+				node = this._findNode(this._keyOf(entry.value));
+				if (node) {
+					node = this._own(node);
+					node.multiplicity += entry.count;
+				} else {
+					node = this._insert(entry.value);
+					if (entry.count != 1) {
+						node.multiplicity = entry.count;
+					}
+				}
+				if (entry.hasOwnProperty("data")) {
+					node.data = entry.data;
+				}
+				this._balance(node);
+				break;
+			case "data":
+				node = this._own(this._findNode(this._keyOf(entry.value)));
+				node.data = entry.data;
+				this._balance(node);
+				break;
+			case "root":
+				// The journaled nodes may have been rewired or handed to another
+				// tree since, so the tree is restored from a copy of them
+				this._setRoot(this._copyNodes(entry.root, null));
+				break;
+		}
+	};
+
+	/**
+	 * Returns true if an event of the specified type would be delivered, to
+	 * handlers of the type or its "before" type, or to the handlers of a
+	 * running batch.
+	 *
+	 * @param {string} type The type of event.
+	 * @return {boolean} Whether the event needs to be fired.
+	 * @private
+	 */
+	AVLTree.prototype._isObserved = function(type) {
+		if (!this._listeners) {
+			return false;
+		}
+		var listeners = this._listeners;
+		var hasHandlers = function(type) {
+			return !!listeners[type] && listeners[type].length > 0;
+		};
+		return this._batch ? hasHandlers("batch") :
+				hasHandlers(type) || hasHandlers("before" + type);
+	};
+
+	/**
+	 * Asks the "before" handlers of the specified type of change whether the
+	 * change may be made. They are given a copy of the event, and are not
+	 * called during a batch, whose changes cannot be vetoed.
+	 *
+	 * @param {string} type The type of change.
+	 * @param {!Object} event The event's properties.
+	 * @return {boolean} False if a handler vetoed the change, true otherwise.
+	 * @private
+	 */
+	AVLTree.prototype._allow = function(type, event) {
+		if (this._batch || !this._listeners["before" + type]) {
+			return true;
+		}
+		var copy = { type: "before" + type };
+		for (var name in event) {
+			copy[name] = event[name];
+		}
+
+		// Copy the handlers, in case one of them registers or removes another
+		var handlers = this._listeners[copy.type].slice();
+		for (var i = 0; i < handlers.length; i++) {
+			if (handlers[i].call(this, copy) === false) {
+				return false;
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * Fires an event of the specified type, or adds it to the changes of the
+	 * running batch. Rotations are never batched.
+	 *
+	 * @param {string} type The type of event.
+	 * @param {Object} event The event's properties.
+	 * @private
+	 */
+	AVLTree.prototype._emit = function(type, event) {
+		event.type = type;
+		if (this._batch && type != "rotate") {
+			this._batch.push(event);
+			return;
+		}
+
+		// Copy the handlers, in case one of them registers or removes another
+		var handlers = (this._listeners[type] || []).slice();
+		for (var i = 0; i < handlers.length; i++) {
+			handlers[i].call(this, event);
+		}
+	};
+
+	/**
+	 * Inserts a node into the tree with the specified value if its not a
+	 * duplicate and balances the tree afterwards. Duplicates are counted in
+	 * the multiplicity of their node in a multiset tree.
+	 *
+	 * @param {*} value Value to insert into the tree.
+	 * @return {AVLTree.Node} The newly created node or null if the value was
+	 *     already in the tree. In a multiset tree the existing node holding a
+	 *     duplicate value is returned.
+	 * @private
+	 */
+	AVLTree.prototype._insert = function(value) {
+		// If the tree is empty, create a root node with the specified value and
+		// stop there.
+		if (this._root == null) {
+			this._root = this._newNode(value);
+			this._refresh(this._root);
+			this._minNode = this._root;
+			this._maxNode = this._root;
+			return this._root;
+		}
+
+		// This will be set to the new node if a new node is added.
+		var newNode = null;
+
+		// This will be set to the existing node if a multiset duplicate is added.
+		var multiNode = null;
+
+		// Traverse the tree and insert the value if we reach a null node
+		var key = this._keyOf(value);
+		this._traverse(function(node) {
+			var retNode = null;
+			if (this._comparator(node.value, key) > 0) {
+				retNode = node._left;
+				if (node._left == null) {
+					node = this._own(node);
+					newNode = this._newNode(value, node);
+					node._left = newNode;
+					if (node == this._minNode) {
+						this._minNode = newNode;
+					}
+				}
+			} else if (this._comparator(node.value, key) < 0) {
+				retNode = node._right;
+				if (node._right == null) {
+					node = this._own(node);
+					newNode = this._newNode(value, node);
+					node._right = newNode;
+					if (node == this._maxNode) {
+						this._maxNode = newNode;
+					}
+				}
+			} else if (this._multiset) {
+				// Count the duplicate in the existing node.
+				node = this._own(node);
+				node.multiplicity++;
+				multiNode = node;
+			}
+			return retNode; // If null, we'll stop traversing the tree
+		});
+
+		if (multiNode) {
+			this._balance(multiNode);  // Refresh the counts above the node
+			return multiNode;
+		}
+
+		// If a node was added, refresh counts and balance tree.
+		if (newNode) {
+			this._refresh(newNode);
+			this._balance(newNode._parent);  // Maintain the AVL-tree balance
+		}
+
+		// Return the new node, null if the value was already in the tree
+		return newNode;
+	};
+
+	/**
+	 * Returns the node holding the specified value, or null if the value is not
+	 * in the tree.
+	 *
+	 * @param {*} value Value to find in the tree.
+	 * @return {AVLTree.Node} The node holding the value or null.
+	 * @private
+	 */
+	AVLTree.prototype._findNode = function(value) {
+		var foundNode = null;
+
+		// Depth traverse the tree and stop at the node holding the value
+		this._traverse(function(node) {
+			var retNode = null;
+			if (this._comparator(node.value, value) > 0) {
+				retNode = node._left;
+			} else if (this._comparator(node.value, value) < 0) {
+				retNode = node._right;
+			} else {
+				foundNode = node;
+			}
+			return retNode;  // If null, we'll stop traversing the tree
+		});
+
+		return foundNode;
+	};
+
+	/**
+	 * Returns the iteration mode to use, given the mode asked for.
+	 *
+	 * @param {string=} mode The mode asked for, or undefined for the tree's.
+	 * @return {string} The iteration mode.
+	 * @private
+	 */
+	AVLTree.prototype._getIterationMode = function(mode) {
+		mode = mode || this._iterationMode;
+		if (mode != "unchecked" && mode != "fail-fast" && mode != "snapshot" &&
+				mode != "successor") {
+			throw new Error("Unknown iteration mode: " + mode);
+		}
+		return mode;
+	};
+
+	/**
+	 * Calls func with the values of the tree in order, or in reverse order,
+	 * once for every copy of a value, until func returns true. A modification
+	 * made by func is handled according to the iteration mode: in unchecked
+	 * mode the walk carries on regardless, and in successor mode it finds its
+	 * way back to the value after the last one visited, as the nodes it was
+	 * walking may have moved.
+	 *
+	 * @param {Function} func Function to call with each value.
+	 * @param {*=} startValue If specified, the value to start from.
+	 * @param {string=} mode Optional iteration mode, the tree's by default.
+	 * @param {boolean} reverse Whether to traverse in reverse order.
+	 * @private
+	 */
+	AVLTree.prototype._traverseValues = function(func, startValue, mode,
+			reverse) {
+		mode = this._getIterationMode(mode);
+		if (mode == "snapshot") {
+			this.snapshot()._traverseValues(func, startValue, "fail-fast",
+					reverse);
+			return;
+		}
+
+		var tree = this, modCount = this._modCount;
+		var lastKey, lastCopies = 0;
+
+		// Calls func for the copies of the node's value from the specified copy
+		// on, and returns true if the walk must stop
+		var visit = function(node, copy) {
+			for (; copy < node.multiplicity; copy++) {
+				if (func(node.value)) {
+					return true;
+				}
+				if (tree._modCount != modCount && mode != "unchecked") {
+					if (mode == "fail-fast") {
+						throw new AVLTree.ConcurrentModificationError();
+					}
+					lastKey = tree._keyOf(node.value);
+					lastCopies = copy + 1;
+					return true;
+				}
+			}
+			return false;
+		};
+
+		var traverse = reverse ? "_reverseOrderTraverseNodes" :
+				"_inOrderTraverseNodes";
+		this[traverse](function(node) {
+			return visit(node, 0);
+		}, startValue);
+
+		// Carry on after the last value visited, until func stops or returns
+		// without modifying the tree
+		while (lastCopies) {
+			modCount = this._modCount;
+			var node = this._findNode(lastKey), copy = lastCopies;
+			lastCopies = 0;
+			if (!node || copy >= node.multiplicity) {
+				node = reverse ? this._getFloorNode(lastKey, false) :
+						this._getCeilingNode(lastKey, false);
+				copy = 0;
+			}
+			while (node && !visit(node, copy)) {
+				node = reverse ? this._getPrevNode(node) :
+						this._getNextNode(node);
+				copy = 0;
+			}
+		}
+	};
+
+	/**
+	 * Performs an in-order traversal of the tree and calls the passed function
+	 * with each traversed node rather than its value. Optionally starting from
+	 * the smallest node with a value >= to startValue. The traversal ends after
+	 * traversing the tree's maximum node or when the passed function returns
+	 * true.
+	 *
+	 * @param {Function} func Function to call on each traversed node.
+	 * @param {Object=} startValue If specified, traversal will begin on the
+	 *    node with the smallest value >= startValue.
+	 * @private
+	 */
+	AVLTree.prototype._inOrderTraverseNodes = function(func, startValue) {
+		// If our tree is empty, return immediately
+		if (!this._root) {
+			return;
+		}
+
+		// Depth traverse the tree to find node to begin in-order traversal from
+		var startNode;
+		if (startValue !== undefined) {
+			this._traverse(function(node) {
+				var retNode = null;
+				if (this._comparator(node.value, startValue) > 0) {
+					retNode = node._left;
+					startNode = node;
+				} else if (this._comparator(node.value, startValue) < 0) {
+					retNode = node._right;
+				} else {
+					startNode = node;
+				}
+				return retNode;  // If null, we'll stop traversing the tree
+			});
+		} else {
+			startNode = this._getMinNode();
+		}
+		if (!startNode) {
+			return;  // Every value is < startValue
+		}
+
+		// Traverse the tree and call func on each traversed node
+		var node = startNode, previous = startNode._left ? startNode._left : startNode;
+		while (node != null) {
+			if (node._left != null && node._left != previous && node._right != previous) {
+				node = node._left;
+			} else {
+				if (node._right != previous) {
+					if (func(node)) {
+						return;
+					}
+				}
+				var temp = node;
+				node = node._right != null && node._right != previous ? node._right : node._parent;
+				previous = temp;
+			}
+		}
+	};
+
+	/**
+	 * Performs a reverse-order traversal of the tree and calls the passed
+	 * function with each traversed node rather than its value. Optionally
+	 * starts from the largest node with a value <= to the specified start
+	 * value. The traversal ends after traversing the tree's minimum node or
+	 * when the passed function returns true.
+	 *
+	 * @param {Function} func Function to call on each traversed node.
+	 * @param {Object=} startValue If specified, traversal will begin on the
+	 *    node with the largest value <= startValue.
+	 * @private
+	 */
+	AVLTree.prototype._reverseOrderTraverseNodes = function(func, startValue) {
+		// If our tree is empty, return immediately
+		if (!this._root) {
+			return;
+		}
+
+		// Depth traverse the tree to find node to begin reverse-order traversal from
+		var startNode;
+		if (startValue !== undefined) {
+			this._traverse(function(node) {
+				var retNode = null;
+				if (this._comparator(node.value, startValue) > 0) {
+					retNode = node._left;
+				} else if (this._comparator(node.value, startValue) < 0) {
+					retNode = node._right;
+					startNode = node;
+				} else {
+					startNode = node;
+				}
+				return retNode;
+				// If null, we'll stop traversing the tree
+			});
+		} else {
+			startNode = this._getMaxNode();
+		}
+		if (!startNode) {
+			return;  // Every value is > startValue
+		}
+
+		// Traverse the tree and call func on each traversed node
+		var node = startNode, prev = startNode._right ? startNode._right : startNode;
+		while (node != null) {
+			if (node._right != null && node._right != prev && node._left != prev) {
+				node = node._right;
+			} else {
+				if (node._left != prev) {
+					if (func(node)) {
+						return;
+					}
+				}
+				var temp = node;
+				node = node._left != null && node._left != prev ? node._left : node._parent;
+				prev = temp;
+			}
+		}
+	};
+
+	/**
+	 * Performs a traversal defined by the supplied traversal function. The first
+	 * call to the traversal function is performed on the root or the optionally
+	 * specified startNode. After that, it calls the traversal function with the
+	 * node returned by the previous call until the traversal function returns 
+	 * null or the optionally specified end node.
+	 *
+	 * @param {Function} traversalFunc Function used to traverse the tree. Takes a
+	 *     node as a parameter and returns a node.
+	 * @param {AVLTree.Node=} startNode The node at which the traversal begins.
+	 * @param {AVLTree.Node=} endNode The node at which the traversal ends.
+	 * @private
+	 */
+	AVLTree.prototype._traverse = function(traversalFunc, startNode, endNode) {
+		var node = startNode ? startNode : this._root;
+		var endNode = endNode ? endNode : null;
+		var stats = this._stats;
+		while (node && node != endNode) {
+			if (stats) {
+				stats.nodesVisited++;
+			}
+			node = traversalFunc.call(this, node);
+		}
+	};
+
+	/**
+	 * Ensures that the specified node and all its ancestors are balanced. If they
+	 * are not, performs left and right rotations to achieve a balanced tree. This 
+	 * method assumes that at most 2 rotations are necessary to balance the tree.
+	 * The height, count and aggregate of every node on the way up are refreshed,
+	 * so it is also used to update the ancestors of a node that changed.
+	 *
+	 * @param {AVLTree.Node} node Node to begin balance from.
+	 * @private
+	 */
+	AVLTree.prototype._balance = function(node) {
+
+		this._traverse(function(node) {
+			node = this._own(node);
+
+			// Calculate the left and right node's heights
+			var leftHeight = node._left ? node._left.height : 0;
+			var rightHeight = node._right ? node._right.height : 0;
+
+			// Rotate tree rooted at this node if it is not AVL-tree balanced
+			if (leftHeight - rightHeight > 1) {
+				if (node._left._right && (!node._left._left || node._left._left.height < node._left._right.height)) {
+					this._leftRotate(node._left);
+					if (this._stats) {
+						this._stats["double"]++;
+					}
+				}
+				this._rightRotate(node);
+			} else if (rightHeight - leftHeight > 1) {
+				if (node._right._left && (!node._right._right || node._right._right.height < node._right._left.height)) {
+					this._rightRotate(node._right);
+					if (this._stats) {
+						this._stats["double"]++;
+					}
+				}
+				this._leftRotate(node);
+			}
+
+			// Recalculate this node's height, count and aggregate
+			this._refresh(node);
+
+			// Traverse up tree and balance parent
+			return node._parent;
+		}, node);
+
+		if (this._stats) {
+			this._trackPeak();
+		}
+
+	};
+
+	/**
+	 * Recalculates the height, count, size and aggregate of the specified node
+	 * from its children, which must be up to date.
+	 *
+	 * @param {AVLTree.Node} node The node to refresh.
+	 * @private
+	 */
+	AVLTree.prototype._refresh = function(node) {
+		var left = node._left, right = node._right;
+		var leftHeight = left ? left.height : 0;
+		var rightHeight = right ? right.height : 0;
+		node.height = Math.max(leftHeight, rightHeight) + 1;
+		node.count = (left ? left.count : 0) + node.multiplicity +
+				(right ? right.count : 0);
+		node.size = (left ? left.size : 0) + 1 + (right ? right.size : 0);
+
+		if (this._aggregate) {
+			var aggregate = this._liftNode(node);
+			if (left) {
+				aggregate = this._aggregate.combine(left.aggregate, aggregate);
+			}
+			if (right) {
+				aggregate = this._aggregate.combine(aggregate, right.aggregate);
+			}
+			node.aggregate = aggregate;
+		}
+	};
+
+	/**
+	 * Returns the aggregate of the copies of the value in the specified node
+	 * alone. The lifted value is combined with itself by repeated doubling, so
+	 * a multiplicity of k takes O(log k) calls to combine().
+	 *
+	 * @param {AVLTree.Node} node The node to lift.
+	 * @return {*} The aggregate of the node's copies of its value.
+	 * @private
+	 */
+	AVLTree.prototype._liftNode = function(node) {
+		var monoid = this._aggregate;
+		var lifted = monoid.lift(node.value, node.data);
+		if (node.multiplicity == 1) {
+			return lifted;
+		}
+
+		var aggregate = monoid.identity;
+		for (var k = node.multiplicity; k > 0; k = Math.floor(k / 2)) {
+			if (k % 2) {
+				aggregate = monoid.combine(aggregate, lifted);
+			}
+			if (k > 1) {
+				lifted = monoid.combine(lifted, lifted);
+			}
+		}
+		return aggregate;
+	};
+
+	/**
+	 * Performs a left rotation on the specified node.
+	 *
+	 * @param {AVLTree.Node} node Pivot node to rotate from.
+	 * @private
+	 */
+	AVLTree.prototype._leftRotate = function(node) {
+		node = this._own(node);
+		this._own(node._right);
+
+		// Re-assign parent-child references for the parent of the node being removed
+		if (node.isLeftChild()) {
+			node._parent._left = node._right;
+			node._right._parent = node._parent;
+		} else if (node.isRightChild()) {
+			node._parent._right = node._right;
+			node._right._parent = node._parent;
+		} else {
+			this._root = node._right;
+			this._root._parent = null;
+		}
+
+		// Re-assign parent-child references for the child of the node being removed
+		var temp = node._right;
+		node._right = node._right._left;
+		if (node._right != null)
+			node._right._parent = node;
+		temp._left = node;
+		node._parent = temp;
+
+		// Update heights, counts and aggregates, the node first as it is now a
+		// child of temp.
+		this._refresh(node);
+		this._refresh(temp);
+
+		if (this._stats) {
+			this._stats.left++;
+		}
+		if (this._listeners && this._listeners.rotate && !this._joining) {
+			this._emit("rotate",
+					{ direction: "left", value: node.value, pivot: temp.value });
+		}
+	};
+
+	/**
+	 * Performs a right tree rotation on the specified node.
+	 *
+	 * @param {AVLTree.Node} node Pivot node to rotate from.
+	 * @private
+	 */
+	AVLTree.prototype._rightRotate = function(node) {
+		node = this._own(node);
+		this._own(node._left);
+
+		// Re-assign parent-child references for the parent of the node being removed
+		if (node.isLeftChild()) {
+			node._parent._left = node._left;
+			node._left._parent = node._parent;
+		} else if (node.isRightChild()) {
+			node._parent._right = node._left;
+			node._left._parent = node._parent;
+		} else {
+			this._root = node._left;
+			this._root._parent = null;
+		}
+
+		// Re-assign parent-child references for the child of the node being removed
+		var temp = node._left;
+		node._left = node._left._right;
+		if (node._left != null)
+			node._left._parent = node;
+		temp._right = node;
+		node._parent = temp;
+
+		// Update heights, counts and aggregates, the node first as it is now a
+		// child of temp.
+		this._refresh(node);
+		this._refresh(temp);
+
+		if (this._stats) {
+			this._stats.right++;
+		}
+		if (this._listeners && this._listeners.rotate && !this._joining) {
+			this._emit("rotate",
+					{ direction: "right", value: node.value, pivot: temp.value });
+		}
+	};
+
+	/**
+	 * Removes the specified node from the tree and ensures the tree still
+	 * maintains the AVL-tree balance.
+	 *
+	 * @param {AVLTree.Node} node The node to be removed.
+	 * @return {!AVLTree.Node} The removed node, a copy of the specified node if
+	 *     the tree did not own it.
+	 * @private
+	 */
+	AVLTree.prototype._removeNode = function(node) {
+		node = this._own(node);
+
+		// Perform normal binary tree node removal, but balance the tree, starting
+		// from where we removed the node
+		if (node._left != null || node._right != null) {
+			var balanceBegin = null;  // Node to begin balance from
+			var replacementNode;  // Node to replace the node being removed
+			if (node._left != null) {
+				replacementNode = this._own(this._getMaxNode(node._left));
+
+				if (replacementNode != node._left) {
+					replacementNode._parent._right = replacementNode._left;
+					if (replacementNode._left)
+						replacementNode._left._parent = replacementNode._parent;
+					replacementNode._left = node._left;
+					replacementNode._left._parent = replacementNode;
+					balanceBegin = replacementNode._parent;
+				}
+				replacementNode._parent = node._parent;
+				replacementNode._right = node._right;
+				if (replacementNode._right)
+					replacementNode._right._parent = replacementNode;
+				if (node == this._maxNode)
+					this._maxNode = replacementNode;
+			} else {
+				replacementNode = this._own(this._getMinNode(node._right));
+
+				if (replacementNode != node._right) {
+					replacementNode._parent._left = replacementNode._right;
+					if (replacementNode._right)
+						replacementNode._right._parent = replacementNode._parent;
+					replacementNode._right = node._right;
+					replacementNode._right._parent = replacementNode;
+					balanceBegin = replacementNode._parent;
+				}
+				replacementNode._parent = node._parent;
+				replacementNode._left = node._left;
+				if (replacementNode._left)
+					replacementNode._left._parent = replacementNode;
+				if (node == this._minNode)
+					this._minNode = replacementNode;
+			}
+
+			// Update the parent of the node being removed to point to its replace
+			if (node.isLeftChild()) {
+				node._parent._left = replacementNode;
+			} else if (node.isRightChild()) {
+				node._parent._right = replacementNode;
+			} else {
+				this._root = replacementNode;
+			}
+
+			// Balance the tree and refresh the counts above the removed node
+			this._balance( balanceBegin ? balanceBegin : replacementNode);
+		} else {
+			// If the node is a leaf, remove it and balance starting from its parent
+			if (node.isLeftChild()) {
+				node._parent._left = null;
+				if (node == this._minNode)
+					this._minNode = node._parent;
+				this._balance(node._parent);
+			} else if (node.isRightChild()) {
+				node._parent._right = null;
+				if (node == this._maxNode)
+					this._maxNode = node._parent;
+				this._balance(node._parent);
+			} else {
+				this._setRoot(null);
+			}
+		}
+		return node;
+	};
+
+	/**
+	 * Returns the node with the largest value <= the specified value, or < the
+	 * value if inclusive is false.
+	 *
+	 * @param {*} value Value to search from.
+	 * @param {boolean} inclusive Whether a node equal to value may be returned.
+	 * @return {AVLTree.Node} The floor node or null if there is none.
+	 * @private
+	 */
+	AVLTree.prototype._getFloorNode = function(value, inclusive) {
+		var floorNode = null;
+		this._traverse(function(node) {
+			var cmp = this._comparator(node.value, value);
+			if (cmp < 0 || (cmp == 0 && inclusive)) {
+				floorNode = node;
+				return cmp == 0 ? null : node._right;
+			}
+			return node._left;  // If null, we'll stop traversing the tree
+		});
+		return floorNode;
+	};
+
+	/**
+	 * Returns the node with the smallest value >= the specified value, or > the
+	 * value if inclusive is false.
+	 *
+	 * @param {*} value Value to search from.
+	 * @param {boolean} inclusive Whether a node equal to value may be returned.
+	 * @return {AVLTree.Node} The ceiling node or null if there is none.
+	 * @private
+	 */
+	AVLTree.prototype._getCeilingNode = function(value, inclusive) {
+		var ceilingNode = null;
+		this._traverse(function(node) {
+			var cmp = this._comparator(node.value, value);
+			if (cmp > 0 || (cmp == 0 && inclusive)) {
+				ceilingNode = node;
+				return cmp == 0 ? null : node._left;
+			}
+			return node._right;  // If null, we'll stop traversing the tree
+		});
+		return ceilingNode;
+	};
+
+	/**
+	 * Counts the values in the tree that are < the specified value, or <= the
+	 * value if inclusive is true. Uses the subtree counts, so only one path from
+	 * the root is walked.
+	 *
+	 * @param {*} value Value to count up to.
+	 * @param {boolean} inclusive Whether values equal to value are counted.
+	 * @return {number} The number of values before value.
+	 * @private
+	 */
+	AVLTree.prototype._countBefore = function(value, inclusive) {
+		var count = 0;
+		this._traverse(function(node) {
+			var cmp = this._comparator(node.value, value);
+			var leftCount = node._left ? node._left.count : 0;
+			if (cmp > 0) {
+				return node._left;
+			} else if (cmp < 0) {
+				count += leftCount + node.multiplicity;
+				return node._right;
+			}
+			count += leftCount + (inclusive ? node.multiplicity : 0);
+			return null;  // Found the value, stop traversing the tree
+		});
+		return count;
+	};
+
+	/**
+	 * Returns the node in the tree that has n values before it in an in-order
+	 * traversal, optionally rooted at the root node. Duplicates in a multiset
+	 * tree are counted, so consecutive n may return the same node.
+	 *
+	 * @param {number} n The number of values before the value to be returned in
+	 *     an in-order traversal, where 0 <= n < root.count.
+	 * @param {AVLTree.Node=} rootNode Optional root node.
+	 * @return {AVLTree.Node} The node at the specified index.
+	 * @private
+	 */
+	AVLTree.prototype._getNthNode = function(n, rootNode) {
+		var root = rootNode || this._root;
+		if (this._stats) {
+			this._stats.nodesVisited++;
+		}
+		var numNodesInLeftSubtree = root._left ? root._left.count : 0;
+
+		if (n < numNodesInLeftSubtree) {
+			return this._getNthNode(n, root._left);
+		} else if (n < numNodesInLeftSubtree + root.multiplicity) {
+			return root;
+		} else {
+			return this._getNthNode(n - numNodesInLeftSubtree - root.multiplicity,
+					root._right);
+		}
+	};
+
+	/**
+	 * Returns the key of a value to store in the tree, which is the value
+	 * itself unless the tree has a key function.
+	 *
+	 * @param {*} value The value.
+	 * @return {*} The value's key.
+	 * @private
+	 */
+	AVLTree.prototype._keyOf = function(value) {
+		return this._keyFn ? this._keyFn(value) : value;
+	};
+
+	/**
+	 * Returns the key to look up for a lookup argument, which in a tree with a
+	 * key function may be a key or a stored object, see LOOKUP_KEY.
+	 *
+	 * @param {*} value The value, key or stored object.
+	 * @return {*} The key to look up.
+	 * @private
+	 */
+	AVLTree.prototype._lookupKey = function(value) {
+		return this._keyFn ? LOOKUP_KEY(this._keyFn, value) : value;
+	};
+
+	/**
+	 * Compares two values to store in the tree, which are objects in a tree
+	 * with a key function.
+	 *
+	 * @param {*} a The first value.
+	 * @param {*} b The second value.
+	 * @return {number} A negative number if a < b, positive if a > b, 0
+	 *     otherwise.
+	 * @private
+	 */
+	AVLTree.prototype._compareValues = function(a, b) {
+		return this._comparator(a, this._keyOf(b));
+	};
+
+	/**
+	 * Returns the values sorted by the specified comparator, sorting them only
+	 * if they are out of order.
+	 *
+	 * @param {!Array} values The values, which may be sorted in place.
+	 * @param {!Function} comparator The comparator of the values.
+	 * @return {!Array} The sorted values.
+	 * @private
+	 */
+	AVLTree.prototype._sortValues = function(values, comparator) {
+		for (var i = 1; i < values.length; i++) {
+			if (comparator(values[i - 1], values[i]) > 0) {
+				values.sort(comparator);
+				break;
+			}
+		}
+		return values;
+	};
+
+	/**
+	 * Returns the index of the first of the sorted keys between the lo and hi
+	 * indices which is >= the pivot's key, or > the pivot's key if after is
+	 * true, and hi + 1 if there is none.
+	 *
+	 * @param {!Array} keys The sorted keys.
+	 * @param {*} pivot The stored value to search for.
+	 * @param {number} lo Index of the first key to search.
+	 * @param {number} hi Index of the last key to search.
+	 * @param {boolean} after Whether to skip the keys equal to the pivot's.
+	 * @return {number} The index.
+	 * @private
+	 */
+	AVLTree.prototype._bisect = function(keys, pivot, lo, hi, after) {
+		hi++;
+		while (lo < hi) {
+			var mid = (lo + hi) >>> 1;
+			var cmp = -this._comparator(pivot, keys[mid]);
+			if (cmp < 0 || (after && cmp == 0)) {
+				lo = mid + 1;
+			} else {
+				hi = mid;
+			}
+		}
+		return lo;
+	};
+
+	/**
+	 * Adds the sorted values between the lo and hi indices to the detached
+	 * subtree rooted at node. The values are divided around the node's value,
+	 * each child takes its part recursively and the children are joined back
+	 * on with the node.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {!Array} values The sorted values.
+	 * @param {!Array} keys The keys of the values, which are the values
+	 *     themselves unless the tree has a key function.
+	 * @param {number} lo Index of the first value to add.
+	 * @param {number} hi Index of the last value to add.
+	 * @param {{inserted: number}} stats Counts the inserted values.
+	 * @return {AVLTree.Node} The root of the new subtree.
+	 * @private
+	 */
+	AVLTree.prototype._addSorted = function(node, values, keys, lo, hi, stats) {
+		if (lo > hi) {
+			return node;
+		}
+		if (!node) {
+			var root = this._buildFromSorted(values.slice(lo, hi + 1), true);
+			stats.inserted += root.count;
+			return root;
+		}
+
+		var first = this._bisect(keys, node.value, lo, hi, false);
+		var last = this._bisect(keys, node.value, first, hi, true);
+		var children = this._detachChildren(node);
+		var left = this._addSorted(children.left, values, keys, lo, first - 1,
+				stats);
+		var right = this._addSorted(children.right, values, keys, last, hi,
+				stats);
+		if (last > first && this._multiset) {
+			node = this._own(node);
+			node.multiplicity += last - first;
+			stats.inserted += last - first;
+		}
+		return this._join(left, node, right);
+	};
+
+	/**
+	 * Removes the sorted values between the lo and hi indices from the
+	 * detached subtree rooted at node, one copy per value, in the same way as
+	 * _addSorted.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {!Array} values The sorted keys of the values.
+	 * @param {number} lo Index of the first value to remove.
+	 * @param {number} hi Index of the last value to remove.
+	 * @param {{removed: number}} stats Counts the removed values.
+	 * @return {AVLTree.Node} The root of the new subtree.
+	 * @private
+	 */
+	AVLTree.prototype._removeSorted = function(node, values, lo, hi, stats) {
+		if (lo > hi || !node) {
+			return node;
+		}
+
+		var first = this._bisect(values, node.value, lo, hi, false);
+		var last = this._bisect(values, node.value, first, hi, true);
+		var children = this._detachChildren(node);
+		var left = this._removeSorted(children.left, values, lo, first - 1,
+				stats);
+		var right = this._removeSorted(children.right, values, last, hi,
+				stats);
+		var removed = Math.min(last - first, node.multiplicity);
+		stats.removed += removed;
+		if (removed == node.multiplicity) {
+			return this._join2(left, right);
+		} else if (removed) {
+			node = this._own(node);
+			node.multiplicity -= removed;
+		}
+		return this._join(left, node, right);
+	};
+
+	/**
+	 * Converts the start and end arguments of slice() to indexes in the tree,
+	 * counting negative ones from the end and clamping them to the tree.
+	 *
+	 * @param {number=} start The start index, 0 if not given.
+	 * @param {number=} end The end index, the count of the tree if not given.
+	 * @return {{start: number, end: number}} The clamped indexes.
+	 * @private
+	 */
+	AVLTree.prototype._toRankRange = function(start, end) {
+		var count = this.getCount();
+		start = start == null ? 0 : Math.floor(start);
+		end = end == null ? count : Math.floor(end);
+		return {
+			start: start < 0 ? Math.max(count + start, 0) :
+					Math.min(start, count),
+			end: end < 0 ? Math.max(count + end, 0) : Math.min(end, count)
+		};
+	};
+
+	/**
+	 * Returns the node with the smallest value in tree, optionally rooted at
+	 * the root node.
+	 *
+	 * @param {AVLTree.Node=} rootNode Optional root node.
+	 * @return {AVLTree.Node} The node with the smallest value in
+	 *     the tree.
+	 * @private
+	 */
+	AVLTree.prototype._getMinNode = function(rootNode) {
+		if (!rootNode) {
+			return this._minNode;
+		}
+
+		var minNode = rootNode;
+		this._traverse(function(node) {
+			var retNode = null;
+			if (node._left) {
+				minNode = node._left;
+				retNode = node._left;
+			}
+			return retNode;
+			// If null, we'll stop traversing the tree
+		}, rootNode);
+
+		return minNode;
+	};
+
+	/**
+	 * Returns the node with the largest value in tree, optionally rooted at
+	 * the root node.
+	 *
+	 * @param {AVLTree.Node=} rootNode Optional root node.
+	 * @return {AVLTree.Node} The node with the largest value in
+	 *     the tree.
+	 * @private
+	 */
+	AVLTree.prototype._getMaxNode = function(rootNode) {
+		if (!rootNode) {
+			return this._maxNode;
+		}
+
+		var maxNode = rootNode;
+		this._traverse(function(node) {
+			var retNode = null;
+			if (node._right) {
+				maxNode = node._right;
+				retNode = node._right;
+			}
+			return retNode;
+			// If null, we'll stop traversing the tree
+		}, rootNode);
+
+		return maxNode;
+	};
+
+	/**
+	 * Creates a new, empty tree with the same comparator and options as this
+	 * tree.
+	 *
+	 * @return {!AVLTree} An empty tree of the same type.
+	 * @private
+	 */
+	AVLTree.prototype._cloneEmpty = function() {
+		var comparator = this._stats ? this._uncountedComparator :
+				this._comparator;
+		var tree = new this.constructor(comparator);
+		tree._multiset = this._multiset;
+		tree._aggregate = this._aggregate;
+		tree._keyFn = this._keyFn;
+		tree._baseComparator = this._baseComparator;
+		tree._keyComparator = this._keyFn ? this._keyComparator :
+				tree._comparator;
+		tree._maxSize = this._maxSize;
+		tree._evictionPolicy = this._evictionPolicy;
+		tree._onEvict = this._onEvict;
+		tree._iterationMode = this._iterationMode;
+		if (this._stats) {
+			tree._instrument();  // Gather the new tree's statistics apart
+		}
+		return tree;
+	};
+
+	/**
+	 * Joins the subtrees rooted at left and right with the detached node between
+	 * them, where left < node < right. The node is attached along the spine of
+	 * the taller subtree at the first point where the heights differ by at most
+	 * one, and the tree is rebalanced from there, so this takes O(|h(left) -
+	 * h(right)|) time. The tree's root pointer is used as scratch space.
+	 *
+	 * @param {AVLTree.Node} left Root of the smaller values' subtree, or null.
+	 * @param {AVLTree.Node} node The node to join the subtrees with.
+	 * @param {AVLTree.Node} right Root of the larger values' subtree, or null.
+	 * @return {AVLTree.Node} The root of the joined subtree.
+	 * @private
+	 */
+	AVLTree.prototype._join = function(left, node, right) {
+		var leftHeight = left ? left.height : 0;
+		var rightHeight = right ? right.height : 0;
+		var parent = null;
+
+		// Walk down the spine of the taller subtree to find where node belongs,
+		// making the nodes on the way the tree's own
+		node = this._own(node);
+		if (leftHeight > rightHeight + 1) {
+			this._root = left;
+			parent = this._own(left);
+			while (parent._right && parent._right.height > rightHeight + 1) {
+				parent = this._own(parent._right);
+			}
+			left = parent._right;
+			parent._right = node;
+		} else if (rightHeight > leftHeight + 1) {
+			this._root = right;
+			parent = this._own(right);
+			while (parent._left && parent._left.height > leftHeight + 1) {
+				parent = this._own(parent._left);
+			}
+			right = parent._left;
+			parent._left = node;
+		} else {
+			this._root = node;
+		}
+
+		// Attach the subtrees to the node
+		node._parent = parent;
+		node._left = left;
+		node._right = right;
+		if (left) {
+			left._parent = node;
+		}
+		if (right) {
+			right._parent = node;
+		}
+
+		// Rebalance and refresh the counts from the node up
+		var joining = this._joining;
+		this._joining = true;
+		this._balance(node);
+		this._joining = joining;
+
+		return this._root;
+	};
+
+	/**
+	 * Splits the subtree rooted at the specified node around the pivot value by
+	 * splitting the child subtree on the pivot's side and joining the other
+	 * child back on with the node.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree to split, or null.
+	 * @param {*} pivot The value to split the subtree around.
+	 * @return {{left: AVLTree.Node, right: AVLTree.Node, node: AVLTree.Node}}
+	 *     The roots of the subtrees holding the values < pivot and > pivot, and
+	 *     the node holding the pivot if there is one.
+	 * @private
+	 */
+	AVLTree.prototype._split = function(node, pivot) {
+		if (!node) {
+			return { left: null, right: null, node: null };
+		}
+
+		// Detach the node's children
+		var left = node._left, right = node._right;
+		if (left) {
+			left._parent = null;
+		}
+		if (right) {
+			right._parent = null;
+		}
+
+		var parts;
+		var cmp = this._comparator(node.value, pivot);
+		if (cmp > 0) {
+			parts = this._split(left, pivot);
+			parts.right = this._join(parts.right, node, right);
+		} else if (cmp < 0) {
+			parts = this._split(right, pivot);
+			parts.left = this._join(left, node, parts.left);
+		} else {
+			parts = { left: left, right: right, node: node };
+		}
+		return parts;
+	};
+
+	/**
+	 * Sets up the tree's comparator for a constructor, wrapping it to extract
+	 * the keys of stored objects and to validate the comparisons if the
+	 * options ask for it.
+	 *
+	 * @param {Function|Object=} comparator The comparator, or the options.
+	 * @param {Object=} options Optional tree options.
+	 * @return {Object} The options, wherever they were given.
+	 * @private
+	 */
+	AVLTree.prototype._initComparator = function(comparator, options) {
+		if (comparator && typeof comparator === "object") {
+			options = comparator;
+			comparator = options.comparator;
+		}
+
+		this._comparator = this._baseComparator = comparator ||
+				AVLTree.DEFAULT_COMPARATOR;
+		if (options && options.validateComparator) {
+			this._comparator = VALIDATING_COMPARATOR(this._comparator);
+		}
+		this._keyComparator = this._comparator;
+		if (options && options.key) {
+			this._keyFn = options.key;
+			this._comparator = KEY_COMPARATOR(options.key, this._comparator);
+		}
+		return options;
+	};
+
+	/**
+	 * Starts gathering statistics, wrapping the comparator to count its calls.
+	 *
+	 * @private
+	 */
+	AVLTree.prototype._instrument = function() {
+		this._stats = {};
+		this.resetStats();
+		this._uncountedComparator = this._comparator;
+		this._comparator = COUNTING_COMPARATOR(this._comparator, this._stats);
+		if (!this._keyFn) {
+			this._keyComparator = this._comparator;
+		}
+	};
+
+	/**
+	 * Counts the start of an operation in the statistics, and the nodes
+	 * visited by the previous one.
+	 *
+	 * @private
+	 */
+	AVLTree.prototype._countOperation = function() {
+		var stats = this._stats;
+		var visited = stats.nodesVisited - stats.operationStart;
+		if (visited > stats.maxNodesVisited) {
+			stats.maxNodesVisited = visited;
+		}
+		stats.operationStart = stats.nodesVisited;
+		stats.operations++;
+	};
+
+	/**
+	 * Records the height and number of nodes of an instrumented tree if they
+	 * are the greatest so far.
+	 *
+	 * @private
+	 */
+	AVLTree.prototype._trackPeak = function() {
+		var stats = this._stats;
+		if (this._root) {
+			if (this._root.height > stats.peakHeight) {
+				stats.peakHeight = this._root.height;
+			}
+			if (this._root.size > stats.peakSize) {
+				stats.peakSize = this._root.size;
+			}
+		}
+	};
+
+	/**
+	 * Sets up the maxSize, evictionPolicy and onEvict options of a bounded
+	 * tree.
+	 *
+	 * @param {!Object} options The tree options.
+	 * @private
+	 */
+	AVLTree.prototype._initCapacity = function(options) {
+		var maxSize = options.maxSize;
+		if (typeof maxSize !== "number" || !(maxSize >= 0) ||
+				Math.floor(maxSize) !== maxSize) {
+			throw new Error("The maxSize must be a number >= 0");
+		}
+		var policy = options.evictionPolicy || "evict-min";
+		if (policy != "evict-min" && policy != "evict-max" &&
+				policy != "reject-new") {
+			throw new Error("Unknown eviction policy: " + policy);
+		}
+		this._maxSize = options.maxSize;
+		this._evictionPolicy = policy;
+		this._onEvict = options.onEvict || null;
+	};
+
+	/**
+	 * Adds a value to a tree with a maxSize, evicting a value first if the tree
+	 * is full and the eviction policy allows it.
+	 *
+	 * @param {*} value Value to insert into the tree.
+	 * @return {{inserted: boolean, rejected: boolean, evicted: boolean,
+	 *     evictedValue: *}} The outcome.
+	 * @private
+	 */
+	AVLTree.prototype._addBounded = function(value) {
+		var result = { inserted: false, rejected: false, evicted: false,
+				evictedValue: null };
+		if (!this._multiset && this.contains(this._keyOf(value))) {
+			return result;  // A duplicate is not inserted, so it needs no room
+		}
+
+		// Decide on the value to evict before the "beforeadd" event, so that
+		// handlers are only asked about values which can be inserted
+		var victim = null;
+		if (this.getCount() >= this._maxSize) {
+			victim = this._findVictim(value);
+			if (!victim) {
+				result.rejected = true;
+				return result;
+			}
+		}
+
+		// Ask the handlers about the eviction and the insertion before making
+		// either, so that a veto of either leaves the tree as it was
+		var evictEvent = this._evictionEvent(victim);
+		if (evictEvent && !this._allow("remove", evictEvent)) {
+			result.rejected = true;
+			return result;
+		}
+		var event = null;
+		if (this._isObserved("add")) {
+			event = { value: value,
+					rank: this._rankAfterEviction(value, victim) };
+			if (!this._allow("add", event)) {
+				return result;
+			}
+		}
+		if (!this._evict(victim, evictEvent, result)) {
+			return result;
+		}
+
+		this._beforeModify();
+		if (this._insert(value)) {
+			this._record({ type: "insert", value: value });
+			result.inserted = true;
+			if (event) {
+				this._emit("add", event);
+			}
+		}
+		return result;
+	};
+
+	/**
+	 * Returns the node to evict to make room for the value in a full tree, or
+	 * null if the value should be rejected instead. A value which would be
+	 * evicted itself straight away is rejected.
+	 *
+	 * @param {*} value The value to make room for.
+	 * @return {AVLTree.Node} The node to evict, or null.
+	 * @private
+	 */
+	AVLTree.prototype._findVictim = function(value) {
+		if (!this._root) {
+			return null;  // A maxSize of 0 leaves room for nothing
+		}
+		if (this._evictionPolicy == "evict-min" &&
+				this._compareValues(this._minNode.value, value) < 0) {
+			return this._minNode;
+		}
+		if (this._evictionPolicy == "evict-max" &&
+				this._compareValues(this._maxNode.value, value) > 0) {
+			return this._maxNode;
+		}
+		return null;
+	};
+
+	/**
+	 * Returns the rank the value will have once it is inserted, after the
+	 * victim is evicted.
+	 *
+	 * @param {*} value The value to insert.
+	 * @param {AVLTree.Node} victim The node to evict, or null.
+	 * @return {number} The rank of the value.
+	 * @private
+	 */
+	AVLTree.prototype._rankAfterEviction = function(value, victim) {
+		var rank = this.rank(this._keyOf(value));
+		return victim && this._compareValues(victim.value, value) < 0 ?
+				rank - 1 : rank;
+	};
+
+	/**
+	 * Returns the "remove" event of evicting one copy of the victim's value,
+	 * or null if there is no victim or removals are not observed.
+	 *
+	 * @param {AVLTree.Node} victim The node to evict, or null.
+	 * @return {Object} The event's properties, or null.
+	 * @private
+	 */
+	AVLTree.prototype._evictionEvent = function(victim) {
+		if (!victim || !this._isObserved("remove")) {
+			return null;
+		}
+		return { value: victim.value, rank: this.rank(this._keyOf(victim.value)),
+				count: 1 };
+	};
+
+	/**
+	 * Makes room for a new value once the handlers have allowed it, removing
+	 * one copy of the victim's value and reporting it to the onEvict callback.
+	 * The handlers may have changed the tree since the victim was chosen, so
+	 * the victim is looked up again, and the new value is rejected if the tree
+	 * would still be full without it.
+	 *
+	 * @param {AVLTree.Node} victim The node to evict, or null.
+	 * @param {Object} event The "remove" event to fire once the victim is
+	 *     evicted, or null.
+	 * @param {!Object} result The outcome of the insertion to update.
+	 * @return {boolean} Whether there is room for the new value.
+	 * @private
+	 */
+	AVLTree.prototype._evict = function(victim, event, result) {
+		var node = victim && this._findNode(this._keyOf(victim.value));
+		if (this.getCount() - (node ? 1 : 0) >= this._maxSize) {
+			result.rejected = true;
+			return false;
+		}
+		if (!node) {
+			return true;
+		}
+
+		var value = node.value, data = node.data;
+		this._removeValue(this._keyOf(value), false);
+		result.evicted = true;
+		result.evictedValue = value;
+		if (event) {
+			this._emit("remove", event);
+		}
+		if (this._onEvict) {
+			this._onEvict(value, data);
+		}
+		return true;
+	};
+
+	/**
+	 * Throws an error if a "reject-new" tree cannot hold the specified number
+	 * of values.
+	 *
+	 * @param {number} count The number of values.
+	 * @private
+	 */
+	AVLTree.prototype._checkCapacity = function(count) {
+		if (this._maxSize !== null && this._evictionPolicy == "reject-new" &&
+				count > this._maxSize) {
+			throw new Error("The " + count + " values do not fit in the " +
+					"maxSize of " + this._maxSize);
+		}
+	};
+
+	/**
+	 * Returns the number of the values which adding them would insert: all of
+	 * them in a multiset tree, and those which are not in the tree yet, once
+	 * each, in a set tree.
+	 *
+	 * @param {!Array} values The values to add.
+	 * @return {number} The number of new values.
+	 * @private
+	 */
+	AVLTree.prototype._countNewValues = function(values) {
+		if (this._multiset) {
+			return values.length;
+		}
+
+		var tree = this;
+		var sorted = this._sortValues(values.slice(), function(a, b) {
+			return tree._compareValues(a, b);
+		});
+		var count = 0;
+		for (var i = 0; i < sorted.length; i++) {
+			var key = this._keyOf(sorted[i]);
+			var duplicate = i > 0 && this._comparator(sorted[i - 1], key) == 0;
+			if (!duplicate && !this._findNode(key)) {
+				count++;
+			}
+		}
+		return count;
+	};
+
+	/**
+	 * Returns the root of a bounded tree before an operation on the whole
+	 * tree, giving up ownership of its nodes as a snapshot does, so that the
+	 * operation copies the nodes it changes and _enforceMaxSize() can restore
+	 * the tree. Only a "reject-new" tree is restored, so null is returned for
+	 * any other tree.
+	 *
+	 * @return {AVLTree.Node} The root, or null.
+	 * @private
+	 */
+	AVLTree.prototype._keepNodes = function() {
+		if (this._maxSize === null || this._evictionPolicy != "reject-new") {
+			return null;
+		}
+		this._owner = {};
+		return this._root;
+	};
+
+	/**
+	 * Brings a bounded tree back within its maxSize after an operation on the
+	 * whole tree, which fires no events. The values past the capacity are
+	 * evicted in bulk from the end the eviction policy says and reported to
+	 * the onEvict callback. A "reject-new" tree cannot choose which values to
+	 * reject, so it is restored from the root it had before the operation and
+	 * an error is thrown.
+	 *
+	 * @param {AVLTree.Node} root The root returned by _keepNodes() before the
+	 *     operation, or null for a new tree.
+	 * @private
+	 */
+	AVLTree.prototype._enforceMaxSize = function(root) {
+		var count = this.getCount();
+		if (this._maxSize === null || count <= this._maxSize) {
+			return;
+		}
+		if (this._evictionPolicy == "reject-new") {
+			this._setRoot(this._copyNodes(root, null));
+			this._checkCapacity(count);
+		}
+
+		// Note the evicted values and their associated values before they go
+		var excess = count - this._maxSize;
+		var start = this._evictionPolicy == "evict-min" ? 0 : this._maxSize;
+		var node = this._getNthNode(start);
+		var copy = start - this._countBefore(this._keyOf(node.value), false);
+		var evicted = [];
+		for (var i = 0; i < excess; i++) {
+			evicted.push({ value: node.value, data: node.data });
+			if (++copy == node.multiplicity) {
+				node = this._getNextNode(node);
+				copy = 0;
+			}
+		}
+
+		this._cutRange({ start: start, end: start + excess });
+		if (this._onEvict) {
+			for (i = 0; i < evicted.length; i++) {
+				this._onEvict(evicted[i].value, evicted[i].data);
+			}
+		}
+	};
+
+	/**
+	 * Throws an error unless the other tree orders its values with the same
+	 * comparator as this tree.
+	 *
+	 * @param {AVLTree} other The tree to check.
+	 * @private
+	 */
+	AVLTree.prototype._checkComparator = function(other) {
+		// Each tree wraps its comparator, so compare what the wrappers are
+		// made of
+		if (this._baseComparator !== other._baseComparator ||
+				this._keyFn !== other._keyFn) {
+			throw new Error("Both trees must use the same comparator");
+		}
+	};
+
+	/**
+	 * Walks this tree and the other tree in order together, calling func with
+	 * each pair of nodes holding equal values, or with a node and null for a
+	 * value only in this tree, or null and a node for a value only in the
+	 * other, until func returns true. Nodes and whole subtrees which the trees
+	 * share hold the same values in both, so they are skipped.
+	 *
+	 * Each walk keeps a stack of what is left to visit, in order from the top:
+	 * whole subtrees, and single nodes whose left subtree has been visited.
+	 * Whole subtrees on top are split into their left subtree, root and right
+	 * subtree, the taller of the two first, until both tops are single nodes
+	 * or the same subtree.
+	 *
+	 * @param {AVLTree} other A tree with the same comparator.
+	 * @param {function(AVLTree.Node, AVLTree.Node): boolean} func Function
+	 *     called with each pair of nodes.
+	 * @private
+	 */
+	AVLTree.prototype._mergeWalk = function(other, func) {
+		var nodes = [], wholes = [], otherNodes = [], otherWholes = [];
+		if (this._root) {
+			nodes.push(this._root);
+			wholes.push(true);
+		}
+		if (other._root) {
+			otherNodes.push(other._root);
+			otherWholes.push(true);
+		}
+
+		// Replaces the whole subtree on top of a stack with its parts
+		var split = function(nodes, wholes) {
+			var node = nodes.pop();
+			wholes.pop();
+			if (node._right) {
+				nodes.push(node._right);
+				wholes.push(true);
+			}
+			nodes.push(node);
+			wholes.push(false);
+			if (node._left) {
+				nodes.push(node._left);
+				wholes.push(true);
+			}
+		};
+
+		while (nodes.length || otherNodes.length) {
+			var i = nodes.length - 1, j = otherNodes.length - 1;
+			var node = i >= 0 ? nodes[i] : null;
+			var otherNode = j >= 0 ? otherNodes[j] : null;
+			var whole = node && wholes[i];
+			var otherWhole = otherNode && otherWholes[j];
+			if (node === otherNode && whole == otherWhole) {
+				nodes.pop();
+				wholes.pop();
+				otherNodes.pop();
+				otherWholes.pop();
+			} else if (whole || otherWhole) {
+				if (whole && (!otherWhole || node.height >= otherNode.height)) {
+					split(nodes, wholes);
+				}
+				if (otherWhole && (!whole || otherNode.height >= node.height)) {
+					split(otherNodes, otherWholes);
+				}
+			} else {
+				var cmp = !node ? 1 : !otherNode ? -1 :
+						this._compareValues(node.value, otherNode.value);
+				if (cmp <= 0) {
+					nodes.pop();
+					wholes.pop();
+				}
+				if (cmp >= 0) {
+					otherNodes.pop();
+					otherWholes.pop();
+				}
+				if (func(cmp <= 0 ? node : null, cmp >= 0 ? otherNode : null)) {
+					return;
+				}
+			}
+		}
+	};
+
+	/**
+	 * Returns a copy of this tree with the same shape and options.
+	 *
+	 * @return {!AVLTree} The copy.
+	 * @private
+	 */
+	AVLTree.prototype._copy = function() {
+		var tree = this._cloneEmpty();
+		tree._setRoot(tree._copyNodes(this._root, null));
+		return tree;
+	};
+
+	/**
+	 * Recursively copies the subtree rooted at the specified node into fresh
+	 * nodes with the same shape.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree to copy, or null.
+	 * @param {AVLTree.Node} parent The parent of the copied subtree's root.
+	 * @return {AVLTree.Node} The root of the copy.
+	 * @private
+	 */
+	AVLTree.prototype._copyNodes = function(node, parent) {
+		if (!node) {
+			return null;
+		}
+
+		var copy = this._copyNode(node, parent);
+		copy._left = this._copyNodes(node._left, copy);
+		copy._right = this._copyNodes(node._right, copy);
+		return copy;
+	};
+
+	/**
+	 * Copies a single node into a fresh node owned by the tree, which has the
+	 * same children.
+	 *
+	 * @param {!AVLTree.Node} node The node to copy.
+	 * @param {AVLTree.Node} parent The parent of the copy.
+	 * @return {!AVLTree.Node} The copy.
+	 * @private
+	 */
+	AVLTree.prototype._copyNode = function(node, parent) {
+		var copy = this._newNode(node.value, parent);
+		if (node.hasOwnProperty("multiplicity")) {
+			copy.multiplicity = node.multiplicity;
+		}
+		if (node.hasOwnProperty("data")) {
+			copy.data = node.data;
+		}
+		if (node.hasOwnProperty("aggregate")) {
+			copy.aggregate = node.aggregate;
+		}
+		copy.height = node.height;
+		copy.count = node.count;
+		copy.size = node.size;
+		copy._left = node._left;
+		copy._right = node._right;
+		return copy;
+	};
+
+	/**
+	 * Joins two subtrees where left < right, without a node between them, by
+	 * taking the minimum node out of right and joining the subtrees with it.
+	 *
+	 * @param {AVLTree.Node} left Root of the smaller values' subtree, or null.
+	 * @param {AVLTree.Node} right Root of the larger values' subtree, or null.
+	 * @return {AVLTree.Node} The root of the joined subtree.
+	 * @private
+	 */
+	AVLTree.prototype._join2 = function(left, right) {
+		if (!left || !right) {
+			return left || right;
+		}
+
+		var node = this._getMinNode(right);
+		var joining = this._joining;
+		this._root = right;
+		this._joining = true;
+		node = this._removeNode(node);
+		this._joining = joining;
+		return this._join(left, node, this._root);
+	};
+
+	/**
+	 * Reduces a detached node to the specified number of copies, adding the
+	 * copies taken off to the removed values.
+	 *
+	 * @param {AVLTree.Node} node The node to trim, or null.
+	 * @param {number} kept The number of copies to keep.
+	 * @param {!Array} removed The removed values to add to.
+	 * @return {AVLTree.Node} The node, or null if no copies are kept.
+	 * @private
+	 */
+	AVLTree.prototype._trimCopies = function(node, kept, removed) {
+		if (!node) {
+			return null;
+		}
+		for (var i = kept; i < node.multiplicity; i++) {
+			removed.push(node.value);
+		}
+		if (!kept) {
+			return null;
+		}
+		if (kept < node.multiplicity) {
+			node = this._own(node);
+			node.multiplicity = kept;
+		}
+		return node;
+	};
+
+	/**
+	 * Adds the values of the subtree rooted at the specified node to an array
+	 * in order, once for every copy.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {!Array} values The array to add the values to.
+	 * @private
+	 */
+	AVLTree.prototype._collectValues = function(node, values) {
+		if (!node) {
+			return;
+		}
+		this._collectValues(node._left, values);
+		for (var i = 0; i < node.multiplicity; i++) {
+			values.push(node.value);
+		}
+		this._collectValues(node._right, values);
+	};
+
+	/**
+	 * Detaches the children of the specified node and returns them.
+	 *
+	 * @param {AVLTree.Node} node The node to detach the children of.
+	 * @return {{left: AVLTree.Node, right: AVLTree.Node}} The detached children.
+	 * @private
+	 */
+	AVLTree.prototype._detachChildren = function(node) {
+		var children = { left: node._left, right: node._right };
+		if (children.left) {
+			children.left._parent = null;
+		}
+		if (children.right) {
+			children.right._parent = null;
+		}
+		return children;
+	};
+
+	/**
+	 * Merges two detached subtrees into one holding the values of both. The
+	 * second subtree is split around the first one's root and the halves are
+	 * merged recursively, which takes O(m log(n / m + 1)) time for subtrees of
+	 * sizes m <= n. Both subtrees are consumed.
+	 *
+	 * @param {AVLTree.Node} a Root of the first subtree, or null.
+	 * @param {AVLTree.Node} b Root of the second subtree, or null.
+	 * @return {AVLTree.Node} The root of the merged subtree.
+	 * @private
+	 */
+	AVLTree.prototype._union = function(a, b) {
+		if (!a || !b) {
+			return a || b;
+		}
+
+		var children = this._detachChildren(a);
+		var parts = this._split(b, this._keyOf(a.value));
+		var left = this._union(children.left, parts.left);
+		var right = this._union(children.right, parts.right);
+		if (parts.node && parts.node.multiplicity > a.multiplicity) {
+			a = this._own(a);
+			a.multiplicity = parts.node.multiplicity;
+		}
+		return this._join(left, a, right);
+	};
+
+	/**
+	 * Intersects two detached subtrees in the same way as _union. Both subtrees
+	 * are consumed.
+	 *
+	 * @param {AVLTree.Node} a Root of the first subtree, or null.
+	 * @param {AVLTree.Node} b Root of the second subtree, or null.
+	 * @return {AVLTree.Node} The root of the intersection.
+	 * @private
+	 */
+	AVLTree.prototype._intersection = function(a, b) {
+		if (!a || !b) {
+			return null;
+		}
+
+		var children = this._detachChildren(a);
+		var parts = this._split(b, this._keyOf(a.value));
+		var left = this._intersection(children.left, parts.left);
+		var right = this._intersection(children.right, parts.right);
+		if (!parts.node) {
+			return this._join2(left, right);
+		}
+		if (parts.node.multiplicity < a.multiplicity) {
+			a = this._own(a);
+			a.multiplicity = parts.node.multiplicity;
+		}
+		return this._join(left, a, right);
+	};
+
+	/**
+	 * Removes the values of subtree b from subtree a by splitting a around b's
+	 * root and recursing on both halves. Both subtrees are consumed.
+	 *
+	 * @param {AVLTree.Node} a Root of the subtree to remove values from, or null.
+	 * @param {AVLTree.Node} b Root of the subtree of values to remove, or null.
+	 * @return {AVLTree.Node} The root of the difference.
+	 * @private
+	 */
+	AVLTree.prototype._difference = function(a, b) {
+		if (!a || !b) {
+			return a;
+		}
+
+		var children = this._detachChildren(b);
+		var parts = this._split(a, this._keyOf(b.value));
+		var left = this._difference(parts.left, children.left);
+		var right = this._difference(parts.right, children.right);
+		if (parts.node && parts.node.multiplicity > b.multiplicity) {
+			var node = this._own(parts.node);
+			node.multiplicity -= b.multiplicity;
+			return this._join(left, node, right);
+		}
+		return this._join2(left, right);
+	};
+
+	/**
+	 * Computes the symmetric difference of two detached subtrees in the same
+	 * way as _union. Both subtrees are consumed.
+	 *
+	 * @param {AVLTree.Node} a Root of the first subtree, or null.
+	 * @param {AVLTree.Node} b Root of the second subtree, or null.
+	 * @return {AVLTree.Node} The root of the symmetric difference.
+	 * @private
+	 */
+	AVLTree.prototype._symmetricDifference = function(a, b) {
+		if (!a || !b) {
+			return a || b;
+		}
+
+		var children = this._detachChildren(a);
+		var parts = this._split(b, this._keyOf(a.value));
+		var left = this._symmetricDifference(children.left, parts.left);
+		var right = this._symmetricDifference(children.right, parts.right);
+		if (parts.node) {
+			if (parts.node.multiplicity == a.multiplicity) {
+				return this._join2(left, right);
+			}
+			a = this._own(a);
+			a.multiplicity = Math.abs(a.multiplicity - parts.node.multiplicity);
+		}
+		return this._join(left, a, right);
+	};
+
+	/**
+	 * Builds a balanced subtree from the distinct values of a dump, checking
+	 * that they are in strictly ascending order.
+	 *
+	 * @param {Array} values The distinct values.
+	 * @param {Array.<number>=} multiplicities Optional multiplicity of each
+	 *     value.
+	 * @param {Array=} data Optional map value of each value.
+	 * @return {AVLTree.Node} The root of the new subtree.
+	 * @private
+	 */
+	AVLTree.prototype._buildFromDump = function(values, multiplicities, data) {
+		values = values || [];
+		for (var i = 1; i < values.length; i++) {
+			if (this._compareValues(values[i - 1], values[i]) >= 0) {
+				throw new Error("Values are not sorted by the comparator " +
+						"at index " + i);
+			}
+		}
+		return this._buildBalanced(values, multiplicities, 0, values.length - 1,
+				null, data);
+	};
+
+	/**
+	 * Collects the nodes to render in order, for the renderers. Each node is
+	 * described by an item holding the node, its label, depth, balance factor,
+	 * in-order index, parent and child items, and whether it is highlighted or
+	 * truncated. See toAscii() for the options.
+	 *
+	 * @param {Object=} options Optional rendering options.
+	 * @return {!Array.<Object>} The items of the rendered nodes in order.
+	 * @private
+	 */
+	AVLTree.prototype._layout = function(options) {
+		options = options || {};
+		var context = {
+			maxDepth: options.maxDepth == null ? Infinity : options.maxDepth,
+			format: options.format || function(value, node) {
+				var copies = node.multiplicity;
+				return String(value) + (copies > 1 ? " (" + copies + ")" : "");
+			},
+			path: []
+		};
+
+		// Collect the nodes on the search path of the highlighted value
+		if (options.highlight !== undefined) {
+			this._traverse(function(node) {
+				context.path.push(node);
+				var cmp = this._comparator(node.value, options.highlight);
+				return cmp > 0 ? node._left : cmp < 0 ? node._right : null;
+			});
+		}
+
+		var items = [];
+		this._layoutNodes(this._root, 0, null, context, items);
+		return items;
+	};
+
+	/**
+	 * Recursively adds the items of the nodes in the subtree rooted at the
+	 * specified node to items, in order.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {number} depth Depth of the node.
+	 * @param {Object} parent Item of the node's parent, or null.
+	 * @param {Object} context The maximum depth, format function and search path.
+	 * @param {Array.<Object>} items The items collected so far.
+	 * @return {Object} The item of the node, null if the node is not rendered.
+	 * @private
+	 */
+	AVLTree.prototype._layoutNodes = function(node, depth, parent, context,
+			items) {
+		if (!node || depth > context.maxDepth) {
+			return null;
+		}
+
+		var item = {
+			node: node,
+			label: String(context.format(node.value, node)),
+			depth: depth,
+			balance: (node._left ? node._left.height : 0) -
+					(node._right ? node._right.height : 0),
+			parent: parent,
+			highlighted: context.path.indexOf(node) >= 0,
+			truncated: depth == context.maxDepth && !!(node._left || node._right)
+		};
+		item.left = this._layoutNodes(node._left, depth + 1, item, context,
+				items);
+		item.index = items.length;
+		items.push(item);
+		item.right = this._layoutNodes(node._right, depth + 1, item, context,
+				items);
+		return item;
+	};
+
+	/**
+	 * Recursively converts the subtree rooted at the specified node into plain
+	 * nested objects for toJSON().
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {boolean} isMap Whether to include the nodes' data.
+	 * @return {Object} The dumped subtree, null if node is null.
+	 * @private
+	 */
+	AVLTree.prototype._dumpShape = function(node, isMap) {
+		if (!node) {
+			return null;
+		}
+
+		var dump = { value: node.value, height: node.height, count: node.count };
+		if (node.multiplicity != 1) {
+			dump.multiplicity = node.multiplicity;
+		}
+		if (isMap) {
+			dump.data = node.data === undefined ? null : node.data;
+		}
+		dump.left = this._dumpShape(node._left, isMap);
+		dump.right = this._dumpShape(node._right, isMap);
+		return dump;
+	};
+
+	/**
+	 * Recursively rebuilds the exact shape of a subtree dumped by _dumpShape.
+	 * Heights, counts and aggregates are recomputed rather than trusted, and
+	 * the values are checked to be in order.
+	 *
+	 * @param {Object} dump The dumped subtree, or null.
+	 * @param {AVLTree.Node} parent The parent of the restored subtree's root.
+	 * @param {{node: AVLTree.Node}} last Holds the last node restored in order.
+	 * @return {AVLTree.Node} The root of the restored subtree.
+	 * @private
+	 */
+	AVLTree.prototype._restoreShape = function(dump, parent, last) {
+		if (!dump) {
+			return null;
+		}
+
+		var node = this._newNode(dump.value, parent);
+		node._left = this._restoreShape(dump.left, node, last);
+		if (last.node && this._compareValues(last.node.value, node.value) >= 0) {
+			throw new Error("Values are not sorted by the comparator");
+		}
+		last.node = node;
+		if (dump.multiplicity > 1) {
+			node.multiplicity = dump.multiplicity;
+		}
+		if (dump.hasOwnProperty("data")) {
+			node.data = dump.data;
+		}
+		node._right = this._restoreShape(dump.right, node, last);
+		this._refresh(node);
+		return node;
+	};
+
+	/**
+	 * Recursively checks the subtree rooted at the specified node for
+	 * validate(), adding any problems found to errors.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree to check, or null.
+	 * @param {AVLTree.Node} parent The node's expected parent.
+	 * @param {Array.<Object>} errors The problems found so far.
+	 * @param {{previous: AVLTree.Node, min: AVLTree.Node, max: AVLTree.Node}}
+	 *     state The previous node in order and the min and max nodes found.
+	 * @return {{height: number, count: number}} The actual height and count of
+	 *     the subtree.
+	 * @private
+	 */
+	AVLTree.prototype._validateNode = function(node, parent, errors, state) {
+		if (!node) {
+			return { height: 0, count: 0, size: 0 };
+		}
+
+		var fail = function(check, message) {
+			errors.push({ check: check, value: node.value, message: message });
+		};
+
+		if (node._parent != parent) {
+			fail("parent",
+					"The node's parent pointer does not point at its parent");
+		}
+
+		var left = this._validateNode(node._left, node, errors, state);
+
+		// Every node must be greater than the one before it in order
+		if (state.previous &&
+				this._compareValues(state.previous.value, node.value) >= 0) {
+			fail("order",
+					"The node is not greater than the node before it in order");
+		}
+		if (!state.min) {
+			state.min = node;
+		}
+		state.previous = state.max = node;
+
+		var right = this._validateNode(node._right, node, errors, state);
+
+		var height = Math.max(left.height, right.height) + 1;
+		if (Math.abs(left.height - right.height) > 1) {
+			fail("balance", "The heights of the node's subtrees differ by " +
+					Math.abs(left.height - right.height));
+		}
+		if (node.height !== height) {
+			fail("height", "The stored height " + node.height + " should be " +
+					height);
+		}
+		if (!(node.multiplicity >= 1) || node.multiplicity % 1 != 0 ||
+				(node.multiplicity > 1 && !this._multiset)) {
+			fail("multiplicity", "The multiplicity " + node.multiplicity +
+					" is invalid");
+		}
+		var count = left.count + node.multiplicity + right.count;
+		if (node.count !== count) {
+			fail("count", "The stored count " + node.count + " should be " +
+					count);
+		}
+		var size = left.size + 1 + right.size;
+		if (node.size !== size) {
+			fail("size", "The stored size " + node.size + " should be " + size);
+		}
+
+		// The children's aggregates are checked on their own, so combine them
+		// with the node's value the way _refresh() does
+		var monoid = this._aggregate;
+		if (monoid) {
+			var aggregate = this._liftNode(node);
+			if (node._left) {
+				aggregate = monoid.combine(node._left.aggregate, aggregate);
+			}
+			if (node._right) {
+				aggregate = monoid.combine(aggregate, node._right.aggregate);
+			}
+			var same = monoid.equals ? monoid.equals(node.aggregate, aggregate) :
+					node.aggregate === aggregate;
+			if (!same && !monoid.equals && typeof aggregate === "object") {
+				same = JSON.stringify(node.aggregate) ===
+						JSON.stringify(aggregate);
+			}
+			if (!same) {
+				fail("aggregate", "The stored aggregate does not combine the " +
+						"node's value with its subtrees' aggregates");
+			}
+		}
+
+		return { height: height, count: count, size: size };
+	};
+
+	/**
+	 * Replaces the contents of the tree with the tree rooted at the specified
+	 * node and updates the minimum and maximum node pointers.
+	 *
+	 * @param {AVLTree.Node} root The new root node, or null to empty the tree.
+	 * @private
+	 */
+	AVLTree.prototype._setRoot = function(root) {
+		if (root) {
+			root._parent = null;
+		}
+		this._root = root;
+		this._minNode = root ? this._getMinNode(root) : null;
+		this._maxNode = root ? this._getMaxNode(root) : null;
+		if (this._stats) {
+			this._trackPeak();
+		}
+	};
+
+	/**
+	 * Builds a balanced subtree from values sorted by the tree's comparator.
+	 * Runs of equal values are folded into a single node in a multiset tree or
+	 * dropped if dedupe is true, and an error is thrown for any other value
+	 * which is out of order.
+	 *
+	 * @param {Array} values The sorted values.
+	 * @param {boolean} dedupe Whether duplicate values are silently dropped.
+	 * @return {AVLTree.Node} The root of the new subtree, null if values is
+	 *     empty.
+	 * @private
+	 */
+	AVLTree.prototype._buildFromSorted = function(values, dedupe) {
+		var distinct = [];
+		var multiplicities = [];
+		for (var i = 0; i < values.length; i++) {
+			var cmp = i ? this._compareValues(values[i - 1], values[i]) : -1;
+			if (cmp == 0 && this._multiset) {
+				multiplicities[distinct.length - 1]++;
+			} else if (cmp < 0) {
+				distinct.push(values[i]);
+				multiplicities.push(1);
+			} else if (cmp > 0 || !dedupe) {
+				throw new Error("Values are not sorted by the comparator " +
+						"at index " + i);
+			}
+		}
+		return this._buildBalanced(distinct, multiplicities, 0,
+				distinct.length - 1, null);
+	};
+
+	/**
+	 * Recursively builds a perfectly balanced subtree from the distinct, sorted
+	 * values between the lo and hi indices, setting each node's height, count,
+	 * aggregate and parent along the way.
+	 *
+	 * @param {Array} values The distinct sorted values.
+	 * @param {Array.<number>} multiplicities The multiplicity of each value.
+	 * @param {number} lo Index of the first value of the subtree.
+	 * @param {number} hi Index of the last value of the subtree.
+	 * @param {AVLTree.Node} parent The parent of the subtree's root.
+	 * @param {Array=} data Optional map values to store in the nodes' data.
+	 * @return {AVLTree.Node} The root of the subtree, null if lo > hi.
+	 * @private
+	 */
+	AVLTree.prototype._buildBalanced = function(values, multiplicities, lo, hi,
+			parent, data) {
+		if (lo > hi) {
+			return null;
+		}
+
+		var mid = lo + Math.floor((hi - lo) / 2);
+		var node = this._newNode(values[mid], parent);
+		if (multiplicities && multiplicities[mid] != 1) {
+			node.multiplicity = multiplicities[mid];
+		}
+		if (data) {
+			node.data = data[mid];
+		}
+		node._left = this._buildBalanced(values, multiplicities, lo, mid - 1,
+				node, data);
+		node._right = this._buildBalanced(values, multiplicities, mid + 1, hi,
+				node, data);
+		this._refresh(node);
+		return node;
+	};
+
+	/**
+	 * Returns the node that follows the specified node in an in-order traversal
+	 * by walking down its right subtree or up its parent pointers.
+	 *
+	 * @param {AVLTree.Node} node Node to start from.
+	 * @return {AVLTree.Node} The next node or null if node is the maximum.
+	 * @private
+	 */
+	AVLTree.prototype._getNextNode = function(node) {
+		if (node._right) {
+			return this._getMinNode(node._right);
+		}
+		while (node.isRightChild()) {
+			node = node._parent;
+		}
+		return node._parent;
+	};
+
+	/**
+	 * Returns the node that precedes the specified node in an in-order traversal
+	 * by walking down its left subtree or up its parent pointers.
+	 *
+	 * @param {AVLTree.Node} node Node to start from.
+	 * @return {AVLTree.Node} The previous node or null if node is the minimum.
+	 * @private
+	 */
+	AVLTree.prototype._getPrevNode = function(node) {
+		if (node._left) {
+			return this._getMaxNode(node._left);
+		}
+		while (node.isLeftChild()) {
+			node = node._parent;
+		}
+		return node._parent;
+	};
+
+	/**
+	 * Constructs an AVL-Tree node with the specified value. If no parent is
+	 * specified, the node's parent is assumed to be null and thus, root. The
+	 * node's height defaults to 1 and its children default to null.
+	 *
+	 * @param {*} value Value to store in the node.
+	 * @param {AVLTree.Node=} parent Optional parent node.
+	 * @constructor
+	 */
+	AVLTree.Node = function(value, parent) {
+		this.value = value;
+		this._parent = parent ? parent : null;
+		this.count = 1;  // Number of values in the subtree rooted at this node.
+	};
+	
+	/**
+	 * The node's left child. Null if the node does not have a left child.
+	 *
+	 * @type {AVLTree.Node?}
+	 */
+	AVLTree.Node.prototype._left = null;
+
+	/**
+	 * The node's right child. Null if the node does not have a right child.
+	 *
+	 * @type {AVLTree.Node?}
+	 */
+	AVLTree.Node.prototype._right = null;
+
+	/**
+	 * The height of the tree rooted at this node.
+	 *
+	 * @type {number}
+	 */
+	AVLTree.Node.prototype.height = 1;
+
+	/**
+	 * The number of nodes in the subtree rooted at this node, which is less
+	 * than its count in a multiset tree holding duplicates.
+	 *
+	 * @type {number}
+	 */
+	AVLTree.Node.prototype.size = 1;
+
+	/**
+	 * The number of copies of the value stored in this node. Always 1 unless
+	 * the tree is a multiset.
+	 *
+	 * @type {number}
+	 */
+	AVLTree.Node.prototype.multiplicity = 1;
+
+	/**
+	 * The aggregate of the values in the subtree rooted at this node, combined
+	 * in order with the tree's aggregate monoid. Null if the tree keeps no
+	 * aggregate.
+	 *
+	 * @type {*}
+	 */
+	AVLTree.Node.prototype.aggregate = null;
+
+	/**
+	 * The token of the tree that created this node. Only a tree holding the
+	 * same token may change the node in place.
+	 *
+	 * @type {Object}
+	 * @private
+	 */
+	AVLTree.Node.prototype._owner = null;
+
+	/**
+	 * Returns true if the specified node has a parent and is the right child of
+	 * its parent.
+	 *
+	 * @return {boolean} Whether the specified node has a parent and is the right
+	 *    child of its parent.
+	 */
+	AVLTree.Node.prototype.isRightChild = function() {
+		return !!this._parent && this._parent._right == this;
+	};
+
+	/**
+	 * Returns true if the specified node has a parent and is the left child of
+	 * its parent.
+	 *
+	 * @return {boolean} Whether the specified node has a parent and is the left
+	 *    child of its parent.
+	 */
+	AVLTree.Node.prototype.isLeftChild = function() {
+		return !!this._parent && this._parent._left == this;
+	};
+
+	/**
+	 * Constructs the error thrown by a fail-fast traversal, iterator or cursor
+	 * when the tree is modified while it runs, other than through the cursor
+	 * itself.
+	 *
+	 * @param {string=} message Optional error message.
+	 * @constructor
+	 * @extends {Error}
+	 */
+	AVLTree.ConcurrentModificationError = function(message) {
+		this.message = message || "The tree was modified during iteration";
+		this.stack = new Error(this.message).stack;
+	};
+	INHERITS(AVLTree.ConcurrentModificationError, Error);
+
+	/**
+	 * The name of the error.
+	 *
+	 * @type {string}
+	 */
+	AVLTree.ConcurrentModificationError.prototype.name =
+			"ConcurrentModificationError";
+
+	/**
+	 * Constructs an iterator over a tree. Iterators are returned by the tree's
+	 * values() method and should not be constructed directly. Each call to
+	 * next() returns an object with value and done properties, and duplicates in
+	 * a multiset tree are returned once per copy. A modification of the tree
+	 * between two calls to next() is handled according to the iteration mode.
+	 *
+	 * @param {AVLTree} tree The tree to iterate over.
+	 * @param {Object=} options Optional from and to bounds, reverse flag and
+	 *     iteration mode.
+	 * @param {Function} extractFn Function which returns the value to yield for
+	 *     a node.
+	 * @constructor
+	 */
+	AVLTree.Iterator = function(tree, options, extractFn) {
+		options = options || {};
+		this._tree = tree;
+		this._extractFn = extractFn;
+		this._reverse = !!options.reverse;
+		this._from = options.from;
+		this._fromInclusive = options.fromInclusive !== false;
+		this._to = options.to;
+		this._toInclusive = options.toInclusive !== false;
+		this._mode = tree._getIterationMode(options.mode);
+		this._modCount = tree._modCount;
+		this._seek();
+
+		if (this._mode == "snapshot") {
+			// The tree copies its nodes rather than change them
+			this._view = tree.snapshot();
+		}
+	};
+
+	/**
+	 * The snapshot a snapshot iterator walks, null in the other modes.
+	 *
+	 * @type {AVLTree.Persistent}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._view = null;
+
+	/**
+	 * The node holding the next value to return, null when the iteration is done.
+	 *
+	 * @type {AVLTree.Node}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._node = null;
+
+	/**
+	 * The number of copies of the current node's value already returned.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._offset = 0;
+
+	/**
+	 * Whether the iteration includes a value equal to its to bound.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._toInclusive = true;
+
+	/**
+	 * The tree's modification count when the iterator last looked at it.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._modCount = 0;
+
+	/**
+	 * The number of copies of the last returned value returned in a row, 0
+	 * before the first value is returned.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._lastCopies = 0;
+
+	/**
+	 * Whether the iterator has returned the end of the iteration, after which
+	 * it only ever returns the end.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._done = false;
+
+	/**
+	 * Returns the next value of the iteration.
+	 *
+	 * @return {{value: *, done: boolean}} The next iteration result.
+	 */
+	AVLTree.Iterator.prototype.next = function() {
+		// Until the end has been returned, a modification can add values ahead
+		if (!this._done && this._mode != "unchecked" &&
+				this._mode != "snapshot" &&
+				this._tree._modCount != this._modCount) {
+			this._resync();
+		}
+		var node = this._node;
+		if (!node) {
+			this._done = true;
+			return { value: undefined, done: true };
+		}
+		this._lastValue = node.value;
+		this._lastCopies = this._offset + 1;
+
+		// Move on once every copy of the node's value has been returned
+		if (++this._offset >= node.multiplicity) {
+			this._offset = 0;
+			this._node = this._getNextNode(node);
+			this._checkBound();
+		}
+		return { value: this._extractFn(node), done: false };
+	};
+
+	/**
+	 * Returns the node after the specified node in the iteration's direction.
+	 * A snapshot iterator looks it up from the root of its snapshot, as the
+	 * tree moves the parent pointers of the nodes it shares with a snapshot
+	 * over to its own copies.
+	 *
+	 * @param {!AVLTree.Node} node The node to move on from.
+	 * @return {AVLTree.Node} The next node, or null at the end of the tree.
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._getNextNode = function(node) {
+		if (this._view) {
+			var key = this._view._keyOf(node.value);
+			return this._reverse ? this._view._getFloorNode(key, false) :
+					this._view._getCeilingNode(key, false);
+		}
+		return this._reverse ? this._tree._getPrevNode(node) :
+				this._tree._getNextNode(node);
+	};
+
+	/**
+	 * Positions the iterator on the first node of the iteration.
+	 *
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._seek = function() {
+		var tree = this._tree;
+		if (this._from === undefined) {
+			this._node = this._reverse ? tree._getMaxNode() : tree._getMinNode();
+		} else if (this._reverse) {
+			this._node = tree._getFloorNode(this._from, this._fromInclusive);
+		} else {
+			this._node = tree._getCeilingNode(this._from, this._fromInclusive);
+		}
+		this._offset = 0;
+		this._checkBound();
+	};
+
+	/**
+	 * Handles a modification of the tree since the iterator last looked at it.
+	 * A fail-fast iterator throws, and a successor iterator finds the value
+	 * after the last one it returned.
+	 *
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._resync = function() {
+		if (this._mode == "fail-fast") {
+			throw new AVLTree.ConcurrentModificationError();
+		}
+		this._modCount = this._tree._modCount;
+		if (!this._lastCopies) {
+			this._seek();
+			return;
+		}
+
+		// Carry on with the copies of the last value that are left, if any
+		var tree = this._tree, key = tree._keyOf(this._lastValue);
+		var node = tree._findNode(key);
+		if (node && node.multiplicity > this._lastCopies) {
+			this._node = node;
+			this._offset = this._lastCopies;
+		} else {
+			this._node = this._reverse ? tree._getFloorNode(key, false) :
+					tree._getCeilingNode(key, false);
+			this._offset = 0;
+			this._checkBound();
+		}
+	};
+
+	/**
+	 * Ends the iteration if the next node lies beyond the iteration's to bound.
+	 *
+	 * @private
+	 */
+	AVLTree.Iterator.prototype._checkBound = function() {
+		if (this._node && this._to !== undefined) {
+			var cmp = this._tree._comparator(this._node.value, this._to);
+			if ((this._reverse ? cmp < 0 : cmp > 0) ||
+					(cmp == 0 && !this._toInclusive)) {
+				this._node = null;
+			}
+		}
+	};
+
+	/**
+	 * Constructs a cursor over a tree. Cursors are returned by the tree's
+	 * cursor() method and should not be constructed directly. A cursor is
+	 * positioned on one value at a time and can move in both directions along
+	 * the tree's parent pointers. Once it moves past either end of the tree,
+	 * peek() returns null until it is moved back. A modification of the tree
+	 * other than through the cursor is handled according to the iteration
+	 * mode. A successor cursor stays on its value if it is still in the tree,
+	 * and moves on to the following value otherwise.
+	 *
+	 * @param {AVLTree} tree The tree the cursor walks.
+	 * @param {AVLTree.Node} node The node to position the cursor on.
+	 * @param {string} mode The iteration mode.
+	 * @constructor
+	 */
+	AVLTree.Cursor = function(tree, node, mode) {
+		this._tree = tree;
+		this._node = node;
+		this._mode = mode;
+		this._modCount = tree._modCount;
+		this._view = mode == "snapshot" ? tree.snapshot() : tree;
+	};
+
+	/**
+	 * The node the cursor is positioned on, null if it is past either end.
+	 *
+	 * @type {AVLTree.Node}
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._node = null;
+
+	/**
+	 * Which copy of a multiset value the cursor is positioned on.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._offset = 0;
+
+	/**
+	 * Whether a cursor that is not positioned on a node is past the end of the
+	 * tree rather than before its start.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._pastEnd = true;
+
+	/**
+	 * The tree's modification count when the cursor last looked at it.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._modCount = 0;
+
+	/**
+	 * The tree whose minimum and maximum the cursor moves to from past either
+	 * end: the tree itself, or a snapshot of it in snapshot mode.
+	 *
+	 * @type {AVLTree|AVLTree.Persistent}
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._view = null;
+
+	/**
+	 * Returns the value the cursor is positioned on without moving it.
+	 *
+	 * @return {*} The current value or null if the cursor is past either end.
+	 */
+	AVLTree.Cursor.prototype.peek = function() {
+		this._checkModified();
+		return this._node ? this._node.value : null;
+	};
+
+	/**
+	 * Moves the cursor to the next value and returns it. Moving forward from
+	 * before the start of the tree moves to the minimum value.
+	 *
+	 * @return {*} The next value or null if the cursor moved past the end.
+	 */
+	AVLTree.Cursor.prototype.next = function() {
+		this._checkModified();
+		var node = this._node;
+		if (!node) {
+			this._node = this._pastEnd ? null : this._view._getMinNode();
+		} else if (++this._offset >= node.multiplicity) {
+			this._offset = 0;
+			this._node = this._getNextNode(node);
+		}
+		this._pastEnd = true;
+		return this.peek();
+	};
+
+	/**
+	 * Moves the cursor to the previous value and returns it. Moving back from
+	 * past the end of the tree moves to the maximum value.
+	 *
+	 * @return {*} The previous value or null if the cursor moved before the
+	 *     start.
+	 */
+	AVLTree.Cursor.prototype.prev = function() {
+		this._checkModified();
+		var node = this._node;
+		if (!node) {
+			this._node = this._pastEnd ? this._view._getMaxNode() : null;
+			this._offset = this._node ? this._node.multiplicity - 1 : 0;
+		} else if (--this._offset < 0) {
+			this._node = this._getPrevNode(node);
+			this._offset = this._node ? this._node.multiplicity - 1 : 0;
+		}
+		this._pastEnd = false;
+		return this.peek();
+	};
+
+	/**
+	 * Removes the value the cursor is positioned on from the tree and moves the
+	 * cursor on to the following value. In a multiset tree one copy is removed.
+	 *
+	 * @return {*} The removed value or null if the cursor is past either end.
+	 */
+	AVLTree.Cursor.prototype.remove = function() {
+		this._checkModified();
+		var node = this._node;
+		if (!node) {
+			return null;
+		}
+
+		// Work out where the cursor ends up before the tree is restructured. A
+		// snapshot keeps every copy, so there the cursor moves past this one.
+		var offset = this._offset;
+		var isSnapshot = this._mode == "snapshot";
+		var nextOffset = isSnapshot ? offset + 1 : offset;
+		var endOffset = isSnapshot ? node.multiplicity : node.multiplicity - 1;
+		if (nextOffset >= endOffset) {
+			this._node = this._getNextNode(node);
+			this._offset = 0;
+			this._pastEnd = true;
+		} else {
+			this._offset = nextOffset;
+		}
+
+		var modCount = this._tree._modCount;
+		var value = this._tree.remove(this._tree._keyOf(node.value));
+		if (this._tree._modCount == modCount) {
+			// A handler vetoed the removal, so stay on the value
+			this._node = node;
+			this._offset = offset;
+		} else if (this._node && !isSnapshot) {
+			// The node may have been copied, if it was shared with a snapshot
+			var key = this._tree._keyOf(this._node.value);
+			this._node = this._tree._findNode(key);
+		}
+		this._modCount = this._tree._modCount;
+		return value;
+	};
+
+	/**
+	 * Returns the node after the specified node. A snapshot cursor looks it up
+	 * from the root of its snapshot, as the tree moves the parent pointers of
+	 * the nodes it shares with a snapshot over to its own copies.
+	 *
+	 * @param {!AVLTree.Node} node The node to move on from.
+	 * @return {AVLTree.Node} The next node, or null at the end of the tree.
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._getNextNode = function(node) {
+		return this._mode == "snapshot" ?
+				this._view._getCeilingNode(this._view._keyOf(node.value), false) :
+				this._tree._getNextNode(node);
+	};
+
+	/**
+	 * Returns the node before the specified node, in the same way as
+	 * _getNextNode.
+	 *
+	 * @param {!AVLTree.Node} node The node to move back from.
+	 * @return {AVLTree.Node} The previous node, or null at the start of the tree.
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._getPrevNode = function(node) {
+		return this._mode == "snapshot" ?
+				this._view._getFloorNode(this._view._keyOf(node.value), false) :
+				this._tree._getPrevNode(node);
+	};
+
+	/**
+	 * Handles a modification of the tree made other than through the cursor.
+	 * A fail-fast cursor throws, and a successor cursor finds its value again
+	 * or the value following it.
+	 *
+	 * @private
+	 */
+	AVLTree.Cursor.prototype._checkModified = function() {
+		if (this._mode == "unchecked" || this._mode == "snapshot" ||
+				this._tree._modCount == this._modCount) {
+			return;
+		}
+		if (this._mode == "fail-fast") {
+			throw new AVLTree.ConcurrentModificationError();
+		}
+
+		this._modCount = this._tree._modCount;
+		if (this._node) {
+			var key = this._tree._keyOf(this._node.value);
+			var node = this._tree._findNode(key);
+			if (node) {
+				this._node = node;
+				this._offset = Math.min(this._offset, node.multiplicity - 1);
+			} else {
+				this._node = this._tree._getCeilingNode(key, false);
+				this._offset = 0;
+				this._pastEnd = true;
+			}
+		}
+	};
+
+	/**
+	 * Constructs a live view of the values of a tree between two bounds. Views
+	 * are returned by the tree's subRange(), head(), tail() and descending()
+	 * methods and should not be constructed directly. A view holds no values of
+	 * its own: every method queries the tree, so the view always reflects the
+	 * tree's current values, and the counts come from the subtree counts in
+	 * O(log n) time. A descending view behaves like a tree with the reversed
+	 * comparator, so its minimum is the largest value in the range and its
+	 * first value is the largest too. In a map, the view holds the keys.
+	 *
+	 * @param {AVLTree} tree The tree the view is backed by.
+	 * @param {*} lo Lower bound of the range, null if it is open.
+	 * @param {*} hi Upper bound of the range, null if it is open.
+	 * @param {Object=} options Optional loInclusive, hiInclusive and reverse
+	 *     flags, see AVLTree's subRange() method.
+	 * @constructor
+	 */
+	AVLTree.View = function(tree, lo, hi, options) {
+		this._tree = tree;
+		this._lo = lo == null ? null : tree._lookupKey(lo);
+		this._hi = hi == null ? null : tree._lookupKey(hi);
+		this._loInclusive = !options || options.loInclusive !== false;
+		this._hiInclusive = !options || options.hiInclusive !== false;
+		this._reverse = !!(options && options.reverse);
+	};
+
+	/**
+	 * Returns true if the value lies between the view's bounds, false otherwise.
+	 * In a tree with a key function the value is a key or a stored object.
+	 *
+	 * @param {*} value Value to check.
+	 * @return {boolean} Whether the value is in the view's range.
+	 */
+	AVLTree.View.prototype.inRange = function(value) {
+		value = this._tree._lookupKey(value);
+		var cmp;
+		if (this._lo !== null) {
+			cmp = this._tree._keyComparator(value, this._lo);
+			if (cmp < 0 || (cmp == 0 && !this._loInclusive)) {
+				return false;
+			}
+		}
+		if (this._hi !== null) {
+			cmp = this._tree._keyComparator(value, this._hi);
+			if (cmp > 0 || (cmp == 0 && !this._hiInclusive)) {
+				return false;
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * Returns true if the value is in the view, false otherwise.
+	 *
+	 * @param {*} value Value to find.
+	 * @return {boolean} Whether the tree contains the value within the range.
+	 */
+	AVLTree.View.prototype.contains = function(value) {
+		return this.inRange(value) && this._tree.contains(value);
+	};
+
+	/**
+	 * Returns the number of values in the view in O(log n) time.
+	 *
+	 * @return {number} The number of values in the view.
+	 */
+	AVLTree.View.prototype.getCount = function() {
+		return this._tree.countRange(this._lo, this._hi, {
+			loInclusive: this._loInclusive,
+			hiInclusive: this._hiInclusive
+		});
+	};
+
+	/**
+	 * Returns the n-th value of the view in the view's order, counting from 0.
+	 *
+	 * @param {number} n The index of the value.
+	 * @return {*} The n-th value or null if n is out of range.
+	 */
+	AVLTree.View.prototype.getNthValue = function(n) {
+		var count = this.getCount();
+		if (n < 0 || n >= count) {
+			return null;
+		}
+
+		// Offset n by the number of values in the tree before the range
+		var before = this._lo === null ? 0 :
+				this._tree._countBefore(this._lo, !this._loInclusive);
+		return this._tree.getNthValue(this._reverse ? before + count - 1 - n :
+				before + n);
+	};
+
+	/**
+	 * Returns the first value of the view, which is the smallest value in the
+	 * range, or the largest in a descending view.
+	 *
+	 * @return {*} The first value or null if the view is empty.
+	 */
+	AVLTree.View.prototype.getMinimum = function() {
+		var node = this._reverse ? this._getLastNode() : this._getFirstNode();
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Returns the last value of the view, which is the largest value in the
+	 * range, or the smallest in a descending view.
+	 *
+	 * @return {*} The last value or null if the view is empty.
+	 */
+	AVLTree.View.prototype.getMaximum = function() {
+		var node = this._reverse ? this._getFirstNode() : this._getLastNode();
+		return node ? node.value : null;
+	};
+
+	/**
+	 * Adds the value to the tree. An error is thrown if the value is outside
+	 * the view's range.
+	 *
+	 * @param {*} value Value to add.
+	 * @return {boolean} Whether the value was added to the tree.
+	 */
+	AVLTree.View.prototype.add = function(value) {
+		if (!this.inRange(this._tree._keyOf(value))) {
+			throw new Error("The value is outside the range of the view");
+		}
+		return this._tree.add(value);
+	};
+
+	/**
+	 * Removes the value from the tree if it is in the view's range. See
+	 * AVLTree's remove() method.
+	 *
+	 * @param {*} value Value to remove.
+	 * @param {boolean=} removeAll Whether to remove all copies of the value.
+	 * @return {*} The removed value or null if the value was not in the view.
+	 */
+	AVLTree.View.prototype.remove = function(value, removeAll) {
+		return this.inRange(value) ? this._tree.remove(value, removeAll) : null;
+	};
+
+	/**
+	 * Returns an iterator over the values of the view in the view's order.
+	 *
+	 * @return {!AVLTree.Iterator} An iterator over the view's values.
+	 */
+	AVLTree.View.prototype.values = function() {
+		var lo = this._lo === null ? undefined : this._lo;
+		var hi = this._hi === null ? undefined : this._hi;
+		return AVLTree.prototype.values.call(this._tree, this._reverse ?
+				{ from: hi, to: lo, fromInclusive: this._hiInclusive,
+						toInclusive: this._loInclusive, reverse: true } :
+				{ from: lo, to: hi, fromInclusive: this._loInclusive,
+						toInclusive: this._hiInclusive });
+	};
+
+	/**
+	 * Returns the values of the view in an array, in the view's order.
+	 *
+	 * @return {!Array} The values of the view.
+	 */
+	AVLTree.View.prototype.getValues = function() {
+		var retVal = [];
+		var iterator = this.values();
+		for (var result = iterator.next(); !result.done;
+				result = iterator.next()) {
+			retVal.push(result.value);
+		}
+		return retVal;
+	};
+
+	/**
+	 * Returns a view of the same range in the opposite order.
+	 *
+	 * @return {!AVLTree.View} The reversed view.
+	 */
+	AVLTree.View.prototype.descending = function() {
+		return new AVLTree.View(this._tree, this._lo, this._hi, {
+			loInclusive: this._loInclusive,
+			hiInclusive: this._hiInclusive,
+			reverse: !this._reverse
+		});
+	};
+
+	/**
+	 * Returns the node holding the smallest value in the range.
+	 *
+	 * @return {AVLTree.Node} The node or null if the range is empty.
+	 * @private
+	 */
+	AVLTree.View.prototype._getFirstNode = function() {
+		var node = this._lo === null ? this._tree._getMinNode() :
+				this._tree._getCeilingNode(this._lo, this._loInclusive);
+		return node && this.inRange(this._tree._keyOf(node.value)) ? node : null;
+	};
+
+	/**
+	 * Returns the node holding the largest value in the range.
+	 *
+	 * @return {AVLTree.Node} The node or null if the range is empty.
+	 * @private
+	 */
+	AVLTree.View.prototype._getLastNode = function() {
+		var node = this._hi === null ? this._tree._getMaxNode() :
+				this._tree._getFloorNode(this._hi, this._hiInclusive);
+		return node && this.inRange(this._tree._keyOf(node.value)) ? node : null;
+	};
+
+	/**
+	 * Constructs an AVL-Tree backed map, which uses the specified comparator to
+	 * order its keys. Each node stores a key in its value property and the
+	 * associated value in its data property. The methods inherited from AVLTree
+	 * operate on the keys.
+	 *
+	 * @param {Function|Object=} comparator Function used to order the map's
+	 *     keys, or the options.
+	 * @param {Object=} options Optional tree options, see AVLTree. The lift()
+	 *     function of an aggregate is called with each key and its value.
+	 * @constructor
+	 * @extends {AVLTree}
+	 */
+	AVLTree.Map = function(comparator, options) {
+		AVLTree.call(this, comparator, options);
+	};
+	INHERITS(AVLTree.Map, AVLTree);
+
+	/**
+	 * Associates the specified value with the specified key. If the key is
+	 * already in the map its value is updated in place, otherwise a new node is
+	 * inserted and the tree is balanced. A "beforeupdate" or "beforeadd"
+	 * handler can veto the change, and an "update" or "add" event is fired
+	 * once it is made. A new key in a full map with a maxSize is handled as in
+	 * AVLTree.prototype.add().
+	 *
+	 * @param {*} key Key to store the value under.
+	 * @param {*} value Value to associate with the key.
+	 * @return {boolean|{inserted: boolean, rejected: boolean, evicted: boolean,
+	 *     evictedValue: *}} Whether the key was inserted into the map, or the
+	 *     outcome in a bounded map.
+	 */
+	AVLTree.Map.prototype.set = function(key, value) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		var node = this._findNode(key);
+		var isNew = !node;
+		var type = isNew ? "add" : "update";
+		var result = this._maxSize === null ? null : { inserted: false,
+				rejected: false, evicted: false, evictedValue: null };
+		var victim = null;
+		if (result && isNew && this.getCount() >= this._maxSize) {
+			victim = this._findVictim(key);
+			if (!victim) {
+				result.rejected = true;
+				return result;
+			}
+		}
+
+		// Ask the handlers about the eviction and the change before making
+		// either, as in AVLTree.prototype.add()
+		var evictEvent = this._evictionEvent(victim);
+		if (evictEvent && !this._allow("remove", evictEvent)) {
+			result.rejected = true;
+			return result;
+		}
+		var event = null;
+		if (this._isObserved(type)) {
+			event = { value: key, rank: this._rankAfterEviction(key, victim),
+					data: value };
+			if (!isNew) {
+				event.oldData = node.data;
+			}
+			if (!this._allow(type, event)) {
+				return result || false;
+			}
+		}
+		if (result && isNew && !this._evict(victim, evictEvent, result)) {
+			return result;
+		}
+
+		// Find the node again, as the handlers or the eviction may have changed
+		// the tree
+		this._beforeModify();
+		node = isNew ? this._insert(key) : this._own(this._findNode(key));
+		this._record(isNew ? { type: "insert", value: key } :
+				{ type: "data", value: key, data: node.data });
+		node.data = value;
+		if (this._aggregate) {
+			this._balance(node);  // Lift the new value into the aggregates
+		}
+		if (event) {
+			this._emit(type, event);
+		}
+		if (result) {
+			result.inserted = isNew;
+			return result;
+		}
+		return isNew;
+	};
+
+	/**
+	 * Returns the value associated with the specified key.
+	 *
+	 * @param {*} key Key to look up.
+	 * @return {*} The value associated with the key or null if the key is not
+	 *     in the map.
+	 */
+	AVLTree.Map.prototype.get = function(key) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		var node = this._findNode(key);
+		return node ? node.data : null;
+	};
+
+	/**
+	 * Returns true if the map contains the specified key, false otherwise.
+	 *
+	 * @param {*} key Key to find in the map.
+	 * @return {boolean} Whether the map contains the key.
+	 */
+	AVLTree.Map.prototype.has = function(key) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		return !!this._findNode(key);
+	};
+
+	/**
+	 * Removes the specified key and its value from the map if it exists. If a
+	 * node is removed the tree is balanced again. A "beforeremove" handler can
+	 * veto the removal, and a "remove" event is fired once it is made.
+	 *
+	 * @param {*} key Key to remove from the map.
+	 * @return {boolean} Whether the key was in the map and was removed.
+	 */
+	AVLTree.Map.prototype["delete"] = function(key) {
+		if (this._stats) {
+			this._countOperation();
+		}
+		var node = this._findNode(key), event = null;
+		if (node && this._isObserved("remove")) {
+			event = { value: node.value, rank: this.rank(key), count: 1,
+					data: node.data };
+			if (!this._allow("remove", event)) {
+				return false;
+			}
+		}
+
+		// Find the node again, as the handlers may have changed the tree
+		this._beforeModify();
+		node = this._findNode(key);
+		if (node) {
+			this._recordRemoval(node, 1);
+			this._removeNode(node);
+			if (event) {
+				this._emit("remove", event);
+			}
+		}
+		return !!node;
+	};
+
+	/**
+	 * Returns an iterator over the [key, value] pairs in the map, ordered by key.
+	 * Accepts the same options as AVLTree's values() method.
+	 *
+	 * @param {Object=} options Optional from and to bounds and reverse flag.
+	 * @return {AVLTree.Iterator} An iterator over the map's entries.
+	 */
+	AVLTree.Map.prototype.entries = function(options) {
+		return new AVLTree.Iterator(this, options, function(node) {
+			return [node.value, node.data];
+		});
+	};
+
+	/**
+	 * Returns an iterator over the keys in the map in sorted order. Accepts the
+	 * same options as AVLTree's values() method.
+	 *
+	 * @param {Object=} options Optional from and to bounds and reverse flag.
+	 * @return {AVLTree.Iterator} An iterator over the map's keys.
+	 */
+	AVLTree.Map.prototype.keys = function(options) {
+		return AVLTree.prototype.values.call(this, options);
+	};
+
+	/**
+	 * Returns an iterator over the values in the map, ordered by their keys.
+	 * Accepts the same options as AVLTree's values() method.
+	 *
+	 * @param {Object=} options Optional from and to bounds and reverse flag.
+	 * @return {AVLTree.Iterator} An iterator over the map's values.
+	 */
+	AVLTree.Map.prototype.values = function(options) {
+		return new AVLTree.Iterator(this, options, function(node) {
+			return node.data;
+		});
+	};
+
+	/**
+	 * Constructs an empty interval tree, an AVLTree.Map whose keys are closed
+	 * intervals [start, end]. The intervals are ordered by start, then by end,
+	 * and every node keeps the largest end in its subtree as its aggregate,
+	 * which lets overlap queries skip the subtrees that end too early. The
+	 * value associated with an interval is kept in its node's data.
+	 *
+	 * @param {Function=} comparator Function used to order the intervals'
+	 *     endpoints, AVLTree.IntervalTree.DEFAULT_COMPARATOR by default.
+	 * @constructor
+	 * @extends {AVLTree.Map}
+	 */
+	AVLTree.IntervalTree = function(comparator) {
+		var pointComparator = comparator ||
+				AVLTree.IntervalTree.DEFAULT_COMPARATOR;
+		AVLTree.Map.call(this, function(a, b) {
+			return pointComparator(a[0], b[0]) || pointComparator(a[1], b[1]);
+		}, {
+			aggregate: {
+				identity: null,
+				lift: function(interval) {
+					return interval[1];
+				},
+				combine: function(a, b) {
+					if (a === null || b === null) {
+						return a === null ? b : a;
+					}
+					return pointComparator(a, b) >= 0 ? a : b;
+				}
+			}
+		});
+		this._pointComparator = pointComparator;
+	};
+	INHERITS(AVLTree.IntervalTree, AVLTree.Map);
+
+	/**
+	 * Comparison function used to order the endpoints of the intervals if no
+	 * comparator is specified. It uses the < and > operators, so it works for
+	 * numbers, dates and strings.
+	 *
+	 * @type {Function}
+	 */
+	AVLTree.IntervalTree.DEFAULT_COMPARATOR = OPERATOR_COMPARATOR;
+
+	/**
+	 * Comparison function used to order the endpoints of the intervals.
+	 *
+	 * @type {Function}
+	 * @private
+	 */
+	AVLTree.IntervalTree.prototype._pointComparator = null;
+
+	/**
+	 * Inserts the interval [start, end] into the tree, associated with the
+	 * specified value. If the interval is already in the tree its value is
+	 * updated instead.
+	 *
+	 * @param {Array} interval The interval as a [start, end] pair, where
+	 *     start <= end.
+	 * @param {*=} value Optional value to associate with the interval.
+	 * @return {boolean} Whether the interval was inserted into the tree.
+	 */
+	AVLTree.IntervalTree.prototype.insertInterval = function(interval, value) {
+		if (this._pointComparator(interval[0], interval[1]) > 0) {
+			throw new Error("The start of an interval must not be after its end");
+		}
+		return this.set(interval, value);
+	};
+
+	/**
+	 * Removes the interval [start, end] and its value from the tree if it
+	 * exists.
+	 *
+	 * @param {Array} interval The interval as a [start, end] pair.
+	 * @return {boolean} Whether the interval was in the tree.
+	 */
+	AVLTree.IntervalTree.prototype.removeInterval = function(interval) {
+		return this["delete"](interval);
+	};
+
+	/**
+	 * Returns every interval in the tree which overlaps the closed range
+	 * [start, end], ordered by start. Subtrees which end before the range or
+	 * start after it are skipped, so this takes O(k log n) time for k matches.
+	 *
+	 * @param {Array} range The range as a [start, end] pair.
+	 * @return {!Array.<Array>} The overlapping intervals.
+	 */
+	AVLTree.IntervalTree.prototype.findOverlapping = function(range) {
+		var intervals = [];
+		this._collectOverlapping(this._root, range, intervals);
+		return intervals;
+	};
+
+	/**
+	 * Returns an interval in the tree which overlaps the closed range
+	 * [start, end] in O(log n) time.
+	 *
+	 * @param {Array} range The range as a [start, end] pair.
+	 * @return {Array} An overlapping interval or null if there is none.
+	 */
+	AVLTree.IntervalTree.prototype.findAnyOverlap = function(range) {
+		var node = this._root;
+		while (node) {
+			if (this._overlaps(node.value, range)) {
+				return node.value;
+			}
+
+			// If the left subtree reaches the range, the range either overlaps an
+			// interval there or lies before every interval in the right subtree.
+			if (node._left &&
+					this._pointComparator(node._left.aggregate, range[0]) >= 0) {
+				node = node._left;
+			} else {
+				node = node._right;
+			}
+		}
+		return null;
+	};
+
+	/**
+	 * Returns every interval in the tree which contains the specified point,
+	 * ordered by start.
+	 *
+	 * @param {*} point The point to look up.
+	 * @return {!Array.<Array>} The intervals containing the point.
+	 */
+	AVLTree.IntervalTree.prototype.stab = function(point) {
+		return this.findOverlapping([point, point]);
+	};
+
+	/**
+	 * Returns true if the interval and the range share at least one point.
+	 *
+	 * @param {Array} interval The interval as a [start, end] pair.
+	 * @param {Array} range The range as a [start, end] pair.
+	 * @return {boolean} Whether they overlap.
+	 * @private
+	 */
+	AVLTree.IntervalTree.prototype._overlaps = function(interval, range) {
+		return this._pointComparator(interval[0], range[1]) <= 0 &&
+				this._pointComparator(interval[1], range[0]) >= 0;
+	};
+
+	/**
+	 * Recursively adds the intervals in the subtree rooted at the specified node
+	 * which overlap the range to intervals, in order.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {Array} range The range as a [start, end] pair.
+	 * @param {Array.<Array>} intervals The overlapping intervals found so far.
+	 * @private
+	 */
+	AVLTree.IntervalTree.prototype._collectOverlapping = function(node, range,
+			intervals) {
+		// Skip the subtree if every interval in it ends before the range
+		if (!node || this._pointComparator(node.aggregate, range[0]) < 0) {
+			return;
+		}
+
+		this._collectOverlapping(node._left, range, intervals);
+
+		// The node and its right subtree start after the range ends
+		if (this._pointComparator(node.value[0], range[1]) > 0) {
+			return;
+		}
+		if (this._pointComparator(node.value[1], range[0]) >= 0) {
+			intervals.push(node.value);
+		}
+		this._collectOverlapping(node._right, range, intervals);
+	};
+
+	/**
+	 * Creates a new, empty interval tree with the same comparator as this tree.
+	 *
+	 * @return {!AVLTree.IntervalTree} An empty interval tree.
+	 * @private
+	 */
+	AVLTree.IntervalTree.prototype._cloneEmpty = function() {
+		var tree = new AVLTree.IntervalTree(this._pointComparator);
+		tree._comparator = this._comparator;
+		tree._aggregate = this._aggregate;
+		return tree;
+	};
+
+	/**
+	 * Throws an error unless the other tree is an interval tree which orders
+	 * the intervals' endpoints with the same comparator as this tree.
+	 *
+	 * @param {AVLTree} other The tree to check.
+	 * @private
+	 */
+	AVLTree.IntervalTree.prototype._checkComparator = function(other) {
+		if (this._pointComparator !== other._pointComparator) {
+			throw new Error("Both trees must use the same comparator");
+		}
+	};
+
+	/**
+	 * Constructs an empty persistent AVL-Tree. A persistent tree never changes:
+	 * add() and remove() return a new tree which shares every unchanged subtree
+	 * with the old one, so each version costs O(log n) new nodes. Its nodes have
+	 * no use for parent pointers, so the tree only follows child pointers.
+	 * Snapshots of a mutable AVLTree are persistent trees too.
+	 *
+	 * @param {Function|Object=} comparator Function used to order the tree's
+	 *     nodes, or the options.
+	 * @param {Object=} options Optional tree options, see AVLTree.
+	 * @constructor
+	 */
+	AVLTree.Persistent = function(comparator, options) {
+		options = this._initComparator(comparator, options);
+		if (options && options.multiset) {
+			this._multiset = true;
+		}
+		if (options && options.aggregate) {
+			this._aggregate = options.aggregate;
+		}
+	};
+
+	// The query methods of AVLTree only follow child pointers, so the
+	// persistent tree shares them.
+	(function() {
+		var methods = ["contains", "find", "getByKey", "countOf", "getCount",
+				"getNthValue", "getMinimum", "getMaximum", "floor", "ceiling",
+				"lower", "higher", "rank", "countRange", "aggregate", "getHeight",
+				"getValues", "inOrderTraverse", "reverseOrderTraverse", "toAscii",
+				"toDot", "toLayout", "_initComparator", "_traverse", "_findNode",
+				"_getFloorNode", "_getCeilingNode", "_countBefore", "_getNthNode",
+				"_getMinNode", "_getMaxNode", "_refresh", "_liftNode", "_layout",
+				"_layoutNodes", "_getIterationMode", "_traverseValues", "equals",
+				"compareTo", "diff", "_checkComparator", "_mergeWalk", "_keyOf",
+				"_lookupKey", "_compareValues"];
+		for (var i = 0; i < methods.length; i++) {
+			var method = methods[i];
+			AVLTree.Persistent.prototype[method] = AVLTree.prototype[method];
+		}
+	})();
+
+	AVLTree.Persistent.prototype._root = null;
+	AVLTree.Persistent.prototype._comparator = null;
+	AVLTree.Persistent.prototype._minNode = null;
+	AVLTree.Persistent.prototype._maxNode = null;
+	AVLTree.Persistent.prototype._multiset = false;
+	AVLTree.Persistent.prototype._aggregate = null;
+	AVLTree.Persistent.prototype._keyFn = null;
+	AVLTree.Persistent.prototype._keyComparator = null;
+	AVLTree.Persistent.prototype._baseComparator = null;
+	AVLTree.Persistent.prototype._modCount = 0;
+	AVLTree.Persistent.prototype._iterationMode = "fail-fast";
+
+	/**
+	 * Returns this tree, which never changes, so it is its own snapshot.
+	 *
+	 * @return {!AVLTree.Persistent} This tree.
+	 */
+	AVLTree.Persistent.prototype.snapshot = function() {
+		return this;
+	};
+
+	/**
+	 * Returns a new tree with the specified value added, or this tree if the
+	 * value is already in it and the tree is not a multiset.
+	 *
+	 * @param {*} value Value to add.
+	 * @return {!AVLTree.Persistent} The tree containing the value.
+	 */
+	AVLTree.Persistent.prototype.add = function(value) {
+		return this._derive(this._add(this._root, value));
+	};
+
+	/**
+	 * Returns a new tree with the specified value removed, or this tree if the
+	 * value is not in it. In a multiset tree one copy is removed unless
+	 * removeAll is true.
+	 *
+	 * @param {*} value Value to remove.
+	 * @param {boolean=} removeAll If true, all copies of the value are removed
+	 *     from a multiset tree.
+	 * @return {!AVLTree.Persistent} The tree without the value.
+	 */
+	AVLTree.Persistent.prototype.remove = function(value, removeAll) {
+		return this._derive(this._remove(this._root, value, removeAll));
+	};
+
+	/**
+	 * Returns a tree with the specified root and the same options as this tree.
+	 *
+	 * @param {AVLTree.Node} root Root of the new tree.
+	 * @return {!AVLTree.Persistent} This tree if the root is unchanged, a new
+	 *     tree otherwise.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._derive = function(root) {
+		if (root == this._root) {
+			return this;
+		}
+		var tree = new AVLTree.Persistent(this._comparator);
+		tree._multiset = this._multiset;
+		tree._aggregate = this._aggregate;
+		tree._keyFn = this._keyFn;
+		tree._baseComparator = this._baseComparator;
+		tree._keyComparator = this._keyComparator;
+		tree._root = root;
+		tree._minNode = root ? tree._getMinNode(root) : null;
+		tree._maxNode = root ? tree._getMaxNode(root) : null;
+		return tree;
+	};
+
+	/**
+	 * Returns a new node holding the value, multiplicity and data of the source
+	 * node, with the specified children. The node's height, count and aggregate
+	 * are computed from the children.
+	 *
+	 * @param {AVLTree.Node} source The node to copy.
+	 * @param {AVLTree.Node} left The new node's left child.
+	 * @param {AVLTree.Node} right The new node's right child.
+	 * @return {!AVLTree.Node} The new node.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._copyWith = function(source, left, right) {
+		var node = new AVLTree.Node(source.value);
+		if (source.hasOwnProperty("multiplicity")) {
+			node.multiplicity = source.multiplicity;
+		}
+		if (source.hasOwnProperty("data")) {
+			node.data = source.data;
+		}
+		node._left = left;
+		node._right = right;
+		this._refresh(node);
+		return node;
+	};
+
+	/**
+	 * Returns a new, AVL-tree balanced subtree holding the source node's value
+	 * between the specified children, using single or double rotations which
+	 * copy the rotated nodes instead of modifying them.
+	 *
+	 * @param {AVLTree.Node} source The node to copy.
+	 * @param {AVLTree.Node} left The left subtree.
+	 * @param {AVLTree.Node} right The right subtree.
+	 * @return {!AVLTree.Node} The root of the balanced subtree.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._balanceWith = function(source, left, right) {
+		var leftHeight = left ? left.height : 0;
+		var rightHeight = right ? right.height : 0;
+
+		if (leftHeight - rightHeight > 1) {
+			var ll = left._left, lr = left._right;
+			if (lr && (!ll || ll.height < lr.height)) {
+				return this._copyWith(lr, this._copyWith(left, ll, lr._left),
+						this._copyWith(source, lr._right, right));
+			}
+			return this._copyWith(left, ll, this._copyWith(source, lr, right));
+		} else if (rightHeight - leftHeight > 1) {
+			var rl = right._left, rr = right._right;
+			if (rl && (!rr || rr.height < rl.height)) {
+				return this._copyWith(rl, this._copyWith(source, left, rl._left),
+						this._copyWith(right, rl._right, rr));
+			}
+			return this._copyWith(right, this._copyWith(source, left, rl), rr);
+		}
+		return this._copyWith(source, left, right);
+	};
+
+	/**
+	 * Adds the value to the subtree rooted at the specified node by copying the
+	 * path down to where it belongs.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {*} value Value to add.
+	 * @return {!AVLTree.Node} The root of the new subtree, which is node itself
+	 *     if the value was already in the subtree.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._add = function(node, value) {
+		if (!node) {
+			node = new AVLTree.Node(value);
+			this._refresh(node);
+			return node;
+		}
+
+		var cmp = this._comparator(node.value, this._keyOf(value));
+		if (cmp > 0) {
+			var left = this._add(node._left, value);
+			return left == node._left ? node :
+					this._balanceWith(node, left, node._right);
+		} else if (cmp < 0) {
+			var right = this._add(node._right, value);
+			return right == node._right ? node :
+					this._balanceWith(node, node._left, right);
+		} else if (this._multiset) {
+			var copy = this._copyWith(node, node._left, node._right);
+			copy.multiplicity++;
+			this._refresh(copy);
+			return copy;
+		}
+		return node;
+	};
+
+	/**
+	 * Removes the value from the subtree rooted at the specified node by copying
+	 * the path down to it.
+	 *
+	 * @param {AVLTree.Node} node Root of the subtree, or null.
+	 * @param {*} value Value to remove.
+	 * @param {boolean=} removeAll Whether to remove all copies of the value.
+	 * @return {AVLTree.Node} The root of the new subtree, which is node itself
+	 *     if the value was not in the subtree.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._remove = function(node, value, removeAll) {
+		if (!node) {
+			return null;
+		}
+
+		var cmp = this._comparator(node.value, value);
+		if (cmp > 0) {
+			var left = this._remove(node._left, value, removeAll);
+			return left == node._left ? node :
+					this._balanceWith(node, left, node._right);
+		} else if (cmp < 0) {
+			var right = this._remove(node._right, value, removeAll);
+			return right == node._right ? node :
+					this._balanceWith(node, node._left, right);
 		}
 
-		// Traverse the tree and call func on each traversed node's value
-		var node = startNode, previous = startNode._left ? startNode._left : startNode;
-		while (node != null) {
-			if (node._left != null && node._left != previous && node._right != previous) {
-				node = node._left;
-			} else {
-				if (node._right != previous) {
-					if (func(node.value)) {
-						return;
-					}
-				}
-				var temp = node;
-				node = node._right != null && node._right != previous ? node._right : node._parent;
-				previous = temp;
-			}
+		// Found the value, drop one copy or replace the node with its successor
+		if (node.multiplicity > 1 && !removeAll) {
+			var copy = this._copyWith(node, node._left, node._right);
+			copy.multiplicity--;
+			this._refresh(copy);
+			return copy;
 		}
+		if (!node._left || !node._right) {
+			return node._left || node._right;
+		}
+		return this._balanceWith(this._getMinNode(node._right), node._left,
+				this._removeMin(node._right));
 	};
 
 	/**
-	 * Performs a reverse-order traversal of the tree and calls the passed function on
-	 * each node. Optionally starts from the largest node with a value <= to the specified 
-	 * start value. The traversal ends after traversing the tree's minimum node or when
-	 * the passed function returns true.
+	 * Removes the minimum node from the subtree rooted at the specified node by
+	 * copying the path down to it.
 	 *
-	 * @param {Function} func Function to call on each traversed node.
+	 * @param {AVLTree.Node} node Root of the subtree.
+	 * @return {AVLTree.Node} The root of the new subtree.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._removeMin = function(node) {
+		if (!node._left) {
+			return node._right;
+		}
+		return this._balanceWith(node, this._removeMin(node._left), node._right);
+	};
+
+	/**
+	 * Performs an in-order traversal with an explicit stack, as the persistent
+	 * tree's nodes have no parent pointers. See AVLTree for the arguments.
+	 *
+	 * @param {Function} func Function to call with each traversed node.
 	 * @param {Object=} startValue If specified, traversal will begin on the
-	 *    node with the largest value <= startValue.
+	 *    node with the smallest value >= startValue.
+	 * @private
 	 */
-	AVLTree.prototype.reverseOrderTraverse = function(func, startValue) {
-		// If our tree is empty, return immediately
-		if (!this._root) {
-			return;
+	AVLTree.Persistent.prototype._inOrderTraverseNodes = function(func,
+			startValue) {
+		// Stack the path down to the start node, keeping the nodes still to visit
+		var stack = [];
+		var node = this._root;
+		while (node) {
+			if (startValue === undefined ||
+					this._comparator(node.value, startValue) >= 0) {
+				stack.push(node);
+				node = node._left;
+			} else {
+				node = node._right;
+			}
 		}
 
-		// Depth traverse the tree to find node to begin reverse-order traversal from
-		var startNode;
-		if (startValue) {
-			this._traverse(BIND(function(node) {
-				var retNode = null;
-				if (this._comparator(node.value, startValue) > 0) {
-					retNode = node._left;
-				} else if (this._comparator(node.value, startValue) < 0) {
-					retNode = node._right;
-					startNode = node;
-				} else {
-					startNode = node;
-				}
-				return retNode;
-				// If null, we'll stop traversing the tree
-			}, this));
-		} else {
-			startNode = this._getMaxNode();
+		while (stack.length) {
+			node = stack.pop();
+			if (func(node)) {
+				return;
+			}
+			for (node = node._right; node; node = node._left) {
+				stack.push(node);
+			}
 		}
+	};
 
-		// Traverse the tree and call func on each traversed node's value
-		var node = startNode, prev = startNode._right ? startNode._right : startNode;
-		while (node != null) {
-			if (node._right != null && node._right != prev && node._left != prev) {
+	/**
+	 * Performs a reverse-order traversal with an explicit stack, as the
+	 * persistent tree's nodes have no parent pointers. See AVLTree for the
+	 * arguments.
+	 *
+	 * @param {Function} func Function to call with each traversed node.
+	 * @param {Object=} startValue If specified, traversal will begin on the
+	 *    node with the largest value <= startValue.
+	 * @private
+	 */
+	AVLTree.Persistent.prototype._reverseOrderTraverseNodes = function(func,
+			startValue) {
+		// Stack the path down to the start node, keeping the nodes still to visit
+		var stack = [];
+		var node = this._root;
+		while (node) {
+			if (startValue === undefined ||
+					this._comparator(node.value, startValue) <= 0) {
+				stack.push(node);
 				node = node._right;
 			} else {
-				if (node._left != prev) {
-					if (func(node.value)) {
-						return;
-					}
-				}
-				var temp = node;
-				node = node._left != null && node._left != prev ? node._left : node._parent;
-				prev = temp;
+				node = node._left;
+			}
+		}
+
+		while (stack.length) {
+			node = stack.pop();
+			if (func(node)) {
+				return;
+			}
+			for (node = node._left; node; node = node._right) {
+				stack.push(node);
 			}
 		}
 	};
-	
+
 	/**
-	 * Outputs the AVLTree to console. Internet Explorer hates this with a passion.
-	 * Use only for debug purposes.
+	 * Returns an iterator over the values of the tree in ascending order, once
+	 * per copy in a multiset tree. The tree never changes, so the iterator
+	 * never fails.
+	 *
+	 * @return {!AVLTree.Persistent.Iterator} The iterator.
 	 */
-	AVLTree.prototype.printAVLTree = function() {
-		if(this._root !== null) {
-			return this._root._inOrderPrint();
+	AVLTree.Persistent.prototype.values = function() {
+		return new AVLTree.Persistent.Iterator(this);
+	};
+
+	/**
+	 * Constructs an iterator over the values of a persistent tree in ascending
+	 * order. The nodes have no parent pointers, so the nodes it comes back to
+	 * are kept on a stack, at most as deep as the tree is high.
+	 *
+	 * @param {!AVLTree.Persistent} tree The tree to iterate over.
+	 * @constructor
+	 */
+	AVLTree.Persistent.Iterator = function(tree) {
+		this._stack = [];
+		this._pushLeft(tree._root);
+	};
+
+	/**
+	 * The number of copies of the top node's value already returned.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.Persistent.Iterator.prototype._copy = 0;
+
+	/**
+	 * Returns the next value of the iteration.
+	 *
+	 * @return {{value: *, done: boolean}} The next iteration result.
+	 */
+	AVLTree.Persistent.Iterator.prototype.next = function() {
+		var stack = this._stack;
+		if (!stack.length) {
+			return { value: undefined, done: true };
 		}
-		return false;
-	}
+
+		// Move on once every copy of the node's value has been returned
+		var node = stack[stack.length - 1];
+		if (++this._copy >= node.multiplicity) {
+			this._copy = 0;
+			stack.pop();
+			this._pushLeft(node._right);
+		}
+		return { value: node.value, done: false };
+	};
 
 	/**
-	 * Performs a traversal defined by the supplied traversal function. The first
-	 * call to the traversal function is performed on the root or the optionally
-	 * specified startNode. After that, it calls the traversal function with the
-	 * node returned by the previous call until the traversal function returns 
-	 * null or the optionally specified end node.
+	 * Pushes the node and its chain of left children onto the stack.
 	 *
-	 * @param {Function} traversalFunc Function used to traverse the tree. Takes a
-	 *     node as a parameter and returns a node.
-	 * @param {AVLTree.Node=} startNode The node at which the traversal begins.
-	 * @param {AVLTree.Node=} endNode The node at which the traversal ends.
+	 * @param {AVLTree.Node} node The node, or null.
 	 * @private
 	 */
-	AVLTree.prototype._traverse = function(traversalFunc, startNode, endNode) {
-		var node = startNode ? startNode : this._root;
-		var endNode = endNode ? endNode : null;
-		while (node && node != endNode) {
-			node = traversalFunc.call(this, node);
+	AVLTree.Persistent.Iterator.prototype._pushLeft = function(node) {
+		for (; node; node = node._left) {
+			this._stack.push(node);
 		}
 	};
 
 	/**
-	 * Ensures that the specified node and all its ancestors are balanced. If they
-	 * are not, performs left and right rotations to achieve a balanced tree. This 
-	 * method assumes that at most 2 rotations are necessary to balance the tree.
+	 * Constructs an empty AVL-Tree of numbers which keeps its nodes in typed
+	 * arrays instead of AVLTree.Node objects. Each node is an index into
+	 * parallel slabs, a Float64Array of values and Int32Arrays of left and
+	 * right links, heights, counts and multiplicities, and index 0 stands for
+	 * null. A tree of n nodes is a handful of arrays of about 28n bytes which
+	 * the garbage collector never has to trace, rather than n objects. Removed
+	 * nodes are kept on a free list for reuse, the slabs double when they are
+	 * full, and compact() gives the memory back.
 	 *
-	 * @param {AVLTree.Node} node Node to begin balance from.
+	 * Values are compared with < and >, and must be numbers other than NaN.
+	 *
+	 * Supported options:
+	 *  multiset - If true, duplicate values are kept, counted in the
+	 *      multiplicity of their node.
+	 *  capacity - The number of nodes to allocate room for up front.
+	 *
+	 * @param {Object=} options Optional tree options.
+	 * @constructor
+	 */
+	AVLTree.NumericTree = function(options) {
+		if (options && options.multiset) {
+			this._multiset = true;
+		}
+		this._allocate(Math.max((options && options.capacity) || 0, 15) + 1);
+		this._path = new Int32Array(64);
+	};
+
+	/**
+	 * Size of a node in the slabs: an 8 byte value and five 4 byte fields.
+	 *
+	 * @type {number}
+	 */
+	AVLTree.NumericTree.BYTES_PER_NODE = 28;
+
+	AVLTree.NumericTree.prototype._root = 0;
+	AVLTree.NumericTree.prototype._multiset = false;
+	AVLTree.NumericTree.prototype._modCount = 0;
+
+	/**
+	 * Head of the free list, whose nodes are linked through their left links,
+	 * or 0 if it is empty.
+	 *
+	 * @type {number}
 	 * @private
 	 */
-	AVLTree.prototype._balance = function(node) {
+	AVLTree.NumericTree.prototype._free = 0;
 
-		this._traverse(function(node) {
-			// Calculate the left and right node's heights
-			var leftHeight = node._left ? node._left.height : 0;
-			var rightHeight = node._right ? node._right.height : 0;
+	/**
+	 * The number of nodes on the free list.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.NumericTree.prototype._freeCount = 0;
 
-			// Rotate tree rooted at this node if it is not AVL-tree balanced
-			if (leftHeight - rightHeight > 1) {
-				if (node._left._right && (!node._left._left || node._left._left.height < node._left._right.height)) {
-					this._leftRotate(node._left);
-				}
-				this._rightRotate(node);
-			} else if (rightHeight - leftHeight > 1) {
-				if (node._right._left && (!node._right._right || node._right._right.height < node._right._left.height)) {
-					this._rightRotate(node._right);
-				}
-				this._leftRotate(node);
+	/**
+	 * The first index which has never been used. Indexes from here to the end
+	 * of the slabs are free without being on the free list.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	AVLTree.NumericTree.prototype._size = 1;
+
+	/**
+	 * Inserts a number into the tree, unless it is already in the tree and the
+	 * tree is not a multiset.
+	 *
+	 * @param {number} value Value to insert into the tree.
+	 * @return {boolean} Whether value was inserted into the tree.
+	 */
+	AVLTree.NumericTree.prototype.add = function(value) {
+		if (typeof value !== "number" || value !== value) {
+			throw new Error("NumericTree values must be numbers other than NaN");
+		}
+
+		var values = this._values, left = this._left, right = this._right;
+		var path = this._path, depth = 0, node = this._root;
+		while (node) {
+			path[depth++] = node;
+			if (value < values[node]) {
+				node = left[node];
+			} else if (value > values[node]) {
+				node = right[node];
+			} else if (this._multiset) {
+				this._multiplicity[node]++;
+				this._modCount++;
+				this._rebalancePath(depth - 1, node, this._rebalance(node));
+				return true;
+			} else {
+				return false;
+			}
+		}
+
+		// Grow the slabs only once the value is known to need a new node
+		if (!this._free && this._size == this._values.length) {
+			this._resize(this._values.length * 2);
+		}
+		node = this._newNode(value);
+		this._modCount++;
+		this._rebalancePath(depth, 0, node);
+		return true;
+	};
+
+	/**
+	 * Removes a number from the tree. In a multiset tree one copy is removed
+	 * unless removeAll is true.
+	 *
+	 * @param {number} value Value to remove from the tree.
+	 * @param {boolean=} removeAll If true, all copies of the value are removed
+	 *     from a multiset tree.
+	 * @return {?number} The removed value, or null if it was not in the tree.
+	 */
+	AVLTree.NumericTree.prototype.remove = function(value, removeAll) {
+		var values = this._values, left = this._left, right = this._right;
+		var path = this._path, depth = 0, node = this._root;
+		while (node && values[node] !== value) {
+			path[depth++] = node;
+			node = value < values[node] ? left[node] : right[node];
+		}
+		if (!node) {
+			return null;
+		}
+		this._modCount++;
+
+		if (this._multiplicity[node] > 1 && !removeAll) {
+			this._multiplicity[node]--;
+			this._rebalancePath(depth, node, this._rebalance(node));
+			return value;
+		}
+
+		if (!left[node] || !right[node]) {
+			this._rebalancePath(depth, node, left[node] || right[node]);
+			this._freeNode(node);
+			return value;
+		}
+
+		// Move the successor's value into the node and remove the successor,
+		// which has no left child
+		path[depth++] = node;
+		var successor = right[node];
+		while (left[successor]) {
+			path[depth++] = successor;
+			successor = left[successor];
+		}
+		values[node] = values[successor];
+		this._multiplicity[node] = this._multiplicity[successor];
+		this._rebalancePath(depth, successor, right[successor]);
+		this._freeNode(successor);
+		return value;
+	};
+
+	/**
+	 * Returns true if the tree contains the specified number, false otherwise.
+	 *
+	 * @param {number} value Value to find in the tree.
+	 * @return {boolean} Whether the tree contains the value.
+	 */
+	AVLTree.NumericTree.prototype.contains = function(value) {
+		return !!this._findNode(value);
+	};
+
+	/**
+	 * Returns the number of copies of the specified number in the tree.
+	 *
+	 * @param {number} value Value to count.
+	 * @return {number} The multiplicity of the value, 0 if it is not in the tree.
+	 */
+	AVLTree.NumericTree.prototype.countOf = function(value) {
+		return this._multiplicity[this._findNode(value)];
+	};
+
+	/**
+	 * Returns the n-th smallest number, where 0 <= n < this.getCount().
+	 *
+	 * @param {number} n The number n.
+	 * @return {?number} The n-th smallest value, or null if n is out of range.
+	 */
+	AVLTree.NumericTree.prototype.getNthValue = function(n) {
+		if (!(n >= 0 && n < this.getCount())) {
+			return null;
+		}
+		var count = this._count, left = this._left, node = this._root;
+		while (true) {
+			var leftCount = count[left[node]];
+			if (n < leftCount) {
+				node = left[node];
+			} else if (n < leftCount + this._multiplicity[node]) {
+				return this._values[node];
+			} else {
+				n -= leftCount + this._multiplicity[node];
+				node = this._right[node];
 			}
+		}
+	};
+
+	/**
+	 * Returns the smallest number in the tree.
+	 *
+	 * @return {?number} The minimum, or null if the tree is empty.
+	 */
+	AVLTree.NumericTree.prototype.getMinimum = function() {
+		var node = this._root;
+		while (this._left[node]) {
+			node = this._left[node];
+		}
+		return node ? this._values[node] : null;
+	};
+
+	/**
+	 * Returns the largest number in the tree.
+	 *
+	 * @return {?number} The maximum, or null if the tree is empty.
+	 */
+	AVLTree.NumericTree.prototype.getMaximum = function() {
+		var node = this._root;
+		while (this._right[node]) {
+			node = this._right[node];
+		}
+		return node ? this._values[node] : null;
+	};
+
+	/**
+	 * Returns the number of values in the tree, counting every copy in a
+	 * multiset tree.
+	 *
+	 * @return {number} The number of values.
+	 */
+	AVLTree.NumericTree.prototype.getCount = function() {
+		return this._count[this._root];
+	};
+
+	/**
+	 * Returns the height of the tree (the maximum depth).
+	 *
+	 * @return {number} The height of the tree.
+	 */
+	AVLTree.NumericTree.prototype.getHeight = function() {
+		return this._height[this._root];
+	};
+
+	/**
+	 * Returns an iterator over the numbers in ascending order, once per copy.
+	 *
+	 * @return {!AVLTree.NumericTree.Iterator} The iterator.
+	 */
+	AVLTree.NumericTree.prototype.values = function() {
+		return new AVLTree.NumericTree.Iterator(this);
+	};
+
+	/**
+	 * Returns the numbers in the tree in ascending order.
+	 *
+	 * @return {!Array.<number>} The values.
+	 */
+	AVLTree.NumericTree.prototype.getValues = function() {
+		var values = [];
+		this.inOrderTraverse(function(value) {
+			values.push(value);
+		});
+		return values;
+	};
+
+	/**
+	 * Calls func with each number in ascending order, once per copy,
+	 * optionally starting from the smallest number >= startValue. The
+	 * traversal ends early when func returns true. Modifying the tree from func
+	 * throws an AVLTree.ConcurrentModificationError.
+	 *
+	 * @param {Function} func Function to call with each value.
+	 * @param {number=} startValue If specified, the traversal begins on the
+	 *     smallest value >= startValue.
+	 */
+	AVLTree.NumericTree.prototype.inOrderTraverse = function(func, startValue) {
+		this._traverseValues(func, startValue, false);
+	};
+
+	/**
+	 * Calls func with each number in descending order, once per copy,
+	 * optionally starting from the largest number <= startValue. The traversal
+	 * ends early when func returns true. Modifying the tree from func throws an
+	 * AVLTree.ConcurrentModificationError.
+	 *
+	 * @param {Function} func Function to call with each value.
+	 * @param {number=} startValue If specified, the traversal begins on the
+	 *     largest value <= startValue.
+	 */
+	AVLTree.NumericTree.prototype.reverseOrderTraverse = function(func,
+			startValue) {
+		this._traverseValues(func, startValue, true);
+	};
+
+	/**
+	 * Removes every value from the tree. The slabs are kept, call compact()
+	 * afterwards to release them.
+	 */
+	AVLTree.NumericTree.prototype.clear = function() {
+		this._root = 0;
+		this._free = 0;
+		this._freeCount = 0;
+		this._size = 1;
+		this._modCount++;
+	};
 
-			// Recalculate the left and right node's heights
-			leftHeight = node._left ? node._left.height : 0;
-			rightHeight = node._right ? node._right.height : 0;
+	/**
+	 * Returns how much memory the slabs take and how much of it is in use.
+	 *
+	 * @return {{nodes: number, capacity: number, free: number,
+	 *     freeListed: number, bytesPerNode: number, bytes: number,
+	 *     usedBytes: number}} The number of live nodes, the number of nodes
+	 *     the slabs have room for, how many of those are free and how many of
+	 *     the free ones are on the free list, and the bytes taken by a node,
+	 *     by the slabs and by the live nodes.
+	 */
+	AVLTree.NumericTree.prototype.memoryUsage = function() {
+		var capacity = this._values.length - 1;
+		var nodes = this._size - 1 - this._freeCount;
+		var bytesPerNode = AVLTree.NumericTree.BYTES_PER_NODE;
+		return {
+			nodes: nodes,
+			capacity: capacity,
+			free: capacity - nodes,
+			freeListed: this._freeCount,
+			bytesPerNode: bytesPerNode,
+			bytes: (capacity + 1) * bytesPerNode,
+			usedBytes: nodes * bytesPerNode
+		};
+	};
 
-			// Set this node's height
-			node.height = Math.max(leftHeight, rightHeight) + 1;
+	/**
+	 * Rebuilds the tree into slabs just large enough for its nodes, or for
+	 * capacity nodes if that is more. The nodes are laid out in ascending
+	 * order as a perfectly balanced tree, which empties the free list and
+	 * makes traversals walk through memory in order. Takes O(n) time.
+	 *
+	 * @param {number=} capacity The number of nodes to leave room for.
+	 * @return {!AVLTree.NumericTree} This tree.
+	 */
+	AVLTree.NumericTree.prototype.compact = function(capacity) {
+		var nodes = this._size - 1 - this._freeCount;
+		var oldValues = this._values, oldMultiplicity = this._multiplicity;
+		var oldLeft = this._left, oldRight = this._right;
+		var stack = new Int32Array(this._height[this._root]), depth = 0;
+		var node = this._root, i = 1;
+		this._allocate(Math.max(nodes, capacity || 0) + 1);
 
-			// Traverse up tree and balance parent
-			return node._parent;
-		}, node);
+		// Copy the values and multiplicities straight into the new slabs in
+		// ascending order, walking the old nodes with a stack of indexes
+		while (node || depth) {
+			for (; node; node = oldLeft[node]) {
+				stack[depth++] = node;
+			}
+			node = stack[--depth];
+			this._values[i] = oldValues[node];
+			this._multiplicity[i++] = oldMultiplicity[node];
+			node = oldRight[node];
+		}
+		this._root = this._build(1, nodes);
+		this._size = nodes + 1;
+		this._free = 0;
+		this._freeCount = 0;
+		this._modCount++;
+		return this;
+	};
 
+	/**
+	 * Replaces the slabs with new, empty ones with room for capacity - 1
+	 * nodes, as index 0 stands for null.
+	 *
+	 * @param {number} capacity The length of the slabs.
+	 * @private
+	 */
+	AVLTree.NumericTree.prototype._allocate = function(capacity) {
+		this._values = new Float64Array(capacity);
+		this._left = new Int32Array(capacity);
+		this._right = new Int32Array(capacity);
+		this._height = new Int32Array(capacity);
+		this._count = new Int32Array(capacity);
+		this._multiplicity = new Int32Array(capacity);
 	};
 
 	/**
-	 * Performs a left rotation on the specified node.
+	 * Moves the nodes into slabs of the specified length.
 	 *
-	 * @param {AVLTree.Node} node Pivot node to rotate from.
+	 * @param {number} capacity The new length of the slabs.
 	 * @private
 	 */
-	AVLTree.prototype._leftRotate = function(node) {
-		// Re-assign parent-child references for the parent of the node being removed
-		if (node.isLeftChild()) {
-			node._parent._left = node._right;
-			node._right._parent = node._parent;
-		} else if (node.isRightChild()) {
-			node._parent._right = node._right;
-			node._right._parent = node._parent;
-		} else {
-			this._root = node._right;
-			this._root._parent = null;
+	AVLTree.NumericTree.prototype._resize = function(capacity) {
+		var slabs = ["_values", "_left", "_right", "_height", "_count",
+				"_multiplicity"];
+		for (var i = 0; i < slabs.length; i++) {
+			var slab = new this[slabs[i]].constructor(capacity);
+			slab.set(this[slabs[i]]);
+			this[slabs[i]] = slab;
 		}
-
-		// Re-assign parent-child references for the child of the node being removed
-		var temp = node._right;
-		node._right = node._right._left;
-		if (node._right != null)
-			node._right._parent = node;
-		temp._left = node;
-		node._parent = temp;
-
-		// Update counts.
-		temp.count = node.count;
-		node.count -= (temp._right ? temp._right.count : 0) + 1;
 	};
 
 	/**
-	 * Performs a right tree rotation on the specified node.
+	 * Takes a node from the free list, or the next unused index, and sets it
+	 * up as a leaf holding the value. The slabs must have room for it.
 	 *
-	 * @param {AVLTree.Node} node Pivot node to rotate from.
+	 * @param {number} value The node's value.
+	 * @return {number} The node.
 	 * @private
 	 */
-	AVLTree.prototype._rightRotate = function(node) {
-		// Re-assign parent-child references for the parent of the node being removed
-		if (node.isLeftChild()) {
-			node._parent._left = node._left;
-			node._left._parent = node._parent;
-		} else if (node.isRightChild()) {
-			node._parent._right = node._left;
-			node._left._parent = node._parent;
+	AVLTree.NumericTree.prototype._newNode = function(value) {
+		var node = this._free;
+		if (node) {
+			this._free = this._left[node];
+			this._freeCount--;
 		} else {
-			this._root = node._left;
-			this._root._parent = null;
+			node = this._size++;
 		}
-
-		// Re-assign parent-child references for the child of the node being removed
-		var temp = node._left;
-		node._left = node._left._right;
-		if (node._left != null)
-			node._left._parent = node;
-		temp._right = node;
-		node._parent = temp;
-
-		// Update counts.
-		temp.count = node.count;
-		node.count -= (temp._left ? temp._left.count : 0) + 1;
+		this._values[node] = value;
+		this._left[node] = 0;
+		this._right[node] = 0;
+		this._height[node] = 1;
+		this._count[node] = 1;
+		this._multiplicity[node] = 1;
+		return node;
 	};
 
 	/**
-	 * Removes the specified node from the tree and ensures the tree still
-	 * maintains the AVL-tree balance.
+	 * Puts a node which is no longer in the tree on the free list.
 	 *
-	 * @param {AVLTree.Node} node The node to be removed.
+	 * @param {number} node The node.
 	 * @private
 	 */
-	AVLTree.prototype._removeNode = function(node) {
-		// Perform normal binary tree node removal, but balance the tree, starting
-		// from where we removed the node
-		if (node._left != null || node._right != null) {
-			var balanceBegin = null;  // Node to begin balance from
-			var replacementNode;  // Node to replace the node being removed
-			if (node._left != null) {
-				r = this._getMaxNode(node._left);
-
-				// Update counts.
-				this._traverse(function(node) {
-					node.count--;
-					return node._parent;
-				}, replacementNode);
+	AVLTree.NumericTree.prototype._freeNode = function(node) {
+		this._left[node] = this._free;
+		this._free = node;
+		this._freeCount++;
+	};
 
-				if (replacementNode != node._left) {
-					replacementNode._parent._right = replacementNode._left;
-					if (replacementNode._left)
-						replacementNode._left._parent = replacementNode._parent;
-					replacementNode._left = node._left;
-					replacementNode._left._parent = replacementNode;
-					balanceBegin = replacementNode._parent;
-				}
-				replacementNode._parent = node._parent;
-				replacementNode._right = node._right;
-				if (replacementNode._right)
-					replacementNode._right._parent = replacementNode;
-				if (node == this._maxNode)
-					this._maxNode = replacementNode;
-				replacementNode.count = node.count;
+	/**
+	 * Links a replacement for a child of the deepest node of the path in place
+	 * of the old child, then rebalances each node of the path from the bottom
+	 * up, linking the subtree it turns into to its parent, and finally sets the
+	 * root.
+	 *
+	 * @param {number} depth The number of nodes in the path.
+	 * @param {number} oldChild The child being replaced, 0 if a new leaf is
+	 *     added.
+	 * @param {number} newChild The replacement, 0 to remove the child.
+	 * @private
+	 */
+	AVLTree.NumericTree.prototype._rebalancePath = function(depth, oldChild,
+			newChild) {
+		var path = this._path, left = this._left, values = this._values;
+		for (var i = depth - 1; i >= 0; i--) {
+			var parent = path[i];
+			if (oldChild ? left[parent] == oldChild :
+					values[newChild] < values[parent]) {
+				left[parent] = newChild;
 			} else {
-				r = this._getMinNode(node._right);
-
-				// Update counts.
-				this._traverse(function(node) {
-					node.count--;
-					return node._parent;
-				}, replacementNode);
-
-				if (replacementNode != node._right) {
-					replacementNode._parent._left = replacementNode._right;
-					if (replacementNode._right)
-						replacementNode._right._parent = replacementNode._parent;
-					replacementNode._right = node._right;
-					replacementNode._right._parent = replacementNode;
-					balanceBegin = replacementNode._parent;
-				}
-				replacementNode._parent = node._parent;
-				replacementNode._left = node._left;
-				if (replacementNode._left)
-					replacementNode._left._parent = replacementNode;
-				if (node == this._minNode)
-					this._minNode = replacementNode;
-				replacementNode.count = node.count;
+				this._right[parent] = newChild;
 			}
+			oldChild = parent;
+			newChild = this._rebalance(parent);
+		}
+		this._root = newChild;
+	};
 
-			// Update the parent of the node being removed to point to its replace
-			if (node.isLeftChild()) {
-				node._parent._left = replacementNode;
-			} else if (node.isRightChild()) {
-				node._parent._right = replacementNode;
-			} else {
-				this._root = replacementNode;
+	/**
+	 * Rotates the subtree rooted at a node whose children are balanced, if the
+	 * node is out of balance, and refreshes its height and count.
+	 *
+	 * @param {number} node The root of the subtree.
+	 * @return {number} The new root of the subtree.
+	 * @private
+	 */
+	AVLTree.NumericTree.prototype._rebalance = function(node) {
+		var left = this._left, right = this._right, height = this._height;
+		var balance = height[left[node]] - height[right[node]];
+		if (balance > 1) {
+			if (height[left[left[node]]] < height[right[left[node]]]) {
+				left[node] = this._rotateLeft(left[node]);
 			}
-
-			// Balance the tree
-			this._balance( balanceBegin ? balanceBegin : replacementNode);
-		} else {
-			// Update counts.
-			this._traverse(function(node) {
-				node.count--;
-				return node._parent;
-			}, node._parent);
-
-			// If the node is a leaf, remove it and balance starting from its parent
-			if (node.isLeftChild()) {
-				this.special = 1;
-				node._parent._left = null;
-				if (node == this._minNode)
-					this._minNode = node._parent;
-				this._balance(node._parent);
-			} else if (node.isRightChild()) {
-				node._parent._right = null;
-				if (node == this._maxNode)
-					this._maxNode = node._parent;
-				this._balance(node._parent);
-			} else {
-				this.clear();
+			return this._rotateRight(node);
+		} else if (balance < -1) {
+			if (height[right[right[node]]] < height[left[right[node]]]) {
+				right[node] = this._rotateRight(right[node]);
 			}
+			return this._rotateLeft(node);
 		}
+		this._refresh(node);
+		return node;
 	};
 
 	/**
-	 * Returns the node in the tree that has n nodes before it in an in-order
-	 * traversal, optionally rooted at the root node.
+	 * Rotates the subtree rooted at a node to the left.
 	 *
-	 * @param {number} n The number of nodes before the node to be returned in an
-	 *     in-order traversal, where 0 <= n < root.count.
-	 * @param {AVLTree.Node=} rootNode Optional root node.
-	 * @return {AVLTree.Node} The node at the specified index.
+	 * @param {number} node The root of the subtree.
+	 * @return {number} The new root, the node's right child.
 	 * @private
 	 */
-	AVLTree.prototype._getNthNode = function(n, rootNode) {
-		var root = rootNode || this._root;
-		var numNodesInLeftSubtree = root._left ? root._left.count : 0;
-
-		if (n < numNodesInLeftSubtree) {
-			return this._getNthNode(n, root._left);
-		} else if (n == numNodesInLeftSubtree) {
-			return root;
-		} else {
-			return this._getNthNode(n - numNodesInLeftSubtree - 1, root._right);
-		}
+	AVLTree.NumericTree.prototype._rotateLeft = function(node) {
+		var pivot = this._right[node];
+		this._right[node] = this._left[pivot];
+		this._left[pivot] = node;
+		this._refresh(node);
+		this._refresh(pivot);
+		return pivot;
 	};
 
 	/**
-	 * Returns the node with the smallest value in tree, optionally rooted at
-	 * the root node.
+	 * Rotates the subtree rooted at a node to the right.
 	 *
-	 * @param {AVLTree.Node=} rootNode Optional root node.
-	 * @return {AVLTree.Node} The node with the smallest value in
-	 *     the tree.
+	 * @param {number} node The root of the subtree.
+	 * @return {number} The new root, the node's left child.
 	 * @private
 	 */
-	AVLTree.prototype._getMinNode = function(rootNode) {
-		if (!rootNode) {
-			return this._minNode;
-		}
-
-		var minNode = rootNode;
-		this._traverse(function(node) {
-			var retNode = null;
-			if (node._left) {
-				minNode = node._left;
-				retNode = node._left;
-			}
-			return retNode;
-			// If null, we'll stop traversing the tree
-		}, rootNode);
+	AVLTree.NumericTree.prototype._rotateRight = function(node) {
+		var pivot = this._left[node];
+		this._left[node] = this._right[pivot];
+		this._right[pivot] = node;
+		this._refresh(node);
+		this._refresh(pivot);
+		return pivot;
+	};
 
-		return minNode;
+	/**
+	 * Recalculates the height and count of a node from its children.
+	 *
+	 * @param {number} node The node to refresh.
+	 * @private
+	 */
+	AVLTree.NumericTree.prototype._refresh = function(node) {
+		var l = this._left[node], r = this._right[node], height = this._height;
+		height[node] = (height[l] > height[r] ? height[l] : height[r]) + 1;
+		this._count[node] = this._count[l] + this._multiplicity[node] +
+				this._count[r];
 	};
 
 	/**
-	 * Returns the node with the largest value in tree, optionally rooted at
-	 * the root node.
+	 * Links the nodes from first to last, whose values and multiplicities are
+	 * set and in ascending order, into a perfectly balanced subtree.
 	 *
-	 * @param {AVLTree.Node=} rootNode Optional root node.
-	 * @return {AVLTree.Node} The node with the largest value in
-	 *     the tree.
+	 * @param {number} first The first node.
+	 * @param {number} last The last node.
+	 * @return {number} The root of the subtree, 0 if it is empty.
 	 * @private
 	 */
-	AVLTree.prototype._getMaxNode = function(rootNode) {
-		if (!rootNode) {
-			return this._maxNode;
+	AVLTree.NumericTree.prototype._build = function(first, last) {
+		if (first > last) {
+			return 0;
 		}
-
-		var maxNode = rootNode;
-		this._traverse(function(node) {
-			var retNode = null;
-			if (node._right) {
-				maxNode = node._right;
-				retNode = node._right;
-			}
-			return retNode;
-			// If null, we'll stop traversing the tree
-		}, rootNode);
-
-		return maxNode;
+		var node = (first + last) >>> 1;
+		this._left[node] = this._build(first, node - 1);
+		this._right[node] = this._build(node + 1, last);
+		this._refresh(node);
+		return node;
 	};
 
 	/**
-	 * Constructs an AVL-Tree node with the specified value. If no parent is
-	 * specified, the node's parent is assumed to be null and thus, root. The
-	 * node's height defaults to 1 and its children default to null.
+	 * Returns the node holding the specified value, or 0 if it is not in the
+	 * tree.
 	 *
-	 * @param {*} value Value to store in the node.
-	 * @param {AVLTree.Node=} parent Optional parent node.
-	 * @constructor
+	 * @param {number} value Value to find.
+	 * @return {number} The node.
+	 * @private
 	 */
-	AVLTree.Node = function(value, parent) {
-		this.value = value;
-		this._parent = parent ? parent : null;
-		this.count = 1;  // Number of nodes in the subtree rooted at this node.
+	AVLTree.NumericTree.prototype._findNode = function(value) {
+		var values = this._values, node = this._root;
+		while (node && values[node] !== value) {
+			node = value < values[node] ? this._left[node] : this._right[node];
+		}
+		return node;
 	};
-	
+
 	/**
-	 * Prints out the ordered list to console. Will break Internet Explorer. Use for debugging only.
-	 * 
-	 * @param {String} padding Used by the method to increase padding for the node.
-	 * @private 
+	 * Calls func with each node in order, starting from the first node on the
+	 * far side of startValue if it is given, until func returns true. The
+	 * pending nodes are kept on a stack as there are no parent links.
+	 *
+	 * @param {Function} func Function to call with each node.
+	 * @param {?number|undefined} startValue The value to start from, if any.
+	 * @param {boolean} reverse Whether to go in descending order.
+	 * @private
 	 */
-	AVLTree.Node.prototype._inOrderPrint = function(padding) {
-		
-		padding = padding || "";
-		
-		padding = "--" + padding;
-		
-		if(this._left !== null) {
-			this._left._inOrderPrint(padding);
+	AVLTree.NumericTree.prototype._traverseNodes = function(func, startValue,
+			reverse) {
+		var near = reverse ? this._right : this._left;
+		var far = reverse ? this._left : this._right;
+		var values = this._values, stack = [], node = this._root;
+
+		// Stack the nodes on the way down which the traversal comes back to
+		var hasStart = startValue != null;
+		while (node) {
+			if (!hasStart || (reverse ? values[node] <= startValue :
+					values[node] >= startValue)) {
+				stack.push(node);
+				node = near[node];
+			} else {
+				node = far[node];
+			}
 		}
-		
-		console.log(padding + this.value);
-		
-		if(this._right !== null) {
-			this._right._inOrderPrint(padding);
+
+		while (stack.length) {
+			node = stack.pop();
+			if (func(node)) {
+				return;
+			}
+			for (node = far[node]; node; node = near[node]) {
+				stack.push(node);
+			}
 		}
 	};
 
 	/**
-	 * The node's left child. Null if the node does not have a left child.
+	 * Calls func with each value in order, once per copy, until func returns
+	 * true, throwing if func modifies the tree.
 	 *
-	 * @type {AVLTree.Node?}
+	 * @param {Function} func Function to call with each value.
+	 * @param {?number|undefined} startValue The value to start from, if any.
+	 * @param {boolean} reverse Whether to go in descending order.
+	 * @private
 	 */
-	AVLTree.Node.prototype._left = null;
+	AVLTree.NumericTree.prototype._traverseValues = function(func, startValue,
+			reverse) {
+		var tree = this, modCount = this._modCount;
+		this._traverseNodes(function(node) {
+			var value = tree._values[node];
+			for (var copy = tree._multiplicity[node]; copy > 0; copy--) {
+				if (func(value)) {
+					return true;
+				}
+				if (tree._modCount != modCount) {
+					throw new AVLTree.ConcurrentModificationError();
+				}
+			}
+			return false;
+		}, startValue, reverse);
+	};
 
 	/**
-	 * The node's right child. Null if the node does not have a right child.
+	 * Constructs an iterator over the numbers of a NumericTree in ascending
+	 * order, once per copy. The nodes it comes back to are kept on a stack of
+	 * indexes into the slabs, as deep as the tree is high. Modifying the tree
+	 * makes the next call to next() throw an
+	 * AVLTree.ConcurrentModificationError.
 	 *
-	 * @type {AVLTree.Node?}
+	 * @param {!AVLTree.NumericTree} tree The tree to iterate over.
+	 * @constructor
 	 */
-	AVLTree.Node.prototype._right = null;
+	AVLTree.NumericTree.Iterator = function(tree) {
+		this._tree = tree;
+		this._modCount = tree._modCount;
+		this._stack = new Int32Array(tree._height[tree._root]);
+		this._pushLeft(tree._root);
+	};
 
 	/**
-	 * The height of the tree rooted at this node.
+	 * The number of nodes on the stack.
 	 *
 	 * @type {number}
+	 * @private
 	 */
-	AVLTree.Node.prototype.height = 1;
+	AVLTree.NumericTree.Iterator.prototype._depth = 0;
 
 	/**
-	 * Returns true if the specified node has a parent and is the right child of
-	 * its parent.
+	 * The number of copies of the top node's value already returned.
 	 *
-	 * @return {boolean} Whether the specified node has a parent and is the right
-	 *    child of its parent.
+	 * @type {number}
+	 * @private
 	 */
-	AVLTree.Node.prototype.isRightChild = function() {
-		return !!this._parent && this._parent._right == this;
+	AVLTree.NumericTree.Iterator.prototype._copy = 0;
+
+	/**
+	 * Returns the next value of the iteration.
+	 *
+	 * @return {{value: (number|undefined), done: boolean}} The next iteration
+	 *     result.
+	 */
+	AVLTree.NumericTree.Iterator.prototype.next = function() {
+		var tree = this._tree;
+		if (tree._modCount != this._modCount) {
+			throw new AVLTree.ConcurrentModificationError();
+		}
+		if (!this._depth) {
+			return { value: undefined, done: true };
+		}
+
+		// Move on once every copy of the node's value has been returned
+		var node = this._stack[this._depth - 1];
+		if (++this._copy >= tree._multiplicity[node]) {
+			this._copy = 0;
+			this._depth--;
+			this._pushLeft(tree._right[node]);
+		}
+		return { value: tree._values[node], done: false };
 	};
 
 	/**
-	 * Returns true if the specified node has a parent and is the left child of
-	 * its parent.
+	 * Pushes the node and its chain of left children onto the stack.
 	 *
-	 * @return {boolean} Whether the specified node has a parent and is the left
-	 *    child of its parent.
+	 * @param {number} node The node, or 0.
+	 * @private
 	 */
-	AVLTree.Node.prototype.isLeftChild = function() {
-		return !!this._parent && this._parent._left == this;
+	AVLTree.NumericTree.Iterator.prototype._pushLeft = function(node) {
+		var left = this._tree._left;
+		for (; node; node = left[node]) {
+			this._stack[this._depth++] = node;
+		}
 	};
 
+	// Make trees, maps and iterators work with for...of and spread where the
+	// ES2015 iteration protocol is available.
+	if (typeof Symbol === "function" && Symbol.iterator) {
+		AVLTree.prototype[Symbol.iterator] = function() {
+			return this.values();
+		};
+		AVLTree.Map.prototype[Symbol.iterator] = function() {
+			return this.entries();
+		};
+		AVLTree.Iterator.prototype[Symbol.iterator] = function() {
+			return this;
+		};
+		AVLTree.View.prototype[Symbol.iterator] = function() {
+			return this.values();
+		};
+		AVLTree.Persistent.prototype[Symbol.iterator] = function() {
+			return this.values();
+		};
+		AVLTree.Persistent.Iterator.prototype[Symbol.iterator] = function() {
+			return this;
+		};
+		AVLTree.NumericTree.prototype[Symbol.iterator] = function() {
+			return this.values();
+		};
+		AVLTree.NumericTree.Iterator.prototype[Symbol.iterator] = function() {
+			return this;
+		};
+	}
+
 	// Module Export Code
 	if ( typeof module === "object" && module && typeof module.exports === "object") {
 		// Expose AVLTree as module.exports in loaders that implement the Node
@@ -815,4 +7416,4 @@
 			});
 		}
 	}
-})(window);
+})(typeof window !== "undefined" ? window : this);
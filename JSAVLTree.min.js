@@ -1,2 +1,2 @@
-/* AVLTree for JavaScript. v2.0.0. (c) 2013, Brian Milton */
-(function(b,c){var a=function(d,g,e){if(!d){throw new Error()}if(e.length>2){var f=Array.prototype.slice.call(e,2);return function(){var h=Array.prototype.slice.call(e);Array.prototype.unshift.apply(h,f);return d.apply(g,h)}}else{return function(){return d.apply(g,e)}}};AVLTree=function(d){this._comparator=d||AVLTree.DEFAULT_COMPARATOR};AVLTree.DEFAULT_COMPARATOR=function(e,d){if(String(e)<String(d)){return -1}else{if(String(e)>String(d)){return 1}}return 0};AVLTree.prototype._root=null;AVLTree.prototype._comparator=null;AVLTree.prototype._minNode=null;AVLTree.prototype._maxNode=null;AVLTree.prototype.add=function(e){if(this._root==null){this._root=new AVLTree.Node(e);this._minNode=this._root;this._maxNode=this._root;return true}var d=null;this._traverse(function(f){var g=null;if(this._comparator(f.value,e)>0){g=f._left;if(f._left==null){d=new AVLTree.Node(e,f);f._left=d;if(f==this._minNode){this._minNode=d}}}else{if(this._comparator(f.value,e)<0){g=f._right;if(f._right==null){d=new AVLTree.Node(e,f);f._right=d;if(f==this._maxNode){this._maxNode=d}}}}return g});if(d){this._traverse(function(f){f.count++;return f._parent},d._parent);this._balance(d._parent)}return !!d};AVLTree.prototype.remove=function(d){var e=null;this._traverse(function(f){var g=null;if(this._comparator(f.value,d)>0){g=f._left}else{if(this._comparator(f.value,d)<0){g=f._right}else{e=f.value;this._removeNode(f)}}return g});return e};AVLTree.prototype.clear=function(){this._root=null;this._minNode=null;this._maxNode=null};AVLTree.prototype.contains=function(d){var e=false;this._traverse(function(f){var g=null;if(this._comparator(f.value,d)>0){g=f._left}else{if(this._comparator(f.value,d)<0){g=f._right}else{e=true}}return g});return e};AVLTree.prototype.getCount=function(){return this._root?this._root.count:0};AVLTree.prototype.getNthValue=function(d){if(d<0||d>=this.getCount()){return null}return this._getNthNode(d).value};AVLTree.prototype.getMinimum=function(){return this._getMinNode().value};AVLTree.prototype.getMaximum=function(){return this._getMaxNode().value};AVLTree.prototype.getHeight=function(){return this._root?this._root.height:0};AVLTree.prototype.getValues=function(){var d=[];this.inOrderTraverse(function(e){d.push(e)});return d};AVLTree.prototype.inOrderTraverse=function(i,e){if(!this._root){return}var f;if(e){this._traverse(function(j){var k=null;if(this._comparator(j.value,e)>0){k=j._left;f=j}else{if(this._comparator(j.value,e)<0){k=j._right}else{f=j}}return k})}else{f=this._getMinNode()}var h=f,g=f._left?f._left:f;while(h!=null){if(h._left!=null&&h._left!=g&&h._right!=g){h=h._left}else{if(h._right!=g){if(i(h.value)){return}}var d=h;h=h._right!=null&&h._right!=g?h._right:h._parent;g=d}}};AVLTree.prototype.reverseOrderTraverse=function(i,e){if(!this._root){return}var f;if(e){this._traverse(a(function(j){var k=null;if(this._comparator(j.value,e)>0){k=j._left}else{if(this._comparator(j.value,e)<0){k=j._right;f=j}else{f=j}}return k},this))}else{f=this._getMaxNode()}var h=f,g=f._right?f._right:f;while(h!=null){if(h._right!=null&&h._right!=g&&h._left!=g){h=h._right}else{if(h._left!=g){if(i(h.value)){return}}var d=h;h=h._left!=null&&h._left!=g?h._left:h._parent;g=d}}};AVLTree.prototype.printAVLTree=function(){if(this._root!==null){return this._root._inOrderPrint()}return false};AVLTree.prototype._traverse=function(g,e,d){var f=e?e:this._root;var d=d?d:null;while(f&&f!=d){f=g.call(this,f)}};AVLTree.prototype._balance=function(d){this._traverse(function(e){var f=e._left?e._left.height:0;var g=e._right?e._right.height:0;if(f-g>1){if(e._left._right&&(!e._left._left||e._left._left.height<e._left._right.height)){this._leftRotate(e._left)}this._rightRotate(e)}else{if(g-f>1){if(e._right._left&&(!e._right._right||e._right._right.height<e._right._left.height)){this._rightRotate(e._right)}this._leftRotate(e)}}f=e._left?e._left.height:0;g=e._right?e._right.height:0;e.height=Math.max(f,g)+1;return e._parent},d)};AVLTree.prototype._leftRotate=function(e){if(e.isLeftChild()){e._parent._left=e._right;e._right._parent=e._parent}else{if(e.isRightChild()){e._parent._right=e._right;e._right._parent=e._parent}else{this._root=e._right;this._root._parent=null}}var d=e._right;e._right=e._right._left;if(e._right!=null){e._right._parent=e}d._left=e;e._parent=d;d.count=e.count;e.count-=(d._right?d._right.count:0)+1};AVLTree.prototype._rightRotate=function(e){if(e.isLeftChild()){e._parent._left=e._left;e._left._parent=e._parent}else{if(e.isRightChild()){e._parent._right=e._left;e._left._parent=e._parent}else{this._root=e._left;this._root._parent=null}}var d=e._left;e._left=e._left._right;if(e._left!=null){e._left._parent=e}d._right=e;e._parent=d;d.count=e.count;e.count-=(d._left?d._left.count:0)+1};AVLTree.prototype._removeNode=function(d){if(d._left!=null||d._right!=null){var f=null;var e;if(d._left!=null){r=this._getMaxNode(d._left);this._traverse(function(g){g.count--;return g._parent},e);if(e!=d._left){e._parent._right=e._left;if(e._left){e._left._parent=e._parent}e._left=d._left;e._left._parent=e;f=e._parent}e._parent=d._parent;e._right=d._right;if(e._right){e._right._parent=e}if(d==this._maxNode){this._maxNode=e}e.count=d.count}else{r=this._getMinNode(d._right);this._traverse(function(g){g.count--;return g._parent},e);if(e!=d._right){e._parent._left=e._right;if(e._right){e._right._parent=e._parent}e._right=d._right;e._right._parent=e;f=e._parent}e._parent=d._parent;e._left=d._left;if(e._left){e._left._parent=e}if(d==this._minNode){this._minNode=e}e.count=d.count}if(d.isLeftChild()){d._parent._left=e}else{if(d.isRightChild()){d._parent._right=e}else{this._root=e}}this._balance(f?f:e)}else{this._traverse(function(g){g.count--;return g._parent},d._parent);if(d.isLeftChild()){this.special=1;d._parent._left=null;if(d==this._minNode){this._minNode=d._parent}this._balance(d._parent)}else{if(d.isRightChild()){d._parent._right=null;if(d==this._maxNode){this._maxNode=d._parent}this._balance(d._parent)}else{this.clear()}}}};AVLTree.prototype._getNthNode=function(g,e){var d=e||this._root;var f=d._left?d._left.count:0;if(g<f){return this._getNthNode(g,d._left)}else{if(g==f){return d}else{return this._getNthNode(g-f-1,d._right)}}};AVLTree.prototype._getMinNode=function(d){if(!d){return this._minNode}var e=d;this._traverse(function(f){var g=null;if(f._left){e=f._left;g=f._left}return g},d);return e};AVLTree.prototype._getMaxNode=function(e){if(!e){return this._maxNode}var d=e;this._traverse(function(f){var g=null;if(f._right){d=f._right;g=f._right}return g},e);return d};AVLTree.Node=function(e,d){this.value=e;this._parent=d?d:null;this.count=1};AVLTree.Node.prototype._inOrderPrint=function(d){d=d||"";d="--"+d;if(this._left!==null){this._left._inOrderPrint(d)}console.log(d+this.value);if(this._right!==null){this._right._inOrderPrint(d)}};AVLTree.Node.prototype._left=null;AVLTree.Node.prototype._right=null;AVLTree.Node.prototype.height=1;AVLTree.Node.prototype.isRightChild=function(){return !!this._parent&&this._parent._right==this};AVLTree.Node.prototype.isLeftChild=function(){return !!this._parent&&this._parent._left==this};if(typeof module==="object"&&module&&typeof module.exports==="object"){module.exports=AVLTree}else{b.AVLTree=AVLTree;if(typeof define==="function"&&define.amd){define("avltree",[],function(){return AVLTree})}}})(window);
\ No newline at end of file
+/* AVLTree for JavaScript. v2.1.0. (c) 2013, Brian Milton */
+!function(t,e){var i=function(t,e){var i=function(){};i.prototype=e.prototype,t.superClass_=e.prototype,t.prototype=new i,t.prototype.constructor=t},r=function(t){if(null!=t&&"number"==typeof t.length)return Array.prototype.slice.call(t);if(null==t||"function"!=typeof Symbol||"function"!=typeof t[Symbol.iterator])throw new TypeError(String(t)+" is not an array, array-like object or iterable");for(var e=[],i=t[Symbol.iterator](),r=i.next();!r.done;r=i.next())e.push(r.value);return e},o=function(t,i){if(null!==i&&"object"==typeof i){var r=t(i);if(r!==e)return r}return i},n=function(t,e){return t<e?-1:t>e?1:0},s=function(t){for(var e=0,i=0,r=1;r<=t;){var o=i+r+1;i=r,r=o,e++}return e},h=1096174676,a=1,_=2,u=4,l=function(t){for(var e=unescape(encodeURIComponent(t)),i=new Uint8Array(e.length),r=0;r<e.length;r++)i[r]=e.charCodeAt(r);return i},p=function(t){for(var e="",i=0;i<t.length;i++)e+=String.fromCharCode(t[i]);return decodeURIComponent(escape(e))},c=function(t,e){(e=this._initComparator(t,e))&&e.multiset&&(this._multiset=!0),e&&e.aggregate&&(this._aggregate=e.aggregate),e&&null!=e.maxSize&&this._initCapacity(e),e&&e.iterationMode&&(this._iterationMode=this._getIterationMode(e.iterationMode)),e&&e.instrument&&this._instrument()};c.DEFAULT_COMPARATOR=function(t,e){return String(t)<String(e)?-1:String(t)>String(e)?1:0},c.comparators={numeric:function(t,e){return(t=+t)<(e=+e)?-1:t>e?1:t===e||t!=t&&e!=e?0:t!=t?1:-1},natural:function(t,e){for(var i=String(t).match(/\d+|\D+/g)||[],r=String(e).match(/\d+|\D+/g)||[],o=0;o<i.length&&o<r.length;o++){var s=i[o],h=r[o];if(s!==h){if(/^\d/.test(s)&&/^\d/.test(h)){var a=s.replace(/^0+/,""),_=h.replace(/^0+/,"");return a.length!=_.length?a.length<_.length?-1:1:a!=_?a<_?-1:1:s.length<h.length?-1:1}return s<h?-1:1}}return n(i.length,r.length)},locale:function(t,e){if("undefined"!=typeof Intl&&Intl.Collator){var i=new Intl.Collator(t,e);return function(t,e){return i.compare(String(t),String(e))}}return function(i,r){return String(i).localeCompare(String(r),t,e)}},reverse:function(t){return function(e,i){return t(i,e)}},thenBy:function(t){var e=Array.prototype.slice.call(arguments);return function(t,i){for(var r=0;r<e.length;r++){var o=e[r](t,i);if(o)return o}return 0}},byKey:function(t,e){return e=e||n,function(i,r){return e(t(i),t(r))}},nullsFirst:function(t){return function(e,i){return null==e||null==i?(null==e?0:1)-(null==i?0:1):t(e,i)}},nullsLast:function(t){return function(e,i){return null==e||null==i?(null==e?1:0)-(null==i?1:0):t(e,i)}},date:function(t,e){return c.comparators.numeric((t instanceof Date?t:new Date(t)).getTime(),(e instanceof Date?e:new Date(e)).getTime())}},c.comparators.caseInsensitive=c.comparators.locale(e,{sensitivity:"accent"}),c.fromSorted=function(t,e,i){e&&"object"==typeof e&&(i=e);var r=new c(e,i);return i&&i.sort&&(t=Array.prototype.slice.call(t)).sort(function(t,e){return r._compareValues(t,e)}),r._setRoot(r._buildFromSorted(t,!(!i||!i.sort))),r._enforceMaxSize(null),r},c.from=function(t,e,i){var o=r(t),n=new c(e,i);return o.sort(function(t,e){return n._compareValues(t,e)}),n._setRoot(n._buildFromSorted(o,!0)),n._enforceMaxSize(null),n},c.join=function(t,e){if(t._checkComparator(e),t._root&&e._root&&t._compareValues(t._getMaxNode().value,e._getMinNode().value)>=0)throw new Error("Every value in left must be less than every value in right");var i=t._cloneEmpty();if(i._checkCapacity(t.getCount()+e.getCount()),t._recordRoot(),e._recordRoot(),t._beforeModify(),e._beforeModify(),i._owner=t._owner,t._root&&e._root){var r=e._getMinNode();e._joining=!0,r=e._removeNode(r),e._joining=!1,i._setRoot(i._join(t._root,r,e._root))}else i._setRoot(t._root||e._root);return t._setRoot(null),e._setRoot(null),i._enforceMaxSize(null),i},c.FORMAT_VERSION=1,c.JSON_CODEC={encode:function(t){var i=JSON.stringify(t===e?null:t);return l(i)},decode:function(t){return JSON.parse(p(t))}},c.fromJSON=function(t,i,r){if("string"==typeof t&&(t=JSON.parse(t)),!(t&&t.version<=c.FORMAT_VERSION))throw new Error("Unsupported tree dump version: "+(t&&t.version));var o=t.map?new c.Map(i,r):new c(i,r);if(o._multiset=!!t.multiset,t.root!==e){var n=o._restoreShape(t.root,null,{node:null}),s=[];if(o._validateNode(n,null,s,{previous:null,min:null,max:null}),s.length)throw new Error("The tree dump's shape is invalid: "+s[0].message);o._setRoot(n)}else o._setRoot(o._buildFromDump(t.values,t.multiplicities,t.data));return o._enforceMaxSize(null),o},c.fromBinary=function(t,e,i){e&&"object"==typeof e&&(i=e);var r=new DataView(t);if(t.byteLength<10||r.getUint32(0)!=h)throw new Error("Not a binary tree dump");var o=r.getUint8(4);if(o<1||o>c.FORMAT_VERSION)throw new Error("Unsupported tree dump version: "+o);var n,s=r.getUint8(5),l=r.getUint32(6,!0),f=10,d=i&&i.codec||c.JSON_CODEC,v=function(e){if(f+e>t.byteLength)throw new Error("The binary tree dump is truncated")},g=function(){v(4);var e=r.getUint32(f,!0);v(4+e);var i=new Uint8Array(t,f+4,e);return f+=4+e,i},m=[],y=null,N=null;for(n=0;n<l;n++)s&u?m.push(p(g())):(v(8),m.push(r.getFloat64(f,!0)),f+=8);if(s&a)for(y=[],n=0;n<l;n++,f+=4)v(4),y.push(r.getUint32(f,!0));if(s&_)for(N=[],n=0;n<l;n++)N.push(d.decode(g()));var w=N?new c.Map(e,i):new c(e,i);return w._multiset=!!y,w._setRoot(w._buildFromDump(m,y,N)),w._enforceMaxSize(null),w},c.prototype._root=null,c.prototype._comparator=null,c.prototype._keyFn=null,c.prototype._baseComparator=null,c.prototype._keyComparator=null,c.prototype._stats=null,c.prototype._uncountedComparator=null,c.prototype._minNode=null,c.prototype._maxNode=null,c.prototype._multiset=!1,c.prototype._aggregate=null,c.prototype._owner=null,c.prototype._listeners=null,c.prototype._batch=null,c.prototype._joining=!1,c.prototype._maxSize=null,c.prototype._evictionPolicy="evict-min",c.prototype._onEvict=null,c.prototype._modCount=0,c.prototype._iterationMode="unchecked",c.prototype._journal=null,c.prototype._savepoints=null,c.prototype.add=function(t){if(this._stats&&this._countOperation(),null!==this._maxSize)return this._addBounded(t);var e=null;if(this._isObserved("add")&&(this._multiset||!this.contains(this._keyOf(t)))&&(e={value:t,rank:this.rank(this._keyOf(t))},!this._allow("add",e)))return!1;this._beforeModify();var i=this._insert(t);return i&&(this._record({type:"insert",value:t}),e&&this._emit("add",e)),!!i},c.prototype.remove=function(t,e){this._stats&&this._countOperation();var i=null;if(this._isObserved("remove")){var r=this._findNode(t);if(!r)return null;if(i={value:r.value,rank:this.rank(t),count:e?r.multiplicity:1},!this._allow("remove",i))return null}var o=this._removeValue(t,e);return i&&null!==o&&this._emit("remove",i),o},c.prototype._removeValue=function(t,e){this._beforeModify();var i=null;return this._traverse(function(r){var o=null;return this._comparator(r.value,t)>0?o=r._left:this._comparator(r.value,t)<0?o=r._right:(i=r.value,this._recordRemoval(r,e?r.multiplicity:1),r.multiplicity>1&&!e?((r=this._own(r)).multiplicity--,this._balance(r)):this._removeNode(r)),o}),i},c.prototype.clear=function(){var t=null;this._root&&this._isObserved("clear")&&(t={count:this.getCount()},!this._allow("clear",t))||(this._recordRoot(),this._root=null,this._minNode=null,this._maxNode=null,this._modCount++,t&&this._emit("clear",t))},c.prototype.removeNth=function(t){return t<0||t>=this.getCount()?null:this.remove(this._keyOf(this._getNthNode(t).value))},c.prototype.removeRange=function(t,e){var i=this._toRankRange(t,e),r=[];if(i.start>=i.end)return r;if(this._isObserved("remove")||this._journal){for(var o=this.slice(i.start,i.end),n=0;n<o.length;n++)null!==this.remove(this._keyOf(o[n]))&&r.push(o[n]);return r}return this._cutRange(i)},c.prototype._cutRange=function(t){var e=[];this._beforeModify();var i=this._getNthNode(t.start),r=this._getNthNode(t.end-1),o=this._keyOf(i.value),n=this._keyOf(r.value),s=t.start-this._countBefore(o,!1),h=this._countBefore(n,!0)-t.end,a=this._split(this._root,o),_=i===r?{left:null,right:a.right,node:null}:this._split(a.right,n);i=this._trimCopies(i,i===r?s+h:s,e),this._collectValues(_.left,e);var u=(r=this._trimCopies(_.node,h,e))?this._join(null,r,_.right):_.right;return this._setRoot(i?this._join(a.left,i,u):this._join2(a.left,u)),e},c.prototype.removeValueRange=function(t,e,i){i=i||{};var r=this._lookupKey(t),o=this._lookupKey(e);if(null!=t&&null!=e&&this._keyComparator(r,o)>0)return[];var n=null==t?0:this._countBefore(t,!1===i.loInclusive),s=null==e?this.getCount():this._countBefore(e,!1!==i.hiInclusive);return this.removeRange(n,s)},c.prototype.addAll=function(t){var e=r(t),i={inserted:0,skipped:0};if(null!==this._maxSize&&"reject-new"==this._evictionPolicy&&this._checkCapacity(this.getCount()+this._countNewValues(e)),this._isObserved("add")||null!==this._maxSize||this._journal){for(var o=0;o<e.length;o++){var n=this.add(e[o]);("object"==typeof n?n.inserted:n)?i.inserted++:i.skipped++}return i}this._beforeModify();var s=this;e=this._sortValues(e,function(t,e){return s._compareValues(t,e)});var h=this._keyFn?e.map(function(t){return s._keyFn(t)}):e;return this._setRoot(this._addSorted(this._root,e,h,0,e.length-1,i)),i.skipped=e.length-i.inserted,i},c.prototype.removeAll=function(t){var e=r(t),i={removed:0,missing:0};if(this._isObserved("remove")||this._journal){for(var o=0;o<e.length;o++){var n=this.getCount();this.remove(e[o]),this.getCount()<n?i.removed++:i.missing++}return i}return this._beforeModify(),this._keyFn&&(e=e.map(this._lookupKey,this)),e=this._sortValues(e,this._keyComparator),this._setRoot(this._removeSorted(this._root,e,0,e.length-1,i)),i.missing=e.length-i.removed,i},c.prototype.contains=function(t){this._stats&&this._countOperation();var e=!1;return this._traverse(function(i){var r=null;return this._comparator(i.value,t)>0?r=i._left:this._comparator(i.value,t)<0?r=i._right:e=!0,r}),e},c.prototype.find=function(t){var e=this._findNode(t);return e?e.value:null},c.prototype.getByKey=function(t){if(!this._keyFn)return this.find(t);for(var e=this._root;e;){var i=this._keyComparator(this._keyFn(e.value),t);if(0==i)return e.value;e=i>0?e._left:e._right}return null},c.prototype.countOf=function(t){var e=this._findNode(t);return e?e.multiplicity:0},c.prototype.getCount=function(){return this._root?this._root.count:0},c.prototype.getNthValue=function(t){return this._stats&&this._countOperation(),t<0||t>=this.getCount()?null:this._getNthNode(t).value},c.prototype.slice=function(t,e){var i=this._toRankRange(t,e),r=[];if(i.start>=i.end)return r;for(var o=this._getNthNode(i.start),n=i.start-this._countBefore(this._keyOf(o.value),!1),s=i.start;s<i.end;s++)r.push(o.value),++n==o.multiplicity&&(o=this._getNextNode(o),n=0);return r},c.prototype.getMinimum=function(){return this._getMinNode().value},c.prototype.getMaximum=function(){return this._getMaxNode().value},c.prototype.floor=function(t){var e=this._getFloorNode(t,!0);return e?e.value:null},c.prototype.ceiling=function(t){var e=this._getCeilingNode(t,!0);return e?e.value:null},c.prototype.lower=function(t){var e=this._getFloorNode(t,!1);return e?e.value:null},c.prototype.higher=function(t){var e=this._getCeilingNode(t,!1);return e?e.value:null},c.prototype.rank=function(t){return this._countBefore(t,!1)},c.prototype.countRange=function(t,e,i){var r=!i||!1!==i.loInclusive,o=!i||!1!==i.hiInclusive,n=null==e?this.getCount():this._countBefore(e,o),s=null==t?0:this._countBefore(t,!r);return Math.max(n-s,0)},c.prototype.aggregate=function(t,e,i){var r=this._aggregate;if(!r)throw new Error("The tree was not constructed with an aggregate");if(!this._root)return r.identity;if(null==t&&null==e)return this._root.aggregate;for(var o=!i||!1!==i.loInclusive,n=!i||!1!==i.hiInclusive,s=this._comparator,h=function(e){var i=null==t?1:s(e.value,t);return i>0||0==i&&o},a=function(t){var i=null==e?-1:s(t.value,e);return i<0||0==i&&n},_=this._root;_&&(!h(_)||!a(_));)_=h(_)?_._left:_._right;if(!_)return r.identity;for(var u=this._liftNode(_),l=_._left;l;)h(l)?(u=r.combine(l._right?r.combine(this._liftNode(l),l._right.aggregate):this._liftNode(l),u),l=l._left):l=l._right;for(l=_._right;l;)a(l)?(u=r.combine(u,l._left?r.combine(l._left.aggregate,this._liftNode(l)):this._liftNode(l)),l=l._right):l=l._left;return u},c.prototype.split=function(t){this._recordRoot(),this._beforeModify();var e=this._split(this._root,t),i=this._cloneEmpty(),r=this._cloneEmpty();return i._owner=r._owner=this._owner,i._setRoot(e.left),r._setRoot(e.right),this._setRoot(null),{left:i,right:r,found:!!e.node}},c.prototype.union=function(t){return this._copy().unionInPlace(t)},c.prototype.intersection=function(t){return this._copy().intersectionInPlace(t)},c.prototype.difference=function(t){return this._copy().differenceInPlace(t)},c.prototype.symmetricDifference=function(t){return this._copy().symmetricDifferenceInPlace(t)},c.prototype.unionInPlace=function(t){this._checkComparator(t),this._recordRoot(),this._beforeModify();var e=this._keepNodes();return this._setRoot(this._union(this._root,this._copyNodes(t._root,null))),this._enforceMaxSize(e),this},c.prototype.intersectionInPlace=function(t){return this._checkComparator(t),this._recordRoot(),this._beforeModify(),this._setRoot(this._intersection(this._root,this._copyNodes(t._root,null))),this},c.prototype.differenceInPlace=function(t){return this._checkComparator(t),this._recordRoot(),this._beforeModify(),this._setRoot(this._difference(this._root,this._copyNodes(t._root,null))),this},c.prototype.symmetricDifferenceInPlace=function(t){this._checkComparator(t),this._recordRoot(),this._beforeModify();var e=this._keepNodes();return this._setRoot(this._symmetricDifference(this._root,this._copyNodes(t._root,null))),this._enforceMaxSize(e),this},c.prototype.isSubsetOf=function(t){if(this._checkComparator(t),this.getCount()>t.getCount())return!1;for(var e=t._getMinNode(),i=this._getMinNode();i;i=this._getNextNode(i)){for(;e&&this._compareValues(e.value,i.value)<0;)e=t._getNextNode(e);if(!e||0!=this._compareValues(e.value,i.value)||e.multiplicity<i.multiplicity)return!1;e=t._getNextNode(e)}return!0},c.prototype.isSupersetOf=function(t){return t.isSubsetOf(this)},c.prototype.isDisjointFrom=function(t){this._checkComparator(t);for(var e=this._getMinNode(),i=t._getMinNode();e&&i;){var r=this._compareValues(e.value,i.value);if(0==r)return!1;r<0?e=this._getNextNode(e):i=t._getNextNode(i)}return!0},c.prototype.equals=function(t){if(this._checkComparator(t),this.getCount()!=t.getCount())return!1;var e=this instanceof c.Map||t instanceof c.Map,i=!0;return this._mergeWalk(t,function(t,r){return!(i=!(!t||!r||t.multiplicity!=r.multiplicity||e&&t.data!==r.data))}),i},c.prototype.compareTo=function(t){this._checkComparator(t);var e=this,i=0,r=function(t,e){var i=t._root?t._getMaxNode():null;return i&&t._compareValues(i.value,e)>0?1:0};return this._mergeWalk(t,function(o,n){return!n||o&&o.multiplicity>n.multiplicity?i=r(t,o.value)?-1:1:(!o||o.multiplicity<n.multiplicity)&&(i=r(e,n.value)?1:-1),0!=i}),i},c.prototype.diff=function(t,e){this._checkComparator(t);var i=this instanceof c.Map||t instanceof c.Map,r={added:[],removed:[]};i&&(r.changed=[]);var o=function(t,e,r){for(var o=0;o<r;o++)t.push(i?[e.value,e.data]:e.value)};return this._mergeWalk(t,function(t,n){if(n)if(t){var s=t.multiplicity-n.multiplicity;o(r.removed,t,s),o(r.added,n,-s),i&&!(e?e(t.data,n.data):t.data===n.data)&&r.changed.push([t.value,t.data,n.data])}else o(r.added,n,n.multiplicity);else o(r.removed,t,t.multiplicity)}),r},c.prototype.getHeight=function(){return this._root?this._root.height:0},c.prototype.getModCount=function(){return this._modCount},c.prototype.getStats=function(){var t=this._stats;return t?(this._trackPeak(),{comparisons:t.comparisons,rotations:{left:t.left,right:t.right,double:t.double},operations:t.operations,nodesVisited:t.nodesVisited,nodesVisitedPerOperation:t.operations?t.nodesVisited/t.operations:0,maxNodesVisited:Math.max(t.maxNodesVisited,t.nodesVisited-t.operationStart),height:this.getHeight(),peakHeight:t.peakHeight,peakHeightBound:s(t.peakSize)}):null},c.prototype.resetStats=function(){var t=this._stats;t&&(t.comparisons=t.left=t.right=t.double=0,t.operations=t.nodesVisited=t.maxNodesVisited=0,t.operationStart=0,t.peakHeight=this.getHeight(),t.peakSize=this._root?this._root.size:0)},c.prototype.getValues=function(){var t=[];return this.inOrderTraverse(function(e){t.push(e)}),t},c.prototype.inOrderTraverse=function(t,e,i){this._traverseValues(t,e,i,!1)},c.prototype.reverseOrderTraverse=function(t,e,i){this._traverseValues(t,e,i,!0)},c.prototype.values=function(t){return new c.Iterator(this,t,function(t){return t.value})},c.prototype.cursor=function(t,i){var r=t===e?this._getMinNode():this._getCeilingNode(t,!0);return new c.Cursor(this,r,this._getIterationMode(i))},c.prototype.subRange=function(t,e,i){return new c.View(this,t,e,i)},c.prototype.head=function(t,e){return new c.View(this,null,t,{hiInclusive:!!e})},c.prototype.tail=function(t,e){return new c.View(this,t,null,{loInclusive:!1!==e})},c.prototype.descending=function(){return new c.View(this,null,null,{reverse:!0})},c.prototype.snapshot=function(){this._owner={};var t=this._stats?this._uncountedComparator:this._comparator,e=new c.Persistent(t);return e._multiset=this._multiset,e._aggregate=this._aggregate,e._keyFn=this._keyFn,e._baseComparator=this._baseComparator,e._keyComparator=this._keyFn?this._keyComparator:e._comparator,e._root=this._root,e._minNode=this._minNode,e._maxNode=this._maxNode,e},c.prototype.clone=function(){return this._copy()},c.prototype.toJSON=function(t){var i={version:c.FORMAT_VERSION},r=this instanceof c.Map;return r&&(i.map=!0),this._multiset&&(i.multiset=!0),t&&"object"==typeof t&&t.shape?(i.root=this._dumpShape(this._root,r),i):(i.values=[],this._multiset&&(i.multiplicities=[]),r&&(i.data=[]),this._inOrderTraverseNodes(function(t){i.values.push(t.value),i.multiplicities&&i.multiplicities.push(t.multiplicity),i.data&&i.data.push(t.data===e?null:t.data)}),i)},c.prototype.toBinary=function(t){var e=t&&t.codec||c.JSON_CODEC,i=this instanceof c.Map,r=[];this._inOrderTraverseNodes(function(t){r.push(t)});var o,n=r.length>0&&"string"==typeof r[0].value,s=[],p=[],f=10;for(o=0;o<r.length;o++){var d=r[o].value;if(n&&"string"==typeof d)s.push(l(d)),f+=4+s[o].length;else{if(n||"number"!=typeof d)throw new Error("Binary dumps need all numeric or all string values");f+=8}i&&(p.push(e.encode(r[o].data)),f+=4+p[o].length),this._multiset&&(f+=4)}var v=new ArrayBuffer(f),g=new DataView(v),m=new Uint8Array(v);g.setUint32(0,h),g.setUint8(4,c.FORMAT_VERSION),g.setUint8(5,(this._multiset?a:0)|(i?_:0)|(n?u:0)),g.setUint32(6,r.length,!0);var y=10,N=function(t){g.setUint32(y,t.length,!0),m.set(t,y+4),y+=4+t.length};for(o=0;o<r.length;o++)n?N(s[o]):(g.setFloat64(y,r[o].value,!0),y+=8);if(this._multiset)for(o=0;o<r.length;o++,y+=4)g.setUint32(y,r[o].multiplicity,!0);for(o=0;o<p.length;o++)N(p[o]);return v},c.prototype.on=function(t,e){return this._listeners||(this._listeners={}),this._listeners[t]||(this._listeners[t]=[]),this._listeners[t].push(e),this},c.prototype.off=function(t,e){var i=this._listeners&&this._listeners[t];if(i)for(var r=i.length-1;r>=0;r--)if(i[r]===e){i.splice(r,1);break}return this},c.prototype.batch=function(t){if(this._batch)return t.call(this,this);this._batch=[];try{return t.call(this,this)}finally{var e=this._batch;this._batch=null,e.length&&this._emit("batch",{changes:e})}},c.prototype.transaction=function(t){var e;this.begin();try{e=t.call(this,this)}catch(t){throw this.rollback(),t}return this.commit(),e},c.prototype.begin=function(){return this._journal||(this._journal=[],this._savepoints=[]),this._savepoints.push(this._journal.length),this},c.prototype.commit=function(){return this._checkTransaction(),this._savepoints.pop(),this._savepoints.length||(this._journal=null,this._savepoints=null),this},c.prototype.rollback=function(){this._checkTransaction();for(var t=this._savepoints.pop(),e=this._journal,i=e.length-1;i>=t;i--)this._beforeModify(),this._undo(e[i]);return e.length=t,this._savepoints.length||(this._journal=null,this._savepoints=null),this},c.prototype.getTransactionDepth=function(){return this._savepoints?this._savepoints.length:0},c.prototype.validate=function(){var t=[],e={previous:null,min:null,max:null};return this._root&&this._root._parent&&t.push({check:"parent",value:this._root.value,message:"The root node has a parent"}),this._validateNode(this._root,null,t,e),this._minNode!=e.min&&t.push({check:"minNode",value:this._minNode?this._minNode.value:null,message:"The minimum node pointer does not point at the smallest value"}),this._maxNode!=e.max&&t.push({check:"maxNode",value:this._maxNode?this._maxNode.value:null,message:"The maximum node pointer does not point at the largest value"}),{valid:0==t.length,errors:t}},c.prototype.toAscii=function(t){for(var e=!(!t||!t.unicode),i=this._layout(t),r=[],o=0,n=0;n<i.length;n++){var s=i[n];s.highlighted&&(s.label="["+s.label+"]"),s.truncated&&(s.label+=e?" …":" ..."),s.column=o,s.center=o+Math.floor((s.label.length-1)/2),o+=s.label.length+1}var h=function(t,e,i){for(;t.length<e;)t.push(" ");t[e]=i};for(n=0;n<i.length;n++){for(var a=2*(s=i[n]).depth;r.length<=a+1;)r.push([]);for(var _=0;_<s.label.length;_++)h(r[a],s.column+_,s.label.charAt(_));var u=s.left,l=s.right;if(u||l){var p=u?u.center:s.center,c=l?l.center:s.center;for(_=p;_<=c;_++)h(r[a+1],_,e?"─":"-");u&&h(r[a+1],p,e?"┌":"+"),l&&h(r[a+1],c,e?"┐":"+"),h(r[a+1],s.center,e?u&&l?"┴":u?"┘":"└":"+")}}var f=[];for(n=0;n<r.length;n++)r[n].length&&f.push(r[n].join(""));return f.join("\n")},c.prototype.toDot=function(t){for(var e=this._layout(t),i=["digraph AVLTree {",'\tnode [shape=box, fontname="monospace"];'],r=function(t){return'"'+t.replace(/\\/g,"\\\\").replace(/"/g,'\\"').replace(/\n/g,"\\n")+'"'},o=0;o<e.length;o++){var n=e[o],s=["label="+r(n.label+"\nh="+n.node.height+" c="+n.node.count+" b="+n.balance)];n.highlighted&&s.push("color=red","penwidth=2"),n.truncated&&s.push("style=dashed"),i.push("\tn"+o+" ["+s.join(", ")+"];")}for(o=0;o<e.length;o++){var h=[(n=e[o]).left,n.right];if(n.left||n.right)for(var a=0;a<h.length;a++)if(h[a]){var _=h[a].highlighted?" [color=red, penwidth=2];":";";i.push("\tn"+o+" -> n"+h[a].index+_)}else{var u="n"+o+(a?"r":"l");i.push("\t"+u+' [style=invis, label=""];'),i.push("\tn"+o+" -> "+u+" [style=invis];")}}return i.push("}"),i.join("\n")},c.prototype.toLayout=function(t){for(var e=this._layout(t),i={width:e.length,height:0,nodes:[],edges:[]},r=0;r<e.length;r++){var o=e[r];i.height=Math.max(i.height,o.depth+1),i.nodes.push({id:r,value:o.node.value,label:o.label,x:r,y:o.depth,height:o.node.height,count:o.node.count,balance:o.balance,highlighted:o.highlighted,truncated:o.truncated}),o.parent&&i.edges.push({from:o.parent.index,to:r,side:o.parent.left==o?"left":"right",highlighted:o.highlighted})}return i},c.prototype.printAVLTree=function(){var t=this.toAscii();return"undefined"!=typeof console&&console.log(t),t},c.prototype._beforeModify=function(){this._modCount++},c.prototype._newNode=function(t,e){var i=new c.Node(t,e);return i._owner=this._owner,i},c.prototype._own=function(t){if(t._owner===this._owner)return t;var e=t._parent;e&&e._left!==t&&e._right!==t&&(e=null);var i=this._copyNode(t,e?this._own(e):null);return i._left&&i._left._parent===t&&(i._left._parent=i),i._right&&i._right._parent===t&&(i._right._parent=i),e?i._parent._left===t?i._parent._left=i:i._parent._right=i:this._root===t&&(this._root=i),this._minNode===t&&(this._minNode=i),this._maxNode===t&&(this._maxNode=i),i},c.prototype._record=function(t){this._journal&&this._journal.push(t)},c.prototype._recordRemoval=function(t,e){if(this._journal){var i={type:"remove",value:t.value,count:e};t.hasOwnProperty("data")&&(i.data=t.data),this._journal.push(i)}},c.prototype._recordRoot=function(){this._journal&&(this._journal.push({type:"root",root:this._root}),this._owner={})},c.prototype._checkTransaction=function(){if(!this._savepoints)throw new Error("No transaction is open")},c.prototype._undo=function(t){var e;switch(t.type){case"insert":(e=this._own(this._findNode(this._keyOf(t.value)))).multiplicity>1?(e.multiplicity--,this._balance(e)):this._removeNode(e);break;case"remove":(e=this._findNode(this._keyOf(t.value)))?(e=this._own(e)).multiplicity+=t.count:(e=this._insert(t.value),1!=t.count&&(e.multiplicity=t.count)),t.hasOwnProperty("data")&&(e.data=t.data),this._balance(e);break;case"data":(e=this._own(this._findNode(this._keyOf(t.value)))).data=t.data,this._balance(e);break;case"root":this._setRoot(this._copyNodes(t.root,null))}},c.prototype._isObserved=function(t){if(!this._listeners)return!1;var e=this._listeners,i=function(t){return!!e[t]&&e[t].length>0};return this._batch?i("batch"):i(t)||i("before"+t)},c.prototype._allow=function(t,e){if(this._batch||!this._listeners["before"+t])return!0;var i={type:"before"+t};for(var r in e)i[r]=e[r];for(var o=this._listeners[i.type].slice(),n=0;n<o.length;n++)if(!1===o[n].call(this,i))return!1;return!0},c.prototype._emit=function(t,e){if(e.type=t,this._batch&&"rotate"!=t)this._batch.push(e);else for(var i=(this._listeners[t]||[]).slice(),r=0;r<i.length;r++)i[r].call(this,e)},c.prototype._insert=function(t){if(null==this._root)return this._root=this._newNode(t),this._refresh(this._root),this._minNode=this._root,this._maxNode=this._root,this._root;var e=null,i=null,r=this._keyOf(t);return this._traverse(function(o){var n=null;return this._comparator(o.value,r)>0?(n=o._left,null==o._left&&(o=this._own(o),e=this._newNode(t,o),o._left=e,o==this._minNode&&(this._minNode=e))):this._comparator(o.value,r)<0?(n=o._right,null==o._right&&(o=this._own(o),e=this._newNode(t,o),o._right=e,o==this._maxNode&&(this._maxNode=e))):this._multiset&&((o=this._own(o)).multiplicity++,i=o),n}),i?(this._balance(i),i):(e&&(this._refresh(e),this._balance(e._parent)),e)},c.prototype._findNode=function(t){var e=null;return this._traverse(function(i){var r=null;return this._comparator(i.value,t)>0?r=i._left:this._comparator(i.value,t)<0?r=i._right:e=i,r}),e},c.prototype._getIterationMode=function(t){if("unchecked"!=(t=t||this._iterationMode)&&"fail-fast"!=t&&"snapshot"!=t&&"successor"!=t)throw new Error("Unknown iteration mode: "+t);return t},c.prototype._traverseValues=function(t,e,i,r){if("snapshot"!=(i=this._getIterationMode(i))){var o,n=this,s=this._modCount,h=0,a=function(e,r){for(;r<e.multiplicity;r++){if(t(e.value))return!0;if(n._modCount!=s&&"unchecked"!=i){if("fail-fast"==i)throw new c.ConcurrentModificationError;return o=n._keyOf(e.value),h=r+1,!0}}return!1};for(this[r?"_reverseOrderTraverseNodes":"_inOrderTraverseNodes"](function(t){return a(t,0)},e);h;){s=this._modCount;var _=this._findNode(o),u=h;for(h=0,(!_||u>=_.multiplicity)&&(_=r?this._getFloorNode(o,!1):this._getCeilingNode(o,!1),u=0);_&&!a(_,u);)_=r?this._getPrevNode(_):this._getNextNode(_),u=0}}else this.snapshot()._traverseValues(t,e,"fail-fast",r)},c.prototype._inOrderTraverseNodes=function(t,i){var r;if(this._root&&(i!==e?this._traverse(function(t){var e=null;return this._comparator(t.value,i)>0?(e=t._left,r=t):this._comparator(t.value,i)<0?e=t._right:r=t,e}):r=this._getMinNode(),r))for(var o=r,n=r._left?r._left:r;null!=o;)if(null!=o._left&&o._left!=n&&o._right!=n)o=o._left;else{if(o._right!=n&&t(o))return;var s=o;o=null!=o._right&&o._right!=n?o._right:o._parent,n=s}},c.prototype._reverseOrderTraverseNodes=function(t,i){var r;if(this._root&&(i!==e?this._traverse(function(t){var e=null;return this._comparator(t.value,i)>0?e=t._left:this._comparator(t.value,i)<0?(e=t._right,r=t):r=t,e}):r=this._getMaxNode(),r))for(var o=r,n=r._right?r._right:r;null!=o;)if(null!=o._right&&o._right!=n&&o._left!=n)o=o._right;else{if(o._left!=n&&t(o))return;var s=o;o=null!=o._left&&o._left!=n?o._left:o._parent,n=s}},c.prototype._traverse=function(t,e,i){for(var r=e||this._root,o=(i=i||null,this._stats);r&&r!=i;)o&&o.nodesVisited++,r=t.call(this,r)},c.prototype._balance=function(t){this._traverse(function(t){var e=(t=this._own(t))._left?t._left.height:0,i=t._right?t._right.height:0;return e-i>1?(t._left._right&&(!t._left._left||t._left._left.height<t._left._right.height)&&(this._leftRotate(t._left),this._stats&&this._stats.double++),this._rightRotate(t)):i-e>1&&(t._right._left&&(!t._right._right||t._right._right.height<t._right._left.height)&&(this._rightRotate(t._right),this._stats&&this._stats.double++),this._leftRotate(t)),this._refresh(t),t._parent},t),this._stats&&this._trackPeak()},c.prototype._refresh=function(t){var e=t._left,i=t._right,r=e?e.height:0,o=i?i.height:0;if(t.height=Math.max(r,o)+1,t.count=(e?e.count:0)+t.multiplicity+(i?i.count:0),t.size=(e?e.size:0)+1+(i?i.size:0),this._aggregate){var n=this._liftNode(t);e&&(n=this._aggregate.combine(e.aggregate,n)),i&&(n=this._aggregate.combine(n,i.aggregate)),t.aggregate=n}},c.prototype._liftNode=function(t){var e=this._aggregate,i=e.lift(t.value,t.data);if(1==t.multiplicity)return i;for(var r=e.identity,o=t.multiplicity;o>0;o=Math.floor(o/2))o%2&&(r=e.combine(r,i)),o>1&&(i=e.combine(i,i));return r},c.prototype._leftRotate=function(t){t=this._own(t),this._own(t._right),t.isLeftChild()?(t._parent._left=t._right,t._right._parent=t._parent):t.isRightChild()?(t._parent._right=t._right,t._right._parent=t._parent):(this._root=t._right,this._root._parent=null);var e=t._right;t._right=t._right._left,null!=t._right&&(t._right._parent=t),e._left=t,t._parent=e,this._refresh(t),this._refresh(e),this._stats&&this._stats.left++,this._listeners&&this._listeners.rotate&&!this._joining&&this._emit("rotate",{direction:"left",value:t.value,pivot:e.value})},c.prototype._rightRotate=function(t){t=this._own(t),this._own(t._left),t.isLeftChild()?(t._parent._left=t._left,t._left._parent=t._parent):t.isRightChild()?(t._parent._right=t._left,t._left._parent=t._parent):(this._root=t._left,this._root._parent=null);var e=t._left;t._left=t._left._right,null!=t._left&&(t._left._parent=t),e._right=t,t._parent=e,this._refresh(t),this._refresh(e),this._stats&&this._stats.right++,this._listeners&&this._listeners.rotate&&!this._joining&&this._emit("rotate",{direction:"right",value:t.value,pivot:e.value})},c.prototype._removeNode=function(t){if(null!=(t=this._own(t))._left||null!=t._right){var e,i=null;null!=t._left?((e=this._own(this._getMaxNode(t._left)))!=t._left&&(e._parent._right=e._left,e._left&&(e._left._parent=e._parent),e._left=t._left,e._left._parent=e,i=e._parent),e._parent=t._parent,e._right=t._right,e._right&&(e._right._parent=e),t==this._maxNode&&(this._maxNode=e)):((e=this._own(this._getMinNode(t._right)))!=t._right&&(e._parent._left=e._right,e._right&&(e._right._parent=e._parent),e._right=t._right,e._right._parent=e,i=e._parent),e._parent=t._parent,e._left=t._left,e._left&&(e._left._parent=e),t==this._minNode&&(this._minNode=e)),t.isLeftChild()?t._parent._left=e:t.isRightChild()?t._parent._right=e:this._root=e,this._balance(i||e)}else t.isLeftChild()?(t._parent._left=null,t==this._minNode&&(this._minNode=t._parent),this._balance(t._parent)):t.isRightChild()?(t._parent._right=null,t==this._maxNode&&(this._maxNode=t._parent),this._balance(t._parent)):this._setRoot(null);return t},c.prototype._getFloorNode=function(t,e){var i=null;return this._traverse(function(r){var o=this._comparator(r.value,t);return o<0||0==o&&e?(i=r,0==o?null:r._right):r._left}),i},c.prototype._getCeilingNode=function(t,e){var i=null;return this._traverse(function(r){var o=this._comparator(r.value,t);return o>0||0==o&&e?(i=r,0==o?null:r._left):r._right}),i},c.prototype._countBefore=function(t,e){var i=0;return this._traverse(function(r){var o=this._comparator(r.value,t),n=r._left?r._left.count:0;return o>0?r._left:o<0?(i+=n+r.multiplicity,r._right):(i+=n+(e?r.multiplicity:0),null)}),i},c.prototype._getNthNode=function(t,e){var i=e||this._root;this._stats&&this._stats.nodesVisited++;var r=i._left?i._left.count:0;return t<r?this._getNthNode(t,i._left):t<r+i.multiplicity?i:this._getNthNode(t-r-i.multiplicity,i._right)},c.prototype._keyOf=function(t){return this._keyFn?this._keyFn(t):t},c.prototype._lookupKey=function(t){return this._keyFn?o(this._keyFn,t):t},c.prototype._compareValues=function(t,e){return this._comparator(t,this._keyOf(e))},c.prototype._sortValues=function(t,e){for(var i=1;i<t.length;i++)if(e(t[i-1],t[i])>0){t.sort(e);break}return t},c.prototype._bisect=function(t,e,i,r,o){for(r++;i<r;){var n=i+r>>>1,s=-this._comparator(e,t[n]);s<0||o&&0==s?i=n+1:r=n}return i},c.prototype._addSorted=function(t,e,i,r,o,n){if(r>o)return t;if(!t){var s=this._buildFromSorted(e.slice(r,o+1),!0);return n.inserted+=s.count,s}var h=this._bisect(i,t.value,r,o,!1),a=this._bisect(i,t.value,h,o,!0),_=this._detachChildren(t),u=this._addSorted(_.left,e,i,r,h-1,n),l=this._addSorted(_.right,e,i,a,o,n);return a>h&&this._multiset&&((t=this._own(t)).multiplicity+=a-h,n.inserted+=a-h),this._join(u,t,l)},c.prototype._removeSorted=function(t,e,i,r,o){if(i>r||!t)return t;var n=this._bisect(e,t.value,i,r,!1),s=this._bisect(e,t.value,n,r,!0),h=this._detachChildren(t),a=this._removeSorted(h.left,e,i,n-1,o),_=this._removeSorted(h.right,e,s,r,o),u=Math.min(s-n,t.multiplicity);return o.removed+=u,u==t.multiplicity?this._join2(a,_):(u&&((t=this._own(t)).multiplicity-=u),this._join(a,t,_))},c.prototype._toRankRange=function(t,e){var i=this.getCount();return t=null==t?0:Math.floor(t),e=null==e?i:Math.floor(e),{start:t<0?Math.max(i+t,0):Math.min(t,i),end:e<0?Math.max(i+e,0):Math.min(e,i)}},c.prototype._getMinNode=function(t){if(!t)return this._minNode;var e=t;return this._traverse(function(t){var i=null;return t._left&&(e=t._left,i=t._left),i},t),e},c.prototype._getMaxNode=function(t){if(!t)return this._maxNode;var e=t;return this._traverse(function(t){var i=null;return t._right&&(e=t._right,i=t._right),i},t),e},c.prototype._cloneEmpty=function(){var t=this._stats?this._uncountedComparator:this._comparator,e=new this.constructor(t);return e._multiset=this._multiset,e._aggregate=this._aggregate,e._keyFn=this._keyFn,e._baseComparator=this._baseComparator,e._keyComparator=this._keyFn?this._keyComparator:e._comparator,e._maxSize=this._maxSize,e._evictionPolicy=this._evictionPolicy,e._onEvict=this._onEvict,e._iterationMode=this._iterationMode,this._stats&&e._instrument(),e},c.prototype._join=function(t,e,i){var r=t?t.height:0,o=i?i.height:0,n=null;if(e=this._own(e),r>o+1){for(this._root=t,n=this._own(t);n._right&&n._right.height>o+1;)n=this._own(n._right);t=n._right,n._right=e}else if(o>r+1){for(this._root=i,n=this._own(i);n._left&&n._left.height>r+1;)n=this._own(n._left);i=n._left,n._left=e}else this._root=e;e._parent=n,e._left=t,e._right=i,t&&(t._parent=e),i&&(i._parent=e);var s=this._joining;return this._joining=!0,this._balance(e),this._joining=s,this._root},c.prototype._split=function(t,e){if(!t)return{left:null,right:null,node:null};var i,r=t._left,o=t._right;r&&(r._parent=null),o&&(o._parent=null);var n=this._comparator(t.value,e);return n>0?(i=this._split(r,e)).right=this._join(i.right,t,o):n<0?(i=this._split(o,e)).left=this._join(r,t,i.left):i={left:r,right:o,node:t},i},c.prototype._initComparator=function(t,e){return t&&"object"==typeof t&&(t=(e=t).comparator),this._comparator=this._baseComparator=t||c.DEFAULT_COMPARATOR,e&&e.validateComparator&&(this._comparator=function(t){var e=function(t){return t>0?1:t<0?-1:0};return function(i,r){var o=t(i,r),n=null;if("number"!=typeof o||o!=o?n="returned "+o+", not a number,":0!==t(i,i)||0!==t(r,r)?n="does not return 0 when a value is compared with itself":e(t(r,i))!==-e(o)?n="is not antisymmetric":e(t(i,r))!==e(o)&&(n="is not consistent"),n)throw new Error("The comparator "+n+" for "+String(i)+" and "+String(r));return o}}(this._comparator)),this._keyComparator=this._comparator,e&&e.key&&(this._keyFn=e.key,this._comparator=function(t,e){return function(i,r){return e(t(i),o(t,r))}}(e.key,this._comparator)),e},c.prototype._instrument=function(){var t,e;this._stats={},this.resetStats(),this._uncountedComparator=this._comparator,this._comparator=(t=this._comparator,e=this._stats,function(i,r){return e.comparisons++,t(i,r)}),this._keyFn||(this._keyComparator=this._comparator)},c.prototype._countOperation=function(){var t=this._stats,e=t.nodesVisited-t.operationStart;e>t.maxNodesVisited&&(t.maxNodesVisited=e),t.operationStart=t.nodesVisited,t.operations++},c.prototype._trackPeak=function(){var t=this._stats;this._root&&(this._root.height>t.peakHeight&&(t.peakHeight=this._root.height),this._root.size>t.peakSize&&(t.peakSize=this._root.size))},c.prototype._initCapacity=function(t){var e=t.maxSize;if("number"!=typeof e||!(e>=0)||Math.floor(e)!==e)throw new Error("The maxSize must be a number >= 0");var i=t.evictionPolicy||"evict-min";if("evict-min"!=i&&"evict-max"!=i&&"reject-new"!=i)throw new Error("Unknown eviction policy: "+i);this._maxSize=t.maxSize,this._evictionPolicy=i,this._onEvict=t.onEvict||null},c.prototype._addBounded=function(t){var e={inserted:!1,rejected:!1,evicted:!1,evictedValue:null};if(!this._multiset&&this.contains(this._keyOf(t)))return e;var i=null;if(this.getCount()>=this._maxSize&&!(i=this._findVictim(t)))return e.rejected=!0,e;var r=this._evictionEvent(i);if(r&&!this._allow("remove",r))return e.rejected=!0,e;var o=null;return this._isObserved("add")&&(o={value:t,rank:this._rankAfterEviction(t,i)},!this._allow("add",o))?e:this._evict(i,r,e)?(this._beforeModify(),this._insert(t)&&(this._record({type:"insert",value:t}),e.inserted=!0,o&&this._emit("add",o)),e):e},c.prototype._findVictim=function(t){return this._root?"evict-min"==this._evictionPolicy&&this._compareValues(this._minNode.value,t)<0?this._minNode:"evict-max"==this._evictionPolicy&&this._compareValues(this._maxNode.value,t)>0?this._maxNode:null:null},c.prototype._rankAfterEviction=function(t,e){var i=this.rank(this._keyOf(t));return e&&this._compareValues(e.value,t)<0?i-1:i},c.prototype._evictionEvent=function(t){return t&&this._isObserved("remove")?{value:t.value,rank:this.rank(this._keyOf(t.value)),count:1}:null},c.prototype._evict=function(t,e,i){var r=t&&this._findNode(this._keyOf(t.value));if(this.getCount()-(r?1:0)>=this._maxSize)return i.rejected=!0,!1;if(!r)return!0;var o=r.value,n=r.data;return this._removeValue(this._keyOf(o),!1),i.evicted=!0,i.evictedValue=o,e&&this._emit("remove",e),this._onEvict&&this._onEvict(o,n),!0},c.prototype._checkCapacity=function(t){if(null!==this._maxSize&&"reject-new"==this._evictionPolicy&&t>this._maxSize)throw new Error("The "+t+" values do not fit in the maxSize of "+this._maxSize)},c.prototype._countNewValues=function(t){if(this._multiset)return t.length;for(var e=this,i=this._sortValues(t.slice(),function(t,i){return e._compareValues(t,i)}),r=0,o=0;o<i.length;o++){var n=this._keyOf(i[o]);o>0&&0==this._comparator(i[o-1],n)||this._findNode(n)||r++}return r},c.prototype._keepNodes=function(){return null===this._maxSize||"reject-new"!=this._evictionPolicy?null:(this._owner={},this._root)},c.prototype._enforceMaxSize=function(t){var e=this.getCount();if(!(null===this._maxSize||e<=this._maxSize)){"reject-new"==this._evictionPolicy&&(this._setRoot(this._copyNodes(t,null)),this._checkCapacity(e));for(var i=e-this._maxSize,r="evict-min"==this._evictionPolicy?0:this._maxSize,o=this._getNthNode(r),n=r-this._countBefore(this._keyOf(o.value),!1),s=[],h=0;h<i;h++)s.push({value:o.value,data:o.data}),++n==o.multiplicity&&(o=this._getNextNode(o),n=0);if(this._cutRange({start:r,end:r+i}),this._onEvict)for(h=0;h<s.length;h++)this._onEvict(s[h].value,s[h].data)}},c.prototype._checkComparator=function(t){if(this._baseComparator!==t._baseComparator||this._keyFn!==t._keyFn)throw new Error("Both trees must use the same comparator")},c.prototype._mergeWalk=function(t,e){var i=[],r=[],o=[],n=[];this._root&&(i.push(this._root),r.push(!0)),t._root&&(o.push(t._root),n.push(!0));for(var s=function(t,e){var i=t.pop();e.pop(),i._right&&(t.push(i._right),e.push(!0)),t.push(i),e.push(!1),i._left&&(t.push(i._left),e.push(!0))};i.length||o.length;){var h=i.length-1,a=o.length-1,_=h>=0?i[h]:null,u=a>=0?o[a]:null,l=_&&r[h],p=u&&n[a];if(_===u&&l==p)i.pop(),r.pop(),o.pop(),n.pop();else if(l||p)l&&(!p||_.height>=u.height)&&s(i,r),p&&(!l||u.height>=_.height)&&s(o,n);else{var c=_?u?this._compareValues(_.value,u.value):-1:1;if(c<=0&&(i.pop(),r.pop()),c>=0&&(o.pop(),n.pop()),e(c<=0?_:null,c>=0?u:null))return}}},c.prototype._copy=function(){var t=this._cloneEmpty();return t._setRoot(t._copyNodes(this._root,null)),t},c.prototype._copyNodes=function(t,e){if(!t)return null;var i=this._copyNode(t,e);return i._left=this._copyNodes(t._left,i),i._right=this._copyNodes(t._right,i),i},c.prototype._copyNode=function(t,e){var i=this._newNode(t.value,e);return t.hasOwnProperty("multiplicity")&&(i.multiplicity=t.multiplicity),t.hasOwnProperty("data")&&(i.data=t.data),t.hasOwnProperty("aggregate")&&(i.aggregate=t.aggregate),i.height=t.height,i.count=t.count,i.size=t.size,i._left=t._left,i._right=t._right,i},c.prototype._join2=function(t,e){if(!t||!e)return t||e;var i=this._getMinNode(e),r=this._joining;return this._root=e,this._joining=!0,i=this._removeNode(i),this._joining=r,this._join(t,i,this._root)},c.prototype._trimCopies=function(t,e,i){if(!t)return null;for(var r=e;r<t.multiplicity;r++)i.push(t.value);return e?(e<t.multiplicity&&((t=this._own(t)).multiplicity=e),t):null},c.prototype._collectValues=function(t,e){if(t){this._collectValues(t._left,e);for(var i=0;i<t.multiplicity;i++)e.push(t.value);this._collectValues(t._right,e)}},c.prototype._detachChildren=function(t){var e={left:t._left,right:t._right};return e.left&&(e.left._parent=null),e.right&&(e.right._parent=null),e},c.prototype._union=function(t,e){if(!t||!e)return t||e;var i=this._detachChildren(t),r=this._split(e,this._keyOf(t.value)),o=this._union(i.left,r.left),n=this._union(i.right,r.right);return r.node&&r.node.multiplicity>t.multiplicity&&((t=this._own(t)).multiplicity=r.node.multiplicity),this._join(o,t,n)},c.prototype._intersection=function(t,e){if(!t||!e)return null;var i=this._detachChildren(t),r=this._split(e,this._keyOf(t.value)),o=this._intersection(i.left,r.left),n=this._intersection(i.right,r.right);return r.node?(r.node.multiplicity<t.multiplicity&&((t=this._own(t)).multiplicity=r.node.multiplicity),this._join(o,t,n)):this._join2(o,n)},c.prototype._difference=function(t,e){if(!t||!e)return t;var i=this._detachChildren(e),r=this._split(t,this._keyOf(e.value)),o=this._difference(r.left,i.left),n=this._difference(r.right,i.right);if(r.node&&r.node.multiplicity>e.multiplicity){var s=this._own(r.node);return s.multiplicity-=e.multiplicity,this._join(o,s,n)}return this._join2(o,n)},c.prototype._symmetricDifference=function(t,e){if(!t||!e)return t||e;var i=this._detachChildren(t),r=this._split(e,this._keyOf(t.value)),o=this._symmetricDifference(i.left,r.left),n=this._symmetricDifference(i.right,r.right);if(r.node){if(r.node.multiplicity==t.multiplicity)return this._join2(o,n);(t=this._own(t)).multiplicity=Math.abs(t.multiplicity-r.node.multiplicity)}return this._join(o,t,n)},c.prototype._buildFromDump=function(t,e,i){t=t||[];for(var r=1;r<t.length;r++)if(this._compareValues(t[r-1],t[r])>=0)throw new Error("Values are not sorted by the comparator at index "+r);return this._buildBalanced(t,e,0,t.length-1,null,i)},c.prototype._layout=function(t){var i={maxDepth:null==(t=t||{}).maxDepth?1/0:t.maxDepth,format:t.format||function(t,e){var i=e.multiplicity;return String(t)+(i>1?" ("+i+")":"")},path:[]};t.highlight!==e&&this._traverse(function(e){i.path.push(e);var r=this._comparator(e.value,t.highlight);return r>0?e._left:r<0?e._right:null});var r=[];return this._layoutNodes(this._root,0,null,i,r),r},c.prototype._layoutNodes=function(t,e,i,r,o){if(!t||e>r.maxDepth)return null;var n={node:t,label:String(r.format(t.value,t)),depth:e,balance:(t._left?t._left.height:0)-(t._right?t._right.height:0),parent:i,highlighted:r.path.indexOf(t)>=0,truncated:e==r.maxDepth&&!(!t._left&&!t._right)};return n.left=this._layoutNodes(t._left,e+1,n,r,o),n.index=o.length,o.push(n),n.right=this._layoutNodes(t._right,e+1,n,r,o),n},c.prototype._dumpShape=function(t,i){if(!t)return null;var r={value:t.value,height:t.height,count:t.count};return 1!=t.multiplicity&&(r.multiplicity=t.multiplicity),i&&(r.data=t.data===e?null:t.data),r.left=this._dumpShape(t._left,i),r.right=this._dumpShape(t._right,i),r},c.prototype._restoreShape=function(t,e,i){if(!t)return null;var r=this._newNode(t.value,e);if(r._left=this._restoreShape(t.left,r,i),i.node&&this._compareValues(i.node.value,r.value)>=0)throw new Error("Values are not sorted by the comparator");return i.node=r,t.multiplicity>1&&(r.multiplicity=t.multiplicity),t.hasOwnProperty("data")&&(r.data=t.data),r._right=this._restoreShape(t.right,r,i),this._refresh(r),r},c.prototype._validateNode=function(t,e,i,r){if(!t)return{height:0,count:0,size:0};var o=function(e,r){i.push({check:e,value:t.value,message:r})};t._parent!=e&&o("parent","The node's parent pointer does not point at its parent");var n=this._validateNode(t._left,t,i,r);r.previous&&this._compareValues(r.previous.value,t.value)>=0&&o("order","The node is not greater than the node before it in order"),r.min||(r.min=t),r.previous=r.max=t;var s=this._validateNode(t._right,t,i,r),h=Math.max(n.height,s.height)+1;Math.abs(n.height-s.height)>1&&o("balance","The heights of the node's subtrees differ by "+Math.abs(n.height-s.height)),t.height!==h&&o("height","The stored height "+t.height+" should be "+h),(!(t.multiplicity>=1)||t.multiplicity%1!=0||t.multiplicity>1&&!this._multiset)&&o("multiplicity","The multiplicity "+t.multiplicity+" is invalid");var a=n.count+t.multiplicity+s.count;t.count!==a&&o("count","The stored count "+t.count+" should be "+a);var _=n.size+1+s.size;t.size!==_&&o("size","The stored size "+t.size+" should be "+_);var u=this._aggregate;if(u){var l=this._liftNode(t);t._left&&(l=u.combine(t._left.aggregate,l)),t._right&&(l=u.combine(l,t._right.aggregate));var p=u.equals?u.equals(t.aggregate,l):t.aggregate===l;p||u.equals||"object"!=typeof l||(p=JSON.stringify(t.aggregate)===JSON.stringify(l)),p||o("aggregate","The stored aggregate does not combine the node's value with its subtrees' aggregates")}return{height:h,count:a,size:_}},c.prototype._setRoot=function(t){t&&(t._parent=null),this._root=t,this._minNode=t?this._getMinNode(t):null,this._maxNode=t?this._getMaxNode(t):null,this._stats&&this._trackPeak()},c.prototype._buildFromSorted=function(t,e){for(var i=[],r=[],o=0;o<t.length;o++){var n=o?this._compareValues(t[o-1],t[o]):-1;if(0==n&&this._multiset)r[i.length-1]++;else if(n<0)i.push(t[o]),r.push(1);else if(n>0||!e)throw new Error("Values are not sorted by the comparator at index "+o)}return this._buildBalanced(i,r,0,i.length-1,null)},c.prototype._buildBalanced=function(t,e,i,r,o,n){if(i>r)return null;var s=i+Math.floor((r-i)/2),h=this._newNode(t[s],o);return e&&1!=e[s]&&(h.multiplicity=e[s]),n&&(h.data=n[s]),h._left=this._buildBalanced(t,e,i,s-1,h,n),h._right=this._buildBalanced(t,e,s+1,r,h,n),this._refresh(h),h},c.prototype._getNextNode=function(t){if(t._right)return this._getMinNode(t._right);for(;t.isRightChild();)t=t._parent;return t._parent},c.prototype._getPrevNode=function(t){if(t._left)return this._getMaxNode(t._left);for(;t.isLeftChild();)t=t._parent;return t._parent},(c.Node=function(t,e){this.value=t,this._parent=e||null,this.count=1}).prototype._left=null,c.Node.prototype._right=null,c.Node.prototype.height=1,c.Node.prototype.size=1,c.Node.prototype.multiplicity=1,c.Node.prototype.aggregate=null,c.Node.prototype._owner=null,c.Node.prototype.isRightChild=function(){return!!this._parent&&this._parent._right==this},c.Node.prototype.isLeftChild=function(){return!!this._parent&&this._parent._left==this},i(c.ConcurrentModificationError=function(t){this.message=t||"The tree was modified during iteration",this.stack=new Error(this.message).stack},Error),c.ConcurrentModificationError.prototype.name="ConcurrentModificationError",(c.Iterator=function(t,e,i){e=e||{},this._tree=t,this._extractFn=i,this._reverse=!!e.reverse,this._from=e.from,this._fromInclusive=!1!==e.fromInclusive,this._to=e.to,this._toInclusive=!1!==e.toInclusive,this._mode=t._getIterationMode(e.mode),this._modCount=t._modCount,this._seek(),"snapshot"==this._mode&&(this._view=t.snapshot())}).prototype._view=null,c.Iterator.prototype._node=null,c.Iterator.prototype._offset=0,c.Iterator.prototype._toInclusive=!0,c.Iterator.prototype._modCount=0,c.Iterator.prototype._lastCopies=0,c.Iterator.prototype._done=!1,c.Iterator.prototype.next=function(){this._done||"unchecked"==this._mode||"snapshot"==this._mode||this._tree._modCount==this._modCount||this._resync();var t=this._node;return t?(this._lastValue=t.value,this._lastCopies=this._offset+1,++this._offset>=t.multiplicity&&(this._offset=0,this._node=this._getNextNode(t),this._checkBound()),{value:this._extractFn(t),done:!1}):(this._done=!0,{value:e,done:!0})},c.Iterator.prototype._getNextNode=function(t){if(this._view){var e=this._view._keyOf(t.value);return this._reverse?this._view._getFloorNode(e,!1):this._view._getCeilingNode(e,!1)}return this._reverse?this._tree._getPrevNode(t):this._tree._getNextNode(t)},c.Iterator.prototype._seek=function(){var t=this._tree;this._from===e?this._node=this._reverse?t._getMaxNode():t._getMinNode():this._reverse?this._node=t._getFloorNode(this._from,this._fromInclusive):this._node=t._getCeilingNode(this._from,this._fromInclusive),this._offset=0,this._checkBound()},c.Iterator.prototype._resync=function(){if("fail-fast"==this._mode)throw new c.ConcurrentModificationError;if(this._modCount=this._tree._modCount,this._lastCopies){var t=this._tree,e=t._keyOf(this._lastValue),i=t._findNode(e);i&&i.multiplicity>this._lastCopies?(this._node=i,this._offset=this._lastCopies):(this._node=this._reverse?t._getFloorNode(e,!1):t._getCeilingNode(e,!1),this._offset=0,this._checkBound())}else this._seek()},c.Iterator.prototype._checkBound=function(){if(this._node&&this._to!==e){var t=this._tree._comparator(this._node.value,this._to);((this._reverse?t<0:t>0)||0==t&&!this._toInclusive)&&(this._node=null)}},(c.Cursor=function(t,e,i){this._tree=t,this._node=e,this._mode=i,this._modCount=t._modCount,this._view="snapshot"==i?t.snapshot():t}).prototype._node=null,c.Cursor.prototype._offset=0,c.Cursor.prototype._pastEnd=!0,c.Cursor.prototype._modCount=0,c.Cursor.prototype._view=null,c.Cursor.prototype.peek=function(){return this._checkModified(),this._node?this._node.value:null},c.Cursor.prototype.next=function(){this._checkModified();var t=this._node;return t?++this._offset>=t.multiplicity&&(this._offset=0,this._node=this._getNextNode(t)):this._node=this._pastEnd?null:this._view._getMinNode(),this._pastEnd=!0,this.peek()},c.Cursor.prototype.prev=function(){this._checkModified();var t=this._node;return t?--this._offset<0&&(this._node=this._getPrevNode(t),this._offset=this._node?this._node.multiplicity-1:0):(this._node=this._pastEnd?this._view._getMaxNode():null,this._offset=this._node?this._node.multiplicity-1:0),this._pastEnd=!1,this.peek()},c.Cursor.prototype.remove=function(){this._checkModified();var t=this._node;if(!t)return null;var e=this._offset,i="snapshot"==this._mode,r=i?e+1:e;r>=(i?t.multiplicity:t.multiplicity-1)?(this._node=this._getNextNode(t),this._offset=0,this._pastEnd=!0):this._offset=r;var o=this._tree._modCount,n=this._tree.remove(this._tree._keyOf(t.value));if(this._tree._modCount==o)this._node=t,this._offset=e;else if(this._node&&!i){var s=this._tree._keyOf(this._node.value);this._node=this._tree._findNode(s)}return this._modCount=this._tree._modCount,n},c.Cursor.prototype._getNextNode=function(t){return"snapshot"==this._mode?this._view._getCeilingNode(this._view._keyOf(t.value),!1):this._tree._getNextNode(t)},c.Cursor.prototype._getPrevNode=function(t){return"snapshot"==this._mode?this._view._getFloorNode(this._view._keyOf(t.value),!1):this._tree._getPrevNode(t)},c.Cursor.prototype._checkModified=function(){if("unchecked"!=this._mode&&"snapshot"!=this._mode&&this._tree._modCount!=this._modCount){if("fail-fast"==this._mode)throw new c.ConcurrentModificationError;if(this._modCount=this._tree._modCount,this._node){var t=this._tree._keyOf(this._node.value),e=this._tree._findNode(t);e?(this._node=e,this._offset=Math.min(this._offset,e.multiplicity-1)):(this._node=this._tree._getCeilingNode(t,!1),this._offset=0,this._pastEnd=!0)}}},(c.View=function(t,e,i,r){this._tree=t,this._lo=null==e?null:t._lookupKey(e),this._hi=null==i?null:t._lookupKey(i),this._loInclusive=!r||!1!==r.loInclusive,this._hiInclusive=!r||!1!==r.hiInclusive,this._reverse=!(!r||!r.reverse)}).prototype.inRange=function(t){var e;return t=this._tree._lookupKey(t),(null===this._lo||!((e=this._tree._keyComparator(t,this._lo))<0||0==e&&!this._loInclusive))&&(null===this._hi||!((e=this._tree._keyComparator(t,this._hi))>0||0==e&&!this._hiInclusive))},c.View.prototype.contains=function(t){return this.inRange(t)&&this._tree.contains(t)},c.View.prototype.getCount=function(){return this._tree.countRange(this._lo,this._hi,{loInclusive:this._loInclusive,hiInclusive:this._hiInclusive})},c.View.prototype.getNthValue=function(t){var e=this.getCount();if(t<0||t>=e)return null;var i=null===this._lo?0:this._tree._countBefore(this._lo,!this._loInclusive);return this._tree.getNthValue(this._reverse?i+e-1-t:i+t)},c.View.prototype.getMinimum=function(){var t=this._reverse?this._getLastNode():this._getFirstNode();return t?t.value:null},c.View.prototype.getMaximum=function(){var t=this._reverse?this._getFirstNode():this._getLastNode();return t?t.value:null},c.View.prototype.add=function(t){if(!this.inRange(this._tree._keyOf(t)))throw new Error("The value is outside the range of the view");return this._tree.add(t)},c.View.prototype.remove=function(t,e){return this.inRange(t)?this._tree.remove(t,e):null},c.View.prototype.values=function(){var t=null===this._lo?e:this._lo,i=null===this._hi?e:this._hi;return c.prototype.values.call(this._tree,this._reverse?{from:i,to:t,fromInclusive:this._hiInclusive,toInclusive:this._loInclusive,reverse:!0}:{from:t,to:i,fromInclusive:this._loInclusive,toInclusive:this._hiInclusive})},c.View.prototype.getValues=function(){for(var t=[],e=this.values(),i=e.next();!i.done;i=e.next())t.push(i.value);return t},c.View.prototype.descending=function(){return new c.View(this._tree,this._lo,this._hi,{loInclusive:this._loInclusive,hiInclusive:this._hiInclusive,reverse:!this._reverse})},c.View.prototype._getFirstNode=function(){var t=null===this._lo?this._tree._getMinNode():this._tree._getCeilingNode(this._lo,this._loInclusive);return t&&this.inRange(this._tree._keyOf(t.value))?t:null},c.View.prototype._getLastNode=function(){var t=null===this._hi?this._tree._getMaxNode():this._tree._getFloorNode(this._hi,this._hiInclusive);return t&&this.inRange(this._tree._keyOf(t.value))?t:null},i(c.Map=function(t,e){c.call(this,t,e)},c),c.Map.prototype.set=function(t,e){this._stats&&this._countOperation();var i=this._findNode(t),r=!i,o=r?"add":"update",n=null===this._maxSize?null:{inserted:!1,rejected:!1,evicted:!1,evictedValue:null},s=null;if(n&&r&&this.getCount()>=this._maxSize&&!(s=this._findVictim(t)))return n.rejected=!0,n;var h=this._evictionEvent(s);if(h&&!this._allow("remove",h))return n.rejected=!0,n;var a=null;return this._isObserved(o)&&(a={value:t,rank:this._rankAfterEviction(t,s),data:e},r||(a.oldData=i.data),!this._allow(o,a))?n||!1:n&&r&&!this._evict(s,h,n)?n:(this._beforeModify(),i=r?this._insert(t):this._own(this._findNode(t)),this._record(r?{type:"insert",value:t}:{type:"data",value:t,data:i.data}),i.data=e,this._aggregate&&this._balance(i),a&&this._emit(o,a),n?(n.inserted=r,n):r)},c.Map.prototype.get=function(t){this._stats&&this._countOperation();var e=this._findNode(t);return e?e.data:null},c.Map.prototype.has=function(t){return this._stats&&this._countOperation(),!!this._findNode(t)},c.Map.prototype.delete=function(t){this._stats&&this._countOperation();var e=this._findNode(t),i=null;return!(e&&this._isObserved("remove")&&(i={value:e.value,rank:this.rank(t),count:1,data:e.data},!this._allow("remove",i)))&&(this._beforeModify(),(e=this._findNode(t))&&(this._recordRemoval(e,1),this._removeNode(e),i&&this._emit("remove",i)),!!e)},c.Map.prototype.entries=function(t){return new c.Iterator(this,t,function(t){return[t.value,t.data]})},c.Map.prototype.keys=function(t){return c.prototype.values.call(this,t)},c.Map.prototype.values=function(t){return new c.Iterator(this,t,function(t){return t.data})},i(c.IntervalTree=function(t){var e=t||c.IntervalTree.DEFAULT_COMPARATOR;c.Map.call(this,function(t,i){return e(t[0],i[0])||e(t[1],i[1])},{aggregate:{identity:null,lift:function(t){return t[1]},combine:function(t,i){return null===t||null===i?null===t?i:t:e(t,i)>=0?t:i}}}),this._pointComparator=e},c.Map),c.IntervalTree.DEFAULT_COMPARATOR=n,c.IntervalTree.prototype._pointComparator=null,c.IntervalTree.prototype.insertInterval=function(t,e){if(this._pointComparator(t[0],t[1])>0)throw new Error("The start of an interval must not be after its end");return this.set(t,e)},c.IntervalTree.prototype.removeInterval=function(t){return this.delete(t)},c.IntervalTree.prototype.findOverlapping=function(t){var e=[];return this._collectOverlapping(this._root,t,e),e},c.IntervalTree.prototype.findAnyOverlap=function(t){for(var e=this._root;e;){if(this._overlaps(e.value,t))return e.value;e=e._left&&this._pointComparator(e._left.aggregate,t[0])>=0?e._left:e._right}return null},c.IntervalTree.prototype.stab=function(t){return this.findOverlapping([t,t])},c.IntervalTree.prototype._overlaps=function(t,e){return this._pointComparator(t[0],e[1])<=0&&this._pointComparator(t[1],e[0])>=0},c.IntervalTree.prototype._collectOverlapping=function(t,e,i){!t||this._pointComparator(t.aggregate,e[0])<0||(this._collectOverlapping(t._left,e,i),this._pointComparator(t.value[0],e[1])>0||(this._pointComparator(t.value[1],e[0])>=0&&i.push(t.value),this._collectOverlapping(t._right,e,i)))},c.IntervalTree.prototype._cloneEmpty=function(){var t=new c.IntervalTree(this._pointComparator);return t._comparator=this._comparator,t._aggregate=this._aggregate,t},c.IntervalTree.prototype._checkComparator=function(t){if(this._pointComparator!==t._pointComparator)throw new Error("Both trees must use the same comparator")},c.Persistent=function(t,e){(e=this._initComparator(t,e))&&e.multiset&&(this._multiset=!0),e&&e.aggregate&&(this._aggregate=e.aggregate)},function(){for(var t=["contains","find","getByKey","countOf","getCount","getNthValue","getMinimum","getMaximum","floor","ceiling","lower","higher","rank","countRange","aggregate","getHeight","getValues","inOrderTraverse","reverseOrderTraverse","toAscii","toDot","toLayout","_initComparator","_traverse","_findNode","_getFloorNode","_getCeilingNode","_countBefore","_getNthNode","_getMinNode","_getMaxNode","_refresh","_liftNode","_layout","_layoutNodes","_getIterationMode","_traverseValues","equals","compareTo","diff","_checkComparator","_mergeWalk","_keyOf","_lookupKey","_compareValues"],e=0;e<t.length;e++){var i=t[e];c.Persistent.prototype[i]=c.prototype[i]}}(),c.Persistent.prototype._root=null,c.Persistent.prototype._comparator=null,c.Persistent.prototype._minNode=null,c.Persistent.prototype._maxNode=null,c.Persistent.prototype._multiset=!1,c.Persistent.prototype._aggregate=null,c.Persistent.prototype._keyFn=null,c.Persistent.prototype._keyComparator=null,c.Persistent.prototype._baseComparator=null,c.Persistent.prototype._modCount=0,c.Persistent.prototype._iterationMode="fail-fast",c.Persistent.prototype.snapshot=function(){return this},c.Persistent.prototype.add=function(t){return this._derive(this._add(this._root,t))},c.Persistent.prototype.remove=function(t,e){return this._derive(this._remove(this._root,t,e))},c.Persistent.prototype._derive=function(t){if(t==this._root)return this;var e=new c.Persistent(this._comparator);return e._multiset=this._multiset,e._aggregate=this._aggregate,e._keyFn=this._keyFn,e._baseComparator=this._baseComparator,e._keyComparator=this._keyComparator,e._root=t,e._minNode=t?e._getMinNode(t):null,e._maxNode=t?e._getMaxNode(t):null,e},c.Persistent.prototype._copyWith=function(t,e,i){var r=new c.Node(t.value);return t.hasOwnProperty("multiplicity")&&(r.multiplicity=t.multiplicity),t.hasOwnProperty("data")&&(r.data=t.data),r._left=e,r._right=i,this._refresh(r),r},c.Persistent.prototype._balanceWith=function(t,e,i){var r=e?e.height:0,o=i?i.height:0;if(r-o>1){var n=e._left,s=e._right;return s&&(!n||n.height<s.height)?this._copyWith(s,this._copyWith(e,n,s._left),this._copyWith(t,s._right,i)):this._copyWith(e,n,this._copyWith(t,s,i))}if(o-r>1){var h=i._left,a=i._right;return h&&(!a||a.height<h.height)?this._copyWith(h,this._copyWith(t,e,h._left),this._copyWith(i,h._right,a)):this._copyWith(i,this._copyWith(t,e,h),a)}return this._copyWith(t,e,i)},c.Persistent.prototype._add=function(t,e){if(!t)return t=new c.Node(e),this._refresh(t),t;var i=this._comparator(t.value,this._keyOf(e));if(i>0){var r=this._add(t._left,e);return r==t._left?t:this._balanceWith(t,r,t._right)}if(i<0){var o=this._add(t._right,e);return o==t._right?t:this._balanceWith(t,t._left,o)}if(this._multiset){var n=this._copyWith(t,t._left,t._right);return n.multiplicity++,this._refresh(n),n}return t},c.Persistent.prototype._remove=function(t,e,i){if(!t)return null;var r=this._comparator(t.value,e);if(r>0){var o=this._remove(t._left,e,i);return o==t._left?t:this._balanceWith(t,o,t._right)}if(r<0){var n=this._remove(t._right,e,i);return n==t._right?t:this._balanceWith(t,t._left,n)}if(t.multiplicity>1&&!i){var s=this._copyWith(t,t._left,t._right);return s.multiplicity--,this._refresh(s),s}return t._left&&t._right?this._balanceWith(this._getMinNode(t._right),t._left,this._removeMin(t._right)):t._left||t._right},c.Persistent.prototype._removeMin=function(t){return t._left?this._balanceWith(t,this._removeMin(t._left),t._right):t._right},c.Persistent.prototype._inOrderTraverseNodes=function(t,i){for(var r=[],o=this._root;o;)i===e||this._comparator(o.value,i)>=0?(r.push(o),o=o._left):o=o._right;for(;r.length;){if(t(o=r.pop()))return;for(o=o._right;o;o=o._left)r.push(o)}},c.Persistent.prototype._reverseOrderTraverseNodes=function(t,i){for(var r=[],o=this._root;o;)i===e||this._comparator(o.value,i)<=0?(r.push(o),o=o._right):o=o._left;for(;r.length;){if(t(o=r.pop()))return;for(o=o._left;o;o=o._right)r.push(o)}},c.Persistent.prototype.values=function(){return new c.Persistent.Iterator(this)},c.Persistent.Iterator=function(t){this._stack=[],this._pushLeft(t._root)},c.Persistent.Iterator.prototype._copy=0,c.Persistent.Iterator.prototype.next=function(){var t=this._stack;if(!t.length)return{value:e,done:!0};var i=t[t.length-1];return++this._copy>=i.multiplicity&&(this._copy=0,t.pop(),this._pushLeft(i._right)),{value:i.value,done:!1}},c.Persistent.Iterator.prototype._pushLeft=function(t){for(;t;t=t._left)this._stack.push(t)},(c.NumericTree=function(t){t&&t.multiset&&(this._multiset=!0),this._allocate(Math.max(t&&t.capacity||0,15)+1),this._path=new Int32Array(64)}).BYTES_PER_NODE=28,c.NumericTree.prototype._root=0,c.NumericTree.prototype._multiset=!1,c.NumericTree.prototype._modCount=0,c.NumericTree.prototype._free=0,c.NumericTree.prototype._freeCount=0,c.NumericTree.prototype._size=1,c.NumericTree.prototype.add=function(t){if("number"!=typeof t||t!=t)throw new Error("NumericTree values must be numbers other than NaN");for(var e=this._values,i=this._left,r=this._right,o=this._path,n=0,s=this._root;s;)if(o[n++]=s,t<e[s])s=i[s];else{if(!(t>e[s]))return!!this._multiset&&(this._multiplicity[s]++,this._modCount++,this._rebalancePath(n-1,s,this._rebalance(s)),!0);s=r[s]}return this._free||this._size!=this._values.length||this._resize(2*this._values.length),s=this._newNode(t),this._modCount++,this._rebalancePath(n,0,s),!0},c.NumericTree.prototype.remove=function(t,e){for(var i=this._values,r=this._left,o=this._right,n=this._path,s=0,h=this._root;h&&i[h]!==t;)n[s++]=h,h=t<i[h]?r[h]:o[h];if(!h)return null;if(this._modCount++,this._multiplicity[h]>1&&!e)return this._multiplicity[h]--,this._rebalancePath(s,h,this._rebalance(h)),t;if(!r[h]||!o[h])return this._rebalancePath(s,h,r[h]||o[h]),this._freeNode(h),t;n[s++]=h;for(var a=o[h];r[a];)n[s++]=a,a=r[a];return i[h]=i[a],this._multiplicity[h]=this._multiplicity[a],this._rebalancePath(s,a,o[a]),this._freeNode(a),t},c.NumericTree.prototype.contains=function(t){return!!this._findNode(t)},c.NumericTree.prototype.countOf=function(t){return this._multiplicity[this._findNode(t)]},c.NumericTree.prototype.getNthValue=function(t){if(!(t>=0&&t<this.getCount()))return null;for(var e=this._count,i=this._left,r=this._root;;){var o=e[i[r]];if(t<o)r=i[r];else{if(t<o+this._multiplicity[r])return this._values[r];t-=o+this._multiplicity[r],r=this._right[r]}}},c.NumericTree.prototype.getMinimum=function(){for(var t=this._root;this._left[t];)t=this._left[t];return t?this._values[t]:null},c.NumericTree.prototype.getMaximum=function(){for(var t=this._root;this._right[t];)t=this._right[t];return t?this._values[t]:null},c.NumericTree.prototype.getCount=function(){return this._count[this._root]},c.NumericTree.prototype.getHeight=function(){return this._height[this._root]},c.NumericTree.prototype.values=function(){return new c.NumericTree.Iterator(this)},c.NumericTree.prototype.getValues=function(){var t=[];return this.inOrderTraverse(function(e){t.push(e)}),t},c.NumericTree.prototype.inOrderTraverse=function(t,e){this._traverseValues(t,e,!1)},c.NumericTree.prototype.reverseOrderTraverse=function(t,e){this._traverseValues(t,e,!0)},c.NumericTree.prototype.clear=function(){this._root=0,this._free=0,this._freeCount=0,this._size=1,this._modCount++},c.NumericTree.prototype.memoryUsage=function(){var t=this._values.length-1,e=this._size-1-this._freeCount,i=c.NumericTree.BYTES_PER_NODE;return{nodes:e,capacity:t,free:t-e,freeListed:this._freeCount,bytesPerNode:i,bytes:(t+1)*i,usedBytes:e*i}},c.NumericTree.prototype.compact=function(t){var e=this._size-1-this._freeCount,i=this._values,r=this._multiplicity,o=this._left,n=this._right,s=new Int32Array(this._height[this._root]),h=0,a=this._root,_=1;for(this._allocate(Math.max(e,t||0)+1);a||h;){for(;a;a=o[a])s[h++]=a;a=s[--h],this._values[_]=i[a],this._multiplicity[_++]=r[a],a=n[a]}return this._root=this._build(1,e),this._size=e+1,this._free=0,this._freeCount=0,this._modCount++,this},c.NumericTree.prototype._allocate=function(t){this._values=new Float64Array(t),this._left=new Int32Array(t),this._right=new Int32Array(t),this._height=new Int32Array(t),this._count=new Int32Array(t),this._multiplicity=new Int32Array(t)},c.NumericTree.prototype._resize=function(t){for(var e=["_values","_left","_right","_height","_count","_multiplicity"],i=0;i<e.length;i++){var r=new this[e[i]].constructor(t);r.set(this[e[i]]),this[e[i]]=r}},c.NumericTree.prototype._newNode=function(t){var e=this._free;return e?(this._free=this._left[e],this._freeCount--):e=this._size++,this._values[e]=t,this._left[e]=0,this._right[e]=0,this._height[e]=1,this._count[e]=1,this._multiplicity[e]=1,e},c.NumericTree.prototype._freeNode=function(t){this._left[t]=this._free,this._free=t,this._freeCount++},c.NumericTree.prototype._rebalancePath=function(t,e,i){for(var r=this._path,o=this._left,n=this._values,s=t-1;s>=0;s--){var h=r[s];(e?o[h]==e:n[i]<n[h])?o[h]=i:this._right[h]=i,e=h,i=this._rebalance(h)}this._root=i},c.NumericTree.prototype._rebalance=function(t){var e=this._left,i=this._right,r=this._height,o=r[e[t]]-r[i[t]];return o>1?(r[e[e[t]]]<r[i[e[t]]]&&(e[t]=this._rotateLeft(e[t])),this._rotateRight(t)):o<-1?(r[i[i[t]]]<r[e[i[t]]]&&(i[t]=this._rotateRight(i[t])),this._rotateLeft(t)):(this._refresh(t),t)},c.NumericTree.prototype._rotateLeft=function(t){var e=this._right[t];return this._right[t]=this._left[e],this._left[e]=t,this._refresh(t),this._refresh(e),e},c.NumericTree.prototype._rotateRight=function(t){var e=this._left[t];return this._left[t]=this._right[e],this._right[e]=t,this._refresh(t),this._refresh(e),e},c.NumericTree.prototype._refresh=function(t){var e=this._left[t],i=this._right[t],r=this._height;r[t]=(r[e]>r[i]?r[e]:r[i])+1,this._count[t]=this._count[e]+this._multiplicity[t]+this._count[i]},c.NumericTree.prototype._build=function(t,e){if(t>e)return 0;var i=t+e>>>1;return this._left[i]=this._build(t,i-1),this._right[i]=this._build(i+1,e),this._refresh(i),i},c.NumericTree.prototype._findNode=function(t){for(var e=this._values,i=this._root;i&&e[i]!==t;)i=t<e[i]?this._left[i]:this._right[i];return i},c.NumericTree.prototype._traverseNodes=function(t,e,i){for(var r=i?this._right:this._left,o=i?this._left:this._right,n=this._values,s=[],h=this._root,a=null!=e;h;)!a||(i?n[h]<=e:n[h]>=e)?(s.push(h),h=r[h]):h=o[h];for(;s.length;){if(t(h=s.pop()))return;for(h=o[h];h;h=r[h])s.push(h)}},c.NumericTree.prototype._traverseValues=function(t,e,i){var r=this,o=this._modCount;this._traverseNodes(function(e){for(var i=r._values[e],n=r._multiplicity[e];n>0;n--){if(t(i))return!0;if(r._modCount!=o)throw new c.ConcurrentModificationError}return!1},e,i)},c.NumericTree.Iterator=function(t){this._tree=t,this._modCount=t._modCount,this._stack=new Int32Array(t._height[t._root]),this._pushLeft(t._root)},c.NumericTree.Iterator.prototype._depth=0,c.NumericTree.Iterator.prototype._copy=0,c.NumericTree.Iterator.prototype.next=function(){var t=this._tree;if(t._modCount!=this._modCount)throw new c.ConcurrentModificationError;if(!this._depth)return{value:e,done:!0};var i=this._stack[this._depth-1];return++this._copy>=t._multiplicity[i]&&(this._copy=0,this._depth--,this._pushLeft(t._right[i])),{value:t._values[i],done:!1}},c.NumericTree.Iterator.prototype._pushLeft=function(t){for(var e=this._tree._left;t;t=e[t])this._stack[this._depth++]=t},"function"==typeof Symbol&&Symbol.iterator&&(c.prototype[Symbol.iterator]=function(){return this.values()},c.Map.prototype[Symbol.iterator]=function(){return this.entries()},c.Iterator.prototype[Symbol.iterator]=function(){return this},c.View.prototype[Symbol.iterator]=function(){return this.values()},c.Persistent.prototype[Symbol.iterator]=function(){return this.values()},c.Persistent.Iterator.prototype[Symbol.iterator]=function(){return this},c.NumericTree.prototype[Symbol.iterator]=function(){return this.values()},c.NumericTree.Iterator.prototype[Symbol.iterator]=function(){return this}),"object"==typeof module&&module&&"object"==typeof module.exports?module.exports=c:(t.AVLTree=c,"function"==typeof define&&define.amd&&define("avltree",[],function(){return c}))}("undefined"!=typeof window?window:this);
@@ -0,0 +1,247 @@
+/**
+ * Benchmark for AVLTree.
+ * Measures the throughput of add, contains, getNthValue, traversal and remove
+ * over sequential, random and adversarial workloads, then repeats each
+ * workload on an instrumented tree to show the comparator calls, rotations,
+ * nodes visited and peak height behind the numbers. Finally compares importing
+ * new values into a large tree with addAll() and with a loop over add().
+ *
+ * Usage: node benchmark.js [size] [seed]
+ */
+
+var AVLTree = require("./JSAVLTree.js");
+var fuzz = require("./fuzz.js");
+
+// The seeded random number generator keeps the random workload the same from
+// run to run
+var createRandom = fuzz.createRandom;
+var compareNumbers = fuzz.compareNumbers;
+
+/**
+ * Workloads, each returning the numbers 0 to size - 1 in the order they are
+ * added, looked up and removed in.
+ */
+var workloads = {
+	/**
+	 * Ascending order, every insertion goes down the right spine.
+	 */
+	sequential: function(size) {
+		var values = [];
+		for (var i = 0; i < size; i++) {
+			values.push(i);
+		}
+		return values;
+	},
+
+	/**
+	 * A seeded shuffle of the values.
+	 */
+	random: function(size, random) {
+		var values = workloads.sequential(size);
+		for (var i = values.length - 1; i > 0; i--) {
+			var j = Math.floor(random() * (i + 1));
+			var temp = values[i];
+			values[i] = values[j];
+			values[j] = temp;
+		}
+		return values;
+	},
+
+	/**
+	 * The smallest and largest remaining values in turn, closing in on the
+	 * middle. Most insertions need a double rotation, and the tree grows close
+	 * to the greatest height the AVL balance allows.
+	 */
+	adversarial: function(size) {
+		var values = [];
+		for (var lo = 0, hi = size - 1; lo <= hi; lo++, hi--) {
+			values.push(lo);
+			if (lo != hi) {
+				values.push(hi);
+			}
+		}
+		return values;
+	}
+};
+
+/**
+ * Returns the number of milliseconds since an arbitrary point in time.
+ *
+ * @return {number} The time in milliseconds.
+ */
+var now = function() {
+	var time = process.hrtime();
+	return time[0] * 1e3 + time[1] / 1e6;
+};
+
+/**
+ * Runs the operations of a workload on a tree, timing each one.
+ *
+ * @param {AVLTree} tree The empty tree to run the operations on.
+ * @param {Array.<number>} values The workload.
+ * @param {!Object} times Object to store the milliseconds taken by each
+ *     operation in.
+ */
+var runOperations = function(tree, values, times) {
+	var operations = {
+		add: function() {
+			for (var i = 0; i < values.length; i++) {
+				tree.add(values[i]);
+			}
+		},
+		contains: function() {
+			for (var i = 0; i < values.length; i++) {
+				tree.contains(values[i]);
+			}
+		},
+		getNthValue: function() {
+			for (var i = 0; i < values.length; i++) {
+				tree.getNthValue(values[i]);
+			}
+		},
+		traversal: function() {
+			var sum = 0;
+			tree.inOrderTraverse(function(value) {
+				sum += value;
+			});
+		},
+		remove: function() {
+			for (var i = 0; i < values.length; i++) {
+				tree.remove(values[i]);
+			}
+		}
+	};
+
+	for (var name in operations) {
+		var start = now();
+		operations[name]();
+		times[name] = now() - start;
+	}
+};
+
+/**
+ * Times importing values into a tree holding the even numbers below twice
+ * the size, once with a loop over add() and once with addAll(). The tree is
+ * rebuilt before each run, and the fastest of three runs of each is kept
+ * after a warm-up run.
+ *
+ * @param {number} size The number of values in the tree.
+ * @param {Array.<number>} values The values to import.
+ * @return {{add: number, addAll: number}} The milliseconds taken by each.
+ */
+var timeImport = function(size, values) {
+	var existing = [];
+	for (var i = 0; i < size; i++) {
+		existing.push(i * 2);
+	}
+
+	var best = {};
+	for (var run = 0; run < 4; run++) {
+		var tree = AVLTree.fromSorted(existing, compareNumbers);
+		var start = now();
+		for (i = 0; i < values.length; i++) {
+			tree.add(values[i]);
+		}
+		var addTime = now() - start;
+
+		tree = AVLTree.fromSorted(existing, compareNumbers);
+		start = now();
+		tree.addAll(values);
+		var addAllTime = now() - start;
+
+		if (run && !(addTime >= best.add)) {
+			best.add = addTime;
+		}
+		if (run && !(addAllTime >= best.addAll)) {
+			best.addAll = addAllTime;
+		}
+	}
+	return best;
+};
+
+/**
+ * Formats a number right-aligned in a column of the specified width.
+ *
+ * @param {number|string} value The value to format.
+ * @param {number} width The width of the column.
+ * @return {string} The padded value.
+ */
+var pad = function(value, width) {
+	var str = String(value);
+	while (str.length < width) {
+		str = " " + str;
+	}
+	return str;
+};
+
+var size = process.argv[2] ? parseInt(process.argv[2], 10) : 100000;
+var seed = process.argv[3] ? parseInt(process.argv[3], 10) : 1;
+var columns = ["add", "contains", "getNthValue", "traversal", "remove"];
+
+console.log("Benchmarking " + size + " values with seed " + seed + ", in operations per second " +
+		"(values per second for traversal)\n");
+console.log(pad("workload", 12) + columns.map(function(column) {
+	return pad(column, 13);
+}).join(""));
+
+var statsLines = [];
+for (var name in workloads) {
+	var values = workloads[name](size, createRandom(seed));
+
+	// Warm up once, then keep the fastest of three runs
+	var best = {};
+	for (var run = 0; run < 4; run++) {
+		var times = {};
+		runOperations(new AVLTree(compareNumbers), values, times);
+		for (var column in times) {
+			if (run && !(times[column] >= best[column])) {
+				best[column] = times[column];
+			}
+		}
+	}
+	console.log(pad(name, 12) + columns.map(function(column) {
+		return pad(Math.round(size / best[column] * 1e3), 13);
+	}).join(""));
+
+	// Count the work behind the numbers on an instrumented tree
+	var tree = new AVLTree(compareNumbers, { instrument: true });
+	for (var i = 0; i < values.length; i++) {
+		tree.add(values[i]);
+	}
+	var stats = tree.getStats();
+	statsLines.push(pad(name, 12) +
+			pad((stats.comparisons / stats.operations).toFixed(2), 13) +
+			pad(stats.rotations.left, 10) + pad(stats.rotations.right, 10) +
+			pad(stats.rotations["double"], 10) +
+			pad(stats.nodesVisitedPerOperation.toFixed(2), 10) +
+			pad(stats.peakHeight + " / " + stats.peakHeightBound, 12));
+}
+
+console.log("\nInstrumented adds, with the comparisons and nodes visited per add:\n");
+console.log(pad("workload", 12) + pad("comparisons", 13) + pad("left", 10) + pad("right", 10) +
+		pad("double", 10) + pad("visited", 10) + pad("height", 12));
+console.log(statsLines.join("\n"));
+
+// Import one new value for every 20 in the tree, the odd numbers in between
+// the existing ones, in ascending and in random order
+var imported = [];
+for (i = 0; i < size / 20; i++) {
+	imported.push(i * 40 + 1);
+}
+var importInputs = {
+	sorted: imported,
+	random: workloads.random(imported.length, createRandom(seed)).map(function(index) {
+		return imported[index];
+	})
+};
+
+console.log("\nImporting " + imported.length + " values into a tree of " + size +
+		", in values per second:\n");
+console.log(pad("input", 12) + pad("add loop", 13) + pad("addAll", 13) + pad("speedup", 10));
+for (var input in importInputs) {
+	var importTimes = timeImport(size, importInputs[input]);
+	console.log(pad(input, 12) +
+			pad(Math.round(imported.length / importTimes.add * 1e3), 13) +
+			pad(Math.round(imported.length / importTimes.addAll * 1e3), 13) +
+			pad((importTimes.add / importTimes.addAll).toFixed(2) + "x", 10));
+}
@@ -0,0 +1,3322 @@
+/**
+ * Randomized test harness for AVLTree.
+ * Runs a series of fuzzers, each performing a seeded sequence of random
+ * operations on one kind of tree or with one group of methods, and comparing
+ * the results with a reference model, mostly a sorted array. The trees are
+ * checked with validate() along the way. Each fuzzer runs once on set trees
+ * and once on multiset trees. Any failure is reported with the seed and
+ * operation number so that it can be replayed.
+ *
+ * Usage: node fuzz.js [seed] [operations]
+ *
+ * When loaded with require(), nothing is run and the random number generator
+ * and comparator are exported for benchmark.js.
+ */
+
+var AVLTree = require("./JSAVLTree.js");
+
+/**
+ * Returns a seeded pseudo-random number generator (mulberry32), so that a
+ * failing run can be reproduced from its seed.
+ *
+ * @param {number} seed The seed.
+ * @return {function(): number} Function returning numbers in [0, 1).
+ */
+var createRandom = function(seed) {
+	return function() {
+		seed = (seed + 0x6D2B79F5) | 0;
+		var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+/**
+ * Compares two numbers, used as the comparator of the fuzzed trees.
+ *
+ * @param {number} a The first number.
+ * @param {number} b The second number.
+ * @return {number} A negative number if a < b, positive if a > b, 0 otherwise.
+ */
+var compareNumbers = function(a, b) {
+	return a - b;
+};
+
+/**
+ * Compares two strings, used as the comparator of trees of strings.
+ *
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @return {number} -1 if a < b, 1 if a > b, 0 otherwise.
+ */
+var compareStrings = function(a, b) {
+	return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Returns the index of the first element of the sorted array which is >= value.
+ *
+ * @param {Array.<number>} array The sorted array.
+ * @param {number} value The value to search for.
+ * @return {number} The insertion index of value.
+ */
+var lowerBound = function(array, value) {
+	var lo = 0, hi = array.length;
+	while (lo < hi) {
+		var mid = (lo + hi) >>> 1;
+		if (array[mid] < value) {
+			lo = mid + 1;
+		} else {
+			hi = mid;
+		}
+	}
+	return lo;
+};
+
+/**
+ * Checks the tree against the reference array and returns a list of problems,
+ * including every problem reported by validate().
+ *
+ * @param {AVLTree} tree The fuzzed tree.
+ * @param {Array.<number>} reference The sorted values the tree should hold.
+ * @param {function(): number} random The random number generator.
+ * @return {Array.<string>} The problems found.
+ */
+var check = function(tree, reference, random) {
+	var problems = tree.validate().errors.map(function(error) {
+		return error.check + " at " + error.value + ": " + error.message;
+	});
+
+	if (tree.getCount() != reference.length) {
+		problems.push("getCount() is " + tree.getCount() + ", expected " + reference.length);
+	}
+	if (reference.length) {
+		if (tree.getMinimum() !== reference[0]) {
+			problems.push("getMinimum() is " + tree.getMinimum() + ", expected " + reference[0]);
+		}
+		if (tree.getMaximum() !== reference[reference.length - 1]) {
+			problems.push("getMaximum() is " + tree.getMaximum() + ", expected " +
+					reference[reference.length - 1]);
+		}
+		var n = Math.floor(random() * reference.length);
+		if (tree.getNthValue(n) !== reference[n]) {
+			problems.push("getNthValue(" + n + ") is " + tree.getNthValue(n) +
+					", expected " + reference[n]);
+		}
+	}
+	return problems;
+};
+
+/**
+ * Compares all of the values of the tree with the reference array and returns
+ * a list of problems.
+ *
+ * @param {AVLTree} tree The fuzzed tree.
+ * @param {Array.<number>} reference The sorted values the tree should hold.
+ * @return {Array.<string>} The problems found.
+ */
+var checkValues = function(tree, reference) {
+	var values = tree.getValues();
+	for (var i = 0; i < values.length || i < reference.length; i++) {
+		if (values[i] !== reference[i]) {
+			return ["getValues() gives " + values[i] + " at " + i + ", expected " + reference[i]];
+		}
+	}
+	return [];
+};
+
+/**
+ * Runs the fuzzer on one tree.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var run = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset tree" : "Set tree";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var reference = [];
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		// Vary the value range so the tree keeps growing and shrinking
+		if (i % 1000 == 0) {
+			range = 16 << Math.floor(random() * 8);
+		}
+
+		var value = Math.floor(random() * range);
+		var index = lowerBound(reference, value);
+		var found = reference[index] === value;
+		var isAdd = random() < 0.55;
+		var removeAll = !isAdd && multiset && random() < 0.2;
+		var description = isAdd ? "add(" + value + ")" :
+				"remove(" + value + (removeAll ? ", true)" : ")");
+		var result;
+
+		try {
+			result = isAdd ? tree.add(value) : tree.remove(value, removeAll);
+		} catch (e) {
+			return fail(name, seed, i, description, ["threw " + e.stack]);
+		}
+
+		if (isAdd) {
+			if (result !== (multiset || !found)) {
+				return fail(name, seed, i, description, ["returned " + result]);
+			}
+			if (multiset || !found) {
+				reference.splice(index, 0, value);
+			}
+		} else {
+			if (result !== (found ? value : null)) {
+				return fail(name, seed, i, description, ["returned " + result]);
+			}
+			var removed = 0;
+			while (reference[index + removed] === value && (removeAll || !removed)) {
+				removed++;
+			}
+			reference.splice(index, removed);
+		}
+
+		var problems = check(tree, reference, random);
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Checks a NumericTree against the reference array and returns a list of
+ * problems. The values are compared in full through the tree's iterator when
+ * full is true, and by a random sample otherwise.
+ *
+ * @param {AVLTree.NumericTree} tree The fuzzed tree.
+ * @param {Array.<number>} reference The sorted values the tree should hold.
+ * @param {function(): number} random The random number generator.
+ * @param {boolean} full Whether to compare every value.
+ * @return {Array.<string>} The problems found.
+ */
+var checkNumeric = function(tree, reference, random, full) {
+	var problems = [];
+	if (tree.getCount() != reference.length) {
+		problems.push("getCount() is " + tree.getCount() + ", expected " + reference.length);
+	}
+	var bound = 1.4405 * Math.log(reference.length + 2) / Math.LN2 - 0.3277;
+	if (tree.getHeight() > bound) {
+		problems.push("getHeight() is " + tree.getHeight() + ", above the AVL bound " + bound);
+	}
+	var usage = tree.memoryUsage();
+	if (usage.nodes > usage.capacity || usage.freeListed > usage.free) {
+		problems.push("memoryUsage() is inconsistent: " + JSON.stringify(usage));
+	}
+	if (reference.length) {
+		var n = Math.floor(random() * reference.length);
+		if (tree.getNthValue(n) !== reference[n]) {
+			problems.push("getNthValue(" + n + ") is " + tree.getNthValue(n) +
+					", expected " + reference[n]);
+		}
+		if (tree.getMinimum() !== reference[0] ||
+				tree.getMaximum() !== reference[reference.length - 1]) {
+			problems.push("getMinimum() and getMaximum() are " + tree.getMinimum() + " and " +
+					tree.getMaximum());
+		}
+	}
+	if (full) {
+		problems = problems.concat(checkIterator(tree.values(), reference));
+	}
+	return problems;
+};
+
+/**
+ * Runs an iterator to the end, comparing the values it gives with the
+ * reference array, and returns a list of problems.
+ *
+ * @param {{next: function(): {value: *, done: boolean}}} iterator The
+ *     iterator.
+ * @param {Array.<number>} reference The values it should give, in order.
+ * @return {Array.<string>} The problems found.
+ */
+var checkIterator = function(iterator, reference) {
+	var i = 0;
+	for (var result = iterator.next(); !result.done; result = iterator.next(), i++) {
+		if (result.value !== reference[i]) {
+			return ["values() gives " + result.value + " at " + i + ", expected " + reference[i]];
+		}
+	}
+	if (i != reference.length) {
+		return ["values() gives " + i + " values, expected " + reference.length];
+	}
+	return [];
+};
+
+/**
+ * Runs the fuzzer on one AVLTree.NumericTree, mixing compactions in with the
+ * adds and removes. Adding a value which is already in a set tree must not
+ * grow the slabs.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runNumeric = function(multiset, seed, operations) {
+	var name = multiset ? "Numeric multiset tree" : "Numeric set tree";
+	var random = createRandom(seed);
+	var tree = new AVLTree.NumericTree({ multiset: multiset });
+	var reference = [];
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 1000 == 0) {
+			range = 16 << Math.floor(random() * 8);
+		}
+
+		var value = Math.floor(random() * range) - range / 2;
+		var index = lowerBound(reference, value);
+		var found = reference[index] === value;
+		var roll = random();
+		var removeAll = multiset && random() < 0.2;
+		var description, result, expected, capacity = tree.memoryUsage().capacity;
+
+		try {
+			if (roll < 0.01) {
+				description = "compact()";
+				result = tree.compact() === tree;
+				expected = true;
+			} else if (roll < 0.56) {
+				description = "add(" + value + ")";
+				result = tree.add(value);
+				expected = multiset || !found;
+				if (expected) {
+					reference.splice(index, 0, value);
+				} else if (tree.memoryUsage().capacity != capacity) {
+					return fail(name, seed, i, description, ["grew the slabs for a duplicate"]);
+				}
+			} else {
+				description = "remove(" + value + (removeAll ? ", true)" : ")");
+				result = tree.remove(value, removeAll);
+				expected = found ? value : null;
+				var removed = 0;
+				while (reference[index + removed] === value && (removeAll || !removed)) {
+					removed++;
+				}
+				reference.splice(index, removed);
+			}
+		} catch (e) {
+			return fail(name, seed, i, description, ["threw " + e.stack]);
+		}
+		if (result !== expected) {
+			return fail(name, seed, i, description, ["returned " + result]);
+		}
+
+		var problems = checkNumeric(tree, reference, random,
+				roll < 0.01 || i % 100 == 0 || i == operations - 1);
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Runs random batches of addAll() and removeAll() on a tree taking the bulk
+ * path and on trees which fall back to one value at a time, as they observe
+ * "add" and "remove" events, have a maxSize or have a transaction open. Every
+ * tree must return the same stats and end up holding the reference values.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of batches to run.
+ * @return {boolean} Whether the run passed.
+ */
+var runBulk = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset bulk" : "Set bulk";
+	var random = createRandom(seed);
+	var ignore = function() {};
+	var trees = {
+		bulk: new AVLTree(compareNumbers, { multiset: multiset }),
+		observed: new AVLTree(compareNumbers, { multiset: multiset })
+				.on("add", ignore).on("remove", ignore),
+		bounded: new AVLTree(compareNumbers, { multiset: multiset, maxSize: 1e9 }),
+		transaction: new AVLTree(compareNumbers, { multiset: multiset }).begin()
+	};
+	var reference = [];
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 100 == 0) {
+			range = 16 << Math.floor(random() * 8);
+		}
+
+		var isAdd = random() < 0.55;
+		var values = [];
+		for (var length = Math.floor(random() * 40); values.length < length; ) {
+			values.push(Math.floor(random() * range));
+		}
+		var description = (isAdd ? "addAll(" : "removeAll(") + JSON.stringify(values) + ")";
+
+		// The reference takes the values one at a time
+		var expected = isAdd ? { inserted: 0, skipped: 0 } : { removed: 0, missing: 0 };
+		for (var j = 0; j < values.length; j++) {
+			var index = lowerBound(reference, values[j]);
+			var found = reference[index] === values[j];
+			if (isAdd && (multiset || !found)) {
+				reference.splice(index, 0, values[j]);
+				expected.inserted++;
+			} else if (isAdd) {
+				expected.skipped++;
+			} else if (found) {
+				reference.splice(index, 1);
+				expected.removed++;
+			} else {
+				expected.missing++;
+			}
+		}
+
+		for (var kind in trees) {
+			var result;
+			try {
+				result = isAdd ? trees[kind].addAll(values) : trees[kind].removeAll(values);
+			} catch (e) {
+				return fail(name, seed, i, kind + " " + description, ["threw " + e.stack]);
+			}
+			var problems = JSON.stringify(result) == JSON.stringify(expected) ? [] :
+					["returned " + JSON.stringify(result) + ", expected " +
+							JSON.stringify(expected)];
+			problems = problems.concat(check(trees[kind], reference, random),
+					checkValues(trees[kind], reference));
+			if (problems.length) {
+				return fail(name, seed, i, kind + " " + description, problems);
+			}
+		}
+	}
+	return true;
+};
+
+/**
+ * Compares two sorted arrays lexicographically, the way compareTo() compares
+ * trees.
+ *
+ * @param {Array.<number>} a The first array.
+ * @param {Array.<number>} b The second array.
+ * @return {number} -1 if a is smaller, 1 if it is larger, 0 if they are equal.
+ */
+var compareArrays = function(a, b) {
+	for (var i = 0; i < a.length && i < b.length; i++) {
+		if (a[i] != b[i]) {
+			return a[i] < b[i] ? -1 : 1;
+		}
+	}
+	return a.length == b.length ? 0 : a.length < b.length ? -1 : 1;
+};
+
+/**
+ * Returns the changes that turn one sorted array into another, the way diff()
+ * returns them for trees: every copy only in a is removed and every copy only
+ * in b is added.
+ *
+ * @param {Array.<number>} a The old values.
+ * @param {Array.<number>} b The new values.
+ * @return {{added: !Array.<number>, removed: !Array.<number>}} The changes.
+ */
+var diffArrays = function(a, b) {
+	var result = { added: [], removed: [] };
+	var i = 0, j = 0;
+	while (i < a.length || j < b.length) {
+		if (j == b.length || a[i] < b[j]) {
+			result.removed.push(a[i++]);
+		} else if (i == a.length || a[i] > b[j]) {
+			result.added.push(b[j++]);
+		} else {
+			i++;
+			j++;
+		}
+	}
+	return result;
+};
+
+/**
+ * Runs random adds and removes on a tree, taking a snapshot before each few
+ * of them, and checks equals(), compareTo() and diff() both ways between the
+ * tree and the snapshot, which share most of their nodes, and between the
+ * tree and an unrelated tree built from random values.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of snapshots to take.
+ * @return {boolean} Whether the run passed.
+ */
+var runCompare = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset comparison" : "Set comparison";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var reference = [];
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 100 == 0) {
+			range = 4 << Math.floor(random() * 8);
+		}
+
+		var snapshot = tree.snapshot();
+		var old = reference.slice();
+		var description = "snapshot";
+		for (var changes = Math.floor(random() * 4); changes > 0; changes--) {
+			var value = Math.floor(random() * range);
+			var index = lowerBound(reference, value);
+			if (random() < 0.55) {
+				description += ", add(" + value + ")";
+				tree.add(value);
+				if (multiset || reference[index] !== value) {
+					reference.splice(index, 0, value);
+				}
+			} else {
+				description += ", remove(" + value + ")";
+				tree.remove(value);
+				if (reference[index] === value) {
+					reference.splice(index, 1);
+				}
+			}
+		}
+
+		// Small unrelated trees, so that their values often overlap the tree's
+		var values = [];
+		for (var length = Math.floor(random() * 8); values.length < length; ) {
+			values.push(Math.floor(random() * range));
+		}
+		var other = AVLTree.from(values, compareNumbers, { multiset: multiset });
+		var otherReference = other.getValues();
+
+		var pairs = [
+			["snapshot", snapshot, old, "tree", tree, reference],
+			["tree", tree, reference, "snapshot", snapshot, old],
+			["tree", tree, reference, "other " + JSON.stringify(values), other, otherReference]
+		];
+		for (var j = 0; j < pairs.length; j++) {
+			var a = pairs[j][1], b = pairs[j][4];
+			var label = description + ", " + pairs[j][0] + " against " + pairs[j][3];
+			var problems = [];
+			try {
+				var expected = compareArrays(pairs[j][2], pairs[j][5]);
+				if (a.equals(b) !== (expected == 0)) {
+					problems.push("equals() is " + a.equals(b));
+				}
+				if (a.compareTo(b) !== expected) {
+					problems.push("compareTo() is " + a.compareTo(b) + ", expected " + expected);
+				}
+				var diff = JSON.stringify(a.diff(b));
+				var expectedDiff = JSON.stringify(diffArrays(pairs[j][2], pairs[j][5]));
+				if (diff != expectedDiff) {
+					problems.push("diff() is " + diff + ", expected " + expectedDiff);
+				}
+			} catch (e) {
+				problems.push("threw " + e.stack);
+			}
+			if (problems.length) {
+				return fail(name, seed, i, label, problems);
+			}
+		}
+	}
+	return true;
+};
+
+/**
+ * Fills a tree and the reference array with random values below range.
+ *
+ * @param {AVLTree} tree The empty tree.
+ * @param {boolean} multiset Whether the tree is a multiset tree.
+ * @param {function(): number} random The random number generator.
+ * @param {number} range The upper bound of the values.
+ * @return {!Array.<number>} The sorted values added to the tree.
+ */
+var fill = function(tree, multiset, random, range) {
+	var reference = [];
+	for (var length = Math.floor(random() * range); length > 0; length--) {
+		var value = Math.floor(random() * range);
+		var index = lowerBound(reference, value);
+		tree.add(value);
+		if (multiset || reference[index] !== value) {
+			reference.splice(index, 0, value);
+		}
+	}
+	return reference;
+};
+
+/**
+ * Splits random trees around random pivots and joins the two parts again.
+ * The parts must hold the values on either side of the pivot, and joining
+ * them must give the tree without the pivot. Joining overlapping trees or
+ * trees with different comparators must throw.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of splits to make.
+ * @return {boolean} Whether the run passed.
+ */
+var runSplitJoin = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset split and join" : "Set split and join";
+	var random = createRandom(seed);
+
+	for (var i = 0; i < operations; i++) {
+		var range = 4 << Math.floor(random() * 7);
+		var tree = new AVLTree(compareNumbers, { multiset: multiset });
+		var reference = fill(tree, multiset, random, range);
+		var pivot = Math.floor(random() * range);
+		var description = "split(" + pivot + ") of " + JSON.stringify(reference);
+		var index = lowerBound(reference, pivot);
+		var after = index;
+		while (reference[after] === pivot) {
+			after++;
+		}
+
+		var problems = [];
+		try {
+			var parts = tree.split(pivot);
+			problems = problems.concat(checkValues(parts.left, reference.slice(0, index)),
+					checkValues(parts.right, reference.slice(after)), checkValues(tree, []));
+			if (parts.found !== after > index) {
+				problems.push("found is " + parts.found);
+			}
+
+			try {
+				AVLTree.join(parts.left, new AVLTree(function(a, b) {
+					return a - b;
+				}));
+				problems.push("joined trees with different comparators");
+			} catch (e) {
+				// Expected
+			}
+
+			// Joining the parts the wrong way round overlaps them unless one is
+			// empty, and must leave them as they were
+			var joined = null;
+			if (index > 0 && after < reference.length) {
+				try {
+					AVLTree.join(parts.right, parts.left);
+					problems.push("joined overlapping trees");
+				} catch (e) {
+					// Expected
+				}
+			} else if (random() < 0.5) {
+				joined = AVLTree.join(parts.right, parts.left);
+			}
+			joined = joined || AVLTree.join(parts.left, parts.right);
+			reference.splice(index, after - index);
+			problems = problems.concat(check(joined, reference, random),
+					checkValues(joined, reference), checkValues(parts.left, []),
+					checkValues(parts.right, []));
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Merges two sorted arrays by the multiplicities of their values, the way the
+ * set operations merge multiset trees.
+ *
+ * @param {Array.<number>} a The first array.
+ * @param {Array.<number>} b The second array.
+ * @param {function(number, number): number} multiplicity Function returning
+ *     the multiplicity of a value in the result from its multiplicities in a
+ *     and b.
+ * @return {!Array.<number>} The merged sorted array.
+ */
+var mergeArrays = function(a, b, multiplicity) {
+	var result = [];
+	var i = 0, j = 0;
+	while (i < a.length || j < b.length) {
+		var value = j == b.length || a[i] < b[j] ? a[i] : b[j];
+		var inA = 0, inB = 0;
+		for (; a[i] === value; i++) {
+			inA++;
+		}
+		for (; b[j] === value; j++) {
+			inB++;
+		}
+		for (var copies = multiplicity(inA, inB); copies > 0; copies--) {
+			result.push(value);
+		}
+	}
+	return result;
+};
+
+/**
+ * The set operations, by name, with the multiplicity each gives a value.
+ */
+var setOperations = {
+	union: function(a, b) {
+		return Math.max(a, b);
+	},
+	intersection: function(a, b) {
+		return Math.min(a, b);
+	},
+	difference: function(a, b) {
+		return Math.max(a - b, 0);
+	},
+	symmetricDifference: function(a, b) {
+		return Math.abs(a - b);
+	}
+};
+
+/**
+ * Runs the set operations between random trees, both those returning a new
+ * tree and the in-place ones, and the subset, superset and disjointness
+ * tests. The results must match merging the sorted arrays, and the trees
+ * which are not changed in place must keep their values.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of pairs of trees to try.
+ * @return {boolean} Whether the run passed.
+ */
+var runSetOperations = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset set operations" : "Set set operations";
+	var random = createRandom(seed);
+	var names = Object.keys(setOperations);
+
+	for (var i = 0; i < operations; i++) {
+		var range = 4 << Math.floor(random() * 6);
+		var tree = new AVLTree(compareNumbers, { multiset: multiset });
+		var other = new AVLTree(compareNumbers, { multiset: multiset });
+		var reference = fill(tree, multiset, random, range);
+		var otherReference = fill(other, multiset, random, range);
+		var description = JSON.stringify(reference) + " and " + JSON.stringify(otherReference);
+		var problems = [];
+
+		try {
+			for (var j = 0; j < names.length; j++) {
+				var expected = mergeArrays(reference, otherReference, setOperations[names[j]]);
+				var result = tree[names[j]](other);
+				problems = problems.concat(check(result, expected, random),
+						checkValues(result, expected), checkValues(tree, reference),
+						checkValues(other, otherReference));
+				if (problems.length) {
+					problems.unshift("in " + names[j] + "()");
+					break;
+				}
+			}
+
+			var inclusion = {
+				isSubsetOf: mergeArrays(reference, otherReference, setOperations.difference),
+				isSupersetOf: mergeArrays(otherReference, reference, setOperations.difference)
+			};
+			for (var method in inclusion) {
+				if (tree[method](other) !== !inclusion[method].length) {
+					problems.push(method + "() is " + tree[method](other));
+				}
+			}
+			var disjoint = !mergeArrays(reference, otherReference,
+					setOperations.intersection).length;
+			if (tree.isDisjointFrom(other) !== disjoint) {
+				problems.push("isDisjointFrom() is " + !disjoint);
+			}
+
+			var inPlace = names[Math.floor(random() * names.length)];
+			if (!problems.length) {
+				expected = mergeArrays(reference, otherReference, setOperations[inPlace]);
+				if (tree[inPlace + "InPlace"](other) !== tree) {
+					problems.push(inPlace + "InPlace() did not return the tree");
+				}
+				problems = problems.concat(check(tree, expected, random),
+						checkValues(tree, expected), checkValues(other, otherReference));
+				if (problems.length) {
+					problems.unshift("in " + inPlace + "InPlace()");
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Checks a persistent tree against the reference array and returns a list of
+ * problems. Persistent trees have no validate(), so the values are compared
+ * through the iterator, along with the count, height and a random rank.
+ *
+ * @param {AVLTree.Persistent} tree The tree.
+ * @param {Array.<number>} reference The sorted values the tree should hold.
+ * @param {function(): number} random The random number generator.
+ * @return {Array.<string>} The problems found.
+ */
+var checkPersistent = function(tree, reference, random) {
+	var problems = checkIterator(tree.values(), reference);
+	if (tree.getCount() != reference.length) {
+		problems.push("getCount() is " + tree.getCount() + ", expected " + reference.length);
+	}
+	var bound = 1.4405 * Math.log(reference.length + 2) / Math.LN2 - 0.3277;
+	if (tree.getHeight() > bound) {
+		problems.push("getHeight() is " + tree.getHeight() + ", above the AVL bound " + bound);
+	}
+	if (reference.length) {
+		var n = Math.floor(random() * reference.length);
+		if (tree.getNthValue(n) !== reference[n]) {
+			problems.push("getNthValue(" + n + ") is " + tree.getNthValue(n) +
+					", expected " + reference[n]);
+		}
+	}
+	return problems;
+};
+
+/**
+ * Derives random versions of a persistent tree from the latest and from
+ * older versions, and changes a mutable tree while taking snapshots of it.
+ * Every version and snapshot kept must go on holding its values, a change
+ * which changes nothing must return the same version, and changing a
+ * snapshot must leave the mutable tree alone.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runPersistent = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset persistent" : "Set persistent";
+	var random = createRandom(seed);
+	var options = { multiset: multiset };
+	var versions = [{ tree: new AVLTree.Persistent(compareNumbers, options), reference: [] }];
+	var tree = new AVLTree(compareNumbers, options);
+	var treeReference = [];
+	var snapshots = [];
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 1000 == 0) {
+			range = 16 << Math.floor(random() * 6);
+		}
+
+		// Mostly derive from the latest version, sometimes from an older one
+		var base = versions[random() < 0.8 ? versions.length - 1 :
+				Math.floor(random() * versions.length)];
+		var value = Math.floor(random() * range);
+		var index = lowerBound(base.reference, value);
+		var found = base.reference[index] === value;
+		var isAdd = random() < 0.55;
+		var description = (isAdd ? "add(" : "remove(") + value + ") to a version of " +
+				base.reference.length;
+		var reference = base.reference.slice();
+		var problems = [];
+
+		try {
+			var version = isAdd ? base.tree.add(value) : base.tree.remove(value);
+			if (isAdd && (multiset || !found)) {
+				reference.splice(index, 0, value);
+			} else if (!isAdd && found) {
+				reference.splice(index, 1);
+			}
+			if ((version === base.tree) !== (reference.length == base.reference.length)) {
+				problems.push(version === base.tree ? "returned the same version" :
+						"returned a new version for no change");
+			}
+			versions.push({ tree: version, reference: reference });
+			if (versions.length > 8) {
+				versions.splice(Math.floor(random() * 7), 1);
+			}
+
+			// Change the mutable tree the same way, snapshotting it now and then
+			if (isAdd) {
+				tree.add(value);
+			} else {
+				tree.remove(value);
+			}
+			index = lowerBound(treeReference, value);
+			if (isAdd && (multiset || treeReference[index] !== value)) {
+				treeReference = treeReference.slice();
+				treeReference.splice(index, 0, value);
+			} else if (!isAdd && treeReference[index] === value) {
+				treeReference = treeReference.slice();
+				treeReference.splice(index, 1);
+			}
+			if (random() < 0.05) {
+				var snapshot = tree.snapshot();
+				if (!(snapshot instanceof AVLTree.Persistent)) {
+					problems.push("snapshot() did not return an AVLTree.Persistent");
+				}
+				snapshot.add(value).remove(value);
+				snapshots.push({ tree: snapshot, reference: treeReference });
+				if (snapshots.length > 4) {
+					snapshots.shift();
+				}
+			}
+
+			problems = problems.concat(check(tree, treeReference, random),
+					checkPersistent(version, reference, random));
+			var kept = versions.concat(snapshots);
+			var old = kept[Math.floor(random() * kept.length)];
+			problems = problems.concat(checkPersistent(old.tree, old.reference, random));
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Builds random trees of numbers, of strings and maps of numbers, and
+ * round-trips them through toJSON() and fromJSON(), with and without their
+ * shape, and through toBinary() and fromBinary(). The restored trees must
+ * dump the same as the originals and pass validate(). Binary dumps cut short
+ * and shape dumps with values out of order must be refused.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees, maps are never
+ *     multisets.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of trees to round-trip.
+ * @return {boolean} Whether the run passed.
+ */
+var runSerialization = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset serialization" : "Set serialization";
+	var random = createRandom(seed);
+	var kinds = ["numbers", "strings", "map"];
+
+	for (var i = 0; i < operations; i++) {
+		var kind = kinds[Math.floor(random() * kinds.length)];
+		var comparator = kind == "strings" ? compareStrings : compareNumbers;
+		var tree = kind == "map" ? new AVLTree.Map(comparator) :
+				new AVLTree(comparator, { multiset: multiset });
+		for (var length = Math.floor(random() * 40); length > 0; length--) {
+			var value = Math.floor(random() * 50) - 10 + (random() < 0.2 ? 0.5 : 0);
+			if (kind == "map") {
+				var data = random() < 0.5 ? { value: value } : random() < 0.5 ? "s" + value : null;
+				tree.set(value, data);
+			} else {
+				tree.add(kind == "strings" ? "\u00e9" + value : value);
+			}
+		}
+		var description = kind + " " + JSON.stringify(tree);
+		var dump = JSON.stringify(tree);
+		var shape = JSON.stringify(tree.toJSON({ shape: true }));
+		var problems = [];
+
+		try {
+			var restored = {
+				"fromJSON()": AVLTree.fromJSON(dump, comparator),
+				"fromJSON() of the shape": AVLTree.fromJSON(shape, comparator),
+				"fromBinary()": AVLTree.fromBinary(tree.toBinary(), comparator)
+			};
+			for (var method in restored) {
+				var copy = restored[method];
+				var errors = copy.validate().errors;
+				if (errors.length) {
+					problems.push(method + " gives an invalid tree: " + errors[0].message);
+				} else if (JSON.stringify(copy) != dump ||
+						(copy instanceof AVLTree.Map) != (kind == "map")) {
+					problems.push(method + " gives " + JSON.stringify(copy));
+				}
+			}
+			var reshaped = restored["fromJSON() of the shape"].toJSON({ shape: true });
+			if (JSON.stringify(reshaped) != shape) {
+				problems.push("fromJSON() of the shape changes the shape");
+			}
+
+			// Every dump cut short must be refused, not loaded in part
+			var binary = tree.toBinary();
+			var cut = random() < 0.5 ? binary.byteLength - 1 :
+					Math.floor(random() * binary.byteLength);
+			try {
+				AVLTree.fromBinary(binary.slice(0, cut), comparator);
+				problems.push("fromBinary() loaded the dump cut to " + cut + " of " +
+						binary.byteLength + " bytes");
+			} catch (e) {
+				// Expected
+			}
+
+			// So must a shape whose root is out of order with its children
+			var root = JSON.parse(shape);
+			if (root.root && (root.root.left || root.root.right)) {
+				root.root.value = root.root.left ? root.root.left.value : root.root.right.value;
+				try {
+					AVLTree.fromJSON(root, comparator);
+					problems.push("fromJSON() loaded a shape out of order");
+				} catch (e) {
+					// Expected
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Aggregate monoids for the aggregate fuzzer: a sum, and a concatenation of
+ * the values in order, which is not commutative and so also checks that the
+ * subtrees are combined in order.
+ */
+var monoids = {
+	sum: {
+		identity: 0,
+		lift: function(value) {
+			return value;
+		},
+		combine: function(a, b) {
+			return a + b;
+		}
+	},
+	concatenation: {
+		identity: "",
+		lift: function(value) {
+			return value + ";";
+		},
+		combine: function(a, b) {
+			return a + b;
+		}
+	}
+};
+
+/**
+ * Runs random adds and removes, splits and joins and rolled back
+ * transactions on trees with aggregates, which validate() checks node by
+ * node, and compares aggregate() over random ranges with combining the
+ * values of the reference array in the range.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runAggregates = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset aggregates" : "Set aggregates";
+	var random = createRandom(seed);
+	var trees = {};
+	for (var kind in monoids) {
+		trees[kind] = new AVLTree(compareNumbers,
+				{ multiset: multiset, aggregate: monoids[kind] });
+	}
+	var reference = [];
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 1000 == 0) {
+			range = 16 << Math.floor(random() * 5);
+		}
+
+		var value = Math.floor(random() * range);
+		var index = lowerBound(reference, value);
+		var roll = random();
+		var description;
+		if (roll < 0.05) {
+			description = "split(" + value + ") and join()";
+			while (reference[index] === value) {
+				reference.splice(index, 1);
+			}
+		} else if (roll < 0.1) {
+			description = "add(" + value + ") and removing the minimum, rolled back";
+		} else if (roll < 0.6) {
+			description = "add(" + value + ")";
+			if (multiset || reference[index] !== value) {
+				reference.splice(index, 0, value);
+			}
+		} else {
+			description = "remove(" + value + ")";
+			if (reference[index] === value) {
+				reference.splice(index, 1);
+			}
+		}
+
+		// A random range, each bound open, inclusive or exclusive
+		var lo = random() < 0.2 ? null : Math.floor(random() * range);
+		var hi = random() < 0.2 ? null : Math.floor(random() * range);
+		var options = { loInclusive: random() < 0.5, hiInclusive: random() < 0.5 };
+		var inRange = reference.filter(function(value) {
+			return (lo === null || value > lo || (options.loInclusive && value == lo)) &&
+					(hi === null || value < hi || (options.hiInclusive && value == hi));
+		});
+		description += ", aggregate(" + lo + ", " + hi + ", " + JSON.stringify(options) + ")";
+
+		for (kind in trees) {
+			var tree = trees[kind];
+			var problems = [];
+			try {
+				if (roll < 0.05) {
+					var parts = tree.split(value);
+					tree = trees[kind] = AVLTree.join(parts.left, parts.right);
+				} else if (roll < 0.1) {
+					tree.begin();
+					tree.add(value);
+					tree.remove(tree.getMinimum());
+					tree.rollback();
+				} else if (roll < 0.6) {
+					tree.add(value);
+				} else {
+					tree.remove(value);
+				}
+
+				var monoid = monoids[kind];
+				var expected = inRange.map(monoid.lift).reduce(monoid.combine, monoid.identity);
+				var result = tree.aggregate(lo, hi, options);
+				if (result !== expected) {
+					problems.push(kind + " is " + result + ", expected " + expected);
+				}
+				problems = problems.concat(check(tree, reference, random));
+			} catch (e) {
+				problems.push("threw " + e.stack);
+			}
+			if (problems.length) {
+				return fail(name, seed, i, description, problems);
+			}
+		}
+	}
+	return true;
+};
+
+/**
+ * Runs random insertions and removals of intervals on an interval tree, and
+ * compares findOverlapping(), findAnyOverlap() and stab() over random ranges
+ * with checking every interval of the reference list. An interval which
+ * starts after it ends must be refused.
+ *
+ * @param {boolean} dates Whether to use dates as the endpoints rather than
+ *     numbers.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runIntervals = function(dates, seed, operations) {
+	var name = dates ? "Date interval tree" : "Number interval tree";
+	var random = createRandom(seed);
+	var tree = new AVLTree.IntervalTree();
+	var point = function(x) {
+		return dates ? new Date(x * 1000) : x;
+	};
+	var number = function(point) {
+		return point instanceof Date ? point.getTime() / 1000 : point;
+	};
+	var show = function(interval) {
+		return "[" + number(interval[0]) + ", " + number(interval[1]) + "]";
+	};
+
+	// The reference holds the intervals as numbers, ordered by start then end
+	var reference = [];
+	var find = function(start, end) {
+		for (var i = 0; i < reference.length; i++) {
+			if (reference[i][0] > start || (reference[i][0] == start && reference[i][1] >= end)) {
+				break;
+			}
+		}
+		return i;
+	};
+	var range = 16;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 1000 == 0) {
+			range = 16 << Math.floor(random() * 5);
+		}
+
+		var start = Math.floor(random() * range);
+		var end = start + Math.floor(random() * range / 4);
+		var index = find(start, end);
+		var found = index < reference.length && reference[index][0] == start &&
+				reference[index][1] == end;
+		var roll = random();
+		var description, problems = [];
+
+		try {
+			if (roll < 0.02) {
+				description = "insertInterval(" + show([end + 1, start]) + ")";
+				try {
+					tree.insertInterval([point(end + 1), point(start)]);
+					problems.push("inserted an interval which starts after it ends");
+				} catch (e) {
+					// Expected
+				}
+			} else if (roll < 0.6) {
+				description = "insertInterval(" + show([start, end]) + ")";
+				var inserted = tree.insertInterval([point(start), point(end)], start * 1000 + end);
+				if (inserted !== !found) {
+					problems.push("returned " + found);
+				}
+				if (!found) {
+					reference.splice(index, 0, [start, end]);
+				}
+			} else {
+				description = "removeInterval(" + show([start, end]) + ")";
+				if (tree.removeInterval([point(start), point(end)]) !== found) {
+					problems.push("returned " + !found);
+				}
+				if (found) {
+					reference.splice(index, 1);
+				}
+			}
+
+			// Query a random range, or a point now and then
+			var lo = Math.floor(random() * (range + 4)) - 2;
+			var hi = random() < 0.2 ? lo : lo + Math.floor(random() * range / 4);
+			description += ", query " + show([lo, hi]);
+			var expected = reference.filter(function(interval) {
+				return interval[0] <= hi && interval[1] >= lo;
+			}).map(show).join("; ");
+			var queryRange = [point(lo), point(hi)];
+			var overlapping = tree.findOverlapping(queryRange);
+			if (overlapping.map(show).join("; ") != expected) {
+				problems.push("findOverlapping() gives " + overlapping.map(show).join("; ") +
+						", expected " + expected);
+			}
+			if (lo == hi && tree.stab(point(lo)).map(show).join("; ") != expected) {
+				problems.push("stab() gives " + tree.stab(point(lo)).map(show).join("; ") +
+						", expected " + expected);
+			}
+			var any = tree.findAnyOverlap(queryRange);
+			if (any === null ? expected !== "" : expected.split("; ").indexOf(show(any)) < 0) {
+				problems.push("findAnyOverlap() gives " + (any && show(any)) +
+						", expected one of " + expected);
+			}
+			if (any && tree.get(any) !== number(any[0]) * 1000 + number(any[1])) {
+				problems.push("get() of " + show(any) + " is " + tree.get(any));
+			}
+
+			var errors = tree.validate().errors;
+			if (errors.length) {
+				problems.push(errors[0].check + " at " + show(errors[0].value) + ": " +
+						errors[0].message);
+			}
+			if (tree.getCount() != reference.length) {
+				problems.push("getCount() is " + tree.getCount() + ", expected " +
+						reference.length);
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Describes an event, or an event the fuzzer expects, in a string which
+ * leaves out nothing but the order of its properties.
+ *
+ * @param {!Object} event The event.
+ * @return {string} The description.
+ */
+var describeEvent = function(event) {
+	if (event.type == "batch") {
+		return "batch[" + event.changes.map(describeEvent).join(", ") + "]";
+	}
+	var properties = [];
+	for (var name in event) {
+		if (name != "type") {
+			properties.push(name + ": " + event[name]);
+		}
+	}
+	return event.type + "(" + properties.sort().join(", ") + ")";
+};
+
+/**
+ * Runs random adds, removes, clears and batches on a tree whose handlers log
+ * every event, along with the count of the tree when they are called. The
+ * "before" handlers veto the multiples of 7. The log must hold exactly the
+ * events the reference array predicts: the before events ahead of the
+ * change, the change events after it unless vetoed, and in a batch only the
+ * batch event with every change. The in-place set operations must not fire
+ * any events, rotations included.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runEvents = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset events" : "Set events";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var log = [], rotations = 0;
+	var record = function(event) {
+		log.push(describeEvent(event) + " at " + this.getCount());
+	};
+	var veto = function(event) {
+		log.push(describeEvent(event) + " at " + this.getCount());
+		return event.value % 7 != 0;
+	};
+	var types = ["add", "remove", "clear", "batch"];
+	for (var i = 0; i < types.length; i++) {
+		tree.on(types[i], record);
+	}
+	tree.on("beforeadd", veto).on("beforeremove", veto).on("rotate", function() {
+		rotations++;
+	});
+	var reference = [];
+	var range = 16;
+
+	// Makes a change to the reference and returns the event it should fire,
+	// or null if it changes nothing
+	var change = function(isAdd, value, removeAll) {
+		var index = lowerBound(reference, value);
+		var copies = 0;
+		while (reference[index + copies] === value) {
+			copies++;
+		}
+		if (isAdd) {
+			return multiset || !copies ? { type: "add", value: value, rank: index } : null;
+		}
+		return copies ? { type: "remove", value: value, rank: index,
+				count: removeAll ? copies : 1 } : null;
+	};
+	var apply = function(event) {
+		if (event && event.type == "add") {
+			reference.splice(event.rank, 0, event.value);
+		} else if (event) {
+			reference.splice(event.rank, event.count);
+		}
+	};
+
+	for (i = 0; i < operations; i++) {
+		if (i % 1000 == 0) {
+			range = 16 << Math.floor(random() * 5);
+		}
+
+		var roll = random();
+		var expected = [], description;
+		log = [];
+		try {
+			if (roll < 0.01) {
+				description = "clear()";
+				if (reference.length) {
+					expected.push("clear(count: " + reference.length + ") at 0");
+				}
+				tree.clear();
+				reference = [];
+			} else if (roll < 0.05) {
+				description = "unionInPlace()";
+				var values = [];
+				for (var length = Math.floor(random() * 20); values.length < length; ) {
+					values.push(Math.floor(random() * range));
+				}
+				var other = AVLTree.from(values, compareNumbers, { multiset: multiset });
+				var before = rotations;
+				tree.unionInPlace(other);
+				reference = mergeArrays(reference, other.getValues(), setOperations.union);
+				if (rotations != before) {
+					expected.push((rotations - before) + " rotate events");
+					log.push("no rotate events");
+				}
+			} else if (roll < 0.15) {
+				// Batched changes are never vetoed
+				description = "batch(";
+				var changes = [];
+				var count = 1 + Math.floor(random() * 5);
+				tree.batch(function() {
+					for (var j = 0; j < count; j++) {
+						var value = Math.floor(random() * range);
+						var isAdd = random() < 0.55;
+						description += (j ? ", " : "") + (isAdd ? "add(" : "remove(") + value + ")";
+						var event = change(isAdd, value, false);
+						if (isAdd) {
+							tree.add(value);
+						} else {
+							tree.remove(value);
+						}
+						apply(event);
+						if (event) {
+							changes.push(event);
+						}
+					}
+				});
+				description += ")";
+				if (changes.length) {
+					expected.push(describeEvent({ type: "batch", changes: changes }) + " at " +
+							reference.length);
+				}
+			} else {
+				var value = Math.floor(random() * range);
+				var isAdd = random() < 0.55;
+				var removeAll = !isAdd && multiset && random() < 0.3;
+				description = isAdd ? "add(" + value + ")" :
+						"remove(" + value + (removeAll ? ", true)" : ")");
+				var event = change(isAdd, value, removeAll);
+				if (event) {
+					var copy = { type: "before" + event.type };
+					for (var property in event) {
+						if (property != "type") {
+							copy[property] = event[property];
+						}
+					}
+					expected.push(describeEvent(copy) + " at " + reference.length);
+					if (value % 7 == 0) {
+						event = null;
+					}
+				}
+				apply(event);
+				if (event) {
+					expected.push(describeEvent(event) + " at " + reference.length);
+				}
+				var result = isAdd ? tree.add(value) : tree.remove(value, removeAll);
+				if (result !== (isAdd ? !!event : event ? value : null)) {
+					log.push("returned " + result);
+				}
+			}
+		} catch (e) {
+			return fail(name, seed, i, description, ["threw " + e.stack]);
+		}
+
+		var problems = check(tree, reference, random);
+		if (log.join("; ") != expected.join("; ")) {
+			problems.push("fired " + log.join("; ") + ", expected " + expected.join("; "));
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Renders random trees with random options through toLayout(), toAscii() and
+ * toDot(). The layout must match one worked out from the shape dump of
+ * toJSON(), and the drawings must put every label of the layout, and only
+ * those, where the layout says.
+ *
+ * @param {boolean} multiset Whether to fuzz multiset trees.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of trees to render.
+ * @return {boolean} Whether the run passed.
+ */
+var runRenderers = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset renderers" : "Set renderers";
+	var random = createRandom(seed);
+
+	for (var i = 0; i < operations; i++) {
+		var tree = new AVLTree(compareNumbers, { multiset: multiset });
+		fill(tree, multiset, random, 4 << Math.floor(random() * 4));
+		var options = { unicode: random() < 0.5 };
+		if (random() < 0.5) {
+			options.maxDepth = Math.floor(random() * (tree.getHeight() + 1));
+		}
+		if (random() < 0.5) {
+			options.highlight = Math.floor(random() * 32);
+		}
+		if (random() < 0.2) {
+			options.format = function(value, node) {
+				return "<" + value + "/" + node.height + ">";
+			};
+		}
+		var description = "tree " + JSON.stringify(tree) + " with " + JSON.stringify(options);
+		var problems = [];
+
+		try {
+			// Mark the search path of the highlighted value in the shape dump
+			var root = tree.toJSON({ shape: true }).root;
+			for (var dump = root; dump && options.highlight !== undefined; ) {
+				dump.onPath = true;
+				dump = options.highlight < dump.value ? dump.left :
+						options.highlight > dump.value ? dump.right : null;
+			}
+
+			// Then work out the layout from it, in order
+			var expected = { width: 0, height: 0, nodes: [], edges: [] };
+			var maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+			var parents = [];
+			var lay = function(dump, depth, parent, side) {
+				if (!dump || depth > maxDepth) {
+					return null;
+				}
+				var node = {
+					id: null,
+					value: dump.value,
+					label: options.format ? "<" + dump.value + "/" + dump.height + ">" :
+							dump.value + (dump.multiplicity ? " (" + dump.multiplicity + ")" : ""),
+					x: null,
+					y: depth,
+					height: dump.height,
+					count: dump.count,
+					balance: (dump.left ? dump.left.height : 0) -
+							(dump.right ? dump.right.height : 0),
+					highlighted: !!dump.onPath,
+					truncated: depth == maxDepth && !!(dump.left || dump.right)
+				};
+				var left = lay(dump.left, depth + 1, node, "left");
+				node.id = node.x = expected.nodes.length;
+				expected.nodes.push(node);
+				parents.push(parent && { parent: parent, side: side });
+				var right = lay(dump.right, depth + 1, node, "right");
+				expected.width++;
+				expected.height = Math.max(expected.height, depth + 1);
+				node.single = !left != !right;
+				return node;
+			};
+			lay(root, 0, null, null);
+			var singles = 0;
+			for (var j = 0; j < expected.nodes.length; j++) {
+				var node = expected.nodes[j];
+				singles += node.single ? 1 : 0;
+				delete node.single;
+				if (parents[j]) {
+					expected.edges.push({ from: parents[j].parent.id, to: j,
+							side: parents[j].side, highlighted: node.highlighted });
+				}
+			}
+			var layout = tree.toLayout(options);
+			if (JSON.stringify(layout) != JSON.stringify(expected)) {
+				problems.push("toLayout() gives " + JSON.stringify(layout) + ", expected " +
+						JSON.stringify(expected));
+			}
+
+			// The text has a line of labels for each level, left to right in
+			// order, and a line of connections below each level with children
+			var lines = tree.toAscii(options).split("\n");
+			var column = 0, rows = [];
+			for (j = 0; j < expected.nodes.length; j++) {
+				node = expected.nodes[j];
+				var label = (node.highlighted ? "[" + node.label + "]" : node.label) +
+						(!node.truncated ? "" : options.unicode ? " \u2026" : " ...");
+				rows[node.y * 2] = true;
+				if (node.y * 2 - 1 >= 0) {
+					rows[node.y * 2 - 1] = true;
+				}
+				var row = lines[node.y * 2] || "";
+				if (row.substr(column, label.length) != label || row.charAt(column - 1).trim()) {
+					problems.push("toAscii() does not have " + label + " at column " + column +
+							" of line " + node.y * 2);
+				}
+				column += label.length + 1;
+			}
+			var connector = options.unicode ? /^[ \u2500\u250c\u2510\u2514\u2518\u2534]+$/ :
+					/^[ +-]+$/;
+			for (j = 0; j < rows.length || j < lines.length; j++) {
+				if (!rows[j] !== !lines[j] || (j % 2 && lines[j] && !connector.test(lines[j]))) {
+					problems.push("toAscii() has an unexpected line " + j + ": " + lines[j]);
+				}
+			}
+
+			// The DOT source has a node for each node of the layout, an edge for
+			// each edge, and an invisible child for each node with a single child
+			var dot = tree.toDot(options);
+			var nodes = dot.match(/^\tn\d+ \[label=.*$/mg) || [];
+			var edges = (dot.match(/^\tn\d+ -> n\d+(?=[ ;])/mg) || []).join(";");
+			var invisible = (dot.match(/^\tn\d+[lr] \[style=invis/mg) || []).length;
+			if (nodes.length != layout.nodes.length || invisible != singles ||
+					edges != expected.edges.map(function(edge) {
+						return "\tn" + edge.from + " -> n" + edge.to;
+					}).sort(function(a, b) {
+						return a.split(" ")[0].substr(2) - b.split(" ")[0].substr(2);
+					}).join(";")) {
+				problems.push("toDot() gives " + dot);
+			}
+			for (j = 0; j < nodes.length; j++) {
+				if (/color=red/.test(nodes[j]) != layout.nodes[j].highlighted ||
+						/style=dashed/.test(nodes[j]) != layout.nodes[j].truncated) {
+					problems.push("toDot() draws node " + j + " as " + nodes[j]);
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Runs the fuzzer on trees of objects with a key function, looking the
+ * objects up both by their keys and by other objects with the same key. The
+ * keys are numbers, switching to strings and back every 2000 operations.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runKeyed = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset keyed" : "Set keyed";
+	var random = createRandom(seed);
+	var getId = function(object) {
+		return object.id;
+	};
+	var tree, strings, keys, stored;
+
+	// Take half of the lookup arguments as objects with the key
+	var toKey = function(value) {
+		return strings ? "k" + value : value;
+	};
+	var toArgument = function(key) {
+		return random() < 0.5 ? { id: key } : key;
+	};
+	var show = function(argument) {
+		return typeof argument == "object" ? "{id: " + JSON.stringify(argument.id) + "}" :
+				JSON.stringify(argument);
+	};
+	var showResult = function(result) {
+		return result && typeof result == "object" ? "{id: " + JSON.stringify(result.id) +
+				", tag: " + result.tag + "}" : String(result);
+	};
+	var operationNames = ["add", "remove", "contains", "find", "countOf", "getByKey",
+			"floor", "rank", "countRange", "removeAll"];
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 2000 == 0) {
+			strings = i % 4000 != 0;
+			tree = new AVLTree({ key: getId, comparator: strings ? compareStrings : compareNumbers,
+					multiset: multiset });
+			keys = [];
+			stored = {};
+		}
+
+		var key = toKey(Math.floor(random() * 64));
+		var argument = toArgument(key);
+		var index = lowerBound(keys, key);
+		var count = 0;
+		while (keys[index + count] === key) {
+			count++;
+		}
+		var operation = operationNames[Math.floor(random() * operationNames.length)];
+		var description = operation + "(" + show(argument) + ")";
+		var problems = [];
+		var result, expected;
+
+		try {
+			if (operation == "add") {
+				var object = { id: key, tag: i };
+				description = "add(" + showResult(object) + ")";
+				result = tree.add(object);
+				if (result !== (multiset || !count)) {
+					problems.push("returned " + result);
+				}
+				if (multiset || !count) {
+					if (!count) {
+						stored[key] = object;
+					}
+					keys.splice(index, 0, key);
+				}
+			} else if (operation == "remove") {
+				var all = multiset && random() < 0.3;
+				description = "remove(" + show(argument) + (all ? ", true)" : ")");
+				result = tree.remove(argument, all);
+				if (result !== (count ? stored[key] : null)) {
+					problems.push("returned " + showResult(result) + ", expected " +
+							showResult(count ? stored[key] : null));
+				}
+				var removed = all ? count : Math.min(count, 1);
+				keys.splice(index, removed);
+				if (removed == count) {
+					delete stored[key];
+				}
+			} else if (operation == "contains") {
+				result = tree.contains(argument);
+				if (result !== count > 0) {
+					problems.push("returned " + result);
+				}
+			} else if (operation == "find" || operation == "getByKey") {
+				// getByKey takes only keys
+				if (operation == "getByKey") {
+					argument = key;
+					description = "getByKey(" + show(key) + ")";
+				}
+				result = tree[operation](argument);
+				expected = count ? stored[key] : null;
+				if (result !== expected) {
+					problems.push("returned " + showResult(result) + ", expected " +
+							showResult(expected));
+				}
+			} else if (operation == "countOf") {
+				result = tree.countOf(argument);
+				if (result !== count) {
+					problems.push("returned " + result + ", expected " + count);
+				}
+			} else if (operation == "floor") {
+				result = tree.floor(argument);
+				var floorIndex = count ? index : index - 1;
+				expected = floorIndex >= 0 ? stored[keys[floorIndex]] : null;
+				if (result !== expected) {
+					problems.push("returned " + showResult(result) + ", expected " +
+							showResult(expected));
+				}
+			} else if (operation == "rank") {
+				result = tree.rank(argument);
+				if (result !== index) {
+					problems.push("returned " + result + ", expected " + index);
+				}
+			} else if (operation == "countRange") {
+				var other = toKey(Math.floor(random() * 64));
+				var lo = key < other ? key : other;
+				var hi = key < other ? other : key;
+				var loArgument = toArgument(lo);
+				var hiArgument = toArgument(hi);
+				description = "countRange(" + show(loArgument) + ", " + show(hiArgument) + ")";
+				var end = lowerBound(keys, hi);
+				while (keys[end] === hi) {
+					end++;
+				}
+				expected = end - lowerBound(keys, lo);
+				result = tree.countRange(loArgument, hiArgument);
+				if (result !== expected) {
+					problems.push("returned " + result + ", expected " + expected);
+				}
+				result = tree.subRange(loArgument, hiArgument).getCount();
+				if (result !== expected) {
+					problems.push("subRange().getCount() is " + result + ", expected " + expected);
+				}
+			} else {
+				// Mix objects and keys, and let some of them be missing
+				var batch = [argument];
+				while (random() < 0.7) {
+					batch.push(toArgument(toKey(Math.floor(random() * 64))));
+				}
+				description = "removeAll([" + batch.map(show).join(", ") + "])";
+				var missing = 0;
+				batch.forEach(function(argument) {
+					var key = typeof argument == "object" ? argument.id : argument;
+					var index = lowerBound(keys, key);
+					if (keys[index] === key) {
+						keys.splice(index, 1);
+						if (keys[index] !== key) {
+							delete stored[key];
+						}
+					} else {
+						missing++;
+					}
+				});
+				result = tree.removeAll(batch);
+				if (result.removed !== batch.length - missing || result.missing !== missing) {
+					problems.push("returned " + JSON.stringify(result) + ", expected " +
+							(batch.length - missing) + " removed and " + missing + " missing");
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		// Check the stored objects, which must be the first added with each key
+		problems = problems.concat(tree.validate().errors.map(function(error) {
+			return error.check + " at " + showResult(error.value) + ": " + error.message;
+		}));
+		var values = tree.getValues();
+		for (var j = 0; j < values.length || j < keys.length; j++) {
+			if (!values[j] || values[j] !== stored[keys[j]]) {
+				problems.push("getValues() gives " + showResult(values[j]) + " at " + j +
+						", expected " + showResult(stored[keys[j]]));
+				break;
+			}
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Returns the sign of a comparator result, -1, 0 or 1.
+ *
+ * @param {number} result The comparator result.
+ * @return {number} Its sign.
+ */
+var sign = function(result) {
+	return result > 0 ? 1 : result < 0 ? -1 : 0;
+};
+
+/**
+ * Returns the comparator cases fuzzed by runComparators(). Each has a
+ * comparator of AVLTree.comparators, a function returning random values for
+ * it, and the expected sign of comparing two values, worked out directly.
+ *
+ * @param {function(): number} random The random number generator.
+ * @return {Array.<Object>} The cases.
+ */
+var comparatorCases = function(random) {
+	var comparators = AVLTree.comparators;
+	var pick = function(array) {
+		return array[Math.floor(random() * array.length)];
+	};
+	var integer = function(lo, hi) {
+		return lo + Math.floor(random() * (hi - lo + 1));
+	};
+
+	// NaN is greater than every number
+	var numeric = function(a, b) {
+		var x = +a, y = +b;
+		if (isNaN(x) || isNaN(y)) {
+			return (isNaN(x) ? 1 : 0) - (isNaN(y) ? 1 : 0);
+		}
+		return x < y ? -1 : x > y ? 1 : 0;
+	};
+	var numbers = function() {
+		var r = random();
+		return r < 0.1 ? NaN : r < 0.2 ? String(integer(-20, 20)) :
+				r < 0.3 ? integer(-20, 20) + 0.5 : integer(-20, 20);
+	};
+
+	// Runs of digits compare by their value, then the run with fewer leading
+	// zeros first
+	var natural = function(a, b) {
+		var partsA = String(a).match(/\d+|\D+/g) || [];
+		var partsB = String(b).match(/\d+|\D+/g) || [];
+		for (var i = 0; i < partsA.length && i < partsB.length; i++) {
+			var partA = partsA[i], partB = partsB[i];
+			var digits = /^\d/.test(partA) && /^\d/.test(partB);
+			var result = digits ? parseInt(partA, 10) - parseInt(partB, 10) ||
+					partA.length - partB.length : partA < partB ? -1 : partA > partB ? 1 : 0;
+			if (result) {
+				return sign(result);
+			}
+		}
+		return sign(partsA.length - partsB.length);
+	};
+	var strings = function() {
+		var tokens = ["a", "b", "B", "file", "x", "0", "00", "1", "2", "9", "10", "010", "99"];
+		var string = "";
+		for (var count = integer(1, 3); count > 0; count--) {
+			string += pick(tokens);
+		}
+		return string;
+	};
+
+	var nulls = function(values) {
+		return function() {
+			var r = random();
+			return r < 0.15 ? null : r < 0.25 ? undefined : values();
+		};
+	};
+	var nullRank = function(value, first) {
+		return (value == null) == first ? 0 : 1;
+	};
+
+	var time = function(value) {
+		var date = value instanceof Date ? value : new Date(value);
+		return date.getTime();
+	};
+
+	return [{
+		name: "numeric",
+		comparator: comparators.numeric,
+		expected: numeric,
+		values: numbers
+	}, {
+		name: "natural",
+		comparator: comparators.natural,
+		expected: natural,
+		values: strings
+	}, {
+		name: "reverse(numeric)",
+		comparator: comparators.reverse(comparators.numeric),
+		expected: function(a, b) {
+			return numeric(b, a);
+		},
+		values: numbers
+	}, {
+		name: "thenBy(byKey(group), byKey(n, numeric))",
+		comparator: comparators.thenBy(comparators.byKey(function(record) {
+			return record.group;
+		}), comparators.byKey(function(record) {
+			return record.n;
+		}, comparators.numeric)),
+		expected: function(a, b) {
+			return a.group < b.group ? -1 : a.group > b.group ? 1 : sign(a.n - b.n);
+		},
+		values: function() {
+			return { group: pick(["a", "b", "c"]), n: integer(0, 9) };
+		}
+	}, {
+		name: "nullsFirst(numeric)",
+		comparator: comparators.nullsFirst(comparators.numeric),
+		expected: function(a, b) {
+			return sign(nullRank(a, true) - nullRank(b, true)) ||
+					(a == null ? 0 : numeric(a, b));
+		},
+		values: nulls(numbers)
+	}, {
+		name: "nullsLast(natural)",
+		comparator: comparators.nullsLast(comparators.natural),
+		expected: function(a, b) {
+			return sign(nullRank(a, false) - nullRank(b, false)) ||
+					(a == null ? 0 : natural(a, b));
+		},
+		values: nulls(strings)
+	}, {
+		name: "date",
+		comparator: comparators.date,
+		expected: function(a, b) {
+			return numeric(time(a), time(b));
+		},
+		values: function() {
+			var r = random();
+			var t = Date.UTC(2020, 0, integer(1, 30));
+			return r < 0.1 ? new Date(NaN) : r < 0.4 ? new Date(t) : r < 0.7 ? t :
+					new Date(t).toISOString();
+		}
+	}, {
+		// Strings of ASCII letters compare like their lower case forms
+		name: "caseInsensitive",
+		comparator: comparators.caseInsensitive,
+		expected: function(a, b) {
+			a = a.toLowerCase();
+			b = b.toLowerCase();
+			return a < b ? -1 : a > b ? 1 : 0;
+		},
+		values: function() {
+			var string = "";
+			for (var count = integer(1, 3); count > 0; count--) {
+				string += pick(["a", "A", "b", "B", "c", "z", "Z"]);
+			}
+			return string;
+		}
+	}];
+};
+
+/**
+ * Returns comparators which validateComparator must reject, each with the
+ * pattern of the error it must throw.
+ *
+ * @return {Array.<Object>} The broken comparators.
+ */
+var brokenComparators = function() {
+	var calls = 0;
+	return [{
+		name: "returning NaN",
+		comparator: function() {
+			return NaN;
+		},
+		error: /not a number/
+	}, {
+		name: "never returning 0",
+		comparator: function(a, b) {
+			return a <= b ? -1 : 1;
+		},
+		error: /does not return 0/
+	}, {
+		name: "returning 1 both ways",
+		comparator: function(a, b) {
+			return a === b ? 0 : 1;
+		},
+		error: /not antisymmetric/
+	}, {
+		// Flips the order every other call, which breaks antisymmetry or
+		// consistency depending on where the flips fall
+		name: "flipping",
+		comparator: function(a, b) {
+			if (a === b) {
+				return 0;
+			}
+			calls++;
+			return Math.floor(calls / 2) % 2 ? b - a : a - b;
+		},
+		error: /not antisymmetric|not consistent/
+	}];
+};
+
+/**
+ * Runs the fuzzer on trees ordered by the comparators of
+ * AVLTree.comparators, comparing the comparators and the trees with a
+ * brute-force reference, and checks that validateComparator rejects broken
+ * comparators without changing the tree.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runComparators = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset comparators" : "Set comparators";
+	var random = createRandom(seed);
+	var cases = comparatorCases(random);
+	var show = function(value) {
+		return value instanceof Date ? "Date(" + value.getTime() + ")" :
+				value !== value ? "NaN" : value === undefined ? "undefined" : JSON.stringify(value);
+	};
+	var same = function(a, b) {
+		return a === b || (a !== a && b !== b);
+	};
+	var tree, reference, current;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 500 == 0) {
+			current = cases[(i / 500) % cases.length];
+			tree = new AVLTree({ comparator: current.comparator, multiset: multiset,
+					validateComparator: true });
+			reference = [];
+		}
+
+		var value = current.values();
+		var other = current.values();
+		var description = current.name + ": ";
+		var problems = [];
+
+		// The comparator itself, on a random pair
+		var result = sign(current.comparator(value, other));
+		var expected = current.expected(value, other);
+		if (result !== expected) {
+			problems.push("comparing " + show(value) + " and " + show(other) + " gives " +
+					result + ", expected " + expected);
+		}
+
+		// Find the value in the reference by a linear scan
+		var index = 0;
+		while (index < reference.length && current.expected(reference[index], value) < 0) {
+			index++;
+		}
+		var end = index;
+		while (end < reference.length && current.expected(reference[end], value) == 0) {
+			end++;
+		}
+		var found = end > index;
+
+		try {
+			if (random() < 0.03) {
+				var broken = brokenComparators()[Math.floor(random() * 4)];
+				description += "add to a tree with a comparator " + broken.name;
+				var brokenTree = new AVLTree({ comparator: broken.comparator, multiset: multiset,
+						validateComparator: true });
+				var added = [];
+				for (var j = 0; j < 8; j++) {
+					try {
+						brokenTree.add(j * 3 % 8);
+						added.push(j * 3 % 8);
+					} catch (e) {
+						if (!broken.error.test(e.message)) {
+							problems.push("threw " + e.message);
+						}
+						break;
+					}
+				}
+				if (added.length == 8) {
+					problems.push("did not throw");
+				} else if (brokenTree.getValues().sort().join() != added.sort().join()) {
+					problems.push("holds " + brokenTree.getValues() + " after adding " + added);
+				}
+			} else if (random() < 0.55) {
+				description += "add(" + show(value) + ")";
+				result = tree.add(value);
+				if (result !== (multiset || !found)) {
+					problems.push("returned " + result);
+				}
+				if (found && multiset) {
+					reference.splice(end, 0, reference[index]);
+				} else if (!found) {
+					reference.splice(index, 0, value);
+				}
+			} else {
+				description += "remove(" + show(value) + ")";
+				result = tree.remove(value);
+				if (found ? !same(result, reference[index]) : result !== null) {
+					problems.push("returned " + show(result) + ", expected " +
+							(found ? show(reference[index]) : "null"));
+				}
+				reference.splice(index, found ? 1 : 0);
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		if (!problems.length) {
+			problems = tree.validate().errors.map(function(error) {
+				return error.check + " at " + show(error.value) + ": " + error.message;
+			});
+			var values = tree.getValues();
+			for (var k = 0; k < values.length || k < reference.length; k++) {
+				if (k >= values.length || k >= reference.length || !same(values[k], reference[k])) {
+					problems.push("getValues() gives " + show(values[k]) + " at " + k +
+							", expected " + show(reference[k]));
+					break;
+				}
+			}
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Returns a random view of the tree with a description of its range, which
+ * may be empty or have its bounds the wrong way round.
+ *
+ * @param {AVLTree} tree The tree.
+ * @param {function(): number} random The random number generator.
+ * @param {number} range The values are in [0, range).
+ * @return {{view: AVLTree.View, lo: ?number, hi: ?number, loInclusive: boolean,
+ *     hiInclusive: boolean, reverse: boolean, description: string}} The view.
+ */
+var createView = function(tree, random, range) {
+	var lo = Math.floor(random() * range);
+	var hi = random() < 0.1 ? lo : Math.floor(random() * range);
+	var loInclusive = random() < 0.5;
+	var hiInclusive = random() < 0.5;
+	var kind = Math.floor(random() * 5);
+	var spec;
+	if (kind == 0) {
+		spec = { view: tree.subRange(lo, hi, { loInclusive: loInclusive,
+				hiInclusive: hiInclusive }), lo: lo, hi: hi, loInclusive: loInclusive,
+				hiInclusive: hiInclusive, reverse: false,
+				description: "subRange(" + lo + ", " + hi + ", {loInclusive: " + loInclusive +
+						", hiInclusive: " + hiInclusive + "})" };
+	} else if (kind == 1) {
+		spec = { view: tree.head(hi, hiInclusive), lo: null, hi: hi, loInclusive: true,
+				hiInclusive: hiInclusive, reverse: false,
+				description: "head(" + hi + ", " + hiInclusive + ")" };
+	} else if (kind == 2) {
+		spec = { view: tree.tail(lo, loInclusive), lo: lo, hi: null, loInclusive: loInclusive,
+				hiInclusive: true, reverse: false,
+				description: "tail(" + lo + ", " + loInclusive + ")" };
+	} else if (kind == 3) {
+		spec = { view: tree.descending(), lo: null, hi: null, loInclusive: true,
+				hiInclusive: true, reverse: true, description: "descending()" };
+	} else {
+		spec = { view: tree.subRange(lo, hi, { reverse: true }), lo: lo, hi: hi,
+				loInclusive: true, hiInclusive: true, reverse: true,
+				description: "subRange(" + lo + ", " + hi + ", {reverse: true})" };
+	}
+
+	// Sometimes reverse the view again
+	if (random() < 0.2) {
+		spec.view = spec.view.descending();
+		spec.reverse = !spec.reverse;
+		spec.description += ".descending()";
+	}
+	return spec;
+};
+
+/**
+ * Runs the fuzzer on live views of a tree, changing the tree both directly
+ * and through the views, and comparing every view with the values of the
+ * reference array in its range after each operation.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runViews = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset views" : "Set views";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var reference = [];
+	var views = [];
+	var range = 64;
+	var inRange = function(spec, value) {
+		return (spec.lo === null || value > spec.lo || (value == spec.lo && spec.loInclusive)) &&
+				(spec.hi === null || value < spec.hi || (value == spec.hi && spec.hiInclusive));
+	};
+
+	for (var i = 0; i < operations; i++) {
+		// Empty the tree now and then, so that views of an empty tree are checked
+		if (i % 1000 == 0) {
+			tree.clear();
+			reference = [];
+		}
+
+		var value = Math.floor(random() * range);
+		var index = lowerBound(reference, value);
+		var found = reference[index] === value;
+		var operation = random();
+		var description;
+		var problems = [];
+
+		try {
+			if (views.length < 6 || operation < 0.1) {
+				var created = createView(tree, random, range);
+				var slot = views.length < 6 ? views.length : Math.floor(random() * 6);
+				views[slot] = created;
+				description = created.description;
+			} else {
+				// Change the tree directly or through a random view
+				var spec = random() < 0.5 ? null : views[Math.floor(random() * views.length)];
+				var target = spec ? spec.view : tree;
+				var isAdd = operation < 0.6;
+				var applies = !spec || inRange(spec, value);
+				description = (spec ? spec.description + "." : "") +
+						(isAdd ? "add(" : "remove(") + value + ")";
+				if (isAdd && !applies) {
+					// Adding a value outside a view must throw and leave the tree as it is
+					try {
+						problems.push("returned " + target.add(value) +
+								" for a value outside the view");
+					} catch (e) {
+						if (!/outside the range of the view/.test(e.message)) {
+							throw e;
+						}
+					}
+				} else if (isAdd) {
+					var result = target.add(value);
+					if (result !== (multiset || !found)) {
+						problems.push("returned " + result);
+					}
+					if (multiset || !found) {
+						reference.splice(index, 0, value);
+					}
+				} else {
+					var removed = target.remove(value);
+					if (removed !== (applies && found ? value : null)) {
+						problems.push("returned " + removed);
+					}
+					if (applies && found) {
+						reference.splice(index, 1);
+					}
+				}
+			}
+
+			problems = problems.concat(check(tree, reference, random));
+			views.forEach(function(spec) {
+				var expected = reference.filter(function(value) {
+					return inRange(spec, value);
+				});
+				if (spec.reverse) {
+					expected.reverse();
+				}
+				var view = spec.view;
+				var viewProblems = [];
+				var count = view.getCount();
+				if (count !== expected.length) {
+					viewProblems.push("getCount() is " + count + ", expected " + expected.length);
+				}
+				var first = expected.length ? expected[0] : null;
+				var last = expected.length ? expected[expected.length - 1] : null;
+				if (view.getMinimum() !== first || view.getMaximum() !== last) {
+					viewProblems.push("getMinimum() and getMaximum() are " + view.getMinimum() +
+							" and " + view.getMaximum() + ", expected " + first + " and " + last);
+				}
+				var n = Math.floor(random() * (expected.length + 2)) - 1;
+				var nth = n >= 0 && n < expected.length ? expected[n] : null;
+				if (view.getNthValue(n) !== nth) {
+					viewProblems.push("getNthValue(" + n + ") is " + view.getNthValue(n) +
+							", expected " + nth);
+				}
+				var probe = Math.floor(random() * range);
+				if (view.inRange(probe) !== inRange(spec, probe)) {
+					viewProblems.push("inRange(" + probe + ") is " + view.inRange(probe));
+				}
+				var contains = inRange(spec, probe) && reference.indexOf(probe) >= 0;
+				if (view.contains(probe) !== contains) {
+					viewProblems.push("contains(" + probe + ") is " + view.contains(probe));
+				}
+				if (view.getValues().join() != expected.join()) {
+					viewProblems.push("getValues() is [" + view.getValues() + "], expected [" +
+							expected + "]");
+				}
+				viewProblems = viewProblems.concat(
+						checkIterator(view[Symbol.iterator](), expected));
+				problems = problems.concat(viewProblems.map(function(problem) {
+					return spec.description + ": " + problem;
+				}));
+			});
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Runs the fuzzer on the positional methods removeNth(), removeRange() and
+ * slice(), with indexes a little beyond both ends and negative ones counting
+ * from the end. Every other stretch of operations observes "remove" events,
+ * so that removeRange() removes the values one at a time instead of
+ * splitting the tree.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runPositional = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset positional" : "Set positional";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var reference = [];
+	var range = 64;
+	var removedByEvents = 0;
+	var countRemoved = function(event) {
+		removedByEvents += event.count;
+	};
+	var observed = false;
+	var index = function(n) {
+		return Math.floor(random() * (2 * n + 5)) - n - 2;
+	};
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 500 == 0) {
+			observed = !observed;
+			if (observed) {
+				tree.on("remove", countRemoved);
+			} else {
+				tree.off("remove", countRemoved);
+			}
+			range = 16 << Math.floor(random() * 4);
+		}
+
+		var n = reference.length;
+		var roll = random();
+		var description;
+		var problems = [];
+		removedByEvents = 0;
+
+		try {
+			if (roll < 0.5) {
+				var value = Math.floor(random() * range);
+				description = "add(" + value + ")";
+				var at = lowerBound(reference, value);
+				var added = multiset || reference[at] !== value;
+				if (tree.add(value) !== added) {
+					problems.push("returned " + !added);
+				}
+				if (added) {
+					reference.splice(at, 0, value);
+				}
+			} else if (roll < 0.7) {
+				var nth = index(n) >> 1;
+				description = "removeNth(" + nth + ")";
+				var removed = tree.removeNth(nth);
+				var expected = nth >= 0 && nth < n ? reference[nth] : null;
+				if (removed !== expected) {
+					problems.push("returned " + removed + ", expected " + expected);
+				}
+				if (expected !== null) {
+					reference.splice(nth, 1);
+				}
+				if (observed && removedByEvents != (expected === null ? 0 : 1)) {
+					problems.push("fired remove events for " + removedByEvents + " values");
+				}
+			} else {
+				var start = random() < 0.1 ? undefined : index(n);
+				var end = random() < 0.2 ? undefined : index(n);
+				var slice = roll < 0.85;
+				description = (slice ? "slice(" : "removeRange(") + start + ", " + end + ")";
+				var values = slice ? tree.slice(start, end) : tree.removeRange(start, end);
+				var expectedValues = reference.slice(start, end);
+				if (values.join() != expectedValues.join()) {
+					problems.push("returned [" + values + "], expected [" + expectedValues + "]");
+				}
+				if (!slice) {
+					start = start === undefined ? 0 : start < 0 ? Math.max(n + start, 0) : start;
+					reference.splice(start, expectedValues.length);
+					if (observed && removedByEvents != expectedValues.length) {
+						problems.push("fired remove events for " + removedByEvents + " values, " +
+								"expected " + expectedValues.length);
+					}
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		problems = problems.concat(check(tree, reference, random));
+		if (!problems.length && random() < 0.1) {
+			problems = checkValues(tree, reference);
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Runs the fuzzer on bounded trees with each eviction policy, predicting the
+ * outcome of every add(), the values evicted and reported to onEvict, and the
+ * result of the bulk operations addAll(), unionInPlace(), from() and
+ * fromSorted(), which must throw and leave the tree unchanged in a
+ * "reject-new" tree if the new values do not all fit. Invalid maxSize options
+ * must be rejected.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runCapacity = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset capacity" : "Set capacity";
+	var random = createRandom(seed);
+	var policies = ["evict-min", "evict-max", "reject-new"];
+	var evicted = [];
+	var onEvict = function(value) {
+		evicted.push(value);
+	};
+	var tree, reference, policy, maxSize, options;
+
+	// Adds the value to the reference, as a bounded tree would add it, and
+	// returns the expected result of add()
+	var predictAdd = function(reference, value, expectedEvicted) {
+		var result = { inserted: false, rejected: false, evicted: false, evictedValue: null };
+		var index = lowerBound(reference, value);
+		if (!multiset && reference[index] === value) {
+			return result;
+		}
+		var n = reference.length;
+		if (n >= maxSize) {
+			var victim = n == 0 ? -1 : policy == "evict-min" && reference[0] < value ? 0 :
+					policy == "evict-max" && reference[n - 1] > value ? n - 1 : -1;
+			if (victim < 0) {
+				result.rejected = true;
+				return result;
+			}
+			result.evicted = true;
+			result.evictedValue = reference[victim];
+			expectedEvicted.push(reference[victim]);
+			reference.splice(victim, 1);
+			index -= victim < index ? 1 : 0;
+		}
+		reference.splice(index, 0, value);
+		result.inserted = true;
+		return result;
+	};
+
+	// Returns the values kept of the sorted values, evicting those past the
+	// capacity in bulk, or null if a "reject-new" tree cannot hold them
+	var predictBulk = function(values, expectedEvicted) {
+		var excess = values.length - maxSize;
+		if (excess <= 0) {
+			return values;
+		} else if (policy == "reject-new") {
+			return null;
+		}
+		var start = policy == "evict-min" ? 0 : maxSize;
+		expectedEvicted.push.apply(expectedEvicted, values.slice(start, start + excess));
+		return values.slice(0, start).concat(values.slice(start + excess));
+	};
+	var randomValues = function() {
+		// Draw from a narrower range half of the time, for more duplicates
+		var range = random() < 0.5 ? 8 : 32;
+		var values = [];
+		for (var length = Math.floor(random() * 10); values.length < length; ) {
+			values.push(Math.floor(random() * range));
+		}
+		return values;
+	};
+	var rejects = function(fn) {
+		try {
+			fn();
+		} catch (e) {
+			return /do not fit in the maxSize/.test(e.message);
+		}
+		return false;
+	};
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 500 == 0) {
+			policy = policies[(i / 500) % 3];
+			maxSize = Math.floor(random() * 13);
+			options = { multiset: multiset, maxSize: maxSize, evictionPolicy: policy,
+					onEvict: onEvict };
+			tree = new AVLTree(compareNumbers, options);
+			reference = [];
+		}
+
+		var roll = random();
+		var values = randomValues();
+		var expectedEvicted = [];
+		var description = policy + " " + maxSize + ": ";
+		var problems = [];
+		var expected, result;
+		evicted = [];
+
+		try {
+			if (roll < 0.45) {
+				var value = Math.floor(random() * 32);
+				description += "add(" + value + ")";
+				expected = JSON.stringify(predictAdd(reference, value, expectedEvicted));
+				result = JSON.stringify(tree.add(value));
+				if (result != expected) {
+					problems.push("returned " + result + ", expected " + expected);
+				}
+			} else if (roll < 0.6) {
+				var removed = Math.floor(random() * 32);
+				description += "remove(" + removed + ")";
+				tree.remove(removed);
+				var index = lowerBound(reference, removed);
+				reference.splice(index, reference[index] === removed ? 1 : 0);
+			} else if (roll < 0.75) {
+				description += "addAll([" + values + "])";
+				var added = reference.slice();
+				var stats = { inserted: 0, skipped: 0 };
+				values.forEach(function(value) {
+					var inserted = predictAdd(added, value, expectedEvicted).inserted;
+					stats[inserted ? "inserted" : "skipped"]++;
+				});
+				var fresh = multiset ? values : values.filter(function(value, index) {
+					return values.indexOf(value) == index && reference.indexOf(value) < 0;
+				});
+				if (policy == "reject-new" && reference.length + fresh.length > maxSize) {
+					expectedEvicted = [];
+					if (!rejects(function() { tree.addAll(values); })) {
+						problems.push("did not throw for values past the capacity");
+					}
+				} else {
+					reference = added;
+					result = JSON.stringify(tree.addAll(values));
+					if (result != JSON.stringify(stats)) {
+						problems.push("returned " + result + ", expected " + JSON.stringify(stats));
+					}
+				}
+			} else if (roll < 0.85) {
+				var other = AVLTree.from(values, compareNumbers, { multiset: multiset });
+				description += "unionInPlace([" + other.getValues() + "])";
+				var merged = mergeArrays(reference, other.getValues(), setOperations.union);
+				var union = predictBulk(merged, expectedEvicted);
+				if (!union) {
+					if (!rejects(function() { tree.unionInPlace(other); })) {
+						problems.push("did not throw for values past the capacity");
+					}
+				} else {
+					tree.unionInPlace(other);
+					reference = union;
+				}
+			} else if (roll < 0.95) {
+				// Build a separate tree, checked here rather than against the reference
+				var sorted = random() < 0.5;
+				values.sort(compareNumbers);
+				if (!multiset) {
+					values = mergeArrays(values, [], function(a) {
+						return Math.min(a, 1);
+					});
+				}
+				description += (sorted ? "fromSorted([" : "from([") + values + "])";
+				var kept = predictBulk(values, expectedEvicted);
+				var build = function() {
+					return sorted ? AVLTree.fromSorted(values, compareNumbers, options) :
+							AVLTree.from(values.slice().reverse(), compareNumbers, options);
+				};
+				if (!kept) {
+					if (!rejects(build)) {
+						problems.push("did not throw for values past the capacity");
+					}
+				} else {
+					problems = check(build(), kept, random);
+				}
+			} else {
+				var maxSizes = ["3", true, 1.5, -1, NaN, {}, 0, 7];
+				var bad = maxSizes[Math.floor(random() * maxSizes.length)];
+				var valid = bad === 0 || bad === 7;
+				description += "new AVLTree({maxSize: " + JSON.stringify(bad) + "})";
+				try {
+					new AVLTree(compareNumbers, { maxSize: bad });
+					if (!valid) {
+						problems.push("accepted the maxSize");
+					}
+				} catch (e) {
+					if (valid || e.message != "The maxSize must be a number >= 0") {
+						problems.push("threw " + e.message);
+					}
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		if (evicted.join() != expectedEvicted.join()) {
+			problems.push("evicted [" + evicted + "], expected [" + expectedEvicted + "]");
+		}
+		problems = problems.concat(check(tree, reference, random), checkValues(tree, reference));
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Runs the fuzzer on traversals, iterators and cursors over a tree of values
+ * around 0, so that 0 is often a start value or bound. Traversals and
+ * iterators run from random start values, including ones beyond either end,
+ * and may stop early. Cursors take random walks of next(), prev() and
+ * remove() steps, which go past both ends, modelled as an index into the
+ * reference from -1, before the start, to its length, past the end.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runCursors = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset cursors" : "Set cursors";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var reference = [];
+	var randomValue = function() {
+		return Math.floor(random() * 24) - 8;
+	};
+
+	// Half of the start values are 0 or undefined, and some lie beyond either end
+	var randomStart = function() {
+		var roll = random();
+		return roll < 0.3 ? 0 : roll < 0.5 ? undefined : roll < 0.6 ? -20 : roll < 0.7 ? 40 :
+				randomValue();
+	};
+
+	for (var i = 0; i < operations; i++) {
+		var value = randomValue();
+		var index = lowerBound(reference, value);
+		if (random() < 0.55) {
+			if (tree.add(value) && (multiset || reference[index] !== value)) {
+				reference.splice(index, 0, value);
+			}
+		} else if (tree.remove(value) !== null) {
+			reference.splice(index, 1);
+		}
+
+		var roll = random();
+		var start = randomStart();
+		var description;
+		var problems = [];
+		var expected, visited;
+
+		try {
+			if (roll < 0.3) {
+				// Traverse from the start value, stopping after a random number of values
+				var reverse = random() < 0.5;
+				var stopAfter = random() < 0.3 ? Math.floor(random() * 5) + 1 : Infinity;
+				description = (reverse ? "reverseOrderTraverse(" : "inOrderTraverse(") + start +
+						") stopping after " + stopAfter;
+				expected = reference.filter(function(value) {
+					return start === undefined || (reverse ? value <= start : value >= start);
+				});
+				if (reverse) {
+					expected.reverse();
+				}
+				expected = expected.slice(0, stopAfter);
+				visited = [];
+				tree[reverse ? "reverseOrderTraverse" : "inOrderTraverse"](function(value) {
+					visited.push(value);
+					return visited.length >= stopAfter;
+				}, start);
+				if (visited.join() != expected.join()) {
+					problems.push("visited [" + visited + "], expected [" + expected + "]");
+				}
+			} else if (roll < 0.6) {
+				var options = {
+					from: start,
+					to: random() < 0.5 ? randomStart() : undefined,
+					fromInclusive: random() < 0.7,
+					toInclusive: random() < 0.7,
+					reverse: random() < 0.5
+				};
+				description = "values(" + JSON.stringify(options) + ")";
+				expected = reference.filter(function(value) {
+					var sign = options.reverse ? -1 : 1;
+					var from = options.from === undefined ? 1 : sign * (value - options.from);
+					var to = options.to === undefined ? 1 : sign * (options.to - value);
+					return (from > 0 || (from == 0 && options.fromInclusive)) &&
+							(to > 0 || (to == 0 && options.toInclusive));
+				});
+				if (options.reverse) {
+					expected.reverse();
+				}
+				problems = checkIterator(tree.values(options), expected);
+			} else if (roll < 0.65) {
+				description = "[Symbol.iterator]()";
+				problems = checkIterator(tree[Symbol.iterator](), reference);
+			} else {
+				// Walk a cursor, which is at index -1 before the start and at
+				// reference.length past the end
+				var cursor = tree.cursor(start);
+				var position = start === undefined ? 0 : lowerBound(reference, start);
+				var steps = ["cursor(" + start + ")"];
+				description = "a cursor walk";
+				for (var step = 0; step < 30 && !problems.length; step++) {
+					var move = random();
+					var result;
+					if (move < 0.45) {
+						steps.push("next()");
+						result = cursor.next();
+						position = position < reference.length ? position + 1 : position;
+						expected = position < reference.length ? reference[position] : null;
+					} else if (move < 0.9) {
+						steps.push("prev()");
+						result = cursor.prev();
+						position = position >= 0 ? position - 1 : position;
+						expected = position >= 0 ? reference[position] : null;
+					} else {
+						// Removing moves the cursor on to the following value
+						steps.push("remove()");
+						result = cursor.remove();
+						expected = position >= 0 && position < reference.length ?
+								reference[position] : null;
+						if (expected !== null) {
+							reference.splice(position, 1);
+						}
+					}
+					if (result !== expected) {
+						problems.push(steps.join(".") + " gave " + result + ", expected " +
+								expected);
+					} else {
+						expected = position >= 0 && position < reference.length ?
+								reference[position] : null;
+						if (cursor.peek() !== expected) {
+							problems.push(steps.join(".") + ".peek() gave " + cursor.peek() +
+									", expected " + expected);
+						}
+					}
+				}
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		problems = problems.concat(check(tree, reference, random));
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Returns the position a successor iteration moves to from the specified
+ * position in the sorted values: the next copy of the same value if there is
+ * one left, and the first copy of the following value otherwise. Before the
+ * first value the position is that of the first value from the start value.
+ *
+ * @param {Array.<number>} reference The sorted values.
+ * @param {?{value: number, copies: number}} position The value last visited
+ *     and how many of its copies were visited, null before the first value.
+ * @param {number|undefined} start The start value, if any.
+ * @param {boolean} reverse Whether the iteration is in reverse order.
+ * @return {?{value: number, copies: number}} The next position, or null at
+ *     the end.
+ */
+var followingPosition = function(reference, position, start, reverse) {
+	var index;
+	if (!position) {
+		index = start === undefined ? (reverse ? reference.length - 1 : 0) :
+				reverse ? lowerBound(reference, start + 1) - 1 : lowerBound(reference, start);
+	} else {
+		var lo = lowerBound(reference, position.value);
+		var hi = lowerBound(reference, position.value + 1);
+		if (hi - lo > position.copies) {
+			return { value: position.value, copies: position.copies + 1 };
+		}
+		index = reverse ? lo - 1 : hi;
+	}
+	return index >= 0 && index < reference.length ? { value: reference[index], copies: 1 } : null;
+};
+
+/**
+ * Runs the fuzzer on the iteration modes. Each operation is a traversal,
+ * iterator or cursor over the tree, which modifies the tree now and then
+ * while it runs:
+ *  - A fail-fast iteration must throw an AVLTree.ConcurrentModificationError
+ *    instead of giving another value, or its end, after the first
+ *    modification.
+ *  - A snapshot iteration must give the values the tree held when it began.
+ *  - A successor iteration must carry on from the value after the last one it
+ *    gave, worked out from the reference as it is at each step. A successor
+ *    cursor whose value was removed moves on to the following value first.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runIterationModes = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset iteration modes" : "Set iteration modes";
+	var random = createRandom(seed);
+	var modes = ["fail-fast", "snapshot", "successor"];
+	var kinds = ["inOrderTraverse", "reverseOrderTraverse", "values", "reverse values", "cursor"];
+	var range = 48;
+	var tree, reference, treeMode;
+
+	for (var i = 0; i < operations; i++) {
+		// Start again now and then with a new tree, in each mode in turn
+		if (i % 100 == 0) {
+			treeMode = modes[(i / 100) % 3];
+			tree = new AVLTree(compareNumbers, { multiset: multiset, iterationMode: treeMode });
+			reference = [];
+			for (var count = Math.floor(random() * 32); count > 0; count--) {
+				var value = Math.floor(random() * range);
+				var index = lowerBound(reference, value);
+				if (multiset || reference[index] !== value) {
+					tree.add(value);
+					reference.splice(index, 0, value);
+				}
+			}
+		}
+
+		// Use the tree's mode half of the time, and pass a mode otherwise
+		var mode = random() < 0.5 ? treeMode : modes[Math.floor(random() * 3)];
+		var modeArgument = mode == treeMode && random() < 0.5 ? undefined : mode;
+		var kind = kinds[Math.floor(random() * kinds.length)];
+		var reverse = /reverse/.test(kind);
+		var start = random() < 0.3 ? Math.floor(random() * range) : undefined;
+		var description = kind + " in " + mode + " mode from " + start;
+		var snapshot = reference.filter(function(value) {
+			return start === undefined || (reverse ? value <= start : value >= start);
+		});
+		if (reverse) {
+			snapshot.reverse();
+		}
+		var log = [];
+		var given = 0;
+		var modified = false;
+		var position = null;
+		var problems = [];
+
+		// Checks a value given by the iteration, or null at its end
+		var expect = function(value) {
+			var expected;
+			if (mode == "fail-fast" && modified) {
+				expected = "an error";
+			} else if (mode == "snapshot") {
+				expected = given < snapshot.length ? snapshot[given] : null;
+			} else if (given && !position) {
+				expected = null;  // The iteration already went past the end
+			} else {
+				if (kind == "cursor" && position && reference.indexOf(position.value) < 0) {
+					position = followingPosition(reference, position, start, reverse);
+				}
+				if (!given || position) {
+					position = followingPosition(reference, position, start, reverse);
+				}
+				expected = position ? position.value : null;
+			}
+			if (value !== expected && !problems.length) {
+				problems.push("gave " + value + " after [" + log + "], expected " + expected);
+			}
+			log.push(value);
+			given++;
+		};
+
+		// Modifies the tree now and then, always changing it
+		var modify = function() {
+			if (random() >= 0.25) {
+				return;
+			}
+			var value = Math.floor(random() * range);
+			var index = lowerBound(reference, value);
+			if (reference[index] === value && (!multiset || random() < 0.5)) {
+				log.push("remove(" + value + ")");
+				tree.remove(value);
+				reference.splice(index, 1);
+			} else {
+				log.push("add(" + value + ")");
+				tree.add(value);
+				reference.splice(index, 0, value);
+			}
+			modified = true;
+		};
+
+		try {
+			if (kind == "inOrderTraverse" || kind == "reverseOrderTraverse") {
+				tree[kind](function(value) {
+					expect(value);
+					modify();
+					return problems.length > 0;
+				}, start, modeArgument);
+			} else if (kind == "cursor") {
+				var cursor = tree.cursor(start, modeArgument);
+				for (var current = cursor.peek(); current !== null && !problems.length;
+						current = cursor.next()) {
+					expect(current);
+					modify();
+				}
+			} else {
+				var iterator = tree.values({ from: start, reverse: reverse, mode: modeArgument });
+				for (var result = iterator.next(); !result.done && !problems.length;
+						result = iterator.next()) {
+					expect(result.value);
+					modify();
+				}
+			}
+			if (!problems.length) {
+				expect(null);
+			}
+		} catch (e) {
+			var expectedError = mode == "fail-fast" && modified &&
+					e instanceof AVLTree.ConcurrentModificationError;
+			if (!expectedError && !problems.length) {
+				problems.push("threw " + e.stack + " after [" + log + "]");
+			}
+		}
+
+		problems = problems.concat(check(tree, reference, random));
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Makes one random change to the tree which can also be made inside a
+ * transaction, and returns its description and the values the tree should
+ * hold after it. Checks the return values where the reference predicts them.
+ *
+ * @param {AVLTree} tree The fuzzed tree.
+ * @param {boolean} multiset Whether the tree is a multiset tree.
+ * @param {Array.<number>} reference The sorted values the tree holds.
+ * @param {function(): number} random The random number generator.
+ * @param {number} range The upper bound of the values.
+ * @return {{description: string, reference: !Array.<number>, problems:
+ *     !Array.<string>}} The change, the values the tree should now hold and
+ *     the problems found with the return value.
+ */
+var change = function(tree, multiset, reference, random, range) {
+	var roll = random();
+	var values = [];
+	for (var length = Math.floor(random() * 12); values.length < length; ) {
+		values.push(Math.floor(random() * range));
+	}
+	var value = values.length ? values[0] : Math.floor(random() * range);
+	var index = lowerBound(reference, value);
+	var n = reference.length;
+	var result = { description: null, reference: reference.slice(), problems: [] };
+	var expectRemoved = function(removed, expected) {
+		if (removed.join() != expected.join()) {
+			result.problems.push("returned [" + removed + "], expected [" + expected + "]");
+		}
+	};
+
+	if (roll < 0.25) {
+		result.description = "add(" + value + ")";
+		tree.add(value);
+		if (multiset || reference[index] !== value) {
+			result.reference.splice(index, 0, value);
+		}
+	} else if (roll < 0.4) {
+		var all = multiset && random() < 0.3;
+		result.description = "remove(" + value + (all ? ", true)" : ")");
+		tree.remove(value, all);
+		var end = index;
+		while (reference[end] === value && (all || end == index)) {
+			end++;
+		}
+		result.reference.splice(index, end - index);
+	} else if (roll < 0.5) {
+		var nth = Math.floor(random() * (n + 1));
+		result.description = "removeNth(" + nth + ")";
+		tree.removeNth(nth);
+		result.reference.splice(nth, 1);
+	} else if (roll < 0.6) {
+		// Indexes a little beyond both ends, negative ones counting from the end
+		var start = Math.floor(random() * (2 * n + 5)) - n - 2;
+		var stop = random() < 0.2 ? undefined : Math.floor(random() * (2 * n + 5)) - n - 2;
+		result.description = "removeRange(" + start + ", " + stop + ")";
+		var expected = reference.slice(start, stop);
+		expectRemoved(tree.removeRange(start, stop), expected);
+		result.reference.splice(start < 0 ? Math.max(n + start, 0) : start, expected.length);
+	} else if (roll < 0.65) {
+		var hi = Math.floor(random() * range);
+		var lo = Math.min(value, hi);
+		hi = Math.max(value, hi);
+		result.description = "removeValueRange(" + lo + ", " + hi + ")";
+		var first = lowerBound(reference, lo), last = lowerBound(reference, hi + 1);
+		expectRemoved(tree.removeValueRange(lo, hi), reference.slice(first, last));
+		result.reference.splice(first, last - first);
+	} else if (roll < 0.75) {
+		result.description = "addAll([" + values + "])";
+		tree.addAll(values);
+		for (var i = 0; i < values.length; i++) {
+			index = lowerBound(result.reference, values[i]);
+			if (multiset || result.reference[index] !== values[i]) {
+				result.reference.splice(index, 0, values[i]);
+			}
+		}
+	} else if (roll < 0.82) {
+		result.description = "removeAll([" + values + "])";
+		tree.removeAll(values);
+		for (var j = 0; j < values.length; j++) {
+			index = lowerBound(result.reference, values[j]);
+			if (result.reference[index] === values[j]) {
+				result.reference.splice(index, 1);
+			}
+		}
+	} else if (roll < 0.95) {
+		var names = Object.keys(setOperations);
+		var name = names[Math.floor(random() * names.length)];
+		var other = AVLTree.from(values, compareNumbers, { multiset: multiset });
+		result.description = name + "InPlace([" + other.getValues() + "])";
+		tree[name + "InPlace"](other);
+		result.reference = mergeArrays(reference, other.getValues(), setOperations[name]);
+	} else if (roll < 0.98) {
+		// Splitting moves every value into the parts and leaves the tree empty
+		result.description = "split(" + value + ")";
+		var parts = tree.split(value);
+		var after = lowerBound(reference, value + 1);
+		expectRemoved(parts.left.getValues(), reference.slice(0, index));
+		expectRemoved(parts.right.getValues(), reference.slice(after));
+		result.reference = [];
+	} else {
+		result.description = "clear()";
+		tree.clear();
+		result.reference = [];
+	}
+	return result;
+};
+
+/**
+ * Runs the fuzzer on transactions, nesting begin(), commit() and rollback()
+ * up to five deep around random changes, with the occasional transaction()
+ * whose function throws. A rollback must restore the values, counts, minimum
+ * and maximum as they were when its transaction began, and snapshots taken
+ * along the way must keep their values.
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runTransactions = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset transactions" : "Set transactions";
+	var random = createRandom(seed);
+	var tree = new AVLTree(compareNumbers, { multiset: multiset });
+	var reference = [];
+	var saved = [];
+	var snapshots = [];
+	var range = 32;
+	var failure = new Error("Rolled back on purpose");
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 200 == 0) {
+			range = 16 << Math.floor(random() * 4);
+		}
+
+		var roll = random();
+		var description;
+		var problems = [];
+
+		try {
+			if (roll < 0.15 && saved.length < 5) {
+				description = "begin()";
+				tree.begin();
+				saved.push(reference);
+			} else if (roll < 0.25 && saved.length) {
+				description = "commit()";
+				tree.commit();
+				saved.pop();
+			} else if (roll < 0.35 && saved.length) {
+				description = "rollback()";
+				tree.rollback();
+				reference = saved.pop();
+			} else if (roll < 0.4) {
+				// A few changes inside transaction(), which rolls them back if
+				// the function throws
+				var rolledBack = random() < 0.5;
+				var before = reference;
+				var changes = [];
+				try {
+					tree.transaction(function(tree) {
+						for (var count = 1 + Math.floor(random() * 3); count > 0; count--) {
+							var result = change(tree, multiset, reference, random, range);
+							changes.push(result.description);
+							reference = result.reference;
+							problems = problems.concat(result.problems);
+						}
+						if (rolledBack) {
+							throw failure;
+						}
+					});
+				} catch (e) {
+					if (e !== failure) {
+						throw e;
+					}
+					reference = before;
+				}
+				description = "transaction(" + changes.join(", ") +
+						(rolledBack ? ", throw)" : ")");
+			} else {
+				var result = change(tree, multiset, reference, random, range);
+				description = result.description;
+				reference = result.reference;
+				problems = result.problems;
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		if (random() < 0.05) {
+			snapshots.push({ tree: tree.snapshot(), reference: reference });
+			if (snapshots.length > 3) {
+				snapshots.shift();
+			}
+		}
+		if (tree.getTransactionDepth() !== saved.length) {
+			problems.push("getTransactionDepth() is " + tree.getTransactionDepth() +
+					", expected " + saved.length);
+		}
+		problems = problems.concat(check(tree, reference, random), checkValues(tree, reference));
+		for (var j = 0; j < snapshots.length; j++) {
+			problems = problems.concat(checkValues(snapshots[j].tree, snapshots[j].reference));
+		}
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Returns the greatest height of an AVL tree with n nodes, counted the slow
+ * way by growing the sparsest trees one height at a time.
+ *
+ * @param {number} n The number of nodes.
+ * @return {number} The greatest height.
+ */
+var avlHeightBound = function(n) {
+	var sparsest = [0, 1];
+	while (sparsest[sparsest.length - 1] <= n) {
+		var h = sparsest.length;
+		sparsest.push(sparsest[h - 1] + sparsest[h - 2] + 1);
+	}
+	return sparsest.length - 2;
+};
+
+/**
+ * Runs the fuzzer on instrumented trees, performing the same operations on
+ * an instrumented tree and a plain one. Their results and heights must agree,
+ * and getStats() must count exactly the comparator calls the tree made, one
+ * operation per add(), remove(), contains() and getNthValue(), at most the
+ * height in visited nodes for a search, and the peak height and number of
+ * nodes since resetStats().
+ *
+ * @param {boolean} multiset Whether to fuzz a multiset tree.
+ * @param {number} seed The seed of the run.
+ * @param {number} operations The number of operations to perform.
+ * @return {boolean} Whether the run passed.
+ */
+var runInstrumentation = function(multiset, seed, operations) {
+	var name = multiset ? "Multiset instrumentation" : "Set instrumentation";
+	var random = createRandom(seed);
+	var calls = { plain: 0, instrumented: 0 };
+	var tree = new AVLTree(function(a, b) {
+		calls.instrumented++;
+		return a - b;
+	}, { multiset: multiset, instrument: true });
+	var plain = new AVLTree(function(a, b) {
+		calls.plain++;
+		return a - b;
+	}, { multiset: multiset });
+	var reference = [];
+	var distinct = 0;
+	var expected = { comparisons: 0, operations: 0, peakHeight: 0, peakSize: 0 };
+	var range = 64;
+
+	for (var i = 0; i < operations; i++) {
+		if (i % 500 == 0) {
+			range = 16 << Math.floor(random() * 5);
+		}
+
+		var roll = random();
+		var value = Math.floor(random() * range);
+		var index = lowerBound(reference, value);
+		var present = reference[index] === value;
+		var description;
+		var problems = [];
+		var before = tree.getStats();
+		var plainCalls = calls.plain;
+		var counted = true;
+		var search = false;
+		var result, plainResult;
+
+		try {
+			if (roll < 0.35) {
+				description = "add(" + value + ")";
+				result = tree.add(value);
+				plainResult = plain.add(value);
+				if (result) {
+					reference.splice(index, 0, value);
+					distinct += present ? 0 : 1;
+				}
+			} else if (roll < 0.6) {
+				var removeAll = multiset && random() < 0.3;
+				description = "remove(" + value + (removeAll ? ", true)" : ")");
+				result = tree.remove(value, removeAll);
+				plainResult = plain.remove(value, removeAll);
+				if (present) {
+					var end = removeAll ? lowerBound(reference, value + 1) : index + 1;
+					reference.splice(index, end - index);
+					distinct -= reference[index] === value ? 0 : 1;
+				}
+			} else if (roll < 0.8) {
+				description = "contains(" + value + ")";
+				result = tree.contains(value);
+				plainResult = plain.contains(value);
+				search = true;
+				if (result !== present) {
+					problems.push("contains() gives " + result + ", expected " + present);
+				}
+			} else if (roll < 0.9) {
+				var n = Math.floor(random() * (reference.length + 1));
+				description = "getNthValue(" + n + ")";
+				result = tree.getNthValue(n);
+				plainResult = plain.getNthValue(n);
+				search = true;
+				if (result !== (n < reference.length ? reference[n] : null)) {
+					problems.push("getNthValue() gives " + result + ", expected " + reference[n]);
+				}
+			} else if (roll < 0.97) {
+				// Bulk additions are not counted as operations, but their
+				// comparisons, rotations and peaks are
+				var values = [];
+				for (var count = Math.floor(random() * 40); count > 0; count--) {
+					values.push(Math.floor(random() * range));
+				}
+				description = "addAll([" + values + "])";
+				result = JSON.stringify(tree.addAll(values));
+				plainResult = JSON.stringify(plain.addAll(values));
+				for (var j = 0; j < values.length; j++) {
+					index = lowerBound(reference, values[j]);
+					present = reference[index] === values[j];
+					if (multiset || !present) {
+						reference.splice(index, 0, values[j]);
+						distinct += present ? 0 : 1;
+					}
+				}
+				counted = false;
+			} else {
+				description = "resetStats()";
+				tree.resetStats();
+				before = null;
+				calls.instrumented = 0;
+				expected = { comparisons: 0, operations: 0, peakHeight: tree.getHeight(),
+						peakSize: distinct };
+				counted = false;
+			}
+		} catch (e) {
+			problems.push("threw " + e.stack);
+		}
+
+		var stats = tree.getStats();
+		if (result !== plainResult) {
+			problems.push("gives " + result + ", the plain tree " + plainResult);
+		}
+		if (before && stats.comparisons - before.comparisons != calls.plain - plainCalls) {
+			problems.push("made " + (stats.comparisons - before.comparisons) +
+					" comparisons, the plain tree " + (calls.plain - plainCalls));
+		}
+		if (tree.getHeight() != plain.getHeight()) {
+			problems.push("height " + tree.getHeight() + ", the plain tree " + plain.getHeight());
+		}
+		expected.comparisons = calls.instrumented;
+		expected.operations += counted ? 1 : 0;
+		expected.peakHeight = Math.max(expected.peakHeight, tree.getHeight());
+		expected.peakSize = Math.max(expected.peakSize, distinct);
+		if (before) {
+			var visited = stats.nodesVisited - before.nodesVisited;
+			if (search && visited > before.height) {
+				problems.push("visited " + visited + " nodes, the height is " + before.height);
+			}
+			if (counted && visited > stats.maxNodesVisited) {
+				problems.push("maxNodesVisited is " + stats.maxNodesVisited +
+						", the operation visited " + visited);
+			}
+			var rotations = stats.rotations.left + stats.rotations.right -
+					before.rotations.left - before.rotations.right;
+			if (roll < 0.35 && rotations > 2) {
+				problems.push("made " + rotations + " rotations for one insertion");
+			}
+		} else if (stats.nodesVisited !== 0 || stats.maxNodesVisited !== 0 ||
+				stats.rotations.left !== 0 || stats.rotations.right !== 0 ||
+				stats.rotations["double"] !== 0) {
+			problems.push("resetStats() left " + JSON.stringify(stats));
+		}
+		[
+			["comparisons", stats.comparisons, expected.comparisons],
+			["operations", stats.operations, expected.operations],
+			["nodesVisitedPerOperation", stats.nodesVisitedPerOperation,
+					stats.operations ? stats.nodesVisited / stats.operations : 0],
+			["height", stats.height, tree.getHeight()],
+			["peakHeight", stats.peakHeight, expected.peakHeight],
+			["peakHeightBound", stats.peakHeightBound, avlHeightBound(expected.peakSize)]
+		].forEach(function(field) {
+			if (field[1] !== field[2]) {
+				problems.push(field[0] + " is " + field[1] + ", expected " + field[2]);
+			}
+		});
+		if (!(stats.rotations["double"] <= Math.min(stats.rotations.left, stats.rotations.right))) {
+			problems.push(stats.rotations["double"] + " double rotations, but only " +
+					stats.rotations.left + " left and " + stats.rotations.right + " right");
+		}
+		if (stats.maxNodesVisited > stats.nodesVisited) {
+			problems.push("maxNodesVisited " + stats.maxNodesVisited + " > nodesVisited " +
+					stats.nodesVisited);
+		}
+		if (stats.peakHeight > stats.peakHeightBound) {
+			problems.push("peakHeight " + stats.peakHeight + " > peakHeightBound " +
+					stats.peakHeightBound);
+		}
+		if (plain.getStats() !== null) {
+			problems.push("getStats() of the plain tree is not null");
+		}
+
+		// The checks count comparisons and a getNthValue() operation too
+		problems = problems.concat(check(tree, reference, random), checkValues(tree, reference),
+				checkValues(plain, reference));
+		expected.comparisons = calls.instrumented;
+		expected.operations += reference.length ? 1 : 0;
+		if (problems.length) {
+			return fail(name, seed, i, description, problems);
+		}
+	}
+	return true;
+};
+
+/**
+ * Reports a failed run.
+ *
+ * @param {string} name The kind of tree which failed.
+ * @param {number} seed The seed of the run.
+ * @param {number} operation The index of the failing operation.
+ * @param {string} description The failing operation.
+ * @param {Array.<string>} problems The problems found.
+ * @return {boolean} Always false.
+ */
+var fail = function(name, seed, operation, description, problems) {
+	console.error(name + " failed with seed " + seed +
+			" at operation " + operation + ", " + description + ":\n  " + problems.join("\n  "));
+	return false;
+};
+
+exports.createRandom = createRandom;
+exports.compareNumbers = compareNumbers;
+
+if (require.main === module) {
+	var seed = process.argv[2] ? parseInt(process.argv[2], 10) : Date.now() % 100000;
+	var operations = process.argv[3] ? parseInt(process.argv[3], 10) : 20000;
+
+	console.log("Fuzzing " + operations + " operations with seed " + seed);
+
+	// The fuzzers with the share of the operations each performs, smaller for
+	// those doing more work per operation
+	var fuzzers = [
+		[run, 1],
+		[runNumeric, 1],
+		[runBulk, 1 / 20],
+		[runCompare, 1 / 4],
+		[runSplitJoin, 1 / 20],
+		[runSetOperations, 1 / 40],
+		[runPersistent, 1 / 2],
+		[runSerialization, 1 / 20],
+		[runAggregates, 1 / 4],
+		[runIntervals, 1 / 4],
+		[runEvents, 1 / 2],
+		[runRenderers, 1 / 20],
+		[runKeyed, 1 / 4],
+		[runComparators, 1 / 4],
+		[runViews, 1 / 10],
+		[runPositional, 1 / 2],
+		[runCapacity, 1 / 4],
+		[runCursors, 1 / 4],
+		[runIterationModes, 1 / 10],
+		[runTransactions, 1 / 4],
+		[runInstrumentation, 1 / 4]
+	];
+	var passed = fuzzers.every(function(fuzzer) {
+		var count = Math.ceil(operations * fuzzer[1]);
+		return fuzzer[0](false, seed, count) && fuzzer[0](true, seed, count);
+	});
+	console.log(passed ? "Passed" : "Failed");
+	process.exit(passed ? 0 : 1);
+}